@@ -0,0 +1,174 @@
+/**
+ * Salsa20js - Salsa20/20 JavaScript implementation - Node.js entry point
+ * https://github.com/salsa20js/salsa20js
+ *
+ * Copyright (c) 2015 Joshua M. David
+ * Released under the MIT License
+ * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+ *
+ * Adds Node.js stream.Transform wrappers and file encryption helpers to the Salsa20 object. The files are read and
+ * written in chunks through the stateful cipher, so files larger than the available memory can be encrypted.
+ * Use with: var Salsa20 = require('./salsa20-node.js');
+ */
+
+// Use ECMAScript 5's strict mode
+'use strict';
+
+var fs = require('fs');
+var stream = require('stream');
+var Salsa20 = require('./salsa20.js');
+
+/**
+ * Node.js stream and file wrapper functions for the user
+ */
+Salsa20.node = {
+
+	/**
+	 * Creates a Node.js stream.Transform which encrypts the Buffer chunks written to it
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same rounds and byteOffset options as Salsa20.createCipher
+	 * @returns {stream.Transform} Returns a Transform stream which outputs the encrypted Buffer chunks
+	 */
+	createEncryptTransform: function(key, nonce, counter, options)
+	{
+		return this.createTransform(Salsa20.createCipher(key, nonce, counter, options));
+	},
+
+	/**
+	 * Creates a Node.js stream.Transform which decrypts the Buffer chunks written to it. This is the same as the
+	 * encrypt transform because Salsa20 is a stream cipher.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same rounds and byteOffset options as Salsa20.createCipher
+	 * @returns {stream.Transform} Returns a Transform stream which outputs the decrypted Buffer chunks
+	 */
+	createDecryptTransform: function(key, nonce, counter, options)
+	{
+		return this.createTransform(Salsa20.createCipher(key, nonce, counter, options));
+	},
+
+	/**
+	 * Wraps a stateful cipher in a stream.Transform
+	 * @param {Salsa20.Cipher} cipher The cipher to pass each chunk through
+	 * @returns {stream.Transform} Returns the Transform stream
+	 */
+	createTransform: function(cipher)
+	{
+		return new stream.Transform({
+			transform: function(chunk, encoding, callback)
+			{
+				var outputBytes;
+
+				// Errors such as counter overflow are passed to the stream instead of being thrown
+				try
+				{
+					outputBytes = cipher.update(chunk);
+				}
+				catch (error)
+				{
+					return callback(error);
+				}
+
+				// Wrap the output in a Buffer without copying it
+				callback(null, Buffer.from(outputBytes.buffer, outputBytes.byteOffset, outputBytes.length));
+			},
+			flush: function(callback)
+			{
+				// Erase the key once the input has ended
+				cipher.final();
+				callback();
+			},
+			destroy: function(error, callback)
+			{
+				// Erase the key if the stream is destroyed before the end, e.g. when a pipeline fails
+				if (cipher.finished === false)
+				{
+					cipher.final();
+				}
+
+				callback(error);
+			}
+		});
+	},
+
+	/**
+	 * Encrypts a file to a new file. The file is streamed in chunks so it can be larger than the available memory.
+	 * @param {String} source The path of the file to encrypt
+	 * @param {String} destination The path to write the encrypted file to, this is overwritten if it exists and removed if encryption fails
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Object} options Optional object with additional options:
+	 *		counter: Number - The block to start from, otherwise by default it will start from block 0
+	 *		rounds: 8|12|20 - The number of rounds to use i.e. Salsa20/8, Salsa20/12 or Salsa20/20, otherwise by default it will use 20 rounds
+	 * @returns {Promise} Returns a Promise which resolves when the destination file has been written
+	 */
+	encryptFile: function(source, destination, key, nonce, options)
+	{
+		return this.transformFile(source, destination, key, nonce, options);
+	},
+
+	/**
+	 * Decrypts a file to a new file. The file is streamed in chunks so it can be larger than the available memory.
+	 * @param {String} source The path of the file to decrypt
+	 * @param {String} destination The path to write the decrypted file to, this is overwritten if it exists and removed if decryption fails
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Object} options Optional object with the same counter and rounds options as encryptFile
+	 * @returns {Promise} Returns a Promise which resolves when the destination file has been written
+	 */
+	decryptFile: function(source, destination, key, nonce, options)
+	{
+		return this.transformFile(source, destination, key, nonce, options);
+	},
+
+	/**
+	 * Streams a file through the cipher into the destination file
+	 * @param {String} source The path of the file to read
+	 * @param {String} destination The path of the file to write
+	 * @param {String|Uint8Array} key The key
+	 * @param {String|Uint8Array|Number|BigInt} nonce The nonce
+	 * @param {Object} options Optional object with the counter and rounds options
+	 * @returns {Promise} Returns a Promise which resolves when the destination file has been written
+	 */
+	transformFile: function(source, destination, key, nonce, options)
+	{
+		var self = this;
+
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		return new Promise(function(resolve, reject)
+		{
+			// Parse the inputs before opening any files, so invalid parameters don't create an empty destination file
+			var counter = options.hasOwnProperty('counter') ? options.counter : 0;
+			var cipher = Salsa20.createCipher(key, nonce, counter, options);
+			var transform = self.createTransform(cipher);
+
+			// The pipeline handles backpressure and closes all the files if any stream fails
+			stream.pipeline(fs.createReadStream(source), transform, fs.createWriteStream(destination), function(error)
+			{
+				if (error)
+				{
+					// Erase the key and remove the partly written destination file
+					if (cipher.finished === false)
+					{
+						cipher.final();
+					}
+
+					fs.unlink(destination, function()
+					{
+						reject(error);
+					});
+				}
+				else {
+					resolve();
+				}
+			});
+		});
+	}
+};
+
+module.exports = Salsa20;
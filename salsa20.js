@@ -7,7 +7,41 @@
  * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
  */
 
-// Use ECMAScript 5's strict mode
+// Universal module definition, so the library can be loaded with AMD, CommonJS or a plain script tag
+(function(root, factory)
+{
+	// AMD loaders such as RequireJS
+	if ((typeof define === 'function') && define.amd)
+	{
+		define([], factory);
+	}
+
+	// CommonJS environments such as Node.js and bundlers
+	else if ((typeof module === 'object') && module.exports)
+	{
+		module.exports = factory();
+	}
+	else {
+		// Browser global, the previous value is kept so it can be restored by noConflict()
+		var previousSalsa20 = root.Salsa20;
+		var Salsa20 = factory();
+
+		/**
+		 * Restores the previous value of the Salsa20 global variable
+		 * @returns {Object} Returns this library's Salsa20 object
+		 */
+		Salsa20.noConflict = function()
+		{
+			root.Salsa20 = previousSalsa20;
+
+			return Salsa20;
+		};
+
+		root.Salsa20 = Salsa20;
+	}
+}((typeof self !== 'undefined') ? self : this, function()
+{
+// Use ECMAScript 5's strict mode inside the module only, so it doesn't apply to other scripts in a bundle
 'use strict';
 
 /**
@@ -19,11 +53,12 @@ var Salsa20 = {
 	 * A wrapper function for the Salsa20 encryption of a message 
 	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
 	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
-	 * @param {String|Uint8Array|Number} nonce A 64-bit one time cryptographic nonce i.e. the message number. This can be input as a hexadecimal string of 16 symbols, a byte array of 8 bytes or an integer between 0 and 2^53 - 1 inclusive.
-	 * @param {Number} counter An integer specifying the block to start encrypting from. Normally a 0 should be passed. If encrypting part of a large file it is also possible to enter the block number and it will start encrypting from that point. The maximum integer allowed for JavaScript is 2^53 - 1 (9007199254740991).
+	 * @param {String|Uint8Array|Number|BigInt} nonce A 64-bit one time cryptographic nonce i.e. the message number. This can be input as a hexadecimal string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive.
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start encrypting from. Normally a 0 should be passed. If encrypting part of a large file it is also possible to enter the block number and it will start encrypting from that point. Counters above 2^53 - 1 can be passed as a BigInt or a byte array of 8 bytes in littleendian order, up to 2^64 - 1.
 	 * @param {Object} options Optional object with additional options:
 	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
 	 *		returnType: 'hex' - Returns the encrypted data as a hex string, otherwise by default it will return an array of bytes
+	 *		rounds: 8|12|20 - The number of rounds to use i.e. Salsa20/8, Salsa20/12 or Salsa20/20, otherwise by default it will use 20 rounds
 	 * @returns {Uint8Array|String} Returns an array of bytes or a hexadecimal string
 	 */
 	encrypt: function(key, message, nonce, counter, options)
@@ -36,9 +71,10 @@ var Salsa20 = {
 		message = this.core.util.parseMessage(message, options);
 		nonce = this.core.util.parseNonce(nonce);
 		counter = this.core.util.parseCounter(counter, message.length);
+		var rounds = this.core.util.parseRounds(options);
 		
 		// Encrypt starting from the specified counter
-		var encryptedBytes = this.core.encryption(key, message, nonce, counter);
+		var encryptedBytes = this.core.encryption(key, message, nonce, counter, rounds);
 				
 		// If the return type requested is hex, convert the bytes to hex
 		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
@@ -55,11 +91,12 @@ var Salsa20 = {
 	 * A wrapper function for the Salsa20 encryption of a message
 	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
 	 * @param {String|Uint8Array} ciphertext The ciphertext message. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object. Otherwise a byte array is used as default.
-	 * @param {String|Uint8Array|Number} nonce A hex string of 16 symbols, a byte array of 8 bytes or an integer between 0 and 2^53 - 1 inclusive
-	 * @param {Number} counter An integer specifying the block to start decrypting from. The default should be 0. If decrypting part of a large file it is also possible to enter the block number and it will start decrypting from that point. The maximum integer allowed for JavaScript is 2^53 - 1 (9007199254740991).
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start decrypting from. The default should be 0. If decrypting part of a large file it is also possible to enter the block number and it will start decrypting from that point. Counters above 2^53 - 1 can be passed as a BigInt or a byte array of 8 bytes in littleendian order, up to 2^64 - 1.
 	 * @param {Object} options Optional object with additional options:
 	 *		inputTextType: 'hex' - The input ciphertext will be a hex string, otherwise by default it will parse it as an array of bytes
 	 *		returnType: 'hex' - Returns the encrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 *		rounds: 8|12|20 - The number of rounds to use i.e. Salsa20/8, Salsa20/12 or Salsa20/20, otherwise by default it will use 20 rounds
 	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
 	 */
 	decrypt: function(key, ciphertext, nonce, counter, options)
@@ -72,9 +109,10 @@ var Salsa20 = {
 		ciphertext = this.core.util.parseMessage(ciphertext, options);
 		nonce = this.core.util.parseNonce(nonce);
 		counter = this.core.util.parseCounter(counter, ciphertext.length);
+		var rounds = this.core.util.parseRounds(options);
 		
 		// Decrypt starting from the specified counter
-		var decryptedBytes = this.core.encryption(key, ciphertext, nonce, counter);
+		var decryptedBytes = this.core.encryption(key, ciphertext, nonce, counter, rounds);
 		
 		// If the return type requested is hex, convert the bytes to hex
 		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
@@ -94,10 +132,11 @@ var Salsa20 = {
 	 * Salsa20 block size (64 bytes) after that. For example: length 53, returns 64 bytes and length 77, returns 128 bytes.
 	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
 	 * @param {Number} length An integer representing the minimum length of the keystream required
-	 * @param {String|Uint8Array|Number} nonce A 64-bit one time cryptographic nonce i.e. the message number. This can be input as a hexadecimal string of 16 symbols, a byte array of 8 bytes or an integer between 0 and 2^53 - 1 inclusive.
-	 * @param {Number} counter An integer specifying the block to start keystream generation from. Normally a `0` should be passed in. The maximum integer allowed for JavaScript is `9007199254740991` (2^53 - 1).
+	 * @param {String|Uint8Array|Number|BigInt} nonce A 64-bit one time cryptographic nonce i.e. the message number. This can be input as a hexadecimal string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive.
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start keystream generation from. Normally a `0` should be passed in. Counters above 2^53 - 1 can be passed as a BigInt or a byte array of 8 bytes in littleendian order, up to 2^64 - 1.
 	 * @param {Object} options Optional object with additional options:
 	 *		returnType: 'hex' - Returns the keystream as a hex string, otherwise by default it will return an array of bytes
+	 *		rounds: 8|12|20 - The number of rounds to use i.e. Salsa20/8, Salsa20/12 or Salsa20/20, otherwise by default it will use 20 rounds
 	 * @returns {Uint8Array|String} Returns an array of bytes or a hexadecimal string
 	 */
 	generateKeystream: function(key, length, nonce, counter, options)
@@ -109,9 +148,10 @@ var Salsa20 = {
 		key = this.core.util.parseKey(key);
 		nonce = this.core.util.parseNonce(nonce);
 		counter = this.core.util.parseCounter(counter, length);
+		var rounds = this.core.util.parseRounds(options);
 		
 		// Create the keystream
-		var keystream = this.core.generateKeystream(key, length, nonce, counter);
+		var keystream = this.core.generateKeystream(key, length, nonce, counter, rounds);
 		
 		// If the return type requested is hex, convert the bytes to hex
 		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
@@ -122,840 +162,7646 @@ var Salsa20 = {
 			// By default return a byte array
 			return keystream;
 		}
-	}
-};
-
-/**
- * Core Salsa20 specification functions
- */
-Salsa20.core = {
+	},
 
 	/**
-	 * The quarterround function from Section 3 of the spec
-	 * @param {Number} yWord0 A 32 bit decimal word
-	 * @param {Number} yWord1 A 32 bit decimal word
-	 * @param {Number} yWord2 A 32 bit decimal word
-	 * @param {Number} yWord3 A 32 bit decimal word
-	 * @returns {Uint32Array} zWords Returns a modified array of four 32 bit decimal words
+	 * Derives a key from a password with scrypt (RFC 7914), which uses the Salsa20/8 core. The output can be used as 
+	 * the key for the other functions. Choose N as large as the slowest device can tolerate e.g. N = 2^15 and r = 8 
+	 * uses 32 MiB of memory.
+	 * @param {String|Uint8Array} password The password as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {String|Uint8Array} salt A random salt in the same formats as the password, which should be stored with the derived data
+	 * @param {Number} N The CPU/memory cost, a power of 2 greater than 1
+	 * @param {Number} r The block size, normally 8
+	 * @param {Number} p The parallelisation, normally 1
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes e.g. 32 for a 256 bit key
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The password and salt will be hex strings, otherwise by default they will be parsed as ASCII/UTF-8 strings
+	 *		returnType: 'hex' - Returns the key as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the derived key as an array of bytes or a hexadecimal string
 	 */
-	quarterRound: function(yWord0, yWord1, yWord2, yWord3)
+	scrypt: function(password, salt, N, r, p, derivedKeyLength, options)
 	{
-		var sum = null;
-		var leftRotation = null;
-		var zWords = new Uint32Array(4);
-
-		// z1 = y1 ⊕ ((y0 + y3) <<< 7)
-		sum = this.util.sumWords(yWord0, yWord3);
-		leftRotation = this.util.leftRotate(sum, 7);
-		zWords[1] = this.util.xorWords(yWord1, leftRotation);
-
-		// z2 = y2 ⊕ ((z1 + y0) <<< 9)
-		sum = this.util.sumWords(zWords[1], yWord0);
-		leftRotation = this.util.leftRotate(sum, 9);
-		zWords[2] = this.util.xorWords(yWord2, leftRotation);
+		// If the options are unset, set to a blank object
+		options = options || {};
 
-		// z3 = y3 ⊕ ((z2 + z1) <<< 13)
-		sum = this.util.sumWords(zWords[2], zWords[1]);
-		leftRotation = this.util.leftRotate(sum, 13);
-		zWords[3] = this.util.xorWords(yWord3, leftRotation);
+		// Parse the inputs
+		password = this.core.util.parseMessage(password, options);
+		salt = this.core.util.parseMessage(salt, options);
+		this.core.scrypt.checkParameters(N, r, p, derivedKeyLength);
 
-		// z0 = y0 ⊕ ((z3 + z2) <<< 18)
-		sum = this.util.sumWords(zWords[3], zWords[2]);
-		leftRotation = this.util.leftRotate(sum, 18);
-		zWords[0] = this.util.xorWords(yWord0, leftRotation);
+		// Derive the key
+		var derivedKey = this.core.scrypt.deriveKey(password, salt, N, r, p, derivedKeyLength);
 
-		return zWords;
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return this.core.util.bytesToHex(derivedKey);
+		}
+		else {
+			// By default return a byte array
+			return derivedKey;
+		}
 	},
 
 	/**
-	 * The rowround function from Section 4 of the spec
-	 * @param {Uint32Array} yWords A 16-word array consisting of 32 bit decimal words
-	 * @returns {Uint32Array} zWords Returns a transformed 16-word array consisting of 32 bit decimal words
+	 * Encrypts a message with a password into a self-contained envelope. A 256 bit key is derived with scrypt and a 
+	 * new random salt, then the message is encrypted and authenticated with XSalsa20-Poly1305 under a new random nonce. 
+	 * The envelope holds the scrypt parameters, salt, nonce, tag and ciphertext, so only the password is needed to 
+	 * decrypt it.
+	 * @param {String|Uint8Array} password The password as an ASCII/UTF-8 string or array of bytes
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the envelope as a hex string, otherwise by default it will return an array of bytes
+	 *		N, r, p: Number - The scrypt parameters, by default N = 32768, r = 8 and p = 1
+	 * @returns {Uint8Array|String} Returns the envelope as an array of bytes or a hexadecimal string
 	 */
-	rowRound: function(yWords)
-	{		
-		var zWords = new Uint32Array(16);
-		var transformedWords = null;
-
-		// (z0, z1, z2, z3) = quarterround(y0, y1, y2, y3)
-		transformedWords = this.quarterRound(yWords[0], yWords[1], yWords[2], yWords[3]);
-		zWords[0] = transformedWords[0];
-		zWords[1] = transformedWords[1];
-		zWords[2] = transformedWords[2];
-		zWords[3] = transformedWords[3];
-
-		// (z5, z6, z7, z4) = quarterround(y5, y6, y7, y4)
-		transformedWords = this.quarterRound(yWords[5], yWords[6], yWords[7], yWords[4]);
+	encryptWithPassword: function(password, message, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
 
-		zWords[5] = transformedWords[0];
-		zWords[6] = transformedWords[1];
-		zWords[7] = transformedWords[2];
-		zWords[4] = transformedWords[3];
+		// Use the default scrypt parameters unless they are set
+		var defaultParameters = this.passwordEnvelope.defaultParameters;
+		var parameters = {
+			N: options.hasOwnProperty('N') ? options.N : defaultParameters.N,
+			r: options.hasOwnProperty('r') ? options.r : defaultParameters.r,
+			p: options.hasOwnProperty('p') ? options.p : defaultParameters.p
+		};
 
-		// (z10, z11, z8, z9) = quarterround(y10, y11, y8, y9)
-		transformedWords = this.quarterRound(yWords[10], yWords[11], yWords[8], yWords[9]);
-		zWords[10] = transformedWords[0];
-		zWords[11] = transformedWords[1];
-		zWords[8] = transformedWords[2];
-		zWords[9] = transformedWords[3];
+		// Parse the inputs
+		password = this.core.util.parseMessage(password, {});
+		message = this.core.util.parseMessage(message, options);
+		this.core.scrypt.checkParameters(parameters.N, parameters.r, parameters.p, 32);
 
-		// (z15, z12, z13, z14) = quarterround(y15, y12, y13, y14)
-		transformedWords = this.quarterRound(yWords[15], yWords[12], yWords[13], yWords[14]);
-		zWords[15] = transformedWords[0];
-		zWords[12] = transformedWords[1];
-		zWords[13] = transformedWords[2];
-		zWords[14] = transformedWords[3];
+		// Derive the key and encrypt
+		var envelope = this.passwordEnvelope.seal(password, message, parameters);
 
-		return zWords;
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return this.core.util.bytesToHex(envelope);
+		}
+		else {
+			// By default return a byte array
+			return envelope;
+		}
 	},
 
 	/**
-	 * The columnround function from Section 5 of the spec
-	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
-	 * @returns {Uint32Array} yWords Returns a transformed 16-word array consisting of 32 bit decimal words
+	 * Decrypts an envelope created by encryptWithPassword(). An error is thrown if the password is wrong or the 
+	 * envelope has been modified, so no unauthenticated plaintext is ever returned.
+	 * @param {String|Uint8Array} password The password as an ASCII/UTF-8 string or array of bytes
+	 * @param {String|Uint8Array} envelope The envelope. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 *		maxMemoryByteLength: Number - The most memory the scrypt parameters in the envelope may need, by default 256 MiB
+	 *		maxWork: Number - The most work the scrypt parameters in the envelope may need as N * r * p, by default 2^22
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
 	 */
-	columnRound: function(xWords)
+	decryptWithPassword: function(password, envelope, options)
 	{
-		var yWords = new Uint32Array(16);
-		var transformedWords = null;
-
-		// (y0, y4, y8, y12) = quarterround(x0, x4, x8, x12)
-		transformedWords = this.quarterRound(xWords[0], xWords[4], xWords[8], xWords[12]);
-		yWords[0] = transformedWords[0];
-		yWords[4] = transformedWords[1];
-		yWords[8] = transformedWords[2];
-		yWords[12] = transformedWords[3];
+		// If the options are unset, set to a blank object
+		options = options || {};
 
-		// (y5, y9, y13, y1) = quarterround(x5, x9, x13, x1)
-		transformedWords = this.quarterRound(xWords[5], xWords[9], xWords[13], xWords[1]);
-		yWords[5] = transformedWords[0];
-		yWords[9] = transformedWords[1];
-		yWords[13] = transformedWords[2];
-		yWords[1] = transformedWords[3];
+		var maxMemoryByteLength = options.hasOwnProperty('maxMemoryByteLength') ? options.maxMemoryByteLength : this.passwordEnvelope.defaultMaxMemoryByteLength;
+		var maxWork = options.hasOwnProperty('maxWork') ? options.maxWork : this.passwordEnvelope.defaultMaxWork;
 
-		// (y10, y14, y2, y6) = quarterround(x10, x14, x2, x6)
-		transformedWords = this.quarterRound(xWords[10], xWords[14], xWords[2], xWords[6]);
-		yWords[10] = transformedWords[0];
-		yWords[14] = transformedWords[1];
-		yWords[2] = transformedWords[2];
-		yWords[6] = transformedWords[3];
+		// Parse the inputs
+		password = this.core.util.parseMessage(password, {});
+		envelope = this.core.util.parseMessage(envelope, options);
 
-		// (y15, y3, y7, y11) = quarterround(x15, x3, x7, x11)
-		transformedWords = this.quarterRound(xWords[15], xWords[3], xWords[7], xWords[11]);
-		yWords[15] = transformedWords[0];
-		yWords[3] = transformedWords[1];
-		yWords[7] = transformedWords[2];
-		yWords[11] = transformedWords[3];
+		// Derive the key and decrypt
+		var decryptedBytes = this.passwordEnvelope.open(password, envelope, maxMemoryByteLength, maxWork);
 
-		return yWords;
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return this.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// Decode from bytes to UTF-8 string
+			return this.core.util.bytesToUtf8String(decryptedBytes);
+		}
 	},
 
 	/**
-	 * The doubleround function from Section 6 of the spec
-	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
-	 * @returns {Uint32Array} xWords Returns a transformed 16-word array consisting of 32 bit decimal words
+	 * Creates a stateful cipher for encrypting or decrypting a long message in parts e.g. chunks of a large file. The 
+	 * parts can be any size, they do not need to line up with the 64 byte blocks. Any keystream left over from the last 
+	 * block used is kept for the next part, so the output is the same as encrypting the whole message in one go. Only 
+	 * one 64 byte keystream block is kept in memory at a time. As Salsa20 is a stream cipher, the same function is 
+	 * used for decryption.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with additional options:
+	 *		rounds: 8|12|20 - The number of rounds to use i.e. Salsa20/8, Salsa20/12 or Salsa20/20, otherwise by default it will use 20 rounds
+	 *		byteOffset: Number - Starts from this many bytes into the keystream after the start counter, see Salsa20.Cipher.prototype.seek
+	 * @returns {Salsa20.Cipher} Returns a new cipher
 	 */
-	doubleRound: function(xWords)
+	createCipher: function(key, nonce, counter, options)
 	{
-		return this.rowRound(this.columnRound(xWords));
+		return new this.Cipher(key, nonce, counter, options);
 	},
 
 	/**
-	 * The littleendian function from Section 7 of the spec
-	 * @param {Number} byte0 An integer from 0 - 255 representing a byte
-	 * @param {Number} byte1 An integer from 0 - 255 representing a byte
-	 * @param {Number} byte2 An integer from 0 - 255 representing a byte
-	 * @param {Number} byte3 An integer from 0 - 255 representing a byte
-	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 * Creates a seedable deterministic pseudorandom number generator for simulations and reproducible tests. The same 
+	 * seed always gives the same sequence. Use Salsa20.random instead for keys and other secrets.
+	 * @param {Number|BigInt|String|Uint8Array} seed An integer from 0 to 2^64 - 1, a string, or a byte array of 16 or 32 bytes used as the key
+	 * @param {Object} options Optional object with additional options:
+	 *		rounds: 8|12|20 - The number of rounds to use, otherwise by default it will use 20 rounds
+	 *		substream: Number|BigInt - The substream ID to start in, from 0 (the default) to 2^64 - 1
+	 * @returns {Salsa20.Prng} Returns a new generator
 	 */
-	littleEndian: function(byte0, byte1, byte2, byte3)
+	createPrng: function(seed, options)
 	{
-		var wordArray = new Uint32Array(1);
-
-		// Calculate b0 + (2^8 * b1) + (2^16 * b2) + (2^24 * b3)
-		// Using the typed array to clamp the result to a 32 bit unsigned integer
-		wordArray[0] = byte0;
-		wordArray[0] += (Math.pow(2, 8) * byte1);
-		wordArray[0] += (Math.pow(2, 16) * byte2);
-		wordArray[0] += (Math.pow(2, 24) * byte3);
-
-		return wordArray[0];
+		return new this.Prng(seed, options);
 	},
 
 	/**
-	 * The inverse of the littleendian function
-	 * @param {Number} word A 32 bit decimal word
-	 * @returns {Uint8Array} Returns a 4-byte sequence e.g. [6, 75, 30, 9]
+	 * Creates a WHATWG TransformStream which encrypts a stream of Uint8Array chunks e.g. a fetch response body or 
+	 * Blob.stream(). The chunks can be any size. Backpressure is handled by the TransformStream, so a chunk is only 
+	 * encrypted when the readable side has room for it and a slow consumer will pause the source.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same rounds and byteOffset options as createCipher
+	 * @returns {TransformStream} Returns a TransformStream which outputs the encrypted chunks
 	 */
-	littleEndianInverse: function(word)
+	createEncryptStream: function(key, nonce, counter, options)
 	{
-		var bytes = new Uint8Array(4);
-
-		// Sends a 32 bit word back to a 4 byte sequence in a littleendian way using the logical right shift 
-		// operator, so that the least significant byte goes first and the most significant byte goes last
-		bytes[0] = word & 0xff;
-		bytes[1] = (word >>> 8) & 0xff;
-		bytes[2] = (word >>> 16) & 0xff;
-		bytes[3] = (word >>> 24) & 0xff;
-
-		return bytes;
+		return this.createTransformStream(this.createCipher(key, nonce, counter, options));
 	},
 
 	/**
-	 * The Salsa20 hash function from Section 8 of the spec
-	 * @param {Uint8Array} xBytes A 64-byte sequence e.g. [211, 159, 13, 115, ...]
-	 * @returns {Uint8Array} A modified 64-byte sequence
+	 * Creates a WHATWG TransformStream which decrypts a stream of Uint8Array chunks. This is the same as the encrypt 
+	 * stream because Salsa20 is a stream cipher.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same rounds and byteOffset options as createCipher
+	 * @returns {TransformStream} Returns a TransformStream which outputs the decrypted chunks
 	 */
-	hash: function(xBytes)
+	createDecryptStream: function(key, nonce, counter, options)
 	{
-		var xWords = new Uint32Array(16);
-		var resultBytes = new Uint8Array(this.util.outputByteLength);
+		return this.createTransformStream(this.createCipher(key, nonce, counter, options));
+	},
 
-		// Convert bytes to littleendian words
-		// x0 = littleendian(x[0], x[1], x[2], x[3]),
-		// x1 = littleendian(x[4], x[5], x[6], x[7]),
-		// ...
-		// x15 = littleendian(x[60], x[61], x[62], x[63]).
-		for (var i = 0, j = 0;  i < this.util.outputByteLength;  i += 4, j++)
+	/**
+	 * Wraps a stateful cipher in a TransformStream
+	 * @param {Salsa20.Cipher} cipher The cipher to pass each chunk through
+	 * @returns {TransformStream} Returns the TransformStream
+	 */
+	createTransformStream: function(cipher)
+	{
+		// Streams are only available in modern browsers, web workers and Node.js 18 or later
+		if (typeof TransformStream === 'undefined')
 		{
-			xWords[j] = this.littleEndian(xBytes[i], xBytes[i + 1], xBytes[i + 2], xBytes[i + 3]);
+			throw new Error('TransformStream is not available in this environment');
 		}
 
-		// Set to be input into doubleround multiple times
-		var zWords = xWords;
+		return new TransformStream({
+			transform: function(chunk, controller)
+			{
+				// Only bytes are accepted, a text chunk could split a multibyte UTF-8 character
+				if (chunk instanceof ArrayBuffer)
+				{
+					chunk = new Uint8Array(chunk);
+				}
+				else if ((chunk instanceof Uint8Array) === false)
+				{
+					// The stream errors and can't be used again, so erase the key first
+					cipher.final();
 
-		// Perform doubleround 10 times
-		for (var i = 0; i < 10; i++)
-		{
-			zWords = this.doubleRound(zWords);
-		}
+					throw new Error('The stream chunks should be a Uint8Array or ArrayBuffer');
+				}
 
-		// Perform littleendian −1 (z0 + x0) through to littleendian −1 (z15 + x15)
-		for (var resultIndex = 0, i = 0;  i < 16;  resultIndex += 4, i++)
-		{
-			// Add the z and x words in the brackets first then perform the inverse littleendian
-			var sumWords = this.util.sumWords(zWords[i], xWords[i]);
-			var inverseEndianBytes = this.littleEndianInverse(sumWords);
+				controller.enqueue(cipher.update(chunk));
+			},
+			flush: function()
+			{
+				// Erase the key once the input has ended
+				cipher.final();
+			},
+			cancel: function()
+			{
+				// Erase the key if the stream is aborted or cancelled before the end, e.g. an aborted fetch
+				if (cipher.finished === false)
+				{
+					cipher.final();
+				}
+			}
+		});
+	}
+};
 
-			// Add the bytes to the result array
-			resultBytes[resultIndex] = inverseEndianBytes[0];
-			resultBytes[resultIndex + 1] = inverseEndianBytes[1];
-			resultBytes[resultIndex + 2] = inverseEndianBytes[2];
-			resultBytes[resultIndex + 3] = inverseEndianBytes[3];
-		}
+/**
+ * A stateful Salsa20 cipher which encrypts or decrypts a message in parts of any length
+ * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 128 bits or 256 bits
+ * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+ * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from
+ * @param {Object} options Optional object with the rounds option
+ */
+Salsa20.Cipher = function(key, nonce, counter, options)
+{
+	// If the options are unset, set to a blank object
+	options = options || {};
 
-		return resultBytes;
-	},
+	// Normalise the various input formats to what is required for the keystream generation. The key is copied because 
+	// final() erases it, which must not wipe the caller's own key bytes.
+	this.key = new Uint8Array(Salsa20.core.util.parseKey(key));
+	this.nonce = Salsa20.core.util.parseNonce(nonce);
+	this.startCounter = Salsa20.core.util.parseCounter(counter, 0);
+	this.counter = this.startCounter;
+	this.rounds = Salsa20.core.util.parseRounds(options);
 
-	/**
-	 * Constants for the 16 byte (128 bit) key
-	 * τ0 τ1 τ2 τ3 is "expand 16-byte k" in ASCII
-	 */
-	constants16: [
-		new Uint8Array([101, 120, 112, 97]),	// τ0 "expa"
-		new Uint8Array([110, 100, 32, 49]),		// τ1 "nd 1"
-		new Uint8Array([54, 45, 98, 121]),		// τ2 "6-by"
-		new Uint8Array([116, 101, 32, 107])		// τ3 "te k"
-	],
+	// The current keystream block and the position of the next unused byte in it. The position starts at the end of 
+	// the block so that the first update generates the block at the start counter.
+	this.keystreamBlock = new Uint8Array(Salsa20.core.util.outputByteLength);
+	this.keystreamPosition = Salsa20.core.util.outputByteLength;
+	this.finished = false;
 
-	/**
-	 * Constants for the 32 byte (256 bit) key
-	 * σ0 σ1 σ2 σ3 is "expand 32-byte k" in ASCII
-	 */
-	constants32: [
-		new Uint8Array([101, 120, 112, 97]),	// σ0 "expa"
-		new Uint8Array([110, 100, 32, 51]),		// σ1 "nd 3"
-		new Uint8Array([50, 45, 98, 121]),		// σ2 "2-by"
-		new Uint8Array([116, 101, 32, 107])		// σ3 "te k"
+	// Start part way into the keystream if requested
+	if (options.hasOwnProperty('byteOffset'))
+	{
+		this.seek(options.byteOffset);
+	}
+};
+
+/**
+ * Moves to a byte position in the keystream so the next update starts from there. The position is relative to the 
+ * start counter the cipher was created with, so a byte offset of 1000 from counter 0 is byte 40 of block 15. This 
+ * allows decrypting a range of a large file without doing the block math by hand. It can be called at any time 
+ * before final, including to go backwards.
+ * @param {Number} byteOffset An integer number of bytes from the start counter position
+ * @returns {Salsa20.Cipher} Returns the same cipher so calls can be chained
+ */
+Salsa20.Cipher.prototype.seek = function(byteOffset)
+{
+	if (this.finished)
+	{
+		throw new Error('The cipher has already finished, create a new one to encrypt or decrypt another message');
+	}
+
+	var position = Salsa20.core.util.parseByteOffset(byteOffset, this.startCounter);
+	var blockLength = Salsa20.core.util.outputByteLength;
+
+	this.counter = position.counter;
+	this.keystreamPosition = blockLength;
+
+	// If the offset is inside a block, generate that block now and skip the bytes before the offset
+	if (position.blockOffset > 0)
+	{
+		this.keystreamBlock = Salsa20.core.generateKeystream(this.key, blockLength, this.nonce, this.counter, this.rounds);
+		this.keystreamPosition = position.blockOffset;
+		this.counter = Salsa20.core.util.addToCounter(this.counter, 1);
+	}
+
+	return this;
+};
+
+/**
+ * Encrypts or decrypts the next part of the message
+ * @param {String|Uint8Array} chunk The next part of the message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+ * @param {Object} options Optional object with additional options:
+ *		inputTextType: 'hex' - The input chunk will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+ *		returnType: 'hex' - Returns the output as a hex string, otherwise by default it will return an array of bytes
+ * @returns {Uint8Array|String} Returns the encrypted/decrypted part as an array of bytes or a hexadecimal string
+ */
+Salsa20.Cipher.prototype.update = function(chunk, options)
+{
+	if (this.finished)
+	{
+		throw new Error('The cipher has already finished, create a new one to encrypt or decrypt another message');
+	}
+
+	chunk = Salsa20.core.util.parseMessage(chunk, options);
+
+	var blockLength = Salsa20.core.util.outputByteLength;
+	var chunkLength = chunk.length;
+	var outputBytes = new Uint8Array(chunkLength);
+	var unusedKeystreamLength = blockLength - this.keystreamPosition;
+
+	// Check the new blocks needed for this chunk will not overflow the counter before changing any state
+	if (chunkLength > unusedKeystreamLength)
+	{
+		Salsa20.core.util.parseCounter(this.counter, chunkLength - unusedKeystreamLength);
+	}
+
+	// XOR the start of the chunk with the unused bytes left in the current keystream block
+	var position = 0;
+
+	while ((position < chunkLength) && (this.keystreamPosition < blockLength))
+	{
+		outputBytes[position] = chunk[position] ^ this.keystreamBlock[this.keystreamPosition++];
+		position++;
+	}
+
+	// Encrypt all the whole blocks after that in one call, which is much faster than one block at a time
+	var numWholeBlocks = Math.floor((chunkLength - position) / blockLength);
+
+	if (numWholeBlocks > 0)
+	{
+		var wholeBlocksLength = numWholeBlocks * blockLength;
+		var wholeBlocks = Salsa20.core.encryption(this.key, chunk.subarray(position, position + wholeBlocksLength), this.nonce, this.counter, this.rounds);
+
+		outputBytes.set(wholeBlocks, position);
+		this.counter = Salsa20.core.util.addToCounter(this.counter, numWholeBlocks);
+		position += wholeBlocksLength;
+	}
+
+	// Generate one more keystream block for the end of the chunk and keep the rest of it for the next update
+	if (position < chunkLength)
+	{
+		this.keystreamBlock = Salsa20.core.generateKeystream(this.key, blockLength, this.nonce, this.counter, this.rounds);
+		this.keystreamPosition = 0;
+		this.counter = Salsa20.core.util.addToCounter(this.counter, 1);
+
+		while (position < chunkLength)
+		{
+			outputBytes[position] = chunk[position] ^ this.keystreamBlock[this.keystreamPosition++];
+			position++;
+		}
+	}
+
+	// If the return type requested is hex, convert the bytes to hex
+	if (options && options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+	{
+		return Salsa20.core.util.bytesToHex(outputBytes);
+	}
+	else {
+		// By default return a byte array
+		return outputBytes;
+	}
+};
+
+/**
+ * Finishes the message and erases the key and keystream. The cipher cannot be used after this. A stream cipher does 
+ * not hold back any bytes, so this returns an empty output which is only there to match the usual cipher interface.
+ * @param {Object} options Optional object with additional options:
+ *		returnType: 'hex' - Returns an empty hex string, otherwise by default it will return an empty array of bytes
+ * @returns {Uint8Array|String} Returns an empty array of bytes or an empty string
+ */
+Salsa20.Cipher.prototype.final = function(options)
+{
+	if (this.finished)
+	{
+		throw new Error('The cipher has already finished, create a new one to encrypt or decrypt another message');
+	}
+
+	// Erase the key and keystream
+	this.key.fill(0);
+	this.keystreamBlock.fill(0);
+	this.finished = true;
+
+	// If the return type requested is hex, return an empty hex string
+	if (options && options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+	{
+		return '';
+	}
+	else {
+		// By default return an empty byte array
+		return new Uint8Array(0);
+	}
+};
+
+/**
+ * A seedable deterministic pseudorandom number generator for simulations and reproducible tests. The output is the
+ * Salsa20 keystream under a key derived from the seed, so the same seed always gives the same sequence. The block
+ * counter is the position in the sequence, which allows jumping ahead any number of blocks at once, and the nonce
+ * selects one of 2^64 independent substreams. This is not a replacement for Salsa20.random when secrets are needed,
+ * because anyone who knows the seed can reproduce the output.
+ * @param {Number|BigInt|String|Uint8Array} seed An integer from 0 to 2^64 - 1, a string, or a byte array of 16 or 32 bytes used as the key
+ * @param {Object} options Optional object with additional options:
+ *		rounds: 8|12|20 - The number of rounds to use, otherwise by default it will use 20 rounds
+ *		substream: Number|BigInt - The substream ID to start in, from 0 (the default) to 2^64 - 1
+ */
+Salsa20.Prng = function(seed, options)
+{
+	// If the options are unset, set to a blank object
+	options = options || {};
+
+	this.key = Salsa20.Prng.seedToKey(seed);
+	this.substreamId = options.hasOwnProperty('substream') ? options.substream : 0;
+	this.nonce = Salsa20.core.util.parseNonce(this.substreamId);
+	this.rounds = Salsa20.core.util.parseRounds(options);
+	this.counter = 0;
+
+	// The current keystream block and the position of the next unused byte in it
+	this.keystreamBlock = new Uint8Array(Salsa20.core.util.outputByteLength);
+	this.keystreamPosition = Salsa20.core.util.outputByteLength;
+};
+
+/**
+ * Converts a seed to a key. Byte arrays of 16 or 32 bytes are used as the key directly, integers are hashed as 8
+ * littleendian bytes and strings are hashed as UTF-8 with SHA-256.
+ * @param {Number|BigInt|String|Uint8Array} seed The seed
+ * @returns {Uint8Array} Returns the key
+ */
+Salsa20.Prng.seedToKey = function(seed)
+{
+	if ((seed instanceof Uint8Array) && ((seed.length === 16) || (seed.length === 32)))
+	{
+		return new Uint8Array(seed);
+	}
+
+	if (typeof seed === 'string')
+	{
+		return Salsa20.sha256.digest(Salsa20.core.util.utf8StringToBytes(seed));
+	}
+
+	var isInteger = ((typeof seed === 'number') && (seed % 1 === 0)) || (typeof seed === 'bigint');
+
+	if ((isInteger === false) || (seed < 0) || (seed > Salsa20.core.util.maxCounter))
+	{
+		throw new Error('The seed should be an integer from 0 to ' + Salsa20.core.util.maxCounter + ', a string or a byte array of 16 or 32 bytes');
+	}
+
+	return Salsa20.sha256.digest(Salsa20.core.util.numToEightByteArrayLittleEndian(seed));
+};
+
+/**
+ * Creates a generator from a state returned by serialise(). It continues from the same position.
+ * @param {Object} state The state object
+ * @returns {Salsa20.Prng} Returns a new generator
+ */
+Salsa20.Prng.restore = function(state)
+{
+	if ((state === null) || (typeof state !== 'object') || (typeof state.key !== 'string') || (typeof state.nonce !== 'string') || (typeof state.counter !== 'string'))
+	{
+		throw new Error('The state should be an object returned by serialise()');
+	}
+
+	var prng = new Salsa20.Prng(Salsa20.core.util.parseKey(state.key), { rounds: state.rounds });
+	var blockOffset = state.blockOffset;
+
+	prng.nonce = Salsa20.core.util.parseNonce(state.nonce);
+	prng.substreamId = Salsa20.core.util.eightByteArrayLittleEndianToNum(prng.nonce);
+	prng.counter = Salsa20.core.util.parseCounter(Salsa20.core.util.hexToBytes(state.counter), 0);
+
+	if ((typeof blockOffset !== 'number') || (blockOffset % 1 !== 0) || (blockOffset < 0) || (blockOffset > Salsa20.core.util.outputByteLength))
+	{
+		throw new Error('The state block offset should be an integer from 0 to 64');
+	}
+
+	// Generate the part used block again, an offset of 64 is after the last block
+	if (blockOffset === Salsa20.core.util.outputByteLength)
+	{
+		prng.counter = Salsa20.core.util.addToCounter(prng.counter, 1);
+	}
+	else if (blockOffset > 0)
+	{
+		prng.nextBlock();
+		prng.keystreamPosition = blockOffset;
+	}
+
+	return prng;
+};
+
+/**
+ * Gets the next pseudorandom bytes
+ * @param {Number} length The number of bytes
+ * @returns {Uint8Array} Returns the bytes
+ */
+Salsa20.Prng.prototype.bytes = function(length)
+{
+	if ((typeof length !== 'number') || (length % 1 !== 0) || (length < 0))
+	{
+		throw new Error('The number of bytes should be a non-negative integer');
+	}
+
+	var blockLength = Salsa20.core.util.outputByteLength;
+	var outputBytes = new Uint8Array(length);
+
+	for (var i = 0;  i < length;  i++)
+	{
+		// Generate the next 64 byte keystream block when the current one is used up
+		if (this.keystreamPosition === blockLength)
+		{
+			this.nextBlock();
+		}
+
+		outputBytes[i] = this.keystreamBlock[this.keystreamPosition++];
+	}
+
+	return outputBytes;
+};
+
+/**
+ * Gets the next 32 bit unsigned integer
+ * @returns {Number} Returns an integer from 0 to 2^32 - 1
+ */
+Salsa20.Prng.prototype.uint32 = function()
+{
+	var bytes = this.bytes(4);
+
+	return (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
+};
+
+/**
+ * Gets the next 53 bit unsigned integer
+ * @returns {Number} Returns an integer from 0 to 2^53 - 1
+ */
+Salsa20.Prng.prototype.uint53 = function()
+{
+	var low = this.uint32();
+	var high = this.uint32() >>> 11;
+
+	return (high * 4294967296) + low;
+};
+
+/**
+ * Gets a uniformly distributed float with 53 bits of precision
+ * @returns {Number} Returns a number from 0 inclusive to 1 exclusive
+ */
+Salsa20.Prng.prototype.float = function()
+{
+	return this.uint53() / 9007199254740992;
+};
+
+/**
+ * Gets a normally distributed number with the Box-Muller transform
+ * @param {Number} mean Optional mean, 0 by default
+ * @param {Number} standardDeviation Optional standard deviation, 1 by default
+ * @returns {Number} Returns the number
+ */
+Salsa20.Prng.prototype.gaussian = function(mean, standardDeviation)
+{
+	mean = (typeof mean === 'undefined') ? 0 : mean;
+	standardDeviation = (typeof standardDeviation === 'undefined') ? 1 : standardDeviation;
+
+	// Use 1 - float so the logarithm is never of 0
+	var u1 = 1 - this.float();
+	var u2 = this.float();
+
+	return mean + (standardDeviation * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2));
+};
+
+/**
+ * Gets an integer from a range without modulo bias, in the same way as Salsa20.random.int
+ * @param {Number} min The smallest integer which can be returned
+ * @param {Number} max The largest integer which can be returned
+ * @returns {Number} Returns an integer from min to max inclusive
+ */
+Salsa20.Prng.prototype.int = function(min, max)
+{
+	return Salsa20.random.int.call(this, min, max);
+};
+
+/**
+ * Skips ahead without generating the blocks in between. The rest of the current block is discarded, then the given
+ * number of 64 byte blocks (16 uint32 values each) are skipped.
+ * @param {Number|BigInt} numBlocks The number of blocks to skip
+ * @returns {Salsa20.Prng} Returns the same generator so calls can be chained
+ */
+Salsa20.Prng.prototype.jump = function(numBlocks)
+{
+	var isInteger = ((typeof numBlocks === 'number') && (numBlocks % 1 === 0) && (numBlocks <= Salsa20.core.util.maxInteger)) || (typeof numBlocks === 'bigint');
+
+	if ((isInteger === false) || (numBlocks < 0))
+	{
+		throw new Error('The number of blocks to jump should be a non-negative integer or BigInt');
+	}
+
+	var counter = (typeof numBlocks === 'bigint') ? Salsa20.core.util.normaliseCounter(BigInt(this.counter) + numBlocks) : Salsa20.core.util.addToCounter(this.counter, numBlocks);
+
+	// The position after the last block is allowed, but no more can be generated from there
+	if (counter > Salsa20.core.util.addToCounter(Salsa20.core.util.maxCounter, 1))
+	{
+		throw new Error('The jump goes past the last block of the substream');
+	}
+
+	this.counter = counter;
+	this.keystreamPosition = Salsa20.core.util.outputByteLength;
+
+	return this;
+};
+
+/**
+ * Creates an independent generator with the same seed and a different nonce, starting from the beginning
+ * @param {Number|BigInt} id The substream ID from 0 to 2^64 - 1
+ * @returns {Salsa20.Prng} Returns a new generator
+ */
+Salsa20.Prng.prototype.substream = function(id)
+{
+	return new Salsa20.Prng(this.key, { rounds: this.rounds, substream: id });
+};
+
+/**
+ * Gets the state of the generator as an object which can be converted to JSON and restored with Salsa20.Prng.restore
+ * @returns {Object} Returns an object with the hex 'key', 'nonce' and 'counter', the 'blockOffset' and the 'rounds'
+ */
+Salsa20.Prng.prototype.serialise = function()
+{
+	var blockLength = Salsa20.core.util.outputByteLength;
+	var counter = this.counter;
+	var blockOffset = 0;
+
+	// Point back to the part used block, or the last block if every block has been used
+	if ((this.keystreamPosition < blockLength) || (counter > Salsa20.core.util.maxCounter))
+	{
+		counter = Salsa20.core.util.addToCounter(counter, -1);
+		blockOffset = this.keystreamPosition;
+	}
+
+	return {
+		key: Salsa20.core.util.bytesToHex(this.key),
+		nonce: Salsa20.core.util.bytesToHex(this.nonce),
+		counter: Salsa20.core.util.bytesToHex(Salsa20.core.util.numToEightByteArrayLittleEndian(counter)),
+		blockOffset: blockOffset,
+		rounds: this.rounds
+	};
+};
+
+/**
+ * Generates the keystream block at the current counter and moves the counter on
+ */
+Salsa20.Prng.prototype.nextBlock = function()
+{
+	var blockLength = Salsa20.core.util.outputByteLength;
+
+	// Check the counter has not run past the last block
+	if (this.counter > Salsa20.core.util.maxCounter)
+	{
+		throw new Error('The generator has used every block of the substream, use another substream');
+	}
+
+	this.keystreamBlock = Salsa20.core.generateKeystream(this.key, blockLength, this.nonce, this.counter, this.rounds);
+	this.keystreamPosition = 0;
+	this.counter = Salsa20.core.util.addToCounter(this.counter, 1);
+};
+
+/**
+ * XSalsa20 wrapper interface functions for the user. XSalsa20 extends the nonce to 192 bits which makes it safe to pick 
+ * nonces at random. The HSalsa20 function derives a subkey from the key and first 16 bytes of the nonce, then the last 
+ * 8 bytes of the nonce are used with the subkey for regular Salsa20 encryption.
+ */
+Salsa20.xsalsa20 = {
+
+	/**
+	 * A wrapper function for the XSalsa20 encryption of a message
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} nonce A 192-bit one time cryptographic nonce. This can be input as a hexadecimal string of 48 symbols or a byte array of 24 bytes.
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start encrypting from. Normally a 0 should be passed. Counters above 2^53 - 1 can be passed as a BigInt or a byte array of 8 bytes in littleendian order, up to 2^64 - 1.
+	 * @param {Object} options Optional object with the same additional options as Salsa20.encrypt
+	 * @returns {Uint8Array|String} Returns an array of bytes or a hexadecimal string
+	 */
+	encrypt: function(key, message, nonce, counter, options)
+	{
+		var subkeyAndNonce = this.deriveSubkeyAndNonce(key, nonce, options);
+
+		return Salsa20.encrypt(subkeyAndNonce.subkey, message, subkeyAndNonce.nonce, counter, options);
+	},
+
+	/**
+	 * A wrapper function for the XSalsa20 decryption of a message
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {String|Uint8Array} ciphertext The ciphertext message. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} nonce A hex string of 48 symbols or a byte array of 24 bytes
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start decrypting from. The default should be 0.
+	 * @param {Object} options Optional object with the same additional options as Salsa20.decrypt
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	decrypt: function(key, ciphertext, nonce, counter, options)
+	{
+		var subkeyAndNonce = this.deriveSubkeyAndNonce(key, nonce, options);
+
+		return Salsa20.decrypt(subkeyAndNonce.subkey, ciphertext, subkeyAndNonce.nonce, counter, options);
+	},
+
+	/**
+	 * A wrapper function to generate an XSalsa20 keystream based on a key, nonce and start counter. The number of bytes 
+	 * returned will be the first multiple of the block size (64 bytes) at or after the 'length' parameter.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {Number} length An integer representing the minimum length of the keystream required
+	 * @param {String|Uint8Array} nonce A hex string of 48 symbols or a byte array of 24 bytes
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start keystream generation from. Normally a `0` should be passed in.
+	 * @param {Object} options Optional object with the same additional options as Salsa20.generateKeystream
+	 * @returns {Uint8Array|String} Returns an array of bytes or a hexadecimal string
+	 */
+	generateKeystream: function(key, length, nonce, counter, options)
+	{
+		var subkeyAndNonce = this.deriveSubkeyAndNonce(key, nonce, options);
+
+		return Salsa20.generateKeystream(subkeyAndNonce.subkey, length, subkeyAndNonce.nonce, counter, options);
+	},
+
+	/**
+	 * Normalises the key and nonce, then derives the subkey with HSalsa20 from the first 16 bytes of the nonce
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} nonce A hex string of 48 symbols or a byte array of 24 bytes
+	 * @param {Object} options Optional object with the rounds option
+	 * @returns {Object} Returns an object with the 32 byte 'subkey' and the remaining 8 byte 'nonce'
+	 */
+	deriveSubkeyAndNonce: function(key, nonce, options)
+	{
+		key = Salsa20.core.util.parseKey(key);
+		nonce = Salsa20.core.util.parseExtendedNonce(nonce);
+		var rounds = Salsa20.core.util.parseRounds(options);
+
+		// HSalsa20 is only defined for 256 bit keys
+		if (key.length !== 32)
+		{
+			throw new Error('Incorrect key length for XSalsa20, only 32 bytes (256 bits) accepted');
+		}
+
+		return {
+			subkey: Salsa20.core.hsalsa20(key, nonce.subarray(0, 16), rounds),
+			nonce: nonce.subarray(16, 24)
+		};
+	}
+};
+
+/**
+ * Core Salsa20 specification functions
+ */
+Salsa20.core = {
+
+	/**
+	 * The implementation used by the encryption and generateKeystream functions. The 'readable' implementation 
+	 * follows the spec step by step, the 'optimised' one (Salsa20.core.optimised) is much faster and the 'wasm' one 
+	 * (Salsa20.core.wasm) uses WebAssembly. All give the same output. The default 'auto' uses WebAssembly if it is 
+	 * available, otherwise the optimised JavaScript implementation.
+	 * @type String
+	 */
+	implementation: 'auto',
+
+	/**
+	 * The implementations which can be selected
+	 * @type Array
+	 */
+	implementations: ['auto', 'readable', 'optimised', 'wasm'],
+
+	/**
+	 * Selects the implementation used for encryption and keystream generation
+	 * @param {String} implementation One of 'auto', 'readable', 'optimised' or 'wasm'
+	 */
+	setImplementation: function(implementation)
+	{
+		if (this.implementations.indexOf(implementation) === -1)
+		{
+			throw new Error('Unknown implementation, it should be one of: ' + this.implementations.join(', '));
+		}
+
+		// Forcing WebAssembly is only possible if it can be loaded
+		if ((implementation === 'wasm') && (this.wasm.isAvailable() === false))
+		{
+			throw new Error('The WebAssembly implementation is not available in this environment');
+		}
+
+		this.implementation = implementation;
+	},
+
+	/**
+	 * Gets the implementation which will be used, resolving 'auto' to 'wasm' or 'optimised'
+	 * @returns {String} Returns 'readable', 'optimised' or 'wasm'
+	 */
+	getImplementation: function()
+	{
+		if (this.implementation === 'auto')
+		{
+			return this.wasm.isAvailable() ? 'wasm' : 'optimised';
+		}
+
+		return this.implementation;
+	},
+
+	/**
+	 * The quarterround function from Section 3 of the spec
+	 * @param {Number} yWord0 A 32 bit decimal word
+	 * @param {Number} yWord1 A 32 bit decimal word
+	 * @param {Number} yWord2 A 32 bit decimal word
+	 * @param {Number} yWord3 A 32 bit decimal word
+	 * @returns {Uint32Array} zWords Returns a modified array of four 32 bit decimal words
+	 */
+	quarterRound: function(yWord0, yWord1, yWord2, yWord3)
+	{
+		var sum = null;
+		var leftRotation = null;
+		var zWords = new Uint32Array(4);
+
+		// z1 = y1 ⊕ ((y0 + y3) <<< 7)
+		sum = this.util.sumWords(yWord0, yWord3);
+		leftRotation = this.util.leftRotate(sum, 7);
+		zWords[1] = this.util.xorWords(yWord1, leftRotation);
+
+		// z2 = y2 ⊕ ((z1 + y0) <<< 9)
+		sum = this.util.sumWords(zWords[1], yWord0);
+		leftRotation = this.util.leftRotate(sum, 9);
+		zWords[2] = this.util.xorWords(yWord2, leftRotation);
+
+		// z3 = y3 ⊕ ((z2 + z1) <<< 13)
+		sum = this.util.sumWords(zWords[2], zWords[1]);
+		leftRotation = this.util.leftRotate(sum, 13);
+		zWords[3] = this.util.xorWords(yWord3, leftRotation);
+
+		// z0 = y0 ⊕ ((z3 + z2) <<< 18)
+		sum = this.util.sumWords(zWords[3], zWords[2]);
+		leftRotation = this.util.leftRotate(sum, 18);
+		zWords[0] = this.util.xorWords(yWord0, leftRotation);
+
+		return zWords;
+	},
+
+	/**
+	 * The rowround function from Section 4 of the spec
+	 * @param {Uint32Array} yWords A 16-word array consisting of 32 bit decimal words
+	 * @returns {Uint32Array} zWords Returns a transformed 16-word array consisting of 32 bit decimal words
+	 */
+	rowRound: function(yWords)
+	{		
+		var zWords = new Uint32Array(16);
+		var transformedWords = null;
+
+		// (z0, z1, z2, z3) = quarterround(y0, y1, y2, y3)
+		transformedWords = this.quarterRound(yWords[0], yWords[1], yWords[2], yWords[3]);
+		zWords[0] = transformedWords[0];
+		zWords[1] = transformedWords[1];
+		zWords[2] = transformedWords[2];
+		zWords[3] = transformedWords[3];
+
+		// (z5, z6, z7, z4) = quarterround(y5, y6, y7, y4)
+		transformedWords = this.quarterRound(yWords[5], yWords[6], yWords[7], yWords[4]);
+
+		zWords[5] = transformedWords[0];
+		zWords[6] = transformedWords[1];
+		zWords[7] = transformedWords[2];
+		zWords[4] = transformedWords[3];
+
+		// (z10, z11, z8, z9) = quarterround(y10, y11, y8, y9)
+		transformedWords = this.quarterRound(yWords[10], yWords[11], yWords[8], yWords[9]);
+		zWords[10] = transformedWords[0];
+		zWords[11] = transformedWords[1];
+		zWords[8] = transformedWords[2];
+		zWords[9] = transformedWords[3];
+
+		// (z15, z12, z13, z14) = quarterround(y15, y12, y13, y14)
+		transformedWords = this.quarterRound(yWords[15], yWords[12], yWords[13], yWords[14]);
+		zWords[15] = transformedWords[0];
+		zWords[12] = transformedWords[1];
+		zWords[13] = transformedWords[2];
+		zWords[14] = transformedWords[3];
+
+		return zWords;
+	},
+
+	/**
+	 * The columnround function from Section 5 of the spec
+	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
+	 * @returns {Uint32Array} yWords Returns a transformed 16-word array consisting of 32 bit decimal words
+	 */
+	columnRound: function(xWords)
+	{
+		var yWords = new Uint32Array(16);
+		var transformedWords = null;
+
+		// (y0, y4, y8, y12) = quarterround(x0, x4, x8, x12)
+		transformedWords = this.quarterRound(xWords[0], xWords[4], xWords[8], xWords[12]);
+		yWords[0] = transformedWords[0];
+		yWords[4] = transformedWords[1];
+		yWords[8] = transformedWords[2];
+		yWords[12] = transformedWords[3];
+
+		// (y5, y9, y13, y1) = quarterround(x5, x9, x13, x1)
+		transformedWords = this.quarterRound(xWords[5], xWords[9], xWords[13], xWords[1]);
+		yWords[5] = transformedWords[0];
+		yWords[9] = transformedWords[1];
+		yWords[13] = transformedWords[2];
+		yWords[1] = transformedWords[3];
+
+		// (y10, y14, y2, y6) = quarterround(x10, x14, x2, x6)
+		transformedWords = this.quarterRound(xWords[10], xWords[14], xWords[2], xWords[6]);
+		yWords[10] = transformedWords[0];
+		yWords[14] = transformedWords[1];
+		yWords[2] = transformedWords[2];
+		yWords[6] = transformedWords[3];
+
+		// (y15, y3, y7, y11) = quarterround(x15, x3, x7, x11)
+		transformedWords = this.quarterRound(xWords[15], xWords[3], xWords[7], xWords[11]);
+		yWords[15] = transformedWords[0];
+		yWords[3] = transformedWords[1];
+		yWords[7] = transformedWords[2];
+		yWords[11] = transformedWords[3];
+
+		return yWords;
+	},
+
+	/**
+	 * The doubleround function from Section 6 of the spec
+	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
+	 * @returns {Uint32Array} xWords Returns a transformed 16-word array consisting of 32 bit decimal words
+	 */
+	doubleRound: function(xWords)
+	{
+		return this.rowRound(this.columnRound(xWords));
+	},
+
+	/**
+	 * The littleendian function from Section 7 of the spec
+	 * @param {Number} byte0 An integer from 0 - 255 representing a byte
+	 * @param {Number} byte1 An integer from 0 - 255 representing a byte
+	 * @param {Number} byte2 An integer from 0 - 255 representing a byte
+	 * @param {Number} byte3 An integer from 0 - 255 representing a byte
+	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 */
+	littleEndian: function(byte0, byte1, byte2, byte3)
+	{
+		var wordArray = new Uint32Array(1);
+
+		// Calculate b0 + (2^8 * b1) + (2^16 * b2) + (2^24 * b3)
+		// Using the typed array to clamp the result to a 32 bit unsigned integer
+		wordArray[0] = byte0;
+		wordArray[0] += (Math.pow(2, 8) * byte1);
+		wordArray[0] += (Math.pow(2, 16) * byte2);
+		wordArray[0] += (Math.pow(2, 24) * byte3);
+
+		return wordArray[0];
+	},
+
+	/**
+	 * The inverse of the littleendian function
+	 * @param {Number} word A 32 bit decimal word
+	 * @returns {Uint8Array} Returns a 4-byte sequence e.g. [6, 75, 30, 9]
+	 */
+	littleEndianInverse: function(word)
+	{
+		var bytes = new Uint8Array(4);
+
+		// Sends a 32 bit word back to a 4 byte sequence in a littleendian way using the logical right shift 
+		// operator, so that the least significant byte goes first and the most significant byte goes last
+		bytes[0] = word & 0xff;
+		bytes[1] = (word >>> 8) & 0xff;
+		bytes[2] = (word >>> 16) & 0xff;
+		bytes[3] = (word >>> 24) & 0xff;
+
+		return bytes;
+	},
+
+	/**
+	 * The Salsa20 hash function from Section 8 of the spec
+	 * @param {Uint8Array} xBytes A 64-byte sequence e.g. [211, 159, 13, 115, ...]
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default) for the reduced round variants
+	 * @returns {Uint8Array} A modified 64-byte sequence
+	 */
+	hash: function(xBytes, rounds)
+	{
+		var xWords = new Uint32Array(16);
+		var resultBytes = new Uint8Array(this.util.outputByteLength);
+
+		// Convert bytes to littleendian words
+		// x0 = littleendian(x[0], x[1], x[2], x[3]),
+		// x1 = littleendian(x[4], x[5], x[6], x[7]),
+		// ...
+		// x15 = littleendian(x[60], x[61], x[62], x[63]).
+		for (var i = 0, j = 0;  i < this.util.outputByteLength;  i += 4, j++)
+		{
+			xWords[j] = this.littleEndian(xBytes[i], xBytes[i + 1], xBytes[i + 2], xBytes[i + 3]);
+		}
+
+		// Set to be input into doubleround multiple times
+		var zWords = xWords;
+
+		// Perform doubleround 10 times for Salsa20/20, or 6 and 4 times for Salsa20/12 and Salsa20/8
+		for (var i = 0, doubleRounds = (rounds || this.util.defaultRounds) / 2;  i < doubleRounds;  i++)
+		{
+			zWords = this.doubleRound(zWords);
+		}
+
+		// Perform littleendian −1 (z0 + x0) through to littleendian −1 (z15 + x15)
+		for (var resultIndex = 0, i = 0;  i < 16;  resultIndex += 4, i++)
+		{
+			// Add the z and x words in the brackets first then perform the inverse littleendian
+			var sumWords = this.util.sumWords(zWords[i], xWords[i]);
+			var inverseEndianBytes = this.littleEndianInverse(sumWords);
+
+			// Add the bytes to the result array
+			resultBytes[resultIndex] = inverseEndianBytes[0];
+			resultBytes[resultIndex + 1] = inverseEndianBytes[1];
+			resultBytes[resultIndex + 2] = inverseEndianBytes[2];
+			resultBytes[resultIndex + 3] = inverseEndianBytes[3];
+		}
+
+		return resultBytes;
+	},
+
+	/**
+	 * Constants for the 16 byte (128 bit) key
+	 * τ0 τ1 τ2 τ3 is "expand 16-byte k" in ASCII
+	 */
+	constants16: [
+		new Uint8Array([101, 120, 112, 97]),	// τ0 "expa"
+		new Uint8Array([110, 100, 32, 49]),		// τ1 "nd 1"
+		new Uint8Array([54, 45, 98, 121]),		// τ2 "6-by"
+		new Uint8Array([116, 101, 32, 107])		// τ3 "te k"
+	],
+
+	/**
+	 * Constants for the 32 byte (256 bit) key
+	 * σ0 σ1 σ2 σ3 is "expand 32-byte k" in ASCII
+	 */
+	constants32: [
+		new Uint8Array([101, 120, 112, 97]),	// σ0 "expa"
+		new Uint8Array([110, 100, 32, 51]),		// σ1 "nd 3"
+		new Uint8Array([50, 45, 98, 121]),		// σ2 "2-by"
+		new Uint8Array([116, 101, 32, 107])		// σ3 "te k"
+	],
+
+	/**
+	 * The Salsa20 expansion function from Section 9 of the spec
+	 * @param {Uint8Array} nonce A 16 byte sequence for the nonce and counter
+	 * @param {Uint8Array} key0 A 16 byte (128 bit) sequence for the key
+	 * @param {Uint8Array} key1 An optional additional 16 byte (128 bit) sequence to make up a full 256 bit key
+	 * @param {Number} rounds Optional number of rounds for the hash function, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns a 64 byte sequence which is the expansion of (k, n) into Salsa20 k(n)
+	 */
+	expansion: function(nonce, key0, key1, rounds)
+	{
+		// Arrange the constants, key and nonce then perform the hash
+		var inputBytes = this.expansionInput(nonce, key0, key1);
+
+		return this.hash(inputBytes, rounds);
+	},
+
+	/**
+	 * Arranges the constants, key and nonce into the 64 byte input used by the expansion function in Section 9 of the spec
+	 * @param {Uint8Array} nonce A 16 byte sequence for the nonce and counter
+	 * @param {Uint8Array} key0 A 16 byte (128 bit) sequence for the key
+	 * @param {Uint8Array} key1 An optional additional 16 byte (128 bit) sequence to make up a full 256 bit key
+	 * @returns {Uint8Array} Returns the 64 byte sequence which is input into the hash function
+	 */
+	expansionInput: function(nonce, key0, key1)
+	{
+		var inputBytes = new Uint8Array(64);
+
+		// If using a 32 byte (256 bit) key
+		if (key1.length !== 0)
+		{
+			// Salsa20 k0,k1(n) = Salsa20(σ0, k0, σ1, n, σ2, k1, σ3)
+			this.util.updateArray(inputBytes, this.constants32[0], 0);	// 4 bytes
+			this.util.updateArray(inputBytes, key0, 4);					// 16 bytes
+			this.util.updateArray(inputBytes, this.constants32[1], 20);	// 4 bytes
+			this.util.updateArray(inputBytes, nonce, 24);				// 16 bytes
+			this.util.updateArray(inputBytes, this.constants32[2], 40);	// 4 bytes
+			this.util.updateArray(inputBytes, key1, 44);				// 16 bytes
+			this.util.updateArray(inputBytes, this.constants32[3], 60);	// 4 bytes
+		}
+		else {
+			// Otherwise use the 16 byte (128 bit key)
+			// Salsa20 k(n) = Salsa20(τ0, k, τ1, n, τ2, k, τ3)
+			this.util.updateArray(inputBytes, this.constants16[0], 0);	// 4 bytes
+			this.util.updateArray(inputBytes, key0, 4);					// 16 bytes
+			this.util.updateArray(inputBytes, this.constants16[1], 20);	// 4 bytes
+			this.util.updateArray(inputBytes, nonce, 24);				// 16 bytes
+			this.util.updateArray(inputBytes, this.constants16[2], 40);	// 4 bytes
+			this.util.updateArray(inputBytes, key0, 44);				// 16 bytes
+			this.util.updateArray(inputBytes, this.constants16[3], 60);	// 4 bytes
+		}
+
+		return inputBytes;
+	},
+
+	/**
+	 * The HSalsa20 function from Section 2 of "Extending the Salsa20 nonce" by D. J. Bernstein. This uses the same input 
+	 * as the expansion function and performs half as many doublerounds as the number of rounds (10 for the default 20 
+	 * rounds), but skips the final addition of the input words. Words z0, z5, z10, z15, z6, z7, z8 and z9 then become a 
+	 * 32 byte subkey for use with XSalsa20.
+	 * @param {Uint8Array} key A 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} nonce The first 16 bytes of the 24 byte XSalsa20 nonce
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns a 32 byte sequence for the derived 256 bit subkey
+	 */
+	hsalsa20: function(key, nonce, rounds)
+	{
+		var keys = this.util.splitKey(key);
+		var inputBytes = this.expansionInput(nonce, keys.key0, keys.key1);
+		var xWords = new Uint32Array(16);
+		var subkeyBytes = new Uint8Array(32);
+
+		// Convert bytes to littleendian words
+		for (var i = 0, j = 0;  i < this.util.outputByteLength;  i += 4, j++)
+		{
+			xWords[j] = this.littleEndian(inputBytes[i], inputBytes[i + 1], inputBytes[i + 2], inputBytes[i + 3]);
+		}
+
+		// Perform doubleround 10 times for 20 rounds, or fewer for the reduced round variants
+		var zWords = xWords;
+
+		for (var i = 0, doubleRounds = (rounds || this.util.defaultRounds) / 2;  i < doubleRounds;  i++)
+		{
+			zWords = this.doubleRound(zWords);
+		}
+
+		// Output littleendian −1 of z0, z5, z10, z15, z6, z7, z8, z9 without adding the input words
+		var subkeyWordIndexes = [0, 5, 10, 15, 6, 7, 8, 9];
+
+		for (var resultIndex = 0, i = 0;  i < 8;  resultIndex += 4, i++)
+		{
+			var inverseEndianBytes = this.littleEndianInverse(zWords[subkeyWordIndexes[i]]);
+
+			this.util.updateArray(subkeyBytes, inverseEndianBytes, resultIndex);
+		}
+
+		return subkeyBytes;
+	},
+
+	/**
+	 * The Salsa20 encryption function from Section 10 of the spec. This function is used for encryption and decryption.
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} message An arbitrary length byte sequence for the plaintext or ciphertext message
+	 * @param {Uint8Array} nonce An 8-byte nonce / unique message number
+	 * @param {Number|BigInt} counter An integer counter (up to 2^64 - 1) to start encryption/decryption from, default is usually 0
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes (the plaintext or ciphertext message)
+	 */
+	encryption: function(key, message, nonce, counter, rounds)
+	{
+		// Use the optimised or WebAssembly implementation unless the readable one has been selected
+		var implementation = this.getImplementation();
+
+		if (implementation !== 'readable')
+		{
+			return this[implementation].encryption(key, message, nonce, counter, rounds);
+		}
+
+		// Get the message length
+		var messageLength = message.length;
+		
+		// Generate the keystream, then XOR that with the ciphertext or plaintext message
+		var keystream = this.generateKeystream(key, messageLength, nonce, counter, rounds);
+		var xoredBytes = this.xorKeystreamAndMessage(keystream, message, messageLength);
+		
+		return xoredBytes;
+	},
+	
+	/**
+	 * Generates the keystream based on a key, nonce and start counter. The keystream will be at least the length 
+	 * of the lengthRequired parameter entered and a multiple of the Salsa20 block size (64 bytes).
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} lengthRequired The minimum length of the keystream required
+	 * @param {Uint8Array} nonce An 8-byte nonce / unique message number
+	 * @param {Number|BigInt} counter An integer counter (up to 2^64 - 1) to start encryption/decryption from, default is usually 0
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes with the length as a multiple of the Salsa20 block size
+	 */
+	generateKeystream: function(key, lengthRequired, nonce, counter, rounds)
+	{
+		// Use the optimised or WebAssembly implementation unless the readable one has been selected
+		var implementation = this.getImplementation();
+
+		if (implementation !== 'readable')
+		{
+			return this[implementation].generateKeystream(key, lengthRequired, nonce, counter, rounds);
+		}
+
+		// Split the key into separate 16 byte arrays for the expansion function
+		var keys = this.util.splitKey(key);
+
+		// Find number of 64 byte keystream blocks and keystream bytes to create
+		var numBlocksToGenerate = Math.ceil(lengthRequired / this.util.outputByteLength);		
+		var numKeystreamBytes = numBlocksToGenerate * this.util.outputByteLength;
+		var keystreamBytes = new Uint8Array(numKeystreamBytes);
+
+		var counterAndNonceBytes = new Uint8Array(16);
+
+		// Convert the counter to fixed 8 byte array in littleendian order as required in Section 10 of the spec
+		var counterBytes = this.util.numToEightByteArrayLittleEndian(counter);
+
+		// Fill the first 8 bytes of the array with the nonce bytes
+		this.util.updateArray(counterAndNonceBytes, nonce, 0);
+
+		// Generate the keystream
+		for (var block = 0;  block < numKeystreamBytes;  block += 64)
+		{
+			// Fill the last 8 bytes of the array with the counter bytes
+			// This forms the nonce + counter (16 bytes) input into the expansion function
+			this.util.updateArray(counterAndNonceBytes, counterBytes, 8);
+
+			// Generate 64 byte block keystream using the Salsa20 expansion function
+			var expansionBytes = this.expansion(counterAndNonceBytes, keys.key0, keys.key1, rounds);
+
+			// Build output
+			this.util.updateArray(keystreamBytes, expansionBytes, block);
+
+			// Move to the next block, the bytes are incremented so the counter is exact up to 2^64 - 1
+			this.util.incrementEightByteArrayLittleEndian(counterBytes);
+		}
+		
+		return keystreamBytes;
+	},
+	
+	/**
+	 * Encrypts the plaintext or decrypts the ciphertext by XORing the keystream with the plaintext/ciphertext bytes. 
+	 * This implicitly makes the output the same length as the input plaintext/ciphertext.
+	 * @param {Uint8Array} keystreamBytes The full keystream in bytes, this should be at least the same length as the message bytes
+	 * @param {Uint8Array} messageBytes The ciphertext or plaintext message bytes
+	 * @param {Uint8Array} messageLength The length of the ciphertext/plaintext message in bytes
+	 * @returns {Uint8Array} Returns the encrypted/decrypted ciphertext/message bytes
+	 */
+	xorKeystreamAndMessage: function(keystreamBytes, messageBytes, messageLength)
+	{
+		// Pre-allocate space in the typed array
+		var xoredBytes = new Uint8Array(messageLength);
+		
+		// XOR each byte of the message with the corresponding keystream byte
+		for (var i = 0;  i < messageLength;  i++)
+		{
+			// XOR the two bytes together
+			xoredBytes[i] = keystreamBytes[i] ^ messageBytes[i];
+		}
+
+		return xoredBytes;
+	}
+};
+
+/**
+ * Helper utility functions
+ */
+Salsa20.core.util = {
+	
+	/**
+	 * The core of Salsa20 is a hash function with 64-byte input and 64-byte output length
+	 * @type Number
+	 */
+	outputByteLength: 64,
+
+	/**
+	 * The maximum integer size in JavaScript (Number.MAX_SAFE_INTEGER or 9007199254740991 or 2^53 - 1)
+	 * @type Number
+	 */
+	maxInteger: Math.pow(2, 53) - 1,
+
+	/**
+	 * The maximum 64-bit block counter (2^64 - 1) as a BigInt. If the environment doesn't support BigInt the counter is 
+	 * limited to the max integer size in JavaScript.
+	 * @type BigInt|Number
+	 */
+	maxCounter: (typeof BigInt !== 'undefined') ? BigInt('18446744073709551615') : Math.pow(2, 53) - 1,
+
+	/**
+	 * The default number of rounds (Salsa20/20). The reduced round variants Salsa20/12 and Salsa20/8 are also accepted.
+	 * @type Number
+	 */
+	defaultRounds: 20,
+
+	/**
+	 * The round counts which are accepted for the rounds option
+	 * @type Array
+	 */
+	allowedRounds: [8, 12, 20],
+
+	/**
+	 * Converts a hexadecimal string to a byte array
+	 * @param {String} hexString A string of hexadecimal symbols
+	 * @returns {Uint8Array} Returns a byte array e.g. [34, 255, 0, 64]
+	 */
+	hexToBytes: function(hexString)
+	{		
+		// Calculate the length of the string in bytes
+		var stringLength = hexString.length;
+		var numOfBytes = stringLength / 2;
+
+		// Create a buffer with a Uint8Array view referring to the buffer
+		var buffer = new ArrayBuffer(numOfBytes);
+		var byteArray = new Uint8Array(buffer);
+
+		for (var i = 0, byteIndex = 0;  i < stringLength;  i += 2, byteIndex++)
+		{
+			// Convert the hex to a byte
+			var byteHex = hexString.substring(i, i + 2);
+			var byte = parseInt(byteHex, 16);
+
+			byteArray[byteIndex] = byte;
+		}
+
+		return byteArray;
+	},
+
+	/**
+	 * Converts a byte array to a hexadecimal string
+	 * @param {Uint8Array} byteArray A byte array e.g. [34, 255, 0, 64]
+	 * @returns {String} Returns A string of hexadecimal symbols
+	*/
+	bytesToHex: function(byteArray)
+	{
+		var hexString = '';
+
+		for (var i = 0, length = byteArray.length; i < length; i++)
+		{				
+			// Convert the decimal to a byte, adding padding if necessary
+			var hex = byteArray[i].toString(16);
+			var hexPadded = this.leftPadding(hex, '0', 2);
+
+			hexString += hexPadded;
+		}
+
+		return hexString;
+	},
+
+	/**
+	 * Left pad a string with a certain character to a total number of characters
+	 * @param {string} inputString The string to be padded
+	 * @param {string} padCharacter The character that the string should be padded with
+	 * @param {number} totalCharacters The length of string that's required
+	 * @returns {string} A string with characters appended to the front of it
+	 */
+	leftPadding: function(inputString, padCharacter, totalCharacters)
+	{
+		// Convert to string first, or it starts adding numbers instead of concatenating
+		inputString = inputString.toString();
+
+		// If the string is already the right length, just return it
+		if (!inputString || !padCharacter || inputString.length >= totalCharacters)
+		{
+			return inputString;
+		}
+
+		// Work out how many extra characters we need to add to the string
+		var charsToAdd = (totalCharacters - inputString.length) / padCharacter.length;
+
+		// Add padding onto the string
+		for (var i = 0; i < charsToAdd; i++)
+		{
+			inputString = padCharacter + inputString;
+		}
+
+		return inputString;
+	},
+
+	/**
+	 * Converts a hex word e.g. 0xc0a8787e or 'c0a8787e' to 32 bit decimal equivalent i.e. 3232266366
+	 * @param {String} hexWord A hexadecimal word of 32 bits
+	 * @returns {Number} Returns a 32 bit integer
+	 */
+	hexToDec: function(hexWord)
+	{		
+		return parseInt(hexWord, 16);
+	},
+
+	/**
+	 * Converts a decimal or integer to a hexadecimal word of 32 bits e.g. 3232266366 becomes 'c0a8787e'
+	 * @param {Number} decimalNum
+	 * @returns {String} Returns a hexadecimal word of length 32 bits (8 hexadecimal chars)
+	 */
+	decToHex: function(decimalNum)
+	{
+		// Convert to hexadecimal and pad to 4 bytes (8 hexadecimal chars)
+		var hexWord = decimalNum.toString(16);
+		var paddedHexWord = this.leftPadding(hexWord, '0', 8);
+
+		return paddedHexWord;
+	},
+
+	/**
+	 * Adds two decimal words of length 32 bits together
+	 * @param {Number} wordA A decimal word of 32 bits
+	 * @param {Number} wordB A decimal word of 32 bits
+	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 */
+	sumWords: function(wordA, wordB)
+	{
+		// Store result in 32 bit typed array which will clamp the result to 32 bits
+		var wordArray = new Uint32Array(1);
+
+		// Add the two numbers
+		wordArray[0] = wordA + wordB;
+
+		return wordArray[0];
+	},
+
+	/**
+	 * Exclusive ORs two 32 bit decimal words together
+	 * @param {Number} wordA A decimal word of 32 bits
+	 * @param {Number} wordB A decimal word of 32 bits
+	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 */
+	xorWords: function(wordA, wordB)
+	{
+		// Store result in 32 bit typed array which will clamp the result to 32 bits
+		var wordArray = new Uint32Array(1);
+
+		// XOR the two numbers
+		wordArray[0] = wordA ^ wordB;
+
+		return wordArray[0];
+	},
+
+	/**
+	 * Left rotates a decimal word to the specified number of bits
+	 * @param {Number} wordA A decimal word of 32 bits
+	 * @param {Number} numBitsToRotate An integer of the number of bits to rotate
+	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 */
+	leftRotate: function(wordA, numBitsToRotate)
+	{
+		// Store result in 32 bit typed array which will clamp the result to 32 bits
+		var wordArray = new Uint32Array(1);
+
+		// Left rotate the number by the number of bits
+		wordArray[0] = (wordA << numBitsToRotate | (wordA >>> (32 - numBitsToRotate)));
+
+		return wordArray[0];
+	},
+
+	/**
+	 * Converts an array of hex words to a typed array of decimal words
+	 * @param {Array} hexWords An array of 32 bit hexadecimal words e.g. ['e7e8c006', 'c4f9417d', ...]
+	 * @returns {Uint32Array} Returns a typed array of decimal 32 bit words e.g. [3232266366, 3232266366, ...]
+	 */
+	hexWordsToDecWords: function(hexWords)
+	{		
+		// Create a buffer with a Uint32Array view referring to the buffer
+		var arrayLength = hexWords.length;		
+		var decWords = new Uint32Array(arrayLength);
+
+		for (var i = 0; i < arrayLength; i++)
+		{			
+			// Convert the 32 bit hex word to decimal			
+			decWords[i] = this.hexToDec(hexWords[i]);
+		}
+
+		return decWords;
+	},
+
+	/**
+	 * Updates a typed array with data from another array. The update can start from a start index which avoids 
+	 * overwriting values before the start index in the typed array. Support for the concat operation on typed arrays 
+	 * is not well supported so this function is needed for now. Because typed arrays reference the same block of 
+	 * memory it will update the passed in array.
+	 * @param {Uint32Array|Uint8Array} arrayToFill The typed array to be filled with data
+	 * @param {Uint32Array|Uint8Array} arrayToFillFrom The contents of this typed array will be added to the first array
+	 * @param {Number} startIndex An integer starting from 0 to reference the index to start adding at in the current array
+	 */
+	updateArray: function(arrayToFill, arrayToFillFrom, startIndex)
+	{
+		for (var i = 0, length = arrayToFillFrom.length;  i < length;  i++)
+		{
+			arrayToFill[startIndex + i] = arrayToFillFrom[i];
+		}
+	},
+
+	/**
+	 * Converts a nonce or counter to a fixed 8 byte (64 bit) array
+	 * @param {Number|BigInt} num An integer e.g. nonce or counter to be converted to fixed 8 byte array
+	 * @returns {Uint8Array} Returns an array of bytes with a total size of 8 bytes
+	 */
+	numToEightByteArray: function(num)
+	{
+		// Convert to hex
+		var counterHex = num.toString(16);
+
+		// Add padding to make up 64 bits (4 bits per symbol x 16)
+		var paddedCounterHex = this.leftPadding(counterHex, '0', 16);
+
+		// Convert to bytes
+		return this.hexToBytes(paddedCounterHex);
+	},
+
+	/**
+	 * Converts a block counter to a fixed 8 byte (64 bit) array with the least significant byte first. Section 10 of 
+	 * the spec defines the block counter i as the unique 8-byte sequence (i0, i1, ..., i7) where i = i0 + 2^8 i1 + ...
+	 * @param {Number|BigInt} num An integer from 0 to 2^53 - 1, or a BigInt from 0 to 2^64 - 1 to be converted to fixed 8 byte array
+	 * @returns {Uint8Array} Returns an array of bytes with a total size of 8 bytes
+	 */
+	numToEightByteArrayLittleEndian: function(num)
+	{
+		var bytes = new Uint8Array(8);
+
+		// A BigInt is converted exactly with BigInt division
+		if (typeof num === 'bigint')
+		{
+			var byteSize = BigInt(256);
+
+			for (var i = 0; i < 8; i++)
+			{
+				bytes[i] = Number(num % byteSize);
+				num = num / byteSize;
+			}
+
+			return bytes;
+		}
+
+		// Take the lowest byte each time. Division is used because bitwise operators only work on 32 bit integers
+		for (var i = 0; i < 8; i++)
+		{
+			bytes[i] = num % 256;
+			num = Math.floor(num / 256);
+		}
+
+		return bytes;
+	},
+
+	/**
+	 * Converts a fixed 8 byte (64 bit) array with the least significant byte first to an integer
+	 * @param {Uint8Array} bytes An array of 8 bytes
+	 * @returns {BigInt|Number} Returns a BigInt, or a Number if the environment doesn't support BigInt
+	 */
+	eightByteArrayLittleEndianToNum: function(bytes)
+	{
+		var useBigInt = (typeof BigInt !== 'undefined');
+		var num = useBigInt ? BigInt(0) : 0;
+
+		// Start from the most significant byte
+		for (var i = 7; i >= 0; i--)
+		{
+			num = useBigInt ? (num * BigInt(256)) + BigInt(bytes[i]) : (num * 256) + bytes[i];
+		}
+
+		return num;
+	},
+
+	/**
+	 * Increments a fixed 8 byte (64 bit) littleendian counter in place, carrying into the next byte. This is exact for 
+	 * every counter up to 2^64 - 1, after which it wraps around to 0, so the counter range must be checked first.
+	 * @param {Uint8Array} bytes An array of 8 bytes
+	 * @returns {Uint8Array} Returns the same array
+	 */
+	incrementEightByteArrayLittleEndian: function(bytes)
+	{
+		for (var i = 0; i < 8; i++)
+		{
+			bytes[i]++;
+
+			// Stop unless the byte overflowed to 0
+			if (bytes[i] !== 0)
+			{
+				break;
+			}
+		}
+
+		return bytes;
+	},
+
+	/**
+	 * Adds a number of blocks to a block counter. The result is exact, it is a Number while it is at most 2^53 - 1 and 
+	 * a BigInt above that.
+	 * @param {Number|BigInt} counter The block counter
+	 * @param {Number} numBlocks The number of blocks to add
+	 * @returns {Number|BigInt} Returns the new block counter
+	 */
+	addToCounter: function(counter, numBlocks)
+	{
+		if (typeof counter === 'number')
+		{
+			var sum = counter + numBlocks;
+
+			// If BigInt isn't supported, the counter check will reject a sum past the max integer
+			if ((sum <= this.maxInteger) || (typeof BigInt === 'undefined'))
+			{
+				return sum;
+			}
+
+			counter = BigInt(counter);
+		}
+
+		return this.normaliseCounter(counter + BigInt(numBlocks));
+	},
+
+	/**
+	 * Converts a BigInt counter to a Number if it is small enough, so there is one representation for each counter
+	 * @param {BigInt} counter The block counter
+	 * @returns {Number|BigInt} Returns a Number if the counter is at most 2^53 - 1, otherwise the BigInt
+	 */
+	normaliseCounter: function(counter)
+	{
+		return (counter <= this.maxInteger) ? Number(counter) : counter;
+	},
+
+	/**
+	 * Separates a key evenly into two parts for input into the expansion function. 
+	 * This is required because JavaScript's regular slice function is not currently implemented for typed arrays.
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @returns {Object} Returns an object with 'key0' and 'key1'
+	 */
+	splitKey: function(key)
+	{	
+		var key0 = new Uint8Array(16);
+		var key1 = new Uint8Array(16);
+
+		// If 128 bit key, return the first 16 bytes as key0 and an empty array for the last key
+		if (key.length === 16)
+		{
+			return { 
+				key0: key,
+				key1: new Uint8Array(0)
+			};
+		}
+
+		// Otherwise if 256 bit key, loop through the bytes in the key
+		for (var i = 0, newKeyIndex = 0;  i < 32;  newKeyIndex++, i++)
+		{
+			// If 16 bytes already filled, reset the index for the second array
+			if (i === 16)
+			{
+				newKeyIndex = 0;
+			}
+
+			// Store first half of key in key0
+			if (i < 16)
+			{
+				key0[newKeyIndex] = key[i];
+			}
+			else {
+				// Store second half of key in key1
+				key1[newKeyIndex] = key[i];
+			}
+		}
+
+		return {
+			key0: key0,
+			key1: key1
+		};
+	},
+
+	/**
+	 * Exclusive OR two bytes together
+	 * @param {Number} byteA An integer from 0 - 255 inclusive
+	 * @param {Number} byteB An integer from 0 - 255 inclusive
+	 * @returns {Number} Returns an integer from 0 - 255 inclusive
+	 */
+	xorTwoBytes: function(byteA, byteB)
+	{
+		// Create a typed array which will clamp the result to a single byte within the range of 0 - 255
+		var resultByte = new Uint8Array(1);
+
+		// XOR the two bytes
+		resultByte[0] = byteA ^ byteB;
+
+		return resultByte[0];
+	},
+
+	/**
+	 * Compares two byte arrays in constant time, so the time taken does not reveal how many of the bytes match. This 
+	 * should be used when checking authentication tags.
+	 * @param {Uint8Array} bytesA An array of bytes
+	 * @param {Uint8Array} bytesB An array of bytes
+	 * @returns {Boolean} Returns true if the arrays have the same length and contents, otherwise false
+	 */
+	constantTimeEqual: function(bytesA, bytesB)
+	{
+		// The lengths are not secret so it is fine to return early
+		if (bytesA.length !== bytesB.length)
+		{
+			return false;
+		}
+
+		// Accumulate the differences of every byte without exiting early
+		for (var i = 0, difference = 0, length = bytesA.length;  i < length;  i++)
+		{
+			difference |= bytesA[i] ^ bytesB[i];
+		}
+
+		return difference === 0;
+	},
+
+	/**
+	 * Parses the key input by the user and normalises it to a byte array
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @returns {Uint8Array} Returns an array of bytes
+	 */
+	parseKey: function(key)
+	{
+		// If string, convert the key from hexadecimal string to byte array
+		if (typeof key === 'string')
+		{				
+			key = this.hexToBytes(key);
+		}
+		else if ((key instanceof Uint8Array) === false)
+		{
+			throw new Error('Incorrect parameter type for the key, it should be an array of bytes or hex string');
+		}
+
+		// Get key length in bytes
+		var keyLength = key.length;
+
+		// Checks the key is the correct size of 16 bytes (128 bits) or 32 bytes (256 bits)
+		if ((keyLength === 16) || (keyLength === 32))
+		{
+			// Key should be byte array now
+			return key;
+		}
+
+		throw new Error('Incorrect key length, only 16 bytes (128 bits) or 32 bytes (256 bits) accepted');
+	},
+
+	/**
+	 * Converts a message from a hexadecimal string or UTF-8 to a byte array
+	 * @param {String|Uint8Array} message The message of an arbitrary length as a UTF-8 string, hexadecimal string, or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message plaintext or ciphertext
+	 * @returns {Uint8Array} Returns a byte array
+	 */
+	parseMessage: function(message, options)
+	{
+		// If a hexadecimal or UTF-8 string
+		if (typeof message === 'string')
+		{
+			// Check it is a hex string by checking the options property
+			if ((typeof options !== 'undefined') && (options.hasOwnProperty('inputTextType')) && (options.inputTextType === 'hex'))
+			{
+				// Convert from hexadecimal string
+				message = this.hexToBytes(message);
+			}
+			else {
+				// Convert from UTF-8 string
+				message = this.utf8StringToBytes(message);
+			}
+		}
+		else if ((message instanceof Uint8Array) === false)
+		{
+			throw new Error('Incorrect parameter type for the message, it should be a string, hex string or array of bytes');
+		}
+
+		// The spec allows 2^64 blocks (2^70 bytes) under a single nonce. This can't be exceeded because arrays are at most 
+		// 2^53 - 1 bytes long, and the blocks left from the start counter are checked by parseCounter.
+		return message;
+	},
+
+	/**
+	 * Converts the nonce to a fixed size byte array
+	 * @param {Uint8Array|String|Number|BigInt} nonce A byte array of 8 bytes, a hex string of 16 symbols, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @returns {Uint8Array} Returns a byte array of 8 bytes
+	 */
+	parseNonce: function(nonce)
+	{
+		// If an array of bytes
+		if ((nonce instanceof Uint8Array) && (nonce.length === 8))
+		{
+			// Convert the typed array to a regular array
+			return nonce;
+		}
+
+		// If a hexadecimal string with 16 hex digits in length
+		else if ((typeof nonce === 'string') && (nonce.length === 16))
+		{
+			return this.hexToBytes(nonce);
+		}
+
+		// If a positive integer
+		else if ((typeof nonce === 'number') && (nonce % 1 === 0) && (nonce >= 0))
+		{
+			// Check that it does not exceed integer limit in JavaScript (2^53 - 1)
+			if (nonce <= this.maxInteger)
+			{
+				return this.numToEightByteArray(nonce);
+			}
+
+			throw new Error('The nonce size has exceeded the max integer limit of JavaScript (' + this.maxInteger + '), use a BigInt for larger nonces');
+		}
+
+		// If a BigInt, which can hold the full 64-bit range exactly
+		else if (typeof nonce === 'bigint')
+		{
+			if ((nonce >= 0) && (nonce <= this.maxCounter))
+			{
+				return this.numToEightByteArray(nonce);
+			}
+
+			throw new Error('The nonce size should be a BigInt from 0 to ' + this.maxCounter);
+		}
+
+		throw new Error('Incorrect parameter for the nonce, it should be a hex string (16 symbols), array of bytes (8 bytes), a positive integer or a BigInt');
+	},
+
+	/**
+	 * Converts the 192 bit XSalsa20 nonce to a fixed size byte array
+	 * @param {Uint8Array|String} nonce A byte array of 24 bytes or a hex string of 48 symbols
+	 * @returns {Uint8Array} Returns a byte array of 24 bytes
+	 */
+	parseExtendedNonce: function(nonce)
+	{
+		// If an array of bytes
+		if ((nonce instanceof Uint8Array) && (nonce.length === 24))
+		{
+			return nonce;
+		}
+
+		// If a hexadecimal string with 48 hex digits in length
+		else if ((typeof nonce === 'string') && (nonce.length === 48))
+		{
+			return this.hexToBytes(nonce);
+		}
+
+		throw new Error('Incorrect parameter for the extended nonce, it should be a hex string (48 symbols) or array of bytes (24 bytes)');
+	},
+
+	/**
+	 * Converts the nonce for ChaCha20 to a fixed size byte array. A 96-bit nonce selects the RFC 8439 IETF layout, 
+	 * otherwise the 64-bit nonce of the original layout is accepted in the same formats as Salsa20.
+	 * @param {Uint8Array|String|Number} nonce A byte array of 12 bytes or hex string of 24 symbols, or a 64-bit nonce accepted by parseNonce
+	 * @returns {Uint8Array} Returns a byte array of 12 bytes or 8 bytes
+	 */
+	parseChaCha20Nonce: function(nonce)
+	{
+		// If an array of 12 bytes
+		if ((nonce instanceof Uint8Array) && (nonce.length === 12))
+		{
+			return nonce;
+		}
+
+		// If a hexadecimal string with 24 hex digits in length
+		else if ((typeof nonce === 'string') && (nonce.length === 24))
+		{
+			return this.hexToBytes(nonce);
+		}
+
+		// Otherwise parse it as a 64-bit nonce
+		return this.parseNonce(nonce);
+	},
+
+	/**
+	 * Checks the counter is formulated correctly
+	 * @param {Number|BigInt|Uint8Array} counter An integer from 0 to 2^53 - 1 (max integer allowed in JavaScript), a BigInt from 0 to 2^64 - 1 or a byte array of 8 bytes in littleendian order
+	 * @param {Number} messageLength The message length in number of bytes
+	 * @param {Number|BigInt} maxCounter Optional maximum block counter e.g. 2^32 - 1 for a 32-bit counter, the default is 2^64 - 1
+	 * @returns {Number|BigInt} Returns a Number if the counter is at most 2^53 - 1, otherwise a BigInt
+	 */
+	parseCounter: function(counter, messageLength, maxCounter)
+	{
+		// If the maximum is unset, use the max 64-bit counter
+		if (typeof maxCounter === 'undefined')
+		{
+			maxCounter = this.maxCounter;
+		}
+
+		// If a byte array, convert the littleendian bytes to an integer as in Section 10 of the spec
+		if ((counter instanceof Uint8Array) && (counter.length === 8))
+		{
+			counter = this.eightByteArrayLittleEndianToNum(counter);
+		}
+
+		// A Number above 2^53 - 1 can't be represented exactly
+		if ((typeof counter === 'number') && (counter > this.maxInteger) && (counter <= maxCounter))
+		{
+			throw new Error('The counter size has exceeded the max integer limit of JavaScript (' + this.maxInteger + '), use a BigInt or byte array for larger counters');
+		}
+
+		// Throw exception if not a positive integer
+		var isInteger = ((typeof counter === 'number') && (counter % 1 === 0)) || (typeof counter === 'bigint');
+
+		if ((isInteger === false) || (counter < 0) || (counter > maxCounter))
+		{
+			throw new Error('The counter size should be an integer from 0 to ' + maxCounter);
+		}
+
+		// The maximum number of keystream bytes that can be created from this start counter. BigInt arithmetic is used
+		// for the 64-bit range, so the check is exact.
+		var maxKeystreamBytes;
+
+		if ((typeof counter === 'bigint') || (typeof maxCounter === 'bigint'))
+		{
+			counter = this.normaliseCounter(BigInt(counter));
+			maxKeystreamBytes = ((BigInt(maxCounter) - BigInt(counter)) * BigInt(this.outputByteLength)) + BigInt(this.outputByteLength);
+		}
+		else {
+			maxKeystreamBytes = ((maxCounter - counter) * this.outputByteLength) + this.outputByteLength;
+		}
+
+		// Check that enough keystream bytes can be generated to encrypt the message from this counter position 
+		// without overflowing the maximum block counter, which would wrap around and reuse the keystream
+		if (messageLength > maxKeystreamBytes)
+		{
+			throw new Error(
+				'The message is longer than the number of keystream bytes that can be generated from this start ' +
+				'counter position. Consider splitting the message into smaller parts. Start counter: ' + 
+				counter + '. Max message bytes that can be ' + 'encrypted/decrypted from this counter position: ' + 
+				maxKeystreamBytes + '. Num of message bytes: ' + messageLength
+			);
+		}
+
+		return counter;
+	},
+
+	/**
+	 * Converts a byte offset into the keystream to the block counter and the offset inside that block
+	 * @param {Number} byteOffset An integer number of bytes from the start counter position
+	 * @param {Number|BigInt} startCounter The block counter which byte offset 0 is at the start of
+	 * @param {Number|BigInt} maxCounter Optional maximum block counter e.g. 2^32 - 1 for a 32-bit counter, the default is 2^64 - 1
+	 * @returns {Object} Returns an object with the block 'counter' and the 'blockOffset' from 0 to 63
+	 */
+	parseByteOffset: function(byteOffset, startCounter, maxCounter)
+	{
+		// Throw exception if not a positive integer
+		if ((typeof byteOffset !== 'number') || (byteOffset % 1 !== 0) || (byteOffset < 0) || (byteOffset > this.maxInteger))
+		{
+			throw new Error('The byte offset should be an integer from 0 to ' + this.maxInteger);
+		}
+
+		var blockOffset = byteOffset % this.outputByteLength;
+		var counter = this.addToCounter(startCounter, (byteOffset - blockOffset) / this.outputByteLength);
+
+		// Check the block containing the offset is within the counter range. The bytes before the offset in that 
+		// block must also fit, which is the same check as for a message of that length.
+		counter = this.parseCounter(counter, blockOffset, maxCounter);
+
+		return {
+			counter: counter,
+			blockOffset: blockOffset
+		};
+	},
+
+	/**
+	 * Checks the number of rounds in the options object is one of the defined Salsa20 variants
+	 * @param {Object} options Optional object with the rounds property set to 8, 12 or 20
+	 * @returns {Number} Returns the number of rounds, or 20 if the option is not set
+	 */
+	parseRounds: function(options)
+	{
+		// If the option is not set, use the full 20 rounds
+		if ((typeof options === 'undefined') || (options.hasOwnProperty('rounds') === false))
+		{
+			return this.defaultRounds;
+		}
+
+		// Only accept the defined variants Salsa20/8, Salsa20/12 and Salsa20/20
+		if (this.allowedRounds.indexOf(options.rounds) === -1)
+		{
+			throw new Error('Incorrect number of rounds, only 8, 12 or 20 rounds are accepted');
+		}
+
+		return options.rounds;
+	},
+
+	/**
+	 * Encodes an ASCII/UTF-8 string into an array of bytes
+	 * @param {String} unicodeString
+	 * @returns {Uint8Array}
+	 */
+	utf8StringToBytes: function(unicodeString)
+	{
+		// Encode all Unicode chars
+		var utf8ByteString = unescape(encodeURIComponent(unicodeString));
+		var length = utf8ByteString.length;
+
+		for (var i = 0, utf8Bytes = new Uint8Array(length);  i < length;  i++)
+		{
+			// Get the decimal representation of each character and update the byte array
+			utf8Bytes[i] = utf8ByteString.charCodeAt(i);
+		}
+
+		return utf8Bytes;
+	},
+
+	/**
+	 * Decodes an array of bytes to an ASCII/UTF-8 string
+	 * @param {Uint8Array} bytes
+	 * @returns {String}
+	 */
+	bytesToUtf8String: function(bytes)
+	{		
+		// Get the char code for each byte
+		for (var i = 0, string = '', length = bytes.length;  i < length;  i++)
+		{
+			var byte = bytes[i];
+
+			string += String.fromCharCode(byte);
+		}
+
+		// Decode string back to UTF-8
+		return decodeURIComponent(escape(string));
+	},
+
+	/**
+	 * Gets random bytes from the cryptographically secure random number generator of the browser or Node.js
+	 * @param {Number} length The number of bytes
+	 * @returns {Uint8Array} Returns the random bytes
+	 */
+	randomBytes: function(length)
+	{
+		var bytes = new Uint8Array(length);
+		var nodeCrypto = null;
+
+		// Browsers, Web Workers and Node.js 19 and later have the Web Crypto API
+		if ((typeof crypto !== 'undefined') && crypto && (typeof crypto.getRandomValues === 'function'))
+		{
+			// Only 65536 bytes can be filled in each call
+			for (var offset = 0;  offset < length;  offset += 65536)
+			{
+				crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+			}
+		}
+		else if ((nodeCrypto = this.getNodeCrypto()) !== null)
+		{
+			nodeCrypto.randomFillSync(bytes);
+		}
+		else {
+			throw new Error('No cryptographically secure random number generator is available');
+		}
+
+		return bytes;
+	},
+
+	/**
+	 * Gets the Node.js crypto module. It isn't loaded with a plain require call, which bundlers would try to include 
+	 * for the browser. Recent versions of Node.js have process.getBuiltinModule(), otherwise the require function of the 
+	 * parallel functions is used, which the ES module build loads before it finishes loading.
+	 * @returns {Object} Returns the crypto module, or null if not running in Node.js
+	 */
+	getNodeCrypto: function()
+	{
+		if ((typeof process === 'undefined') || !process.versions || !process.versions.node)
+		{
+			return null;
+		}
+
+		if (typeof process.getBuiltinModule === 'function')
+		{
+			return process.getBuiltinModule('crypto');
+		}
+
+		if (Salsa20.parallel.nodeRequire !== null)
+		{
+			return Salsa20.parallel.nodeRequire('crypto');
+		}
+
+		return null;
+	}
+};
+
+/**
+ * An optimised implementation of the Salsa20 block function which produces exactly the same output as the readable 
+ * core above. The readable core follows the spec closely, but allocates new typed arrays for every quarterround and 
+ * word operation. This version keeps the 16 word state in local variables, uses the |0 and >>> operators for 32 bit 
+ * arithmetic and reuses the same Uint32Array(16) input and output state for every block. It is selected with 
+ * Salsa20.core.setImplementation(), or automatically if WebAssembly is not available.
+ */
+Salsa20.core.optimised = {
+
+	/**
+	 * The reused input state: constants, key, nonce and block counter as 32 bit words
+	 * @type Uint32Array
+	 */
+	inputWords: new Uint32Array(16),
+
+	/**
+	 * The reused output state of the last block
+	 * @type Uint32Array
+	 */
+	outputWords: new Uint32Array(16),
+
+	/**
+	 * Reads 4 bytes as a littleendian 32 bit word
+	 * @param {Uint8Array} bytes The byte array
+	 * @param {Number} index The index of the first byte
+	 * @returns {Number} Returns the word (signed, but it is stored unsigned in the Uint32Array)
+	 */
+	readWord: function(bytes, index)
+	{
+		return bytes[index] | (bytes[index + 1] << 8) | (bytes[index + 2] << 16) | (bytes[index + 3] << 24);
+	},
+
+	/**
+	 * Arranges the constants, key, nonce and counter into the input state in the same layout as Section 9 of the spec
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} nonce An 8-byte nonce
+	 * @param {Number|BigInt} counter The block counter (up to 2^64 - 1)
+	 */
+	setupInput: function(key, nonce, counter)
+	{
+		var input = this.inputWords;
+		var constants = (key.length === 32) ? Salsa20.core.constants32 : Salsa20.core.constants16;
+		var key1Index = (key.length === 32) ? 16 : 0;
+
+		// σ0 k0 k0 k0 k0 σ1 n n  n n σ2 k1 k1 k1 k1 σ3, where k1 is a repeat of k0 for a 128 bit key
+		input[0] = this.readWord(constants[0], 0);
+		input[5] = this.readWord(constants[1], 0);
+		input[10] = this.readWord(constants[2], 0);
+		input[15] = this.readWord(constants[3], 0);
+
+		for (var i = 0; i < 4; i++)
+		{
+			input[1 + i] = this.readWord(key, i * 4);
+			input[11 + i] = this.readWord(key, key1Index + (i * 4));
+		}
+
+		input[6] = this.readWord(nonce, 0);
+		input[7] = this.readWord(nonce, 4);
+
+		// The counter is split into low and high littleendian words. It is converted to bytes first because it can 
+		// exceed 32 bits and may be a BigInt.
+		var counterBytes = Salsa20.core.util.numToEightByteArrayLittleEndian(counter);
+
+		input[8] = this.readWord(counterBytes, 0);
+		input[9] = this.readWord(counterBytes, 4);
+	},
+
+	/**
+	 * Increments the block counter in the input state, carrying into the high word
+	 */
+	incrementCounter: function()
+	{
+		this.inputWords[8]++;
+
+		if (this.inputWords[8] === 0)
+		{
+			this.inputWords[9]++;
+		}
+	},
+
+	/**
+	 * Erases the key words in the input state and the last block in the output state
+	 */
+	erase: function()
+	{
+		this.inputWords.fill(0);
+		this.outputWords.fill(0);
+	},
+
+	/**
+	 * The Salsa20 hash function from Section 8 of the spec on the input state. Each line is one step of a 
+	 * quarterround: a word is XORed with the sum of two other words rotated left by 7, 9, 13 or 18 bits.
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint32Array} Returns the reused output state, which is overwritten by the next block
+	 */
+	block: function(rounds)
+	{
+		var input = this.inputWords;
+		var output = this.outputWords;
+		var x0 = input[0], x1 = input[1], x2 = input[2], x3 = input[3], x4 = input[4], x5 = input[5], x6 = input[6], x7 = input[7], x8 = input[8], x9 = input[9], x10 = input[10], x11 = input[11], x12 = input[12], x13 = input[13], x14 = input[14], x15 = input[15];
+		var u;
+
+		for (var i = 0, doubleRounds = (rounds || Salsa20.core.util.defaultRounds) / 2;  i < doubleRounds;  i++)
+		{
+			// Columnround
+			u = (x0 + x12) | 0;  x4 ^= (u << 7) | (u >>> 25);
+			u = (x4 + x0) | 0;  x8 ^= (u << 9) | (u >>> 23);
+			u = (x8 + x4) | 0;  x12 ^= (u << 13) | (u >>> 19);
+			u = (x12 + x8) | 0;  x0 ^= (u << 18) | (u >>> 14);
+
+			u = (x5 + x1) | 0;  x9 ^= (u << 7) | (u >>> 25);
+			u = (x9 + x5) | 0;  x13 ^= (u << 9) | (u >>> 23);
+			u = (x13 + x9) | 0;  x1 ^= (u << 13) | (u >>> 19);
+			u = (x1 + x13) | 0;  x5 ^= (u << 18) | (u >>> 14);
+
+			u = (x10 + x6) | 0;  x14 ^= (u << 7) | (u >>> 25);
+			u = (x14 + x10) | 0;  x2 ^= (u << 9) | (u >>> 23);
+			u = (x2 + x14) | 0;  x6 ^= (u << 13) | (u >>> 19);
+			u = (x6 + x2) | 0;  x10 ^= (u << 18) | (u >>> 14);
+
+			u = (x15 + x11) | 0;  x3 ^= (u << 7) | (u >>> 25);
+			u = (x3 + x15) | 0;  x7 ^= (u << 9) | (u >>> 23);
+			u = (x7 + x3) | 0;  x11 ^= (u << 13) | (u >>> 19);
+			u = (x11 + x7) | 0;  x15 ^= (u << 18) | (u >>> 14);
+
+			// Rowround
+			u = (x0 + x3) | 0;  x1 ^= (u << 7) | (u >>> 25);
+			u = (x1 + x0) | 0;  x2 ^= (u << 9) | (u >>> 23);
+			u = (x2 + x1) | 0;  x3 ^= (u << 13) | (u >>> 19);
+			u = (x3 + x2) | 0;  x0 ^= (u << 18) | (u >>> 14);
+
+			u = (x5 + x4) | 0;  x6 ^= (u << 7) | (u >>> 25);
+			u = (x6 + x5) | 0;  x7 ^= (u << 9) | (u >>> 23);
+			u = (x7 + x6) | 0;  x4 ^= (u << 13) | (u >>> 19);
+			u = (x4 + x7) | 0;  x5 ^= (u << 18) | (u >>> 14);
+
+			u = (x10 + x9) | 0;  x11 ^= (u << 7) | (u >>> 25);
+			u = (x11 + x10) | 0;  x8 ^= (u << 9) | (u >>> 23);
+			u = (x8 + x11) | 0;  x9 ^= (u << 13) | (u >>> 19);
+			u = (x9 + x8) | 0;  x10 ^= (u << 18) | (u >>> 14);
+
+			u = (x15 + x14) | 0;  x12 ^= (u << 7) | (u >>> 25);
+			u = (x12 + x15) | 0;  x13 ^= (u << 9) | (u >>> 23);
+			u = (x13 + x12) | 0;  x14 ^= (u << 13) | (u >>> 19);
+			u = (x14 + x13) | 0;  x15 ^= (u << 18) | (u >>> 14);
+		}
+
+		// Add the input words, the Uint32Array stores the sums modulo 2^32
+		output[0] = x0 + input[0];
+		output[1] = x1 + input[1];
+		output[2] = x2 + input[2];
+		output[3] = x3 + input[3];
+		output[4] = x4 + input[4];
+		output[5] = x5 + input[5];
+		output[6] = x6 + input[6];
+		output[7] = x7 + input[7];
+		output[8] = x8 + input[8];
+		output[9] = x9 + input[9];
+		output[10] = x10 + input[10];
+		output[11] = x11 + input[11];
+		output[12] = x12 + input[12];
+		output[13] = x13 + input[13];
+		output[14] = x14 + input[14];
+		output[15] = x15 + input[15];
+
+		return output;
+	},
+
+	/**
+	 * Writes the output state to bytes in littleendian order
+	 * @param {Uint32Array} words The 16 output words
+	 * @param {Uint8Array} bytes The array to write to
+	 * @param {Number} index The index to start writing at
+	 */
+	writeWords: function(words, bytes, index)
+	{
+		for (var i = 0;  i < 16;  i++, index += 4)
+		{
+			var word = words[i];
+
+			bytes[index] = word;
+			bytes[index + 1] = word >>> 8;
+			bytes[index + 2] = word >>> 16;
+			bytes[index + 3] = word >>> 24;
+		}
+	},
+
+	/**
+	 * The Salsa20 hash function on a 64 byte sequence, the same as Salsa20.core.hash
+	 * @param {Uint8Array} xBytes A 64 byte sequence
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns a 64 byte sequence
+	 */
+	hash: function(xBytes, rounds)
+	{
+		var resultBytes = new Uint8Array(Salsa20.core.util.outputByteLength);
+
+		for (var i = 0; i < 16; i++)
+		{
+			this.inputWords[i] = this.readWord(xBytes, i * 4);
+		}
+
+		this.writeWords(this.block(rounds), resultBytes, 0);
+		this.erase();
+
+		return resultBytes;
+	},
+
+	/**
+	 * Generates the keystream, the same as Salsa20.core.generateKeystream
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Number} lengthRequired The minimum length of the keystream required
+	 * @param {Uint8Array} nonce An 8-byte nonce
+	 * @param {Number|BigInt} counter An integer counter to start from
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes with the length as a multiple of the Salsa20 block size
+	 */
+	generateKeystream: function(key, lengthRequired, nonce, counter, rounds)
+	{
+		var numKeystreamBytes = Math.ceil(lengthRequired / 64) * 64;
+		var keystreamBytes = new Uint8Array(numKeystreamBytes);
+
+		this.setupInput(key, nonce, counter);
+
+		for (var position = 0;  position < numKeystreamBytes;  position += 64)
+		{
+			this.writeWords(this.block(rounds), keystreamBytes, position);
+			this.incrementCounter();
+		}
+
+		this.erase();
+
+		return keystreamBytes;
+	},
+
+	/**
+	 * Encrypts or decrypts, the same as Salsa20.core.encryption. Each block is XORed with the message as it is 
+	 * generated, so no keystream buffer the size of the message is needed.
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} message An arbitrary length byte sequence for the plaintext or ciphertext message
+	 * @param {Uint8Array} nonce An 8-byte nonce
+	 * @param {Number|BigInt} counter An integer counter to start from
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes (the plaintext or ciphertext message)
+	 */
+	encryption: function(key, message, nonce, counter, rounds)
+	{
+		var messageLength = message.length;
+		var xoredBytes = new Uint8Array(messageLength);
+
+		this.setupInput(key, nonce, counter);
+
+		for (var position = 0;  position < messageLength;  position += 64)
+		{
+			var words = this.block(rounds);
+
+			// XOR a full block four bytes at a time with the littleendian bytes of each output word
+			if (position + 64 <= messageLength)
+			{
+				for (var i = 0, j = position;  i < 16;  i++, j += 4)
+				{
+					var word = words[i];
+
+					xoredBytes[j] = message[j] ^ word;
+					xoredBytes[j + 1] = message[j + 1] ^ (word >>> 8);
+					xoredBytes[j + 2] = message[j + 2] ^ (word >>> 16);
+					xoredBytes[j + 3] = message[j + 3] ^ (word >>> 24);
+				}
+			}
+			else {
+				// XOR the remaining bytes of the last partial block
+				for (var i = 0;  position + i < messageLength;  i++)
+				{
+					xoredBytes[position + i] = message[position + i] ^ (words[i >>> 2] >>> ((i & 3) << 3));
+				}
+			}
+
+			this.incrementCounter();
+		}
+
+		this.erase();
+
+		return xoredBytes;
+	}
+};
+
+/**
+ * A WebAssembly implementation of the Salsa20 block function and keystream XOR. The module is small enough to be 
+ * embedded below and compiled synchronously, the source is in wasm/salsa20.wat. It produces exactly the same output as 
+ * the JavaScript implementations and is selected automatically where WebAssembly is available.
+ */
+Salsa20.core.wasm = {
+
+	/**
+	 * The compiled module bytes, built from wasm/salsa20.wat
+	 * @type Uint8Array
+	 */
+	bytes: new Uint8Array([
+		0, 97, 115, 109, 1, 0, 0, 0, 1, 11, 2, 96, 1, 127, 0, 96, 3, 127, 127, 127, 0, 3, 4, 3, 0, 0, 1, 5, 3, 1, 0, 2,
+		7, 33, 3, 6, 109, 101, 109, 111, 114, 121, 2, 0, 5, 98, 108, 111, 99, 107, 0, 1, 12, 120, 111, 114, 75, 101, 121, 115, 116, 114, 101, 97,
+		109, 0, 2, 10, 182, 7, 3, 250, 5, 1, 17, 127, 65, 0, 40, 2, 0, 33, 1, 65, 0, 40, 2, 4, 33, 2, 65, 0, 40, 2, 8, 33,
+		3, 65, 0, 40, 2, 12, 33, 4, 65, 0, 40, 2, 16, 33, 5, 65, 0, 40, 2, 20, 33, 6, 65, 0, 40, 2, 24, 33, 7, 65, 0, 40,
+		2, 28, 33, 8, 65, 0, 40, 2, 32, 33, 9, 65, 0, 40, 2, 36, 33, 10, 65, 0, 40, 2, 40, 33, 11, 65, 0, 40, 2, 44, 33, 12,
+		65, 0, 40, 2, 48, 33, 13, 65, 0, 40, 2, 52, 33, 14, 65, 0, 40, 2, 56, 33, 15, 65, 0, 40, 2, 60, 33, 16, 2, 64, 3, 64,
+		32, 17, 32, 0, 79, 13, 1, 32, 5, 32, 1, 32, 13, 106, 65, 7, 119, 115, 33, 5, 32, 9, 32, 5, 32, 1, 106, 65, 9, 119, 115, 33,
+		9, 32, 13, 32, 9, 32, 5, 106, 65, 13, 119, 115, 33, 13, 32, 1, 32, 13, 32, 9, 106, 65, 18, 119, 115, 33, 1, 32, 10, 32, 6, 32,
+		2, 106, 65, 7, 119, 115, 33, 10, 32, 14, 32, 10, 32, 6, 106, 65, 9, 119, 115, 33, 14, 32, 2, 32, 14, 32, 10, 106, 65, 13, 119, 115,
+		33, 2, 32, 6, 32, 2, 32, 14, 106, 65, 18, 119, 115, 33, 6, 32, 15, 32, 11, 32, 7, 106, 65, 7, 119, 115, 33, 15, 32, 3, 32, 15,
+		32, 11, 106, 65, 9, 119, 115, 33, 3, 32, 7, 32, 3, 32, 15, 106, 65, 13, 119, 115, 33, 7, 32, 11, 32, 7, 32, 3, 106, 65, 18, 119,
+		115, 33, 11, 32, 4, 32, 16, 32, 12, 106, 65, 7, 119, 115, 33, 4, 32, 8, 32, 4, 32, 16, 106, 65, 9, 119, 115, 33, 8, 32, 12, 32,
+		8, 32, 4, 106, 65, 13, 119, 115, 33, 12, 32, 16, 32, 12, 32, 8, 106, 65, 18, 119, 115, 33, 16, 32, 2, 32, 1, 32, 4, 106, 65, 7,
+		119, 115, 33, 2, 32, 3, 32, 2, 32, 1, 106, 65, 9, 119, 115, 33, 3, 32, 4, 32, 3, 32, 2, 106, 65, 13, 119, 115, 33, 4, 32, 1,
+		32, 4, 32, 3, 106, 65, 18, 119, 115, 33, 1, 32, 7, 32, 6, 32, 5, 106, 65, 7, 119, 115, 33, 7, 32, 8, 32, 7, 32, 6, 106, 65,
+		9, 119, 115, 33, 8, 32, 5, 32, 8, 32, 7, 106, 65, 13, 119, 115, 33, 5, 32, 6, 32, 5, 32, 8, 106, 65, 18, 119, 115, 33, 6, 32,
+		12, 32, 11, 32, 10, 106, 65, 7, 119, 115, 33, 12, 32, 9, 32, 12, 32, 11, 106, 65, 9, 119, 115, 33, 9, 32, 10, 32, 9, 32, 12, 106,
+		65, 13, 119, 115, 33, 10, 32, 11, 32, 10, 32, 9, 106, 65, 18, 119, 115, 33, 11, 32, 13, 32, 16, 32, 15, 106, 65, 7, 119, 115, 33, 13,
+		32, 14, 32, 13, 32, 16, 106, 65, 9, 119, 115, 33, 14, 32, 15, 32, 14, 32, 13, 106, 65, 13, 119, 115, 33, 15, 32, 16, 32, 15, 32, 14,
+		106, 65, 18, 119, 115, 33, 16, 32, 17, 65, 2, 106, 33, 17, 12, 0, 11, 11, 65, 0, 32, 1, 65, 0, 40, 2, 0, 106, 54, 2, 64, 65,
+		0, 32, 2, 65, 0, 40, 2, 4, 106, 54, 2, 68, 65, 0, 32, 3, 65, 0, 40, 2, 8, 106, 54, 2, 72, 65, 0, 32, 4, 65, 0, 40,
+		2, 12, 106, 54, 2, 76, 65, 0, 32, 5, 65, 0, 40, 2, 16, 106, 54, 2, 80, 65, 0, 32, 6, 65, 0, 40, 2, 20, 106, 54, 2, 84,
+		65, 0, 32, 7, 65, 0, 40, 2, 24, 106, 54, 2, 88, 65, 0, 32, 8, 65, 0, 40, 2, 28, 106, 54, 2, 92, 65, 0, 32, 9, 65, 0,
+		40, 2, 32, 106, 54, 2, 96, 65, 0, 32, 10, 65, 0, 40, 2, 36, 106, 54, 2, 100, 65, 0, 32, 11, 65, 0, 40, 2, 40, 106, 54, 2,
+		104, 65, 0, 32, 12, 65, 0, 40, 2, 44, 106, 54, 2, 108, 65, 0, 32, 13, 65, 0, 40, 2, 48, 106, 54, 2, 112, 65, 0, 32, 14, 65,
+		0, 40, 2, 52, 106, 54, 2, 116, 65, 0, 32, 15, 65, 0, 40, 2, 56, 106, 54, 2, 120, 65, 0, 32, 16, 65, 0, 40, 2, 60, 106, 54,
+		2, 124, 11, 6, 0, 32, 0, 16, 0, 11, 176, 1, 1, 2, 127, 32, 0, 32, 1, 106, 33, 3, 2, 64, 3, 64, 32, 0, 32, 3, 79, 13,
+		1, 32, 2, 16, 0, 65, 0, 65, 0, 40, 2, 32, 65, 1, 106, 54, 2, 32, 65, 0, 40, 2, 32, 69, 4, 64, 65, 0, 65, 0, 40, 2,
+		36, 65, 1, 106, 54, 2, 36, 11, 65, 0, 33, 4, 32, 3, 32, 0, 107, 65, 192, 0, 79, 4, 64, 3, 64, 32, 0, 32, 4, 106, 32, 0,
+		32, 4, 106, 40, 2, 0, 32, 4, 40, 2, 64, 115, 54, 2, 0, 32, 4, 65, 4, 106, 33, 4, 32, 4, 65, 192, 0, 73, 13, 0, 11, 32,
+		0, 65, 192, 0, 106, 33, 0, 5, 3, 64, 32, 0, 32, 4, 106, 32, 0, 32, 4, 106, 45, 0, 0, 32, 4, 45, 0, 64, 115, 58, 0, 0,
+		32, 4, 65, 1, 106, 33, 4, 32, 0, 32, 4, 106, 32, 3, 73, 13, 0, 11, 32, 3, 33, 0, 11, 12, 0, 11, 11, 11
+	]),
+
+	/**
+	 * The memory offsets of the input state, the output of the last block and the data to XOR
+	 * @type Number
+	 */
+	stateOffset: 0,
+	blockOffset: 64,
+	dataOffset: 128,
+
+	/**
+	 * The maximum number of bytes processed in one call, this must fit in the memory after the data offset
+	 * @type Number
+	 */
+	chunkByteLength: 65536,
+
+	/**
+	 * The exported functions and memory of the module, or null if it has not been loaded
+	 * @type Object
+	 */
+	exports: null,
+
+	/**
+	 * Whether loading the module has already been tried
+	 * @type Boolean
+	 */
+	loadAttempted: false,
+
+	/**
+	 * Checks if WebAssembly is available, loading the module the first time. It may be unavailable in older browsers 
+	 * or blocked by a Content Security Policy.
+	 * @returns {Boolean} Returns true if the module is loaded
+	 */
+	isAvailable: function()
+	{
+		if (this.loadAttempted === false)
+		{
+			this.loadAttempted = true;
+
+			if (typeof WebAssembly === 'object')
+			{
+				try
+				{
+					this.exports = new WebAssembly.Instance(new WebAssembly.Module(this.bytes), {}).exports;
+				}
+				catch (error)
+				{
+					this.exports = null;
+				}
+			}
+		}
+
+		return this.exports !== null;
+	},
+
+	/**
+	 * Gets a view of the module memory. This is fetched each time because the buffer changes if the memory grows.
+	 * @returns {Uint8Array} Returns the memory bytes
+	 */
+	memory: function()
+	{
+		return new Uint8Array(this.exports.memory.buffer);
+	},
+
+	/**
+	 * Writes the constants, key, nonce and counter into the input state in the module memory
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} nonce An 8-byte nonce
+	 * @param {Number|BigInt} counter The block counter (up to 2^64 - 1)
+	 */
+	setupInput: function(key, nonce, counter)
+	{
+		var memory = new DataView(this.exports.memory.buffer);
+		var inputWords = Salsa20.core.optimised.inputWords;
+
+		// Arrange the state with the optimised implementation, then copy the words in littleendian order
+		Salsa20.core.optimised.setupInput(key, nonce, counter);
+
+		for (var i = 0; i < 16; i++)
+		{
+			memory.setUint32(this.stateOffset + (i * 4), inputWords[i], true);
+		}
+
+		inputWords.fill(0);
+	},
+
+	/**
+	 * Erases the key and last block from the module memory, and the message or keystream bytes left at the data offset
+	 * @param {Number} dataLength Optional number of bytes used at the data offset
+	 */
+	erase: function(dataLength)
+	{
+		this.memory().fill(0, this.stateOffset, this.dataOffset + (dataLength || 0));
+	},
+
+	/**
+	 * The Salsa20 hash function on a 64 byte sequence, the same as Salsa20.core.hash
+	 * @param {Uint8Array} xBytes A 64 byte sequence
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns a 64 byte sequence
+	 */
+	hash: function(xBytes, rounds)
+	{
+		var memory = this.memory();
+
+		memory.set(xBytes, this.stateOffset);
+		this.exports.block(rounds || Salsa20.core.util.defaultRounds);
+
+		var resultBytes = memory.slice(this.blockOffset, this.blockOffset + 64);
+		this.erase();
+
+		return resultBytes;
+	},
+
+	/**
+	 * Generates the keystream, the same as Salsa20.core.generateKeystream. The keystream is the XOR of zero bytes.
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Number} lengthRequired The minimum length of the keystream required
+	 * @param {Uint8Array} nonce An 8-byte nonce
+	 * @param {Number|BigInt} counter An integer counter to start from
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes with the length as a multiple of the Salsa20 block size
+	 */
+	generateKeystream: function(key, lengthRequired, nonce, counter, rounds)
+	{
+		return this.encryption(key, new Uint8Array(Math.ceil(lengthRequired / 64) * 64), nonce, counter, rounds);
+	},
+
+	/**
+	 * Encrypts or decrypts, the same as Salsa20.core.encryption. The message is copied into the module memory and 
+	 * XORed with the keystream in chunks, so any length of message can be processed with a fixed size memory.
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} message An arbitrary length byte sequence for the plaintext or ciphertext message
+	 * @param {Uint8Array} nonce An 8-byte nonce
+	 * @param {Number|BigInt} counter An integer counter to start from
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes (the plaintext or ciphertext message)
+	 */
+	encryption: function(key, message, nonce, counter, rounds)
+	{
+		// The core functions also accept regular arrays, which need converting to be copied in parts
+		if ((message instanceof Uint8Array) === false)
+		{
+			message = new Uint8Array(message);
+		}
+
+		var messageLength = message.length;
+		var xoredBytes = new Uint8Array(messageLength);
+		var memory = this.memory();
+
+		this.setupInput(key, nonce, counter);
+
+		// The counter is kept in the module memory between chunks. Each chunk is a multiple of the block size.
+		for (var position = 0;  position < messageLength;  position += this.chunkByteLength)
+		{
+			var chunkLength = Math.min(this.chunkByteLength, messageLength - position);
+
+			memory.set(message.subarray(position, position + chunkLength), this.dataOffset);
+			this.exports.xorKeystream(this.dataOffset, chunkLength, rounds || Salsa20.core.util.defaultRounds);
+			xoredBytes.set(memory.subarray(this.dataOffset, this.dataOffset + chunkLength), position);
+		}
+
+		// The first chunk is the longest, so this covers every byte of the message and output written to the memory
+		this.erase(Math.min(this.chunkByteLength, messageLength));
+
+		return xoredBytes;
+	}
+};
+
+/**
+ * ChaCha20 wrapper interface functions for the user. ChaCha20 is a variant of Salsa20 by D. J. Bernstein with a 
+ * different quarterround and state layout. Two layouts are supported and selected by the nonce length:
+ *		The original layout with a 64-bit nonce and 64-bit block counter (the same nonce formats as Salsa20)
+ *		The RFC 8439 IETF layout with a 96-bit nonce and 32-bit block counter
+ */
+Salsa20.chacha20 = {
+
+	/**
+	 * A wrapper function for the ChaCha20 encryption of a message
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits. The IETF layout only accepts 256 bits.
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array|Number|BigInt} nonce A 96-bit nonce as a hexadecimal string of 24 symbols or byte array of 12 bytes for the IETF layout, otherwise a 64-bit nonce in the same formats as Salsa20.encrypt for the original layout
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start encrypting from. Normally a 0 should be passed, RFC 8439 protocols often start at 1. The maximum is 2^32 - 1 for the IETF layout and 2^64 - 1 for the original layout.
+	 * @param {Object} options Optional object with the same additional options as Salsa20.encrypt
+	 * @returns {Uint8Array|String} Returns an array of bytes or a hexadecimal string
+	 */
+	encrypt: function(key, message, nonce, counter, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		// Normalise the various input formats to what is required for the encryption function
+		message = Salsa20.core.util.parseMessage(message, options);
+		var inputs = this.parseInputs(key, nonce, counter, message.length);
+		var rounds = Salsa20.core.util.parseRounds(options);
+
+		// Encrypt starting from the specified counter
+		var encryptedBytes = this.core.encryption(inputs.key, message, inputs.nonce, inputs.counter, rounds);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(encryptedBytes);
+		}
+		else {
+			// By default return a byte array
+			return encryptedBytes;
+		}
+	},
+
+	/**
+	 * A wrapper function for the ChaCha20 decryption of a message
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits. The IETF layout only accepts 256 bits.
+	 * @param {String|Uint8Array} ciphertext The ciphertext message. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array|Number|BigInt} nonce A 96-bit nonce as a hexadecimal string of 24 symbols or byte array of 12 bytes for the IETF layout, otherwise a 64-bit nonce in the same formats as Salsa20.decrypt for the original layout
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start decrypting from
+	 * @param {Object} options Optional object with the same additional options as Salsa20.decrypt
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	decrypt: function(key, ciphertext, nonce, counter, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		// Normalise the various input formats to what is required for the encryption function
+		ciphertext = Salsa20.core.util.parseMessage(ciphertext, options);
+		var inputs = this.parseInputs(key, nonce, counter, ciphertext.length);
+		var rounds = Salsa20.core.util.parseRounds(options);
+
+		// Decrypt starting from the specified counter
+		var decryptedBytes = this.core.encryption(inputs.key, ciphertext, inputs.nonce, inputs.counter, rounds);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// Decode from bytes to UTF-8 string
+			return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+		}
+	},
+
+	/**
+	 * A wrapper function to generate a ChaCha20 keystream based on a key, nonce and start counter. The number of bytes 
+	 * returned will be the first multiple of the block size (64 bytes) at or after the 'length' parameter.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits. The IETF layout only accepts 256 bits.
+	 * @param {Number} length An integer representing the minimum length of the keystream required
+	 * @param {String|Uint8Array|Number|BigInt} nonce A 96-bit nonce as a hexadecimal string of 24 symbols or byte array of 12 bytes for the IETF layout, otherwise a 64-bit nonce in the same formats as Salsa20.generateKeystream for the original layout
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start keystream generation from
+	 * @param {Object} options Optional object with the same additional options as Salsa20.generateKeystream
+	 * @returns {Uint8Array|String} Returns an array of bytes or a hexadecimal string
+	 */
+	generateKeystream: function(key, length, nonce, counter, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		// Normalise the various input formats to what is required
+		var inputs = this.parseInputs(key, nonce, counter, length);
+		var rounds = Salsa20.core.util.parseRounds(options);
+
+		// Create the keystream
+		var keystream = this.core.generateKeystream(inputs.key, length, inputs.nonce, inputs.counter, rounds);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(keystream);
+		}
+		else {
+			// By default return a byte array
+			return keystream;
+		}
+	},
+
+	/**
+	 * Normalises the key, nonce and counter. The nonce length selects the layout, which determines the key sizes 
+	 * accepted and the maximum counter.
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array|Number|BigInt} nonce A 96-bit IETF nonce or a 64-bit original nonce
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start from
+	 * @param {Number} messageLength The message length in number of bytes
+	 * @returns {Object} Returns an object with the 'key', 'nonce' and 'counter'
+	 */
+	parseInputs: function(key, nonce, counter, messageLength)
+	{
+		key = Salsa20.core.util.parseKey(key);
+		nonce = Salsa20.core.util.parseChaCha20Nonce(nonce);
+
+		// The IETF layout has a 32-bit block counter and is only defined for 256 bit keys
+		if (nonce.length === 12)
+		{
+			if (key.length !== 32)
+			{
+				throw new Error('Incorrect key length for ChaCha20 with a 96-bit nonce, only 32 bytes (256 bits) accepted');
+			}
+
+			counter = Salsa20.core.util.parseCounter(counter, messageLength, this.core.ietfMaxCounter);
+		}
+		else {
+			counter = Salsa20.core.util.parseCounter(counter, messageLength);
+		}
+
+		return {
+			key: key,
+			nonce: nonce,
+			counter: counter
+		};
+	}
+};
+
+/**
+ * Core ChaCha20 functions from "ChaCha, a variant of Salsa20" by D. J. Bernstein and RFC 8439
+ */
+Salsa20.chacha20.core = {
+
+	/**
+	 * The shared helper utility functions
+	 * @type Object
+	 */
+	util: Salsa20.core.util,
+
+	/**
+	 * The maximum block counter for the IETF layout which has a 32-bit counter (2^32 - 1)
+	 * @type Number
+	 */
+	ietfMaxCounter: Math.pow(2, 32) - 1,
+
+	/**
+	 * The ChaCha quarterround function from Section 2.1 of RFC 8439
+	 * @param {Number} a A 32 bit decimal word
+	 * @param {Number} b A 32 bit decimal word
+	 * @param {Number} c A 32 bit decimal word
+	 * @param {Number} d A 32 bit decimal word
+	 * @returns {Uint32Array} Returns a modified array of the four 32 bit decimal words a, b, c, d
+	 */
+	quarterRound: function(a, b, c, d)
+	{
+		// a += b; d ^= a; d <<<= 16;
+		a = this.util.sumWords(a, b);
+		d = this.util.leftRotate(this.util.xorWords(d, a), 16);
+
+		// c += d; b ^= c; b <<<= 12;
+		c = this.util.sumWords(c, d);
+		b = this.util.leftRotate(this.util.xorWords(b, c), 12);
+
+		// a += b; d ^= a; d <<<= 8;
+		a = this.util.sumWords(a, b);
+		d = this.util.leftRotate(this.util.xorWords(d, a), 8);
+
+		// c += d; b ^= c; b <<<= 7;
+		c = this.util.sumWords(c, d);
+		b = this.util.leftRotate(this.util.xorWords(b, c), 7);
+
+		return new Uint32Array([a, b, c, d]);
+	},
+
+	/**
+	 * Applies the quarterround function to four words of the state in place
+	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
+	 * @param {Number} a The index of the first word
+	 * @param {Number} b The index of the second word
+	 * @param {Number} c The index of the third word
+	 * @param {Number} d The index of the fourth word
+	 */
+	quarterRoundState: function(xWords, a, b, c, d)
+	{
+		var transformedWords = this.quarterRound(xWords[a], xWords[b], xWords[c], xWords[d]);
+
+		xWords[a] = transformedWords[0];
+		xWords[b] = transformedWords[1];
+		xWords[c] = transformedWords[2];
+		xWords[d] = transformedWords[3];
+	},
+
+	/**
+	 * The column round which applies the quarterround to each column of the 4 x 4 state
+	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
+	 * @returns {Uint32Array} Returns a transformed 16-word array consisting of 32 bit decimal words
+	 */
+	columnRound: function(xWords)
+	{
+		var yWords = new Uint32Array(xWords);
+
+		this.quarterRoundState(yWords, 0, 4, 8, 12);
+		this.quarterRoundState(yWords, 1, 5, 9, 13);
+		this.quarterRoundState(yWords, 2, 6, 10, 14);
+		this.quarterRoundState(yWords, 3, 7, 11, 15);
+
+		return yWords;
+	},
+
+	/**
+	 * The diagonal round which applies the quarterround to each diagonal of the 4 x 4 state
+	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
+	 * @returns {Uint32Array} Returns a transformed 16-word array consisting of 32 bit decimal words
+	 */
+	diagonalRound: function(xWords)
+	{
+		var yWords = new Uint32Array(xWords);
+
+		this.quarterRoundState(yWords, 0, 5, 10, 15);
+		this.quarterRoundState(yWords, 1, 6, 11, 12);
+		this.quarterRoundState(yWords, 2, 7, 8, 13);
+		this.quarterRoundState(yWords, 3, 4, 9, 14);
+
+		return yWords;
+	},
+
+	/**
+	 * The double round, a column round followed by a diagonal round
+	 * @param {Uint32Array} xWords A 16-word array consisting of 32 bit decimal words
+	 * @returns {Uint32Array} Returns a transformed 16-word array consisting of 32 bit decimal words
+	 */
+	doubleRound: function(xWords)
+	{
+		return this.diagonalRound(this.columnRound(xWords));
+	},
+
+	/**
+	 * The ChaCha20 block function from Section 2.3 of RFC 8439
+	 * @param {Uint8Array} xBytes A 64-byte sequence of the initial state
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns a 64-byte keystream block
+	 */
+	block: function(xBytes, rounds)
+	{
+		var xWords = new Uint32Array(16);
+		var resultBytes = new Uint8Array(this.util.outputByteLength);
+
+		// Convert bytes to littleendian words
+		for (var i = 0, j = 0;  i < this.util.outputByteLength;  i += 4, j++)
+		{
+			xWords[j] = Salsa20.core.littleEndian(xBytes[i], xBytes[i + 1], xBytes[i + 2], xBytes[i + 3]);
+		}
+
+		// Perform the double round 10 times for 20 rounds, or fewer for the reduced round variants
+		var zWords = xWords;
+
+		for (var i = 0, doubleRounds = (rounds || this.util.defaultRounds) / 2;  i < doubleRounds;  i++)
+		{
+			zWords = this.doubleRound(zWords);
+		}
+
+		// Add the initial state to the result and serialise the words in littleendian order
+		for (var resultIndex = 0, i = 0;  i < 16;  resultIndex += 4, i++)
+		{
+			var sumWords = this.util.sumWords(zWords[i], xWords[i]);
+			var inverseEndianBytes = Salsa20.core.littleEndianInverse(sumWords);
+
+			this.util.updateArray(resultBytes, inverseEndianBytes, resultIndex);
+		}
+
+		return resultBytes;
+	},
+
+	/**
+	 * Arranges the constants, key, counter and nonce into the 64 byte initial state. The constants are the same 
+	 * "expand 32-byte k" and "expand 16-byte k" as Salsa20 but they are placed together in the first row.
+	 * @param {Uint8Array} counterAndNonce A 16 byte sequence of the littleendian block counter followed by the nonce
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @returns {Uint8Array} Returns the 64 byte initial state
+	 */
+	blockInput: function(counterAndNonce, key)
+	{
+		var inputBytes = new Uint8Array(64);
+		var constants = (key.length === 32) ? Salsa20.core.constants32 : Salsa20.core.constants16;
+
+		// cccccccc  cccccccc  cccccccc  cccccccc
+		for (var i = 0; i < 4; i++)
+		{
+			this.util.updateArray(inputBytes, constants[i], i * 4);
+		}
+
+		// kkkkkkkk  kkkkkkkk  kkkkkkkk  kkkkkkkk, a 128 bit key is repeated
+		this.util.updateArray(inputBytes, key, 16);
+		this.util.updateArray(inputBytes, key, 16 + (32 - key.length));
+
+		// bbbbbbbb  bbbbbbbb  nnnnnnnn  nnnnnnnn for the original layout or bbbbbbbb  nnnnnnnn  nnnnnnnn  nnnnnnnn for IETF
+		this.util.updateArray(inputBytes, counterAndNonce, 48);
+
+		return inputBytes;
+	},
+
+	/**
+	 * The HChaCha20 function from Section 2.2 of draft-irtf-cfrg-xchacha. This performs the same rounds as the block 
+	 * function on the constants, key and 16 byte nonce, but skips the final addition of the initial state. Words 
+	 * 0 - 3 and 12 - 15 then become a 32 byte subkey for use with XChaCha20.
+	 * @param {Uint8Array} key A 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} nonce The first 16 bytes of the 24 byte XChaCha20 nonce
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns a 32 byte sequence for the derived 256 bit subkey
+	 */
+	hchacha20: function(key, nonce, rounds)
+	{
+		var inputBytes = this.blockInput(nonce, key);
+		var xWords = new Uint32Array(16);
+		var subkeyBytes = new Uint8Array(32);
+
+		// Convert bytes to littleendian words
+		for (var i = 0, j = 0;  i < this.util.outputByteLength;  i += 4, j++)
+		{
+			xWords[j] = Salsa20.core.littleEndian(inputBytes[i], inputBytes[i + 1], inputBytes[i + 2], inputBytes[i + 3]);
+		}
+
+		// Perform the double round 10 times for 20 rounds, or fewer for the reduced round variants
+		var zWords = xWords;
+
+		for (var i = 0, doubleRounds = (rounds || this.util.defaultRounds) / 2;  i < doubleRounds;  i++)
+		{
+			zWords = this.doubleRound(zWords);
+		}
+
+		// Output littleendian −1 of words 0, 1, 2, 3, 12, 13, 14, 15 without adding the initial state
+		var subkeyWordIndexes = [0, 1, 2, 3, 12, 13, 14, 15];
+
+		for (var resultIndex = 0, i = 0;  i < 8;  resultIndex += 4, i++)
+		{
+			var inverseEndianBytes = Salsa20.core.littleEndianInverse(zWords[subkeyWordIndexes[i]]);
+
+			this.util.updateArray(subkeyBytes, inverseEndianBytes, resultIndex);
+		}
+
+		return subkeyBytes;
+	},
+
+	/**
+	 * Generates the keystream based on a key, nonce and start counter. The keystream will be at least the length 
+	 * of the lengthRequired parameter entered and a multiple of the block size (64 bytes).
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Number} lengthRequired The minimum length of the keystream required
+	 * @param {Uint8Array} nonce A 12-byte nonce for the IETF layout or an 8-byte nonce for the original layout
+	 * @param {Number|BigInt} counter An integer counter to start encryption/decryption from
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes with the length as a multiple of the block size
+	 */
+	generateKeystream: function(key, lengthRequired, nonce, counter, rounds)
+	{
+		// Find number of 64 byte keystream blocks and keystream bytes to create
+		var numBlocksToGenerate = Math.ceil(lengthRequired / this.util.outputByteLength);
+		var numKeystreamBytes = numBlocksToGenerate * this.util.outputByteLength;
+		var keystreamBytes = new Uint8Array(numKeystreamBytes);
+
+		// The counter takes up the bytes before the nonce, 4 bytes for IETF or 8 bytes for the original layout
+		var counterByteLength = 16 - nonce.length;
+		var counterBytes = this.util.numToEightByteArrayLittleEndian(counter);
+		var counterAndNonceBytes = new Uint8Array(16);
+
+		this.util.updateArray(counterAndNonceBytes, nonce, counterByteLength);
+
+		// Generate the keystream
+		for (var block = 0;  block < numKeystreamBytes;  block += 64)
+		{
+			// Put the littleendian counter bytes before the nonce
+			this.util.updateArray(counterAndNonceBytes, counterBytes.subarray(0, counterByteLength), 0);
+
+			// Generate a 64 byte keystream block
+			var blockBytes = this.block(this.blockInput(counterAndNonceBytes, key), rounds);
+
+			// Build output
+			this.util.updateArray(keystreamBytes, blockBytes, block);
+
+			// Move to the next block
+			this.util.incrementEightByteArrayLittleEndian(counterBytes);
+		}
+
+		return keystreamBytes;
+	},
+
+	/**
+	 * The ChaCha20 encryption function. This function is used for encryption and decryption.
+	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
+	 * @param {Uint8Array} message An arbitrary length byte sequence for the plaintext or ciphertext message
+	 * @param {Uint8Array} nonce A 12-byte nonce for the IETF layout or an 8-byte nonce for the original layout
+	 * @param {Number|BigInt} counter An integer counter to start encryption/decryption from
+	 * @param {Number} rounds Optional number of rounds, 8, 12 or 20 (the default)
+	 * @returns {Uint8Array} Returns an array of bytes (the plaintext or ciphertext message)
+	 */
+	encryption: function(key, message, nonce, counter, rounds)
+	{
+		var keystream = this.generateKeystream(key, message.length, nonce, counter, rounds);
+
+		return Salsa20.core.xorKeystreamAndMessage(keystream, message, message.length);
+	}
+};
+
+/**
+ * Poly1305 one-time authenticator by D. J. Bernstein as specified in RFC 8439 Section 2.5. The 32 byte one-time key 
+ * is split into r (which is clamped) and s. The message is processed in 16 byte blocks as a polynomial evaluated at r 
+ * modulo the prime 2^130 - 5, then s is added to give the 16 byte tag. A one-time key must never be used to 
+ * authenticate more than one message.
+ */
+Salsa20.poly1305 = {
+
+	/**
+	 * The length of the authentication tag in bytes
+	 * @type Number
+	 */
+	tagByteLength: 16,
+
+	/**
+	 * The length of a message block in bytes
+	 * @type Number
+	 */
+	blockByteLength: 16,
+
+	/**
+	 * The number of bits stored in each limb. The 130 bit accumulator is held in ten 13 bit limbs so that the products 
+	 * of limbs during multiplication never exceed the integer precision of JavaScript numbers.
+	 * @type Number
+	 */
+	limbBits: 13,
+
+	/**
+	 * Computes the Poly1305 authentication tag of a message in one step
+	 * @param {String|Uint8Array} key A one-time key as a hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} message The message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the tag as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 16 byte tag as an array of bytes or a hexadecimal string
+	 */
+	authenticate: function(key, message, options)
+	{
+		return this.create(key).update(message, options).finish(options);
+	},
+
+	/**
+	 * Computes the tag of a message and compares it in constant time to the tag which was received
+	 * @param {String|Uint8Array} key A one-time key as a hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} message The message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {String|Uint8Array} tag The received tag as a hexadecimal string of 32 symbols or an array of 16 bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 * @returns {Boolean} Returns true if the tag is valid for the message, otherwise false
+	 */
+	verify: function(key, message, tag, options)
+	{
+		// If a hexadecimal string, convert to bytes
+		if (typeof tag === 'string')
+		{
+			tag = Salsa20.core.util.hexToBytes(tag);
+		}
+
+		var expectedTag = this.authenticate(key, message, { inputTextType: (options || {}).inputTextType });
+
+		return Salsa20.core.util.constantTimeEqual(expectedTag, tag);
+	},
+
+	/**
+	 * Creates an authenticator for computing the tag incrementally. Call update() with each part of the message then 
+	 * call finish() once to get the tag.
+	 * @param {String|Uint8Array} key A one-time key as a hexadecimal string or array of bytes equal to 256 bits
+	 * @returns {Salsa20.poly1305.Authenticator} Returns a new authenticator
+	 */
+	create: function(key)
+	{
+		return new this.Authenticator(key);
+	},
+
+	/**
+	 * Converts up to 16 bytes of a little endian number into ten 13 bit limbs
+	 * @param {Uint8Array} bytes A sequence of bytes, least significant byte first
+	 * @param {Number} highByte The value of the 17th byte i.e. 1 to add 2^128 for a full message block, otherwise 0
+	 * @returns {Uint32Array} Returns the number as ten 13 bit limbs, least significant limb first
+	 */
+	bytesToLimbs: function(bytes, highByte)
+	{
+		var limbs = new Uint32Array(10);
+		var bitBuffer = 0;
+		var bitsInBuffer = 0;
+
+		// Feed in each byte and take out 13 bits at a time
+		for (var i = 0, limbIndex = 0;  i <= 16;  i++)
+		{
+			var byte = (i < 16) ? bytes[i] : highByte;
+
+			bitBuffer |= byte << bitsInBuffer;
+			bitsInBuffer += 8;
+
+			while ((bitsInBuffer >= this.limbBits) && (limbIndex < 10))
+			{
+				limbs[limbIndex++] = bitBuffer & 0x1fff;
+				bitBuffer >>>= this.limbBits;
+				bitsInBuffer -= this.limbBits;
+			}
+		}
+
+		return limbs;
+	},
+
+	/**
+	 * Converts ten 13 bit limbs into a 16 byte little endian number. Bits from 2^128 upwards are discarded.
+	 * @param {Uint32Array} limbs The number as ten fully carried 13 bit limbs, least significant limb first
+	 * @returns {Uint8Array} Returns 16 bytes, least significant byte first
+	 */
+	limbsToBytes: function(limbs)
+	{
+		var bytes = new Uint8Array(16);
+		var bitBuffer = 0;
+		var bitsInBuffer = 0;
+
+		// Feed in each limb and take out 8 bits at a time
+		for (var i = 0, byteIndex = 0;  i < 10;  i++)
+		{
+			bitBuffer |= limbs[i] << bitsInBuffer;
+			bitsInBuffer += this.limbBits;
+
+			while ((bitsInBuffer >= 8) && (byteIndex < 16))
+			{
+				bytes[byteIndex++] = bitBuffer & 0xff;
+				bitBuffer >>>= 8;
+				bitsInBuffer -= 8;
+			}
+		}
+
+		return bytes;
+	},
+
+	/**
+	 * Adds a 16 byte message block to the accumulator then multiplies the accumulator by r modulo 2^130 - 5
+	 * @param {Uint32Array} accumulator The accumulator h as ten 13 bit limbs, this is updated in place
+	 * @param {Uint32Array} r The clamped r part of the key as ten 13 bit limbs
+	 * @param {Uint8Array} block A 16 byte message block
+	 * @param {Number} highByte 1 for a full message block, 0 for the final block which has already been padded
+	 */
+	processBlock: function(accumulator, r, block, highByte)
+	{
+		var blockLimbs = this.bytesToLimbs(block, highByte);
+		var product = new Array(10);
+		var carry = 0;
+
+		// h += block
+		for (var i = 0; i < 10; i++)
+		{
+			accumulator[i] += blockLimbs[i];
+		}
+
+		// h *= r. Limb products which reach 2^130 or above wrap around multiplied by 5 because 2^130 = 5 (mod 2^130 - 5)
+		for (var i = 0; i < 10; i++)
+		{
+			product[i] = 0;
+
+			for (var j = 0; j < 10; j++)
+			{
+				product[i] += accumulator[j] * ((j <= i) ? r[i - j] : (5 * r[i + 10 - j]));
+			}
+		}
+
+		// Carry the products back into 13 bit limbs. Division is used because the products exceed 32 bits.
+		for (var i = 0; i < 10; i++)
+		{
+			product[i] += carry;
+			carry = Math.floor(product[i] / 8192);
+			accumulator[i] = product[i] % 8192;
+		}
+
+		// Wrap the carry out of the top limb around multiplied by 5
+		carry = (carry * 5) + accumulator[0];
+		accumulator[0] = carry % 8192;
+		accumulator[1] += Math.floor(carry / 8192);
+	},
+
+	/**
+	 * Fully reduces the accumulator modulo 2^130 - 5 and adds s to give the tag
+	 * @param {Uint32Array} accumulator The accumulator h as ten 13 bit limbs
+	 * @param {Uint8Array} s The s part of the key (16 bytes)
+	 * @returns {Uint8Array} Returns the 16 byte tag
+	 */
+	finalise: function(accumulator, s)
+	{
+		var reduced = new Uint32Array(10);
+		var carry = 0;
+
+		// Fully carry h so each limb is 13 bits, wrapping the carry out of the top limb around multiplied by 5. After 
+		// the second pass the value is only over 2^130 if it wrapped to a small number, so the final carry fits in limb 0.
+		for (var pass = 0; pass < 2; pass++)
+		{
+			for (var i = 0; i < 10; i++)
+			{
+				accumulator[i] += carry;
+				carry = accumulator[i] >>> this.limbBits;
+				accumulator[i] &= 0x1fff;
+			}
+
+			carry *= 5;
+		}
+
+		accumulator[0] += carry;
+
+		// Compute g = h + 5. If this carries out of bit 130 then h >= 2^130 - 5 and g - 2^130 is the reduced value.
+		carry = 5;
+
+		for (var i = 0; i < 10; i++)
+		{
+			reduced[i] = accumulator[i] + carry;
+			carry = reduced[i] >>> this.limbBits;
+			reduced[i] &= 0x1fff;
+		}
+
+		// Select h or g without branching, so the timing does not depend on the value
+		var mask = -carry;
+
+		for (var i = 0; i < 10; i++)
+		{
+			reduced[i] = (accumulator[i] & ~mask) | (reduced[i] & mask);
+		}
+
+		// tag = (h + s) mod 2^128
+		var hBytes = this.limbsToBytes(reduced);
+		var tag = new Uint8Array(this.tagByteLength);
+
+		for (var i = 0, sum = 0;  i < 16;  i++)
+		{
+			sum += hBytes[i] + s[i];
+			tag[i] = sum & 0xff;
+			sum >>>= 8;
+		}
+
+		return tag;
+	}
+};
+
+/**
+ * An incremental Poly1305 authenticator. Parts of the message are buffered until there is a full 16 byte block.
+ * @param {String|Uint8Array} key A one-time key as a hexadecimal string or array of bytes equal to 256 bits
+ */
+Salsa20.poly1305.Authenticator = function(key)
+{
+	key = Salsa20.core.util.parseKey(key);
+
+	// Poly1305 is only defined for 256 bit keys
+	if (key.length !== 32)
+	{
+		throw new Error('Incorrect key length for Poly1305, only 32 bytes (256 bits) accepted');
+	}
+
+	// Clamp r as required by the spec: r &= 0x0ffffffc0ffffffc0ffffffc0fffffff
+	var rBytes = new Uint8Array(16);
+	Salsa20.core.util.updateArray(rBytes, key.subarray(0, 16), 0);
+
+	rBytes[3] &= 15;
+	rBytes[7] &= 15;
+	rBytes[11] &= 15;
+	rBytes[15] &= 15;
+	rBytes[4] &= 252;
+	rBytes[8] &= 252;
+	rBytes[12] &= 252;
+
+	this.r = Salsa20.poly1305.bytesToLimbs(rBytes, 0);
+	this.s = new Uint8Array(16);
+	Salsa20.core.util.updateArray(this.s, key.subarray(16, 32), 0);
+
+	// The accumulator h and any leftover bytes which do not yet make up a full block
+	this.accumulator = new Uint32Array(10);
+	this.leftover = new Uint8Array(Salsa20.poly1305.blockByteLength);
+	this.leftoverLength = 0;
+	this.finished = false;
+};
+
+/**
+ * Adds part of the message to the authenticator
+ * @param {String|Uint8Array} message Part of the message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+ * @param {Object} options Optional object with additional options:
+ *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+ * @returns {Salsa20.poly1305.Authenticator} Returns the same authenticator so calls can be chained
+ */
+Salsa20.poly1305.Authenticator.prototype.update = function(message, options)
+{
+	if (this.finished)
+	{
+		throw new Error('The Poly1305 authenticator has already finished, create a new one with a new one-time key');
+	}
+
+	message = Salsa20.core.util.parseMessage(message, options);
+
+	var blockLength = Salsa20.poly1305.blockByteLength;
+	var messageLength = message.length;
+	var position = 0;
+
+	// Complete a leftover block from the previous update first
+	if (this.leftoverLength > 0)
+	{
+		while ((this.leftoverLength < blockLength) && (position < messageLength))
+		{
+			this.leftover[this.leftoverLength++] = message[position++];
+		}
+
+		if (this.leftoverLength < blockLength)
+		{
+			return this;
+		}
+
+		Salsa20.poly1305.processBlock(this.accumulator, this.r, this.leftover, 1);
+		this.leftoverLength = 0;
+	}
+
+	// Process the full blocks
+	for (;  position + blockLength <= messageLength;  position += blockLength)
+	{
+		Salsa20.poly1305.processBlock(this.accumulator, this.r, message.subarray(position, position + blockLength), 1);
+	}
+
+	// Keep the remaining bytes for the next update or the final block
+	while (position < messageLength)
+	{
+		this.leftover[this.leftoverLength++] = message[position++];
+	}
+
+	return this;
+};
+
+/**
+ * Processes the final block and returns the tag. The authenticator cannot be used after this.
+ * @param {Object} options Optional object with additional options:
+ *		returnType: 'hex' - Returns the tag as a hex string, otherwise by default it will return an array of bytes
+ * @returns {Uint8Array|String} Returns the 16 byte tag as an array of bytes or a hexadecimal string
+ */
+Salsa20.poly1305.Authenticator.prototype.finish = function(options)
+{
+	if (this.finished)
+	{
+		throw new Error('The Poly1305 authenticator has already finished, create a new one with a new one-time key');
+	}
+
+	// Pad the final partial block with a 1 byte followed by zeros. This takes the place of the 2^128 bit.
+	if (this.leftoverLength > 0)
+	{
+		var finalBlock = new Uint8Array(Salsa20.poly1305.blockByteLength);
+
+		Salsa20.core.util.updateArray(finalBlock, this.leftover.subarray(0, this.leftoverLength), 0);
+		finalBlock[this.leftoverLength] = 1;
+
+		Salsa20.poly1305.processBlock(this.accumulator, this.r, finalBlock, 0);
+	}
+
+	var tag = Salsa20.poly1305.finalise(this.accumulator, this.s);
+
+	// Erase the key and state
+	this.r.fill(0);
+	this.s.fill(0);
+	this.accumulator.fill(0);
+	this.leftover.fill(0);
+	this.finished = true;
+
+	// If the return type requested is hex, convert the bytes to hex
+	if (options && options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+	{
+		return Salsa20.core.util.bytesToHex(tag);
+	}
+	else {
+		// By default return a byte array
+		return tag;
+	}
+};
+
+/**
+ * Secret-key authenticated encryption compatible with crypto_secretbox_xsalsa20poly1305 (crypto_secretbox_easy) in 
+ * NaCl and libsodium. The message is encrypted with XSalsa20 and authenticated with Poly1305. As in NaCl, the first 
+ * 32 bytes of keystream block 0 are used as the one-time Poly1305 key and the message is encrypted with the keystream 
+ * from byte 32 onwards. The output is the 16 byte tag followed by the ciphertext.
+ */
+Salsa20.secretbox = {
+
+	/**
+	 * The length of the authentication tag in bytes which is added to the start of the ciphertext
+	 * @type Number
+	 */
+	tagByteLength: 16,
+
+	/**
+	 * The number of keystream bytes used for the one-time Poly1305 key
+	 * @type Number
+	 */
+	authKeyByteLength: 32,
+
+	/**
+	 * Encrypts and authenticates a message
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} nonce A 192-bit one time cryptographic nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the tag and ciphertext as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 16 byte tag followed by the ciphertext as an array of bytes or a hexadecimal string
+	 */
+	seal: function(message, nonce, key, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		message = Salsa20.core.util.parseMessage(message, options);
+
+		// Generate the one-time key and keystream, then encrypt
+		var keystream = this.generateKeystream(key, nonce, message.length);
+		var ciphertext = Salsa20.core.xorKeystreamAndMessage(keystream.messageKeystream, message, message.length);
+		var tag = Salsa20.poly1305.authenticate(keystream.authKey, ciphertext);
+
+		// Combine the tag and ciphertext
+		var sealedBytes = new Uint8Array(this.tagByteLength + ciphertext.length);
+		Salsa20.core.util.updateArray(sealedBytes, tag, 0);
+		Salsa20.core.util.updateArray(sealedBytes, ciphertext, this.tagByteLength);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(sealedBytes);
+		}
+		else {
+			// By default return a byte array
+			return sealedBytes;
+		}
+	},
+
+	/**
+	 * Verifies and decrypts a message created by seal(). An error is thrown if the ciphertext, tag or nonce have been 
+	 * modified or the wrong key is used, so no unauthenticated plaintext is ever returned.
+	 * @param {String|Uint8Array} sealedMessage The 16 byte tag followed by the ciphertext. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} nonce The same nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	open: function(sealedMessage, nonce, key, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		sealedMessage = Salsa20.core.util.parseMessage(sealedMessage, options);
+
+		// There must be at least a tag
+		if (sealedMessage.length < this.tagByteLength)
+		{
+			throw new Error('The sealed message is too short, it should be at least ' + this.tagByteLength + ' bytes for the tag');
+		}
+
+		var tag = sealedMessage.subarray(0, this.tagByteLength);
+		var ciphertext = sealedMessage.subarray(this.tagByteLength);
+
+		// Check the tag before decrypting anything
+		var keystream = this.generateKeystream(key, nonce, ciphertext.length);
+
+		if (Salsa20.poly1305.verify(keystream.authKey, ciphertext, tag) === false)
+		{
+			throw new Error('The message failed authentication, it may have been modified or the wrong key or nonce was used');
+		}
+
+		var decryptedBytes = Salsa20.core.xorKeystreamAndMessage(keystream.messageKeystream, ciphertext, ciphertext.length);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// Decode from bytes to UTF-8 string
+			return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+		}
+	},
+
+	/**
+	 * Generates the XSalsa20 keystream from counter 0 and splits off the one-time Poly1305 key from the start of it
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} nonce A hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {Number} messageLength The length of the message in bytes
+	 * @returns {Object} Returns an object with the 32 byte 'authKey' and the 'messageKeystream' for encrypting the message
+	 */
+	generateKeystream: function(key, nonce, messageLength)
+	{
+		var subkeyAndNonce = Salsa20.xsalsa20.deriveSubkeyAndNonce(key, nonce);
+		var keystreamLength = this.authKeyByteLength + messageLength;
+
+		// Check that enough keystream can be generated from counter 0 under this nonce
+		Salsa20.core.util.parseCounter(0, keystreamLength);
+
+		var keystream = Salsa20.core.generateKeystream(subkeyAndNonce.subkey, keystreamLength, subkeyAndNonce.nonce, 0);
+
+		return {
+			authKey: keystream.subarray(0, this.authKeyByteLength),
+			messageKeystream: keystream.subarray(this.authKeyByteLength)
+		};
+	}
+};
+
+/**
+ * The ChaCha20-Poly1305 authenticated encryption with associated data (AEAD) construction from Section 2.8 of RFC 8439. 
+ * The plaintext is encrypted with ChaCha20 starting from block counter 1 and the one-time Poly1305 key is the first 32 
+ * bytes of block 0. The tag authenticates both the ciphertext and the associated data, which is sent unencrypted e.g. 
+ * a protocol header. The output is the ciphertext followed by the 16 byte tag, compatible with libsodium's 
+ * crypto_aead_chacha20poly1305_ietf functions.
+ */
+Salsa20.chacha20poly1305 = {
+
+	/**
+	 * The length of the authentication tag in bytes which is added to the end of the ciphertext
+	 * @type Number
+	 */
+	tagByteLength: 16,
+
+	/**
+	 * Encrypts and authenticates a message and authenticates the associated data
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {String|Uint8Array} nonce A 96-bit one time cryptographic nonce as a hexadecimal string of 24 symbols or a byte array of 12 bytes
+	 * @param {String|Uint8Array} plaintext The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} aad Optional associated data which is authenticated but not encrypted, in the same formats as the plaintext
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The plaintext and associated data will be hex strings, otherwise by default they will be parsed as ASCII/UTF-8 strings
+	 *		returnType: 'hex' - Returns the ciphertext and tag as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the ciphertext followed by the 16 byte tag as an array of bytes or a hexadecimal string
+	 */
+	seal: function(key, nonce, plaintext, aad, options)
+	{
+		key = this.parseKey(key);
+
+		if (!((nonce instanceof Uint8Array) && (nonce.length === 12)) && !((typeof nonce === 'string') && (nonce.length === 24)))
+		{
+			throw new Error('Incorrect parameter for the nonce, it should be a hex string (24 symbols) or array of bytes (12 bytes)');
+		}
+
+		return this.sealWithSubkey(key, Salsa20.core.util.parseChaCha20Nonce(nonce), plaintext, aad, options);
+	},
+
+	/**
+	 * Verifies the tag and decrypts a message created by seal(). An error is thrown if the ciphertext, tag, associated 
+	 * data or nonce have been modified or the wrong key is used, so no unauthenticated plaintext is ever returned.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {String|Uint8Array} nonce The same nonce as a hexadecimal string of 24 symbols or a byte array of 12 bytes
+	 * @param {String|Uint8Array} ciphertext The ciphertext followed by the tag. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} aad The same associated data which was passed to seal()
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The ciphertext and associated data will be hex strings, otherwise by default the ciphertext is an array of bytes and the associated data is an ASCII/UTF-8 string or array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	open: function(key, nonce, ciphertext, aad, options)
+	{
+		key = this.parseKey(key);
+
+		if (!((nonce instanceof Uint8Array) && (nonce.length === 12)) && !((typeof nonce === 'string') && (nonce.length === 24)))
+		{
+			throw new Error('Incorrect parameter for the nonce, it should be a hex string (24 symbols) or array of bytes (12 bytes)');
+		}
+
+		return this.openWithSubkey(key, Salsa20.core.util.parseChaCha20Nonce(nonce), ciphertext, aad, options);
+	},
+
+	/**
+	 * Encrypts and authenticates with a parsed key and 12 byte nonce. This is shared with XChaCha20-Poly1305.
+	 * @param {Uint8Array} key A 32 byte key
+	 * @param {Uint8Array} nonce A 12 byte nonce
+	 * @param {String|Uint8Array} plaintext The plaintext message
+	 * @param {String|Uint8Array} aad Optional associated data
+	 * @param {Object} options Optional object with the inputTextType and returnType options
+	 * @returns {Uint8Array|String} Returns the ciphertext followed by the 16 byte tag
+	 */
+	sealWithSubkey: function(key, nonce, plaintext, aad, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		plaintext = Salsa20.core.util.parseMessage(plaintext, options);
+		aad = this.parseAssociatedData(aad, options);
+
+		// Encrypt from block counter 1, then authenticate with the one-time key from block 0
+		var ciphertext = this.encryption(key, nonce, plaintext);
+		var tag = this.computeTag(key, nonce, ciphertext, aad);
+
+		// Combine the ciphertext and tag
+		var sealedBytes = new Uint8Array(ciphertext.length + this.tagByteLength);
+		Salsa20.core.util.updateArray(sealedBytes, ciphertext, 0);
+		Salsa20.core.util.updateArray(sealedBytes, tag, ciphertext.length);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(sealedBytes);
+		}
+		else {
+			// By default return a byte array
+			return sealedBytes;
+		}
+	},
+
+	/**
+	 * Verifies and decrypts with a parsed key and 12 byte nonce. This is shared with XChaCha20-Poly1305.
+	 * @param {Uint8Array} key A 32 byte key
+	 * @param {Uint8Array} nonce A 12 byte nonce
+	 * @param {String|Uint8Array} ciphertext The ciphertext followed by the tag
+	 * @param {String|Uint8Array} aad Optional associated data
+	 * @param {Object} options Optional object with the inputTextType and returnType options
+	 * @returns {String} Returns the decrypted ASCII/UTF-8 string or hex string
+	 */
+	openWithSubkey: function(key, nonce, ciphertext, aad, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		var sealedBytes = Salsa20.core.util.parseMessage(ciphertext, options);
+		aad = this.parseAssociatedData(aad, options);
+
+		// There must be at least a tag
+		if (sealedBytes.length < this.tagByteLength)
+		{
+			throw new Error('The ciphertext is too short, it should be at least ' + this.tagByteLength + ' bytes for the tag');
+		}
+
+		var ciphertextBytes = sealedBytes.subarray(0, sealedBytes.length - this.tagByteLength);
+		var tag = sealedBytes.subarray(sealedBytes.length - this.tagByteLength);
+
+		// Check the tag before decrypting anything
+		var expectedTag = this.computeTag(key, nonce, ciphertextBytes, aad);
+
+		if (Salsa20.core.util.constantTimeEqual(expectedTag, tag) === false)
+		{
+			throw new Error('The message failed authentication, it may have been modified or the wrong key, nonce or associated data was used');
+		}
+
+		var decryptedBytes = this.encryption(key, nonce, ciphertextBytes);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// Decode from bytes to UTF-8 string
+			return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+		}
+	},
+
+	/**
+	 * Encrypts or decrypts with ChaCha20 starting from block counter 1, because block 0 is used for the one-time key
+	 * @param {Uint8Array} key A 32 byte key
+	 * @param {Uint8Array} nonce A 12 byte nonce
+	 * @param {Uint8Array} message The plaintext or ciphertext bytes
+	 * @returns {Uint8Array} Returns the ciphertext or plaintext bytes
+	 */
+	encryption: function(key, nonce, message)
+	{
+		// Check the message fits in the 32-bit block counter
+		var counter = Salsa20.core.util.parseCounter(1, message.length, Salsa20.chacha20.core.ietfMaxCounter);
+
+		return Salsa20.chacha20.core.encryption(key, message, nonce, counter);
+	},
+
+	/**
+	 * Computes the Poly1305 tag over the associated data and ciphertext as in Section 2.8 of RFC 8439:
+	 * aad | pad16(aad) | ciphertext | pad16(ciphertext) | le64(aad length) | le64(ciphertext length)
+	 * @param {Uint8Array} key A 32 byte key
+	 * @param {Uint8Array} nonce A 12 byte nonce
+	 * @param {Uint8Array} ciphertext The ciphertext bytes
+	 * @param {Uint8Array} aad The associated data bytes
+	 * @returns {Uint8Array} Returns the 16 byte tag
+	 */
+	computeTag: function(key, nonce, ciphertext, aad)
+	{
+		// The one-time key is the first 32 bytes of keystream block 0
+		var oneTimeKey = Salsa20.chacha20.core.generateKeystream(key, 32, nonce, 0).subarray(0, 32);
+		var authenticator = Salsa20.poly1305.create(oneTimeKey);
+
+		authenticator.update(aad);
+		authenticator.update(this.padding(aad.length));
+		authenticator.update(ciphertext);
+		authenticator.update(this.padding(ciphertext.length));
+		authenticator.update(Salsa20.core.util.numToEightByteArrayLittleEndian(aad.length));
+		authenticator.update(Salsa20.core.util.numToEightByteArrayLittleEndian(ciphertext.length));
+
+		return authenticator.finish();
+	},
+
+	/**
+	 * Creates the zero bytes needed to pad data to a multiple of 16 bytes
+	 * @param {Number} length The length of the data in bytes
+	 * @returns {Uint8Array} Returns from 0 to 15 zero bytes
+	 */
+	padding: function(length)
+	{
+		return new Uint8Array((16 - (length % 16)) % 16);
+	},
+
+	/**
+	 * Parses the key which must be 256 bits
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @returns {Uint8Array} Returns the 32 byte key
+	 */
+	parseKey: function(key)
+	{
+		key = Salsa20.core.util.parseKey(key);
+
+		// The AEAD constructions are only defined for 256 bit keys
+		if (key.length !== 32)
+		{
+			throw new Error('Incorrect key length for ChaCha20-Poly1305, only 32 bytes (256 bits) accepted');
+		}
+
+		return key;
+	},
+
+	/**
+	 * Parses the optional associated data, which is empty if it is not set
+	 * @param {String|Uint8Array} aad The associated data as an array of bytes, ASCII/UTF-8 string or hex string
+	 * @param {Object} options Optional object with the inputTextType option
+	 * @returns {Uint8Array} Returns the associated data bytes
+	 */
+	parseAssociatedData: function(aad, options)
+	{
+		if ((typeof aad === 'undefined') || (aad === null))
+		{
+			return new Uint8Array(0);
+		}
+
+		return Salsa20.core.util.parseMessage(aad, options);
+	}
+};
+
+/**
+ * The XChaCha20-Poly1305 AEAD construction from draft-irtf-cfrg-xchacha. This extends the nonce to 192 bits so it is 
+ * safe to generate randomly. A subkey is derived with HChaCha20 from the key and first 16 bytes of the nonce, then 
+ * ChaCha20-Poly1305 is used with the subkey and a 12 byte nonce of 4 zero bytes followed by the last 8 bytes of the 
+ * nonce. This is compatible with libsodium's crypto_aead_xchacha20poly1305_ietf functions.
+ */
+Salsa20.xchacha20poly1305 = {
+
+	/**
+	 * Encrypts and authenticates a message and authenticates the associated data
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {String|Uint8Array} nonce A 192-bit one time cryptographic nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} plaintext The plaintext message in the same formats as Salsa20.chacha20poly1305.seal
+	 * @param {String|Uint8Array} aad Optional associated data which is authenticated but not encrypted
+	 * @param {Object} options Optional object with the same additional options as Salsa20.chacha20poly1305.seal
+	 * @returns {Uint8Array|String} Returns the ciphertext followed by the 16 byte tag as an array of bytes or a hexadecimal string
+	 */
+	seal: function(key, nonce, plaintext, aad, options)
+	{
+		var subkeyAndNonce = this.deriveSubkeyAndNonce(key, nonce);
+
+		return Salsa20.chacha20poly1305.sealWithSubkey(subkeyAndNonce.subkey, subkeyAndNonce.nonce, plaintext, aad, options);
+	},
+
+	/**
+	 * Verifies the tag and decrypts a message created by seal(). An error is thrown if authentication fails.
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 256 bits
+	 * @param {String|Uint8Array} nonce The same nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} ciphertext The ciphertext followed by the tag in the same formats as Salsa20.chacha20poly1305.open
+	 * @param {String|Uint8Array} aad The same associated data which was passed to seal()
+	 * @param {Object} options Optional object with the same additional options as Salsa20.chacha20poly1305.open
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	open: function(key, nonce, ciphertext, aad, options)
+	{
+		var subkeyAndNonce = this.deriveSubkeyAndNonce(key, nonce);
+
+		return Salsa20.chacha20poly1305.openWithSubkey(subkeyAndNonce.subkey, subkeyAndNonce.nonce, ciphertext, aad, options);
+	},
+
+	/**
+	 * Normalises the key and nonce, then derives the subkey with HChaCha20 from the first 16 bytes of the nonce
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} nonce A hex string of 48 symbols or a byte array of 24 bytes
+	 * @returns {Object} Returns an object with the 32 byte 'subkey' and the 12 byte 'nonce'
+	 */
+	deriveSubkeyAndNonce: function(key, nonce)
+	{
+		key = Salsa20.chacha20poly1305.parseKey(key);
+		nonce = Salsa20.core.util.parseExtendedNonce(nonce);
+
+		// The 12 byte nonce is 4 zero bytes followed by the last 8 bytes of the extended nonce
+		var subNonce = new Uint8Array(12);
+		Salsa20.core.util.updateArray(subNonce, nonce.subarray(16, 24), 4);
+
+		return {
+			subkey: Salsa20.chacha20.core.hchacha20(key, nonce.subarray(0, 16)),
+			nonce: subNonce
+		};
+	}
+};
+
+/**
+ * The SHA-256 hash function from FIPS 180-4, with HMAC-SHA256 (RFC 2104) and PBKDF2-HMAC-SHA256 (RFC 8018). These 
+ * are needed by scrypt, which uses PBKDF2 to spread the password and salt into the blocks mixed by Salsa20/8 and to 
+ * compress the mixed blocks into the derived key.
+ */
+Salsa20.sha256 = {
+
+	/**
+	 * The length of the hash in bytes
+	 * @type Number
+	 */
+	outputByteLength: 32,
+
+	/**
+	 * The length of a message block in bytes
+	 * @type Number
+	 */
+	blockByteLength: 64,
+
+	/**
+	 * The first 32 bits of the fractional parts of the cube roots of the first 64 primes (Section 4.2.2 of FIPS 180-4)
+	 * @type Uint32Array
+	 */
+	roundConstants: new Uint32Array([
+		0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+		0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+		0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+		0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+		0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+		0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+		0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+		0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+	]),
+
+	/**
+	 * The first 32 bits of the fractional parts of the square roots of the first 8 primes (Section 5.3.3 of FIPS 180-4)
+	 * @type Array
+	 */
+	initialHashValues: [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19],
+
+	/**
+	 * Computes the SHA-256 hash of a message
+	 * @param {String|Uint8Array} message The message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the hash as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 32 byte hash as an array of bytes or a hexadecimal string
+	 */
+	hash: function(message, options)
+	{
+		var hashBytes = this.digest(Salsa20.core.util.parseMessage(message, options));
+
+		return this.formatOutput(hashBytes, options);
+	},
+
+	/**
+	 * Computes the HMAC-SHA256 of a message
+	 * @param {String|Uint8Array} key The key of any length as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {String|Uint8Array} message The message in the same formats as the key
+	 * @param {Object} options Optional object with the same inputTextType and returnType options as hash
+	 * @returns {Uint8Array|String} Returns the 32 byte authentication code as an array of bytes or a hexadecimal string
+	 */
+	hmac: function(key, message, options)
+	{
+		key = Salsa20.core.util.parseMessage(key, options);
+		message = Salsa20.core.util.parseMessage(message, options);
+
+		return this.formatOutput(this.hmacDigest(key, message), options);
+	},
+
+	/**
+	 * Derives a key from a password with PBKDF2-HMAC-SHA256
+	 * @param {String|Uint8Array} password The password as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {String|Uint8Array} salt The salt in the same formats as the password
+	 * @param {Number} iterations The number of iterations, at least 1
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes
+	 * @param {Object} options Optional object with the same inputTextType and returnType options as hash
+	 * @returns {Uint8Array|String} Returns the derived key as an array of bytes or a hexadecimal string
+	 */
+	pbkdf2: function(password, salt, iterations, derivedKeyLength, options)
+	{
+		password = Salsa20.core.util.parseMessage(password, options);
+		salt = Salsa20.core.util.parseMessage(salt, options);
+
+		// Throw exception if not a positive integer
+		if ((typeof iterations !== 'number') || (iterations % 1 !== 0) || (iterations < 1))
+		{
+			throw new Error('The number of iterations should be a positive integer');
+		}
+
+		// The derived key length is limited to (2^32 - 1) hash lengths by the 32-bit block index
+		if ((typeof derivedKeyLength !== 'number') || (derivedKeyLength % 1 !== 0) || (derivedKeyLength < 1) || (derivedKeyLength > 137438953440))
+		{
+			throw new Error('The derived key length should be an integer from 1 to 137438953440 bytes');
+		}
+
+		return this.formatOutput(this.pbkdf2Digest(password, salt, iterations, derivedKeyLength), options);
+	},
+
+	/**
+	 * Converts the output bytes to the requested return type
+	 * @param {Uint8Array} bytes The output bytes
+	 * @param {Object} options Optional object with the returnType option
+	 * @returns {Uint8Array|String} Returns the array of bytes or a hexadecimal string
+	 */
+	formatOutput: function(bytes, options)
+	{
+		// If the return type requested is hex, convert the bytes to hex
+		if (options && options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(bytes);
+		}
+		else {
+			// By default return a byte array
+			return bytes;
+		}
+	},
+
+	/**
+	 * Computes the SHA-256 hash of an array of bytes
+	 * @param {Uint8Array} messageBytes The message bytes
+	 * @returns {Uint8Array} Returns the 32 byte hash
+	 */
+	digest: function(messageBytes)
+	{
+		var messageLength = messageBytes.length;
+
+		// Pad with a 1 bit, then zeros, then the 64-bit message length in bits so the length is a multiple of 64 bytes
+		var paddedLength = Math.ceil((messageLength + 9) / this.blockByteLength) * this.blockByteLength;
+		var paddedBytes = new Uint8Array(paddedLength);
+		var bitLength = messageLength * 8;
+
+		paddedBytes.set(messageBytes, 0);
+		paddedBytes[messageLength] = 0x80;
+
+		// The length is written in big endian order. Division is used because it can exceed 32 bits.
+		for (var i = 1; i <= 8; i++)
+		{
+			paddedBytes[paddedLength - i] = bitLength % 256;
+			bitLength = Math.floor(bitLength / 256);
+		}
+
+		var state = new Uint32Array(this.initialHashValues);
+		var schedule = new Uint32Array(64);
+
+		// Process each 64 byte block
+		for (var offset = 0; offset < paddedLength; offset += this.blockByteLength)
+		{
+			this.compress(state, schedule, paddedBytes, offset);
+		}
+
+		// Output the state words in big endian order
+		var hashBytes = new Uint8Array(this.outputByteLength);
+
+		for (var i = 0; i < 8; i++)
+		{
+			hashBytes[i * 4] = state[i] >>> 24;
+			hashBytes[(i * 4) + 1] = state[i] >>> 16;
+			hashBytes[(i * 4) + 2] = state[i] >>> 8;
+			hashBytes[(i * 4) + 3] = state[i];
+		}
+
+		return hashBytes;
+	},
+
+	/**
+	 * The SHA-256 compression function from Section 6.2.2 of FIPS 180-4. Updates the hash state with one block.
+	 * @param {Uint32Array} state The 8 word hash state
+	 * @param {Uint32Array} schedule A 64 word array to use for the message schedule
+	 * @param {Uint8Array} bytes The padded message bytes
+	 * @param {Number} offset The index of the block in the bytes
+	 */
+	compress: function(state, schedule, bytes, offset)
+	{
+		var k = this.roundConstants;
+
+		// Prepare the message schedule, the first 16 words are the block in big endian order
+		for (var t = 0; t < 16; t++)
+		{
+			var index = offset + (t * 4);
+
+			schedule[t] = (bytes[index] << 24) | (bytes[index + 1] << 16) | (bytes[index + 2] << 8) | bytes[index + 3];
+		}
+
+		for (var t = 16; t < 64; t++)
+		{
+			var w2 = schedule[t - 2];
+			var w15 = schedule[t - 15];
+			var sigma1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+			var sigma0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+
+			schedule[t] = sigma1 + schedule[t - 7] + sigma0 + schedule[t - 16];
+		}
+
+		var a = state[0], b = state[1], c = state[2], d = state[3], e = state[4], f = state[5], g = state[6], h = state[7];
+
+		// The 64 rounds. The additions are truncated to 32 bits with |0.
+		for (var t = 0; t < 64; t++)
+		{
+			var bigSigma1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+			var choose = (e & f) ^ (~e & g);
+			var temp1 = (h + bigSigma1 + choose + k[t] + schedule[t]) | 0;
+			var bigSigma0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+			var majority = (a & b) ^ (a & c) ^ (b & c);
+			var temp2 = (bigSigma0 + majority) | 0;
+
+			h = g;
+			g = f;
+			f = e;
+			e = (d + temp1) | 0;
+			d = c;
+			c = b;
+			b = a;
+			a = (temp1 + temp2) | 0;
+		}
+
+		// Add the working variables to the state, the Uint32Array truncates to 32 bits
+		state[0] += a;
+		state[1] += b;
+		state[2] += c;
+		state[3] += d;
+		state[4] += e;
+		state[5] += f;
+		state[6] += g;
+		state[7] += h;
+	},
+
+	/**
+	 * Computes HMAC-SHA256 of an array of bytes (RFC 2104)
+	 * @param {Uint8Array} keyBytes The key bytes of any length
+	 * @param {Uint8Array} messageBytes The message bytes
+	 * @returns {Uint8Array} Returns the 32 byte authentication code
+	 */
+	hmacDigest: function(keyBytes, messageBytes)
+	{
+		// Keys longer than the block size are hashed first
+		if (keyBytes.length > this.blockByteLength)
+		{
+			keyBytes = this.digest(keyBytes);
+		}
+
+		var innerBytes = new Uint8Array(this.blockByteLength + messageBytes.length);
+		var outerBytes = new Uint8Array(this.blockByteLength + this.outputByteLength);
+
+		// XOR the zero padded key with the inner pad 0x36 and outer pad 0x5c
+		for (var i = 0; i < this.blockByteLength; i++)
+		{
+			var keyByte = (i < keyBytes.length) ? keyBytes[i] : 0;
+
+			innerBytes[i] = keyByte ^ 0x36;
+			outerBytes[i] = keyByte ^ 0x5c;
+		}
+
+		// H((K ^ opad) || H((K ^ ipad) || message))
+		innerBytes.set(messageBytes, this.blockByteLength);
+		outerBytes.set(this.digest(innerBytes), this.blockByteLength);
+
+		return this.digest(outerBytes);
+	},
+
+	/**
+	 * Derives a key with PBKDF2-HMAC-SHA256 from Section 5.2 of RFC 8018
+	 * @param {Uint8Array} passwordBytes The password bytes
+	 * @param {Uint8Array} saltBytes The salt bytes
+	 * @param {Number} iterations The number of iterations
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes
+	 * @returns {Uint8Array} Returns the derived key
+	 */
+	pbkdf2Digest: function(passwordBytes, saltBytes, iterations, derivedKeyLength)
+	{
+		var derivedKey = new Uint8Array(derivedKeyLength);
+		var saltAndIndex = new Uint8Array(saltBytes.length + 4);
+
+		saltAndIndex.set(saltBytes, 0);
+
+		// Each block of the derived key is T_i = U_1 ^ U_2 ^ ... ^ U_c
+		for (var blockIndex = 1, offset = 0;  offset < derivedKeyLength;  blockIndex++, offset += this.outputByteLength)
+		{
+			// U_1 = PRF(P, S || INT(i)), where INT(i) is the 32-bit block index in big endian order
+			saltAndIndex[saltBytes.length] = blockIndex >>> 24;
+			saltAndIndex[saltBytes.length + 1] = blockIndex >>> 16;
+			saltAndIndex[saltBytes.length + 2] = blockIndex >>> 8;
+			saltAndIndex[saltBytes.length + 3] = blockIndex;
+
+			var u = this.hmacDigest(passwordBytes, saltAndIndex);
+			var t = u.slice(0);
+
+			// U_j = PRF(P, U_{j-1})
+			for (var j = 1; j < iterations; j++)
+			{
+				u = this.hmacDigest(passwordBytes, u);
+
+				for (var i = 0; i < this.outputByteLength; i++)
+				{
+					t[i] ^= u[i];
+				}
+			}
+
+			// The last block is truncated to the derived key length
+			derivedKey.set(t.subarray(0, Math.min(this.outputByteLength, derivedKeyLength - offset)), offset);
+		}
+
+		return derivedKey;
+	}
+};
+
+/**
+ * The scrypt password-based key derivation function from RFC 7914. The password and salt are spread into p blocks 
+ * with PBKDF2-HMAC-SHA256. Each block is mixed by ROMix, which fills N blocks of memory with the BlockMix function 
+ * built on the Salsa20/8 core and then reads them back in a password dependent order, which makes the function 
+ * expensive in both time and memory. The mixed blocks are compressed into the derived key with PBKDF2 again.
+ */
+Salsa20.core.scrypt = {
+
+	/**
+	 * The number of rounds of the Salsa20 core used by BlockMix i.e. Salsa20/8
+	 * @type Number
+	 */
+	rounds: 8,
+
+	/**
+	 * Derives a key with scrypt
+	 * @param {Uint8Array} password The password bytes
+	 * @param {Uint8Array} salt The salt bytes
+	 * @param {Number} N The CPU/memory cost, a power of 2 greater than 1
+	 * @param {Number} r The block size
+	 * @param {Number} p The parallelisation
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes
+	 * @returns {Uint8Array} Returns the derived key
+	 */
+	deriveKey: function(password, salt, N, r, p, derivedKeyLength)
+	{
+		var state = this.start(password, salt, N, r, p, derivedKeyLength);
+
+		this.mix(state, state.totalSteps);
+
+		return this.finish(state);
+	},
+
+	/**
+	 * Checks the scrypt parameters are in the ranges from Section 2 of RFC 7914
+	 * @param {Number} N The CPU/memory cost, a power of 2 greater than 1
+	 * @param {Number} r The block size
+	 * @param {Number} p The parallelisation
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes
+	 */
+	checkParameters: function(N, r, p, derivedKeyLength)
+	{
+		var isPositiveInteger = function(value)
+		{
+			return (typeof value === 'number') && (value % 1 === 0) && (value >= 1);
+		};
+
+		// r * p < 2^30, checked first because the limit on N depends on r
+		if ((isPositiveInteger(r) === false) || (isPositiveInteger(p) === false) || ((r * p) >= 1073741824))
+		{
+			throw new Error('The scrypt block size r and parallelisation p should be positive integers with r * p less than 2^30');
+		}
+
+		// N must be a power of 2 so the block index can be taken modulo N, and less than 2^(128 * r / 8)
+		if ((isPositiveInteger(N) === false) || (N < 2) || (N > 4294967296) || ((N & (N - 1)) !== 0) || ((r < 16) && (N >= Math.pow(2, 16 * r))))
+		{
+			throw new Error('The scrypt cost parameter N should be a power of 2 greater than 1 and less than 2^(16 * r)');
+		}
+
+		// The derived key length is limited by PBKDF2 to (2^32 - 1) * 32 bytes
+		if ((isPositiveInteger(derivedKeyLength) === false) || (derivedKeyLength > 137438953440))
+		{
+			throw new Error('The derived key length should be an integer from 1 to 137438953440 bytes');
+		}
+	},
+
+	/**
+	 * Creates the state for mixing. The blocks are held as 32-bit words read in littleendian order, as in Section 8 
+	 * of the Salsa20 spec, so the Salsa20/8 core can work on them directly.
+	 * @param {Uint8Array} password The password bytes
+	 * @param {Uint8Array} salt The salt bytes
+	 * @param {Number} N The CPU/memory cost
+	 * @param {Number} r The block size
+	 * @param {Number} p The parallelisation
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes
+	 * @returns {Object} Returns the state object
+	 */
+	start: function(password, salt, N, r, p, derivedKeyLength)
+	{
+		var blockWordLength = 32 * r;
+
+		// B = PBKDF2-HMAC-SHA256(P, S, 1, p * 128 * r)
+		var blockBytes = Salsa20.sha256.pbkdf2Digest(password, salt, 1, p * blockWordLength * 4);
+		var blockWords = new Uint32Array(p * blockWordLength);
+
+		for (var i = 0; i < blockWords.length; i++)
+		{
+			blockWords[i] = Salsa20.core.optimised.readWord(blockBytes, i * 4);
+		}
+
+		return {
+			password: password,
+			N: N,
+			r: r,
+			p: p,
+			derivedKeyLength: derivedKeyLength,
+			blockWordLength: blockWordLength,
+			blockWords: blockWords,
+			x: new Uint32Array(blockWordLength),
+			y: new Uint32Array(blockWordLength),
+			v: new Uint32Array(N * blockWordLength),
+			stepsDone: 0,
+			totalSteps: 2 * N * p
+		};
+	},
+
+	/**
+	 * Runs the next steps of ROMix on each block. Each block takes 2 * N steps, the first N fill the memory V and 
+	 * the last N read it back. Each step is one BlockMix.
+	 * @param {Object} state The state object from start
+	 * @param {Number} maxSteps The maximum number of steps to run
+	 */
+	mix: function(state, maxSteps)
+	{
+		var N = state.N;
+		var blockWordLength = state.blockWordLength;
+		var lastWordIndex = (2 * state.r - 1) * 16;
+		var stepsToStop = Math.min(state.stepsDone + maxSteps, state.totalSteps);
+
+		while (state.stepsDone < stepsToStop)
+		{
+			var blockOffset = Math.floor(state.stepsDone / (2 * N)) * blockWordLength;
+			var step = state.stepsDone % (2 * N);
+			var x = state.x;
+
+			// X = B
+			if (step === 0)
+			{
+				x.set(state.blockWords.subarray(blockOffset, blockOffset + blockWordLength));
+			}
+
+			if (step < N)
+			{
+				// V_i = X, then X = BlockMix(X)
+				state.v.set(x, step * blockWordLength);
+			}
+			else {
+				// j = Integerify(X) mod N, the first word of the last 64 byte block. Then X = BlockMix(X ^ V_j).
+				var vOffset = (x[lastWordIndex] % N) * blockWordLength;
+
+				for (var i = 0; i < blockWordLength; i++)
+				{
+					x[i] ^= state.v[vOffset + i];
+				}
+			}
+
+			this.blockMix(x, state.y, state.r);
+
+			// The output of BlockMix becomes the next input
+			state.x = state.y;
+			state.y = x;
+			state.stepsDone++;
+
+			// B' = X
+			if (step === (2 * N) - 1)
+			{
+				state.blockWords.set(state.x, blockOffset);
+			}
+		}
+	},
+
+	/**
+	 * Compresses the mixed blocks into the derived key and erases the state
+	 * @param {Object} state The state object from start, after all the steps have been run
+	 * @returns {Uint8Array} Returns the derived key
+	 */
+	finish: function(state)
+	{
+		var blockBytes = new Uint8Array(state.blockWords.length * 4);
+
+		for (var i = 0; i < state.blockWords.length; i += 16)
+		{
+			Salsa20.core.optimised.writeWords(state.blockWords.subarray(i, i + 16), blockBytes, i * 4);
+		}
+
+		// DK = PBKDF2-HMAC-SHA256(P, B', 1, dkLen)
+		var derivedKey = Salsa20.sha256.pbkdf2Digest(state.password, blockBytes, 1, state.derivedKeyLength);
+
+		blockBytes.fill(0);
+		this.erase(state);
+
+		return derivedKey;
+	},
+
+	/**
+	 * Overwrites the password dependent memory with zeros
+	 * @param {Object} state The state object from start
+	 */
+	erase: function(state)
+	{
+		state.blockWords.fill(0);
+		state.x.fill(0);
+		state.y.fill(0);
+		state.v.fill(0);
+
+		// BlockMix uses the working state of the optimised implementation
+		Salsa20.core.optimised.erase();
+	},
+
+	/**
+	 * The scrypt BlockMix function from Section 4 of RFC 7914 with the Salsa20/8 core. The output blocks are in the 
+	 * order Y_0, Y_2, ..., Y_{2r-2}, Y_1, Y_3, ..., Y_{2r-1}.
+	 * @param {Uint32Array} input The 2 * r input blocks of 16 words
+	 * @param {Uint32Array} output The array to write the 2 * r output blocks to
+	 * @param {Number} r The block size
+	 */
+	blockMix: function(input, output, r)
+	{
+		var core = Salsa20.core.optimised;
+		var words = core.inputWords;
+		var lastBlockOffset = (2 * r - 1) * 16;
+
+		// X = B_{2r-1}
+		for (var i = 0; i < 16; i++)
+		{
+			words[i] = input[lastBlockOffset + i];
+		}
+
+		for (var block = 0; block < 2 * r; block++)
+		{
+			// X = Salsa20/8(X ^ B_i)
+			for (var i = 0; i < 16; i++)
+			{
+				words[i] ^= input[(block * 16) + i];
+			}
+
+			var result = core.block(this.rounds);
+
+			// Even blocks go in the first half of the output and odd blocks in the second half
+			var outputOffset = ((block % 2) * r + (block >> 1)) * 16;
+
+			for (var i = 0; i < 16; i++)
+			{
+				output[outputOffset + i] = result[i];
+				words[i] = result[i];
+			}
+		}
+	}
+};
+
+/**
+ * Password-based encryption. A 256 bit key is derived from the password with scrypt and a new random salt, then the
+ * message is encrypted with XSalsa20-Poly1305 (secretbox) using a new random nonce. Everything needed to decrypt
+ * apart from the password is stored in the envelope:
+ *
+ *		Byte 0			Format version (1)
+ *		Byte 1			Key derivation function (1 = scrypt)
+ *		Byte 2			log2(N), the scrypt cost parameter
+ *		Bytes 3 - 6		r, the scrypt block size as a 32 bit littleendian integer
+ *		Bytes 7 - 10		p, the scrypt parallelisation as a 32 bit littleendian integer
+ *		Bytes 11 - 26		Salt (16 bytes)
+ *		Bytes 27 - 50		Nonce (24 bytes)
+ *		Bytes 51 - 66		Poly1305 tag (16 bytes)
+ *		Bytes 67 onwards	Ciphertext
+ *
+ * The header is not authenticated separately, but changing the parameters or salt changes the derived key, so the tag
+ * check fails the same way as for a modified ciphertext.
+ */
+Salsa20.passwordEnvelope = {
+
+	/**
+	 * The format version
+	 * @type Number
+	 */
+	version: 1,
+
+	/**
+	 * The ID of the scrypt key derivation function
+	 * @type Number
+	 */
+	scryptId: 1,
+
+	/**
+	 * The length of the random salt in bytes
+	 * @type Number
+	 */
+	saltByteLength: 16,
+
+	/**
+	 * The length of the XSalsa20 nonce in bytes
+	 * @type Number
+	 */
+	nonceByteLength: 24,
+
+	/**
+	 * The length of the header before the salt in bytes
+	 * @type Number
+	 */
+	parametersByteLength: 11,
+
+	/**
+	 * The default scrypt parameters, which use 32 MiB of memory
+	 * @type Object
+	 */
+	defaultParameters: { N: 32768, r: 8, p: 1 },
+
+	/**
+	 * The default limit on the memory needed by the scrypt parameters read from an envelope, 128 * r * (N + p) bytes. 
+	 * This stops a modified envelope from making decryption use all the memory available.
+	 * @type Number
+	 */
+	defaultMaxMemoryByteLength: 268435456,
+
+	/**
+	 * The default limit on the work needed by the scrypt parameters read from an envelope, N * r * p. This is 16 times 
+	 * the work of the default parameters, and stops a modified envelope with a large p from making decryption run for 
+	 * a very long time.
+	 * @type Number
+	 */
+	defaultMaxWork: 4194304,
+
+	/**
+	 * Derives a key and encrypts the message into an envelope
+	 * @param {Uint8Array} password The password bytes
+	 * @param {Uint8Array} message The message bytes
+	 * @param {Object} parameters The scrypt N, r and p parameters
+	 * @returns {Uint8Array} Returns the envelope
+	 */
+	seal: function(password, message, parameters)
+	{
+		var salt = Salsa20.core.util.randomBytes(this.saltByteLength);
+		var nonce = Salsa20.core.util.randomBytes(this.nonceByteLength);
+		var key = Salsa20.core.scrypt.deriveKey(password, salt, parameters.N, parameters.r, parameters.p, 32);
+		var sealedMessage = Salsa20.secretbox.seal(message, nonce, key);
+		var headerByteLength = this.parametersByteLength + this.saltByteLength + this.nonceByteLength;
+		var envelope = new Uint8Array(headerByteLength + sealedMessage.length);
+
+		// Write the header then the tag and ciphertext
+		envelope[0] = this.version;
+		envelope[1] = this.scryptId;
+		envelope[2] = Math.round(Math.log(parameters.N) / Math.LN2);
+		this.writeUint32LittleEndian(envelope, 3, parameters.r);
+		this.writeUint32LittleEndian(envelope, 7, parameters.p);
+		Salsa20.core.util.updateArray(envelope, salt, this.parametersByteLength);
+		Salsa20.core.util.updateArray(envelope, nonce, this.parametersByteLength + this.saltByteLength);
+		Salsa20.core.util.updateArray(envelope, sealedMessage, headerByteLength);
+
+		// Erase the key
+		key.fill(0);
+
+		return envelope;
+	},
+
+	/**
+	 * Reads the header, derives the key and decrypts the envelope. An error is thrown if the envelope is not valid or
+	 * fails authentication.
+	 * @param {Uint8Array} password The password bytes
+	 * @param {Uint8Array} envelope The envelope bytes
+	 * @param {Number} maxMemoryByteLength The maximum memory the scrypt parameters may need
+	 * @param {Number} maxWork The maximum work the scrypt parameters may need, N * r * p
+	 * @returns {Uint8Array} Returns the decrypted message bytes
+	 */
+	open: function(password, envelope, maxMemoryByteLength, maxWork)
+	{
+		var headerByteLength = this.parametersByteLength + this.saltByteLength + this.nonceByteLength;
+
+		// There must be at least a header and a tag
+		if (envelope.length < headerByteLength + Salsa20.secretbox.tagByteLength)
+		{
+			throw new Error('The envelope is too short, it should be at least ' + (headerByteLength + Salsa20.secretbox.tagByteLength) + ' bytes');
+		}
+
+		if (envelope[0] !== this.version)
+		{
+			throw new Error('The envelope version ' + envelope[0] + ' is not supported');
+		}
+
+		if (envelope[1] !== this.scryptId)
+		{
+			throw new Error('The envelope key derivation function ' + envelope[1] + ' is not supported');
+		}
+
+		var N = Math.pow(2, envelope[2]);
+		var r = this.readUint32LittleEndian(envelope, 3);
+		var p = this.readUint32LittleEndian(envelope, 7);
+
+		Salsa20.core.scrypt.checkParameters(N, r, p, 32);
+
+		// Check the memory needed for the p blocks of B and the N blocks of V before allocating it. The parameters come 
+		// from the envelope, which is not authenticated until after the key has been derived.
+		if (128 * r * (N + p) > maxMemoryByteLength)
+		{
+			throw new Error('The envelope scrypt parameters need ' + (128 * r * (N + p)) + ' bytes of memory, more than the limit of ' + maxMemoryByteLength + ' bytes');
+		}
+
+		// Check the work needed before starting, each of the p blocks is mixed 2 * N times
+		if (N * r * p > maxWork)
+		{
+			throw new Error('The envelope scrypt parameters need ' + (N * r * p) + ' work (N * r * p), more than the limit of ' + maxWork);
+		}
+
+		var salt = envelope.subarray(this.parametersByteLength, this.parametersByteLength + this.saltByteLength);
+		var nonce = envelope.subarray(this.parametersByteLength + this.saltByteLength, headerByteLength);
+		var tag = envelope.subarray(headerByteLength, headerByteLength + Salsa20.secretbox.tagByteLength);
+		var ciphertext = envelope.subarray(headerByteLength + Salsa20.secretbox.tagByteLength);
+
+		// Derive the key and check the tag before decrypting anything
+		var key = Salsa20.core.scrypt.deriveKey(password, salt, N, r, p, 32);
+		var keystream = Salsa20.secretbox.generateKeystream(key, nonce, ciphertext.length);
+
+		key.fill(0);
+
+		if (Salsa20.poly1305.verify(keystream.authKey, ciphertext, tag) === false)
+		{
+			throw new Error('The envelope failed authentication, the password may be wrong or the envelope has been modified');
+		}
+
+		return Salsa20.core.xorKeystreamAndMessage(keystream.messageKeystream, ciphertext, ciphertext.length);
+	},
+
+	/**
+	 * Writes a 32 bit unsigned integer in littleendian order
+	 * @param {Uint8Array} bytes The array to write to
+	 * @param {Number} offset The index of the first byte
+	 * @param {Number} value The integer
+	 */
+	writeUint32LittleEndian: function(bytes, offset, value)
+	{
+		bytes[offset] = value & 0xff;
+		bytes[offset + 1] = (value >>> 8) & 0xff;
+		bytes[offset + 2] = (value >>> 16) & 0xff;
+		bytes[offset + 3] = (value >>> 24) & 0xff;
+	},
+
+	/**
+	 * Reads a 32 bit unsigned integer in littleendian order
+	 * @param {Uint8Array} bytes The array to read from
+	 * @param {Number} offset The index of the first byte
+	 * @returns {Number} Returns the integer
+	 */
+	readUint32LittleEndian: function(bytes, offset)
+	{
+		return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+	}
+};
+
+/**
+ * A cryptographically secure random number generator built on the Salsa20 keystream, with fast key erasure from
+ * "Fast-key-erasure random-number generators" by D. J. Bernstein. For each request the keystream is generated under
+ * the current key, the first 32 bytes replace the key and the rest is the output. The old key is overwritten, so the
+ * output of earlier requests can't be recovered if the state is compromised later. It is seeded from the Web Crypto
+ * API or the Node.js crypto module on first use and reseeded with fresh entropy every reseedInterval requests.
+ */
+Salsa20.random = {
+
+	/**
+	 * The number of requests after which new entropy is mixed into the key
+	 * @type Number
+	 */
+	reseedInterval: 1024,
+
+	/**
+	 * The 256 bit key, which is null until seeded
+	 * @type Uint8Array
+	 */
+	currentKey: null,
+
+	/**
+	 * The number of requests since the last reseed
+	 * @type Number
+	 */
+	requestCount: 0,
+
+	/**
+	 * The nonce is always zero because the key is different for every request
+	 * @type Uint8Array
+	 */
+	nonce: new Uint8Array(8),
+
+	/**
+	 * Gets random bytes
+	 * @param {Number} length The number of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the bytes as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the random bytes as an array of bytes or a hexadecimal string
+	 */
+	bytes: function(length, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		if ((typeof length !== 'number') || (length % 1 !== 0) || (length < 0) || (length > Salsa20.core.util.maxInteger - 32))
+		{
+			throw new Error('The number of random bytes should be a non-negative integer');
+		}
+
+		var randomBytes = this.generate(length);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(randomBytes);
+		}
+		else {
+			// By default return a byte array
+			return randomBytes;
+		}
+	},
+
+	/**
+	 * Gets a random 32 bit unsigned integer
+	 * @returns {Number} Returns an integer from 0 to 2^32 - 1
+	 */
+	uint32: function()
+	{
+		var randomBytes = this.generate(4);
+
+		return (randomBytes[0] | (randomBytes[1] << 8) | (randomBytes[2] << 16) | (randomBytes[3] << 24)) >>> 0;
+	},
+
+	/**
+	 * Gets a random integer from a range without modulo bias. Values from the top of the random range which would make
+	 * some results more likely than others are rejected and a new value is drawn.
+	 * @param {Number} min The smallest integer which can be returned
+	 * @param {Number} max The largest integer which can be returned
+	 * @returns {Number} Returns an integer from min to max inclusive
+	 */
+	int: function(min, max)
+	{
+		var isSafeInteger = function(value)
+		{
+			return (typeof value === 'number') && (value % 1 === 0) && (Math.abs(value) <= Salsa20.core.util.maxInteger);
+		};
+
+		// The range size must be representable exactly
+		if ((isSafeInteger(min) === false) || (isSafeInteger(max) === false) || (min > max) || (max - min >= Salsa20.core.util.maxInteger))
+		{
+			throw new Error('The minimum and maximum should be integers with the minimum not more than the maximum and a range less than 2^53 - 1');
+		}
+
+		var rangeSize = max - min + 1;
+
+		// Use 32 bit values for small ranges, otherwise 53 bit values
+		var valueCount = (rangeSize <= 4294967296) ? 4294967296 : 9007199254740992;
+		var limit = valueCount - (valueCount % rangeSize);
+
+		do {
+			var value = (valueCount === 4294967296) ? this.uint32() : this.uint53();
+		}
+		while (value >= limit);
+
+		return min + (value % rangeSize);
+	},
+
+	/**
+	 * Shuffles an array in place with the Fisher-Yates shuffle
+	 * @param {Array|Uint8Array} array An array or typed array
+	 * @returns {Array|Uint8Array} Returns the same array
+	 */
+	shuffle: function(array)
+	{
+		if ((array === null) || (typeof array !== 'object') || (typeof array.length !== 'number'))
+		{
+			throw new Error('Only arrays and typed arrays can be shuffled');
+		}
+
+		// Swap each element with a random element at or before it
+		for (var i = array.length - 1;  i > 0;  i--)
+		{
+			var j = this.int(0, i);
+			var element = array[i];
+
+			array[i] = array[j];
+			array[j] = element;
+		}
+
+		return array;
+	},
+
+	/**
+	 * Generates a random key for use with the encryption functions
+	 * @param {Number} bits The key size, 128 or 256 (the default)
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the key as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the key as an array of bytes or a hexadecimal string
+	 */
+	key: function(bits, options)
+	{
+		bits = (typeof bits === 'undefined') ? 256 : bits;
+
+		if ((bits !== 128) && (bits !== 256))
+		{
+			throw new Error('The key size should be 128 or 256 bits');
+		}
+
+		return this.bytes(bits / 8, options);
+	},
+
+	/**
+	 * Mixes new entropy from the system random number generator into the key, along with optional extra input from the
+	 * user. This is done automatically on first use and every reseedInterval requests.
+	 * @param {String|Uint8Array} additionalInput Optional extra bytes or ASCII/UTF-8 string to mix in
+	 */
+	reseed: function(additionalInput)
+	{
+		var entropy = Salsa20.core.util.randomBytes(32);
+		var extraBytes = (typeof additionalInput === 'undefined') ? new Uint8Array(0) : Salsa20.core.util.parseMessage(additionalInput, {});
+
+		// Hash the next 32 bytes of output, which don't depend on the new entropy, together with the new entropy
+		var previousKeyBytes = (this.currentKey === null) ? new Uint8Array(32) : this.generate(32, true);
+		var seedMaterial = new Uint8Array(previousKeyBytes.length + entropy.length + extraBytes.length);
+
+		Salsa20.core.util.updateArray(seedMaterial, previousKeyBytes, 0);
+		Salsa20.core.util.updateArray(seedMaterial, entropy, 32);
+		Salsa20.core.util.updateArray(seedMaterial, extraBytes, 64);
+
+		this.currentKey = Salsa20.sha256.digest(seedMaterial);
+		this.requestCount = 0;
+
+		// Erase the seed material
+		previousKeyBytes.fill(0);
+		entropy.fill(0);
+		seedMaterial.fill(0);
+	},
+
+	/**
+	 * Gets a random 53 bit unsigned integer from a 32 bit and a 21 bit part
+	 * @returns {Number} Returns an integer from 0 to 2^53 - 1
+	 */
+	uint53: function()
+	{
+		var randomBytes = this.generate(7);
+		var low = (randomBytes[0] | (randomBytes[1] << 8) | (randomBytes[2] << 16) | (randomBytes[3] << 24)) >>> 0;
+		var high = randomBytes[4] | (randomBytes[5] << 8) | ((randomBytes[6] & 0x1f) << 16);
+
+		return (high * 4294967296) + low;
+	},
+
+	/**
+	 * Generates the output for one request and replaces the key with the first 32 bytes of the keystream
+	 * @param {Number} length The number of bytes of output
+	 * @param {Boolean} skipReseed Whether to skip the reseed check, used while reseeding
+	 * @returns {Uint8Array} Returns the output bytes
+	 */
+	generate: function(length, skipReseed)
+	{
+		// Seed on first use and reseed periodically
+		if ((skipReseed !== true) && ((this.currentKey === null) || (this.requestCount >= this.reseedInterval)))
+		{
+			this.reseed();
+		}
+
+		var keystream = Salsa20.core.generateKeystream(this.currentKey, 32 + length, this.nonce, 0);
+		var output = keystream.slice(32, 32 + length);
+
+		// Replace the key and erase the rest of the keystream
+		this.currentKey.fill(0);
+		this.currentKey = keystream.slice(0, 32);
+		keystream.fill(0);
+
+		this.requestCount++;
+
+		return output;
+	}
+};
+
+/**
+ * A self-describing container which keeps the ciphertext together with everything needed to decrypt it apart from
+ * the key. The keystream block at the start counter gives a one-time Poly1305 key, as in secretbox and RFC 8439, and
+ * the message is encrypted from the next block. The tag covers the header and the ciphertext, so a container which
+ * has been modified in any way is rejected before decrypting.
+ *
+ *		Bytes 0 - 3		Magic number 'S20C'
+ *		Byte 4			Format version (1)
+ *		Byte 5			Algorithm ID (1 = Salsa20/20, 2 = Salsa20/12, 3 = Salsa20/8, 4 = XSalsa20/20)
+ *		Byte 6			Key ID length in bytes (0 if there is no key ID)
+ *		Next 8 or 24 bytes	Nonce, 8 bytes for Salsa20 and 24 bytes for XSalsa20
+ *		Next 8 bytes		Start counter as a 64 bit littleendian integer
+ *		Next 0 - 255 bytes	Key ID
+ *		Next bytes		Ciphertext
+ *		Last 16 bytes		Poly1305 tag
+ */
+Salsa20.container = {
+
+	/**
+	 * The magic number at the start of every container, 'S20C' in ASCII
+	 * @type Uint8Array
+	 */
+	magic: new Uint8Array([0x53, 0x32, 0x30, 0x43]),
+
+	/**
+	 * The format version
+	 * @type Number
+	 */
+	version: 1,
+
+	/**
+	 * The length of the Poly1305 tag in bytes
+	 * @type Number
+	 */
+	tagByteLength: 16,
+
+	/**
+	 * The supported algorithms by ID
+	 * @type Object
+	 */
+	algorithms: {
+		1: { algorithm: 'salsa20', rounds: 20, nonceByteLength: 8 },
+		2: { algorithm: 'salsa20', rounds: 12, nonceByteLength: 8 },
+		3: { algorithm: 'salsa20', rounds: 8, nonceByteLength: 8 },
+		4: { algorithm: 'xsalsa20', rounds: 20, nonceByteLength: 24 }
+	},
+
+	/**
+	 * Encrypts a message into a container
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 128 bits or 256 bits, or only 256 bits for XSalsa20
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {Object} options Optional object with additional options:
+	 *		algorithm: 'salsa20'|'xsalsa20' - The cipher, XSalsa20 by default
+	 *		rounds: 8|12|20 - The number of rounds for Salsa20, otherwise by default it will use 20 rounds
+	 *		nonce: String|Uint8Array|Number|BigInt - The nonce in any format accepted by the cipher. A random nonce is generated by default for XSalsa20, but it is required for Salsa20 because random 64 bit nonces are likely to repeat
+	 *		counter: Number|BigInt|Uint8Array - The start counter, 0 by default
+	 *		keyId: String|Uint8Array - Optional ASCII/UTF-8 string or up to 255 bytes identifying the key, stored unencrypted
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the container as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the container as an array of bytes or a hexadecimal string
+	 */
+	pack: function(key, message, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		var algorithm = options.hasOwnProperty('algorithm') ? options.algorithm : 'xsalsa20';
+		var rounds = Salsa20.core.util.parseRounds(options);
+		var algorithmId = this.getAlgorithmId(algorithm, rounds);
+		var nonceByteLength = this.algorithms[algorithmId].nonceByteLength;
+
+		// A random 64 bit nonce is likely to repeat after about 2^32 messages with the same key, which reveals the XOR 
+		// of the two messages. Only the 192 bit XSalsa20 nonce is large enough to be chosen at random.
+		if ((algorithm !== 'xsalsa20') && !options.hasOwnProperty('nonce'))
+		{
+			throw new Error('A nonce should be given for Salsa20 containers, random nonces are only safe with XSalsa20');
+		}
+
+		// Parse the inputs, the keystream block at the start counter is used for the Poly1305 key
+		message = Salsa20.core.util.parseMessage(message, options);
+		var nonce = options.hasOwnProperty('nonce') ? options.nonce : Salsa20.core.util.randomBytes(nonceByteLength);
+		nonce = (algorithm === 'xsalsa20') ? Salsa20.core.util.parseExtendedNonce(nonce) : Salsa20.core.util.parseNonce(nonce);
+		var counter = Salsa20.core.util.parseCounter(options.hasOwnProperty('counter') ? options.counter : 0, Salsa20.core.util.outputByteLength + message.length);
+		var keyId = options.hasOwnProperty('keyId') ? Salsa20.core.util.parseMessage(options.keyId, {}) : new Uint8Array(0);
+
+		if (keyId.length > 255)
+		{
+			throw new Error('The key ID should be at most 255 bytes');
+		}
+
+		// Write the header
+		var headerByteLength = 7 + nonceByteLength + 8 + keyId.length;
+		var container = new Uint8Array(headerByteLength + message.length + this.tagByteLength);
+
+		Salsa20.core.util.updateArray(container, this.magic, 0);
+		container[4] = this.version;
+		container[5] = algorithmId;
+		container[6] = keyId.length;
+		Salsa20.core.util.updateArray(container, nonce, 7);
+		Salsa20.core.util.updateArray(container, Salsa20.core.util.numToEightByteArrayLittleEndian(counter), 7 + nonceByteLength);
+		Salsa20.core.util.updateArray(container, keyId, 15 + nonceByteLength);
+
+		// Encrypt from the block after the start counter, then authenticate the header and ciphertext
+		var cipherKeyAndNonce = this.getCipherKeyAndNonce(key, nonce, algorithm);
+		var authKey = Salsa20.core.generateKeystream(cipherKeyAndNonce.key, 32, cipherKeyAndNonce.nonce, counter, rounds).subarray(0, 32);
+		var ciphertext = Salsa20.core.encryption(cipherKeyAndNonce.key, message, cipherKeyAndNonce.nonce, Salsa20.core.util.addToCounter(counter, 1), rounds);
+
+		Salsa20.core.util.updateArray(container, ciphertext, headerByteLength);
+
+		var tag = Salsa20.poly1305.authenticate(authKey, container.subarray(0, headerByteLength + ciphertext.length));
+
+		Salsa20.core.util.updateArray(container, tag, headerByteLength + ciphertext.length);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(container);
+		}
+		else {
+			// By default return a byte array
+			return container;
+		}
+	},
+
+	/**
+	 * Verifies and decrypts a container created by pack(). An error is thrown if the container is not valid, has been
+	 * modified or the wrong key is used, so no unauthenticated plaintext is ever returned.
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array} container The container. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	unpack: function(key, container, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		container = Salsa20.core.util.parseMessage(container, options);
+
+		var header = this.parseHeader(container);
+		var ciphertextEnd = container.length - this.tagByteLength;
+		var ciphertext = container.subarray(header.headerByteLength, ciphertextEnd);
+		var tag = container.subarray(ciphertextEnd);
+
+		// Check the counter leaves room for the Poly1305 key block and the ciphertext
+		Salsa20.core.util.parseCounter(header.counter, Salsa20.core.util.outputByteLength + ciphertext.length);
+
+		// Check the tag before decrypting anything
+		var cipherKeyAndNonce = this.getCipherKeyAndNonce(key, header.nonce, header.algorithm);
+		var authKey = Salsa20.core.generateKeystream(cipherKeyAndNonce.key, 32, cipherKeyAndNonce.nonce, header.counter, header.rounds).subarray(0, 32);
+
+		if (Salsa20.poly1305.verify(authKey, container.subarray(0, ciphertextEnd), tag) === false)
+		{
+			throw new Error('The container failed authentication, it may have been modified or the wrong key was used');
+		}
+
+		var decryptedBytes = Salsa20.core.encryption(cipherKeyAndNonce.key, ciphertext, cipherKeyAndNonce.nonce, Salsa20.core.util.addToCounter(header.counter, 1), header.rounds);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// Decode from bytes to UTF-8 string
+			return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+		}
+	},
+
+	/**
+	 * Reads the header of a container without decrypting it e.g. to find the key from the key ID. The header is not
+	 * verified until the container is unpacked.
+	 * @param {String|Uint8Array} container The container as an array of bytes or a hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the nonce and key ID as hex strings, otherwise by default they will be arrays of bytes
+	 * @returns {Object} Returns an object with the 'version', 'algorithm', 'rounds', 'nonce', 'counter' and 'keyId' (null if there is none)
+	 */
+	readHeader: function(container, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		var header = this.parseHeader(Salsa20.core.util.parseMessage(container, options));
+		var returnHex = options.hasOwnProperty('returnType') && (options.returnType === 'hex');
+
+		return {
+			version: header.version,
+			algorithm: header.algorithm,
+			rounds: header.rounds,
+			nonce: returnHex ? Salsa20.core.util.bytesToHex(header.nonce) : header.nonce,
+			counter: header.counter,
+			keyId: (header.keyId === null) ? null : (returnHex ? Salsa20.core.util.bytesToHex(header.keyId) : header.keyId)
+		};
+	},
+
+	/**
+	 * Checks the magic number, version and lengths and splits the header into its fields
+	 * @param {Uint8Array} container The container bytes
+	 * @returns {Object} Returns the header fields and the 'headerByteLength'
+	 */
+	parseHeader: function(container)
+	{
+		// The magic number, version, algorithm and key ID length come first
+		if ((container.length < 7) || (Salsa20.core.util.constantTimeEqual(container.subarray(0, 4), this.magic) === false))
+		{
+			throw new Error('The data is not a Salsa20 container');
+		}
+
+		if (container[4] !== this.version)
+		{
+			throw new Error('The container version ' + container[4] + ' is not supported');
+		}
+
+		if (this.algorithms.hasOwnProperty(container[5]) === false)
+		{
+			throw new Error('The container algorithm ID ' + container[5] + ' is not supported');
+		}
+
+		var algorithm = this.algorithms[container[5]];
+		var keyIdByteLength = container[6];
+		var counterIndex = 7 + algorithm.nonceByteLength;
+		var headerByteLength = counterIndex + 8 + keyIdByteLength;
+
+		if (container.length < headerByteLength + this.tagByteLength)
+		{
+			throw new Error('The container is too short, it should be at least ' + (headerByteLength + this.tagByteLength) + ' bytes');
+		}
+
+		return {
+			version: container[4],
+			algorithm: algorithm.algorithm,
+			rounds: algorithm.rounds,
+			nonce: container.slice(7, counterIndex),
+			counter: Salsa20.core.util.parseCounter(container.slice(counterIndex, counterIndex + 8), 0),
+			keyId: (keyIdByteLength > 0) ? container.slice(counterIndex + 8, headerByteLength) : null,
+			headerByteLength: headerByteLength
+		};
+	},
+
+	/**
+	 * Gets the algorithm ID for an algorithm name and number of rounds
+	 * @param {String} algorithm The algorithm name, 'salsa20' or 'xsalsa20'
+	 * @param {Number} rounds The number of rounds
+	 * @returns {Number} Returns the algorithm ID
+	 */
+	getAlgorithmId: function(algorithm, rounds)
+	{
+		for (var id in this.algorithms)
+		{
+			if ((this.algorithms[id].algorithm === algorithm) && (this.algorithms[id].rounds === rounds))
+			{
+				return Number(id);
+			}
+		}
+
+		throw new Error('The container algorithm should be salsa20 with 8, 12 or 20 rounds, or xsalsa20 with 20 rounds');
+	},
+
+	/**
+	 * Gets the key and 8 byte nonce for the Salsa20 core, using HSalsa20 to derive the subkey for XSalsa20
+	 * @param {String|Uint8Array} key The key
+	 * @param {Uint8Array} nonce The 8 or 24 byte nonce
+	 * @param {String} algorithm The algorithm name
+	 * @returns {Object} Returns an object with the 'key' and 'nonce'
+	 */
+	getCipherKeyAndNonce: function(key, nonce, algorithm)
+	{
+		if (algorithm === 'xsalsa20')
+		{
+			var subkeyAndNonce = Salsa20.xsalsa20.deriveSubkeyAndNonce(key, nonce);
+
+			return { key: subkeyAndNonce.subkey, nonce: subkeyAndNonce.nonce };
+		}
+
+		return { key: Salsa20.core.util.parseKey(key), nonce: nonce };
+	}
+};
+
+/**
+ * A chunked authenticated encryption stream in the style of libsodium's secretstream, for long-lived streams or files
+ * which are too large to authenticate in one piece. Each chunk is encrypted and authenticated on its own, so it can be
+ * verified as soon as it arrives. The chunk index is mixed into the nonce and the last chunk carries a final flag, so
+ * reordered, repeated, dropped and truncated chunks are all detected.
+ *
+ * The 24 byte header is random. As in XSalsa20, HSalsa20 of the key and the first 16 bytes of the header gives the
+ * stream key and the last 8 bytes give the base nonce. Chunk i uses the base nonce XOR i as its Salsa20 nonce: the first
+ * 32 bytes of block 0 are the one-time Poly1305 key and the flag byte followed by the message is encrypted from
+ * block 1. Each chunk is the encrypted flag byte, the ciphertext and a 16 byte tag of the associated data length,
+ * associated data and encrypted bytes. After a chunk with the rekey flag the stream key is replaced with keystream from
+ * the last block of that chunk's nonce, which is never used for encryption, and the chunk index starts from 0 again.
+ */
+Salsa20.secretstream = {
+
+	/**
+	 * The length of the random header in bytes
+	 * @type Number
+	 */
+	headerByteLength: 24,
+
+	/**
+	 * The length of the tag in bytes
+	 * @type Number
+	 */
+	tagByteLength: 16,
+
+	/**
+	 * The flag values in the encrypted flag byte at the start of each chunk
+	 * @type Object
+	 */
+	flags: {
+		message: 0,
+		final: 1,
+		rekey: 2
+	},
+
+	/**
+	 * Creates the sending side of a stream. The header it creates must be sent before the first chunk.
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {Object} options Optional object with additional options:
+	 *		rekeyInterval: Number - Sets the rekey flag on every chunk after this many chunks, by default the key is only changed when requested
+	 * @returns {Salsa20.secretstream.Pusher} Returns a new pusher
+	 */
+	createPush: function(key, options)
+	{
+		return new this.Pusher(key, options);
+	},
+
+	/**
+	 * Creates the receiving side of a stream
+	 * @param {String|Uint8Array} key The same key as a hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} header The 24 byte header from the pusher as a hexadecimal string or array of bytes
+	 * @returns {Salsa20.secretstream.Puller} Returns a new puller
+	 */
+	createPull: function(key, header)
+	{
+		return new this.Puller(key, header);
+	},
+
+	/**
+	 * Derives the stream key and base nonce from the key and header
+	 * @param {String|Uint8Array} key The key
+	 * @param {Uint8Array} header The 24 byte header
+	 * @returns {Object} Returns the state with the 'key', 'nonce' and chunk 'index'
+	 */
+	init: function(key, header)
+	{
+		var subkeyAndNonce = Salsa20.xsalsa20.deriveSubkeyAndNonce(key, header);
+
+		return {
+			key: subkeyAndNonce.subkey,
+			nonce: subkeyAndNonce.nonce.slice(0),
+			index: 0
+		};
+	},
+
+	/**
+	 * Gets the Salsa20 nonce for the current chunk, the base nonce XOR the littleendian chunk index
+	 * @param {Object} state The stream state
+	 * @returns {Uint8Array} Returns the 8 byte nonce
+	 */
+	getChunkNonce: function(state)
+	{
+		var indexBytes = Salsa20.core.util.numToEightByteArrayLittleEndian(state.index);
+		var chunkNonce = new Uint8Array(8);
+
+		for (var i = 0; i < 8; i++)
+		{
+			chunkNonce[i] = state.nonce[i] ^ indexBytes[i];
+		}
+
+		return chunkNonce;
+	},
+
+	/**
+	 * Computes the tag of a chunk
+	 * @param {Uint8Array} authKey The one-time Poly1305 key
+	 * @param {Uint8Array} aad The associated data
+	 * @param {Uint8Array} encryptedBytes The encrypted flag byte and ciphertext
+	 * @returns {Uint8Array} Returns the 16 byte tag
+	 */
+	computeTag: function(authKey, aad, encryptedBytes)
+	{
+		return Salsa20.poly1305.create(authKey)
+			.update(Salsa20.core.util.numToEightByteArrayLittleEndian(aad.length))
+			.update(aad)
+			.update(encryptedBytes)
+			.finish();
+	},
+
+	/**
+	 * Encrypts and authenticates one chunk
+	 * @param {Object} state The stream state
+	 * @param {Number} flag The flag value
+	 * @param {Uint8Array} message The message bytes
+	 * @param {Uint8Array} aad The associated data
+	 * @returns {Uint8Array} Returns the chunk
+	 */
+	sealChunk: function(state, flag, message, aad)
+	{
+		var chunkNonce = this.getChunkNonce(state);
+		var authKey = Salsa20.core.generateKeystream(state.key, 32, chunkNonce, 0).subarray(0, 32);
+		var plaintext = new Uint8Array(1 + message.length);
+
+		// Prepend the flag so it is encrypted and authenticated with the message
+		plaintext[0] = flag;
+		Salsa20.core.util.updateArray(plaintext, message, 1);
+
+		var encryptedBytes = Salsa20.core.encryption(state.key, plaintext, chunkNonce, 1);
+		var chunk = new Uint8Array(encryptedBytes.length + this.tagByteLength);
+
+		Salsa20.core.util.updateArray(chunk, encryptedBytes, 0);
+		Salsa20.core.util.updateArray(chunk, this.computeTag(authKey, aad, encryptedBytes), encryptedBytes.length);
+
+		authKey.fill(0);
+		plaintext.fill(0);
+
+		return chunk;
+	},
+
+	/**
+	 * Verifies and decrypts one chunk
+	 * @param {Object} state The stream state
+	 * @param {Uint8Array} chunk The chunk
+	 * @param {Uint8Array} aad The associated data
+	 * @returns {Object} Returns the 'flag' and the 'message' bytes
+	 */
+	openChunk: function(state, chunk, aad)
+	{
+		// There must be at least a flag byte and a tag
+		if (chunk.length < 1 + this.tagByteLength)
+		{
+			throw new Error('The chunk is too short, it should be at least ' + (1 + this.tagByteLength) + ' bytes');
+		}
+
+		var encryptedBytes = chunk.subarray(0, chunk.length - this.tagByteLength);
+		var tag = chunk.subarray(chunk.length - this.tagByteLength);
+		var chunkNonce = this.getChunkNonce(state);
+		var authKey = Salsa20.core.generateKeystream(state.key, 32, chunkNonce, 0).subarray(0, 32);
+
+		// Check the tag before decrypting anything
+		var valid = Salsa20.core.util.constantTimeEqual(this.computeTag(authKey, aad, encryptedBytes), tag);
+
+		authKey.fill(0);
+
+		if (valid === false)
+		{
+			throw new Error('The chunk failed authentication, it may have been modified, reordered or the wrong key was used');
+		}
+
+		var plaintext = Salsa20.core.encryption(state.key, encryptedBytes, chunkNonce, 1);
+		var flag = plaintext[0];
+
+		if ((flag !== this.flags.message) && (flag !== this.flags.final) && (flag !== this.flags.rekey))
+		{
+			throw new Error('The chunk has an unknown flag ' + flag);
+		}
+
+		return {
+			flag: flag,
+			message: plaintext.subarray(1)
+		};
+	},
+
+	/**
+	 * Moves the state on after a chunk, replacing the key after a chunk with the rekey flag
+	 * @param {Object} state The stream state
+	 * @param {Number} flag The flag of the chunk which was just processed
+	 */
+	nextChunk: function(state, flag)
+	{
+		if (flag === this.flags.rekey)
+		{
+			// The last block for this chunk's nonce is never reached by the chunk encryption
+			var newKey = Salsa20.core.generateKeystream(state.key, 32, this.getChunkNonce(state), Salsa20.core.util.maxCounter).slice(0, 32);
+
+			state.key.fill(0);
+			state.key = newKey;
+			state.index = 0;
+		}
+		else {
+			state.index++;
+		}
+	},
+
+	/**
+	 * Erases the stream key and nonce
+	 * @param {Object} state The stream state
+	 */
+	erase: function(state)
+	{
+		state.key.fill(0);
+		state.nonce.fill(0);
+	},
+
+	/**
+	 * Parses the optional associated data
+	 * @param {String|Uint8Array} aad The associated data as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options The options of the push or pull
+	 * @returns {Uint8Array} Returns the associated data bytes, which are empty if unset
+	 */
+	parseAad: function(aad, options)
+	{
+		return ((typeof aad === 'undefined') || (aad === null)) ? new Uint8Array(0) : Salsa20.core.util.parseMessage(aad, options);
+	}
+};
+
+/**
+ * The sending side of a chunked authenticated stream
+ * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+ * @param {Object} options Optional object with the rekeyInterval option
+ */
+Salsa20.secretstream.Pusher = function(key, options)
+{
+	// If the options are unset, set to a blank object
+	options = options || {};
+
+	if (options.hasOwnProperty('rekeyInterval') && ((typeof options.rekeyInterval !== 'number') || (options.rekeyInterval % 1 !== 0) || (options.rekeyInterval < 1)))
+	{
+		throw new Error('The rekey interval should be a positive integer number of chunks');
+	}
+
+	this.header = Salsa20.core.util.randomBytes(Salsa20.secretstream.headerByteLength);
+	this.state = Salsa20.secretstream.init(key, this.header);
+	this.rekeyInterval = options.hasOwnProperty('rekeyInterval') ? options.rekeyInterval : null;
+	this.chunksSinceRekey = 0;
+	this.finished = false;
+};
+
+/**
+ * Encrypts and authenticates the next chunk
+ * @param {String|Uint8Array} message The chunk message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+ * @param {Object} options Optional object with additional options:
+ *		final: true - Marks this as the last chunk of the stream and erases the key
+ *		rekey: true - Changes the key after this chunk
+ *		aad: String|Uint8Array - Associated data which is authenticated but not encrypted or included in the chunk, in the same format as the message
+ *		inputTextType: 'hex' - The input message and associated data will be hex strings, otherwise by default they will be parsed as ASCII/UTF-8 strings
+ *		returnType: 'hex' - Returns the chunk as a hex string, otherwise by default it will return an array of bytes
+ * @returns {Uint8Array|String} Returns the chunk as an array of bytes or a hexadecimal string
+ */
+Salsa20.secretstream.Pusher.prototype.push = function(message, options)
+{
+	// If the options are unset, set to a blank object
+	options = options || {};
+
+	if (this.finished)
+	{
+		throw new Error('The stream has already finished, create a new one to send another stream');
+	}
+
+	message = Salsa20.core.util.parseMessage(message, options);
+
+	var flags = Salsa20.secretstream.flags;
+	var aad = Salsa20.secretstream.parseAad(options.aad, options);
+	var rekeyDue = (this.rekeyInterval !== null) && (this.chunksSinceRekey + 1 >= this.rekeyInterval);
+	var flag = (options.final === true) ? flags.final : (((options.rekey === true) || rekeyDue) ? flags.rekey : flags.message);
+	var chunk = Salsa20.secretstream.sealChunk(this.state, flag, message, aad);
+
+	// Erase the key after the last chunk, otherwise move on to the next chunk
+	if (flag === flags.final)
+	{
+		Salsa20.secretstream.erase(this.state);
+		this.finished = true;
+	}
+	else {
+		Salsa20.secretstream.nextChunk(this.state, flag);
+		this.chunksSinceRekey = (flag === flags.rekey) ? 0 : this.chunksSinceRekey + 1;
+	}
+
+	// If the return type requested is hex, convert the bytes to hex
+	if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+	{
+		return Salsa20.core.util.bytesToHex(chunk);
+	}
+	else {
+		// By default return a byte array
+		return chunk;
+	}
+};
+
+/**
+ * The receiving side of a chunked authenticated stream
+ * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+ * @param {String|Uint8Array} header The 24 byte header from the pusher as a hexadecimal string or array of bytes
+ */
+Salsa20.secretstream.Puller = function(key, header)
+{
+	if (typeof header === 'string')
+	{
+		header = Salsa20.core.util.hexToBytes(header);
+	}
+
+	if (!(header instanceof Uint8Array) || (header.length !== Salsa20.secretstream.headerByteLength))
+	{
+		throw new Error('The stream header should be a hex string of 48 symbols or a byte array of 24 bytes');
+	}
+
+	this.state = Salsa20.secretstream.init(key, header);
+	this.finalReceived = false;
+	this.finished = false;
+};
+
+/**
+ * Verifies and decrypts the next chunk. An error is thrown if the chunk is not the next one in the stream or has been
+ * modified, and the stream can't be used after that.
+ * @param {String|Uint8Array} chunk The chunk as an array of bytes or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+ * @param {Object} options Optional object with additional options:
+ *		aad: String|Uint8Array - The same associated data given when the chunk was pushed
+ *		inputTextType: 'hex' - The input chunk and associated data will be hex strings, otherwise by default the chunk is parsed as an array of bytes
+ *		returnType: 'hex' - Returns the message as a hex string, otherwise by default it will return an array of bytes
+ * @returns {Object} Returns an object with the 'message', 'final' set to true for the last chunk and 'rekey' set to true if the key was changed after this chunk
+ */
+Salsa20.secretstream.Puller.prototype.pull = function(chunk, options)
+{
+	// If the options are unset, set to a blank object
+	options = options || {};
+
+	if (this.finished)
+	{
+		throw new Error('The stream has already finished or failed, no more chunks can be read');
+	}
+
+	chunk = Salsa20.core.util.parseMessage(chunk, options);
+
+	var flags = Salsa20.secretstream.flags;
+	var aad = Salsa20.secretstream.parseAad(options.aad, options);
+	var opened;
+
+	try
+	{
+		opened = Salsa20.secretstream.openChunk(this.state, chunk, aad);
+	}
+	catch (error)
+	{
+		// Don't accept any more chunks after a failure
+		Salsa20.secretstream.erase(this.state);
+		this.finished = true;
+
+		throw error;
+	}
+
+	// Erase the key after the last chunk, otherwise move on to the next chunk
+	if (opened.flag === flags.final)
+	{
+		Salsa20.secretstream.erase(this.state);
+		this.finalReceived = true;
+		this.finished = true;
+	}
+	else {
+		Salsa20.secretstream.nextChunk(this.state, opened.flag);
+	}
+
+	// If the return type requested is hex, convert the bytes to hex
+	var message = (options.hasOwnProperty('returnType') && (options.returnType === 'hex')) ? Salsa20.core.util.bytesToHex(opened.message) : opened.message;
+
+	return {
+		message: message,
+		final: opened.flag === flags.final,
+		rekey: opened.flag === flags.rekey
+	};
+};
+
+/**
+ * Checks the stream was not truncated when there are no more chunks. An error is thrown if the final chunk has not
+ * been received.
+ */
+Salsa20.secretstream.Puller.prototype.end = function()
+{
+	if (this.finalReceived === false)
+	{
+		Salsa20.secretstream.erase(this.state);
+		this.finished = true;
+
+		throw new Error('The stream was truncated, the final chunk was not received');
+	}
+};
+
+/**
+ * A segmented authenticated encryption format for large files which need random access, e.g. serving HTTP range
+ * requests of encrypted video. The message is split into fixed size segments and each one is encrypted and tagged on
+ * its own, so segment k can be decrypted and verified after reading only the header and that segment.
+ *
+ * As in XSalsa20, HSalsa20 of the key and the first 16 bytes of the nonce gives the subkey and the last 8 bytes are the
+ * Salsa20 nonce. Segment k starts at block counter k * (blocks per segment + 1): the first 32 bytes of that block are
+ * the one-time Poly1305 key and the segment is encrypted from the next block. Each tag covers the header and the
+ * segment ciphertext, so changing the segment size, the message length or moving a segment to another position is
+ * detected.
+ *
+ *		Bytes 0 - 3		Magic number 'S20S'
+ *		Byte 4			Format version (1)
+ *		Bytes 5 - 8		Segment length in bytes as a 32 bit littleendian integer, a multiple of 64
+ *		Bytes 9 - 16		Message length in bytes as a 64 bit littleendian integer
+ *		Bytes 17 - 40		Nonce (24 bytes)
+ *		Then for each segment	Ciphertext of up to the segment length, followed by a 16 byte Poly1305 tag
+ */
+Salsa20.segmented = {
+
+	/**
+	 * The magic number at the start of the header, 'S20S' in ASCII
+	 * @type Uint8Array
+	 */
+	magic: new Uint8Array([0x53, 0x32, 0x30, 0x53]),
+
+	/**
+	 * The format version
+	 * @type Number
+	 */
+	version: 1,
+
+	/**
+	 * The length of the header in bytes
+	 * @type Number
+	 */
+	headerByteLength: 41,
+
+	/**
+	 * The length of each segment's tag in bytes
+	 * @type Number
+	 */
+	tagByteLength: 16,
+
+	/**
+	 * The default segment length in bytes
+	 * @type Number
+	 */
+	defaultSegmentByteLength: 65536,
+
+	/**
+	 * Encrypts a message into the segmented format
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {Object} options Optional object with additional options:
+	 *		segmentByteLength: Number - The segment length, a multiple of 64 bytes up to 2^32 - 64, otherwise by default it will use 64 KiB
+	 *		nonce: String|Uint8Array - A 24 byte nonce as a hex string or array of bytes, a random nonce is generated by default
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the output as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the header and segments as an array of bytes or a hexadecimal string
+	 */
+	encrypt: function(key, message, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		message = Salsa20.core.util.parseMessage(message, options);
+
+		var segmentByteLength = options.hasOwnProperty('segmentByteLength') ? options.segmentByteLength : this.defaultSegmentByteLength;
+		var nonce = Salsa20.core.util.parseExtendedNonce(options.hasOwnProperty('nonce') ? options.nonce : Salsa20.core.util.randomBytes(24));
+
+		this.checkSegmentByteLength(segmentByteLength);
+
+		// Write the header
+		var header = new Uint8Array(this.headerByteLength);
+
+		Salsa20.core.util.updateArray(header, this.magic, 0);
+		header[4] = this.version;
+		header[5] = segmentByteLength & 0xff;
+		header[6] = (segmentByteLength >>> 8) & 0xff;
+		header[7] = (segmentByteLength >>> 16) & 0xff;
+		header[8] = (segmentByteLength >>> 24) & 0xff;
+		Salsa20.core.util.updateArray(header, Salsa20.core.util.numToEightByteArrayLittleEndian(message.length), 9);
+		Salsa20.core.util.updateArray(header, nonce, 17);
+
+		var headerInfo = this.readHeader(header);
+		var output = new Uint8Array(this.getSegmentRange(headerInfo, headerInfo.segmentCount - 1).end);
+		var cipherKeyAndNonce = Salsa20.xsalsa20.deriveSubkeyAndNonce(key, nonce);
+
+		Salsa20.core.util.updateArray(output, header, 0);
+
+		// Encrypt and tag each segment
+		for (var index = 0;  index < headerInfo.segmentCount;  index++)
+		{
+			var segment = message.subarray(index * segmentByteLength, (index + 1) * segmentByteLength);
+			var sealedSegment = this.sealSegment(cipherKeyAndNonce, header, headerInfo, index, segment);
+
+			Salsa20.core.util.updateArray(output, sealedSegment, this.getSegmentRange(headerInfo, index).start);
+		}
+
+		cipherKeyAndNonce.subkey.fill(0);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(output);
+		}
+		else {
+			// By default return a byte array
+			return output;
+		}
+	},
+
+	/**
+	 * Verifies and decrypts a single segment. Only the header and the bytes of that segment are needed, which can be
+	 * found with getSegmentRange. An error is thrown if the segment or header have been modified, the segment is from
+	 * another position or the wrong key is used.
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} header The header, or any data starting with the header, as an array of bytes or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Number} index The segment index from 0
+	 * @param {String|Uint8Array} segment The segment ciphertext and tag in the same format as the header
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The header and segment will be hex strings, otherwise by default they will be parsed as arrays of bytes
+	 *		returnType: 'hex' - Returns the decrypted segment as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the decrypted segment as an array of bytes or a hexadecimal string
+	 */
+	decryptSegment: function(key, header, index, segment, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		header = Salsa20.core.util.parseMessage(header, options).subarray(0, this.headerByteLength);
+		segment = Salsa20.core.util.parseMessage(segment, options);
+
+		var headerInfo = this.readHeader(header);
+		var cipherKeyAndNonce = Salsa20.xsalsa20.deriveSubkeyAndNonce(key, headerInfo.nonce);
+		var decryptedBytes = this.openSegment(cipherKeyAndNonce, header, headerInfo, index, segment);
+
+		cipherKeyAndNonce.subkey.fill(0);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// By default return a byte array
+			return decryptedBytes;
+		}
+	},
+
+	/**
+	 * Verifies and decrypts every segment
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes equal to 256 bits
+	 * @param {String|Uint8Array} data The header and segments as an array of bytes or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	decrypt: function(key, data, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		data = Salsa20.core.util.parseMessage(data, options);
+
+		var header = data.subarray(0, this.headerByteLength);
+		var headerInfo = this.readHeader(header);
+		var lastSegmentRange = this.getSegmentRange(headerInfo, headerInfo.segmentCount - 1);
+
+		if (data.length !== lastSegmentRange.end)
+		{
+			throw new Error('The data should be ' + lastSegmentRange.end + ' bytes for a message of ' + headerInfo.messageByteLength + ' bytes');
+		}
+
+		var cipherKeyAndNonce = Salsa20.xsalsa20.deriveSubkeyAndNonce(key, headerInfo.nonce);
+		var decryptedBytes = new Uint8Array(headerInfo.messageByteLength);
+
+		// Verify and decrypt each segment
+		for (var index = 0;  index < headerInfo.segmentCount;  index++)
+		{
+			var range = this.getSegmentRange(headerInfo, index);
+			var segment = this.openSegment(cipherKeyAndNonce, header, headerInfo, index, data.subarray(range.start, range.end));
+
+			Salsa20.core.util.updateArray(decryptedBytes, segment, index * headerInfo.segmentByteLength);
+		}
+
+		cipherKeyAndNonce.subkey.fill(0);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(decryptedBytes);
+		}
+		else {
+			// Decode from bytes to UTF-8 string
+			return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+		}
+	},
+
+	/**
+	 * Reads the header. It is not verified until a segment is decrypted.
+	 * @param {String|Uint8Array} header The header, or any data starting with the header, as an array of bytes or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options Optional object with the inputTextType option
+	 * @returns {Object} Returns an object with the 'segmentByteLength', 'messageByteLength', 'segmentCount' and 'nonce'
+	 */
+	readHeader: function(header, options)
+	{
+		header = Salsa20.core.util.parseMessage(header, options || {});
+
+		if ((header.length < this.headerByteLength) || (Salsa20.core.util.constantTimeEqual(header.subarray(0, 4), this.magic) === false))
+		{
+			throw new Error('The data does not start with a Salsa20 segmented header');
+		}
+
+		if (header[4] !== this.version)
+		{
+			throw new Error('The segmented format version ' + header[4] + ' is not supported');
+		}
+
+		var segmentByteLength = (header[5] | (header[6] << 8) | (header[7] << 16) | (header[8] << 24)) >>> 0;
+		var messageByteLength = Salsa20.core.util.normaliseCounter(Salsa20.core.util.eightByteArrayLittleEndianToNum(header.subarray(9, 17)));
+
+		this.checkSegmentByteLength(segmentByteLength);
+
+		if ((typeof messageByteLength !== 'number') || (messageByteLength > Salsa20.core.util.maxInteger))
+		{
+			throw new Error('The message length in the header is larger than the maximum integer of JavaScript');
+		}
+
+		return {
+			segmentByteLength: segmentByteLength,
+			messageByteLength: messageByteLength,
+			segmentCount: Math.max(1, Math.ceil(messageByteLength / segmentByteLength)),
+			nonce: header.slice(17, 41)
+		};
+	},
+
+	/**
+	 * Gets the position of a segment in the encrypted data, e.g. for an HTTP range request of
+	 * 'bytes=' + range.start + '-' + (range.end - 1)
+	 * @param {Object} headerInfo The header object from readHeader
+	 * @param {Number} index The segment index from 0
+	 * @returns {Object} Returns an object with the 'start' byte offset and the 'end' byte offset (exclusive)
+	 */
+	getSegmentRange: function(headerInfo, index)
+	{
+		if ((typeof index !== 'number') || (index % 1 !== 0) || (index < 0) || (index >= headerInfo.segmentCount))
+		{
+			throw new Error('The segment index should be an integer from 0 to ' + (headerInfo.segmentCount - 1));
+		}
+
+		var start = this.headerByteLength + (index * (headerInfo.segmentByteLength + this.tagByteLength));
+		var plaintextByteLength = Math.min(headerInfo.segmentByteLength, headerInfo.messageByteLength - (index * headerInfo.segmentByteLength));
+
+		return {
+			start: start,
+			end: start + plaintextByteLength + this.tagByteLength
+		};
+	},
+
+	/**
+	 * Gets the first block counter of a segment, which is used for the Poly1305 key
+	 * @param {Object} headerInfo The header object from readHeader
+	 * @param {Number} index The segment index
+	 * @returns {Number} Returns the block counter
+	 */
+	getSegmentCounter: function(headerInfo, index)
+	{
+		return index * ((headerInfo.segmentByteLength / Salsa20.core.util.outputByteLength) + 1);
+	},
+
+	/**
+	 * Encrypts and tags one segment
+	 * @param {Object} cipherKeyAndNonce The XSalsa20 subkey and nonce
+	 * @param {Uint8Array} header The header bytes
+	 * @param {Object} headerInfo The header object from readHeader
+	 * @param {Number} index The segment index
+	 * @param {Uint8Array} segment The plaintext segment
+	 * @returns {Uint8Array} Returns the ciphertext followed by the tag
+	 */
+	sealSegment: function(cipherKeyAndNonce, header, headerInfo, index, segment)
+	{
+		var counter = this.getSegmentCounter(headerInfo, index);
+		var authKey = Salsa20.core.generateKeystream(cipherKeyAndNonce.subkey, 32, cipherKeyAndNonce.nonce, counter).subarray(0, 32);
+		var ciphertext = Salsa20.core.encryption(cipherKeyAndNonce.subkey, segment, cipherKeyAndNonce.nonce, counter + 1);
+		var tag = Salsa20.poly1305.create(authKey).update(header).update(ciphertext).finish();
+		var sealedSegment = new Uint8Array(ciphertext.length + this.tagByteLength);
+
+		Salsa20.core.util.updateArray(sealedSegment, ciphertext, 0);
+		Salsa20.core.util.updateArray(sealedSegment, tag, ciphertext.length);
+
+		authKey.fill(0);
+
+		return sealedSegment;
+	},
+
+	/**
+	 * Verifies and decrypts one segment
+	 * @param {Object} cipherKeyAndNonce The XSalsa20 subkey and nonce
+	 * @param {Uint8Array} header The header bytes
+	 * @param {Object} headerInfo The header object from readHeader
+	 * @param {Number} index The segment index
+	 * @param {Uint8Array} sealedSegment The ciphertext followed by the tag
+	 * @returns {Uint8Array} Returns the plaintext segment
+	 */
+	openSegment: function(cipherKeyAndNonce, header, headerInfo, index, sealedSegment)
+	{
+		var range = this.getSegmentRange(headerInfo, index);
+
+		// Each segment is full length apart from the last one
+		if (sealedSegment.length !== range.end - range.start)
+		{
+			throw new Error('Segment ' + index + ' should be ' + (range.end - range.start) + ' bytes including the tag');
+		}
+
+		var ciphertext = sealedSegment.subarray(0, sealedSegment.length - this.tagByteLength);
+		var tag = sealedSegment.subarray(sealedSegment.length - this.tagByteLength);
+		var counter = this.getSegmentCounter(headerInfo, index);
+		var authKey = Salsa20.core.generateKeystream(cipherKeyAndNonce.subkey, 32, cipherKeyAndNonce.nonce, counter).subarray(0, 32);
+
+		// Check the tag before decrypting anything
+		var valid = Salsa20.core.util.constantTimeEqual(Salsa20.poly1305.create(authKey).update(header).update(ciphertext).finish(), tag);
+
+		authKey.fill(0);
+
+		if (valid === false)
+		{
+			throw new Error('Segment ' + index + ' failed authentication, it may have been modified or moved, or the wrong key was used');
+		}
+
+		return Salsa20.core.encryption(cipherKeyAndNonce.subkey, ciphertext, cipherKeyAndNonce.nonce, counter + 1);
+	},
+
+	/**
+	 * Checks the segment length is a whole number of blocks which fits in the header
+	 * @param {Number} segmentByteLength The segment length in bytes
+	 */
+	checkSegmentByteLength: function(segmentByteLength)
+	{
+		if ((typeof segmentByteLength !== 'number') || (segmentByteLength % 64 !== 0) || (segmentByteLength < 64) || (segmentByteLength > 4294967232))
+		{
+			throw new Error('The segment length should be a multiple of 64 bytes from 64 to 4294967232');
+		}
+	}
+};
+
+/**
+ * The X25519 Diffie-Hellman function from RFC 7748, which is scalar multiplication on the Montgomery form of
+ * Curve25519. Two parties each combine their own secret key with the other's public key and get the same 32 byte
+ * shared secret. Field elements modulo 2^255 - 19 are stored as 16 limbs of 16 bits in a Float64Array, so the products
+ * in multiply() stay exact without needing BigInt. The ladder always does the same operations in the same order and
+ * swaps with masks rather than branches, so the timing doesn't depend on the secret key.
+ */
+Salsa20.x25519 = {
+
+	/**
+	 * The length of the public and secret keys and the shared secret in bytes
+	 * @type Number
+	 */
+	keyByteLength: 32,
+
+	/**
+	 * The u-coordinate of the base point, which is 9
+	 * @type Uint8Array
+	 */
+	basePoint: new Uint8Array([9, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+
+	/**
+	 * Computes the shared secret from a secret key and the other party's public key
+	 * @param {String|Uint8Array} secretKey The 32 byte secret key as a hexadecimal string or array of bytes
+	 * @param {String|Uint8Array} publicKey The other party's 32 byte public key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the shared secret as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 32 byte shared secret as an array of bytes or a hexadecimal string
+	 */
+	scalarMult: function(secretKey, publicKey, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		secretKey = this.parseKey(secretKey, 'secret key');
+		publicKey = this.parseKey(publicKey, 'public key');
+
+		var sharedSecret = this.ladder(secretKey, publicKey);
+
+		// A low order public key gives an all zero result which every secret key agrees on, as in libsodium reject it
+		if (Salsa20.core.util.constantTimeEqual(sharedSecret, new Uint8Array(32)))
+		{
+			throw new Error('The public key is invalid, it is a point of low order');
+		}
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(sharedSecret);
+		}
+		else {
+			// By default return a byte array
+			return sharedSecret;
+		}
+	},
+
+	/**
+	 * Computes the public key for a secret key by multiplying the base point
+	 * @param {String|Uint8Array} secretKey The 32 byte secret key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the public key as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 32 byte public key as an array of bytes or a hexadecimal string
+	 */
+	scalarMultBase: function(secretKey, options)
+	{
+		return this.scalarMult(secretKey, this.basePoint, options);
+	},
+
+	/**
+	 * The Montgomery ladder from Section 5 of RFC 7748
+	 * @param {Uint8Array} scalar The 32 byte scalar, which is clamped first
+	 * @param {Uint8Array} point The 32 byte u-coordinate
+	 * @returns {Uint8Array} Returns the 32 byte u-coordinate of the result
+	 */
+	ladder: function(scalar, point)
+	{
+		var clamped = new Uint8Array(scalar);
+
+		// Clear the 3 lowest bits and the highest bit, and set the second highest bit
+		clamped[0] &= 248;
+		clamped[31] = (clamped[31] & 127) | 64;
+
+		var x1 = this.unpack(point);
+		var x2 = this.createFieldElement([1]);
+		var z2 = this.createFieldElement();
+		var x3 = this.createFieldElement(x1);
+		var z3 = this.createFieldElement([1]);
+		var a24 = this.createFieldElement([0xdb41, 1]);
+		var a = this.createFieldElement();
+		var aa = this.createFieldElement();
+		var b = this.createFieldElement();
+		var bb = this.createFieldElement();
+		var c = this.createFieldElement();
+		var d = this.createFieldElement();
+		var e = this.createFieldElement();
+		var da = this.createFieldElement();
+		var cb = this.createFieldElement();
+
+		// Go through the scalar bits from the highest down
+		for (var t = 254;  t >= 0;  t--)
+		{
+			var bit = (clamped[t >>> 3] >>> (t & 7)) & 1;
+
+			this.conditionalSwap(x2, x3, bit);
+			this.conditionalSwap(z2, z3, bit);
+
+			// One combined doubling and differential addition step
+			this.add(a, x2, z2);
+			this.square(aa, a);
+			this.subtract(b, x2, z2);
+			this.square(bb, b);
+			this.subtract(e, aa, bb);
+			this.add(c, x3, z3);
+			this.subtract(d, x3, z3);
+			this.multiply(da, d, a);
+			this.multiply(cb, c, b);
+			this.add(x3, da, cb);
+			this.square(x3, x3);
+			this.subtract(z3, da, cb);
+			this.square(z3, z3);
+			this.multiply(z3, z3, x1);
+			this.multiply(x2, aa, bb);
+			this.multiply(z2, a24, e);
+			this.add(z2, z2, aa);
+			this.multiply(z2, z2, e);
+
+			this.conditionalSwap(x2, x3, bit);
+			this.conditionalSwap(z2, z3, bit);
+		}
+
+		// Convert back from projective coordinates, u = x2 / z2
+		this.invert(z2, z2);
+		this.multiply(x2, x2, z2);
+
+		var output = this.pack(x2);
+
+		clamped.fill(0);
+
+		return output;
+	},
+
+	/**
+	 * Creates a field element of 16 limbs
+	 * @param {Array|Float64Array} limbs Optional initial limbs, the rest are 0
+	 * @returns {Float64Array} Returns the field element
+	 */
+	createFieldElement: function(limbs)
+	{
+		var element = new Float64Array(16);
+
+		if (limbs)
+		{
+			element.set(limbs);
+		}
+
+		return element;
+	},
+
+	/**
+	 * Converts 32 littleendian bytes to a field element, ignoring the highest bit as required by RFC 7748
+	 * @param {Uint8Array} bytes The 32 bytes
+	 * @returns {Float64Array} Returns the field element
+	 */
+	unpack: function(bytes)
+	{
+		var element = this.createFieldElement();
+
+		for (var i = 0;  i < 16;  i++)
+		{
+			element[i] = bytes[2 * i] + (bytes[(2 * i) + 1] << 8);
+		}
+
+		element[15] &= 0x7fff;
+
+		return element;
+	},
+
+	/**
+	 * Converts a field element to 32 littleendian bytes, fully reduced modulo 2^255 - 19
+	 * @param {Float64Array} element The field element
+	 * @returns {Uint8Array} Returns the 32 bytes
+	 */
+	pack: function(element)
+	{
+		var t = this.createFieldElement(element);
+		var m = this.createFieldElement();
+		var bytes = new Uint8Array(32);
+
+		this.carry(t);
+		this.carry(t);
+		this.carry(t);
+
+		// Subtract the prime twice if the value is not less than it
+		for (var j = 0;  j < 2;  j++)
+		{
+			m[0] = t[0] - 0xffed;
+
+			for (var i = 1;  i < 15;  i++)
+			{
+				m[i] = t[i] - 0xffff - ((m[i - 1] >> 16) & 1);
+				m[i - 1] &= 0xffff;
+			}
+
+			m[15] = t[15] - 0x7fff - ((m[14] >> 16) & 1);
+			m[14] &= 0xffff;
+
+			// Keep the subtracted value unless it borrowed
+			var borrow = (m[15] >> 16) & 1;
+
+			this.conditionalSwap(t, m, 1 - borrow);
+		}
+
+		for (var i = 0;  i < 16;  i++)
+		{
+			bytes[2 * i] = t[i] & 0xff;
+			bytes[(2 * i) + 1] = t[i] >> 8;
+		}
+
+		return bytes;
+	},
+
+	/**
+	 * Carries the excess of each limb into the next one, and from the top limb back into the lowest multiplied by 38,
+	 * because 2^256 is 38 modulo 2^255 - 19
+	 * @param {Float64Array} element The field element, which is updated in place
+	 */
+	carry: function(element)
+	{
+		for (var i = 0;  i < 16;  i++)
+		{
+			element[i] += 65536;
+
+			var c = Math.floor(element[i] / 65536);
+
+			if (i < 15)
+			{
+				element[i + 1] += c - 1;
+			}
+			else {
+				element[0] += 38 * (c - 1);
+			}
+
+			element[i] -= c * 65536;
+		}
+	},
+
+	/**
+	 * Swaps two field elements if the bit is 1, using a mask so it takes the same time either way
+	 * @param {Float64Array} p The first field element
+	 * @param {Float64Array} q The second field element
+	 * @param {Number} bit 0 or 1
+	 */
+	conditionalSwap: function(p, q, bit)
+	{
+		var mask = ~(bit - 1);
+
+		for (var i = 0;  i < 16;  i++)
+		{
+			var t = mask & (p[i] ^ q[i]);
+
+			p[i] ^= t;
+			q[i] ^= t;
+		}
+	},
+
+	/**
+	 * Adds two field elements, the output can be the same as an input
+	 * @param {Float64Array} output The field element for the result
+	 * @param {Float64Array} a The first field element
+	 * @param {Float64Array} b The second field element
+	 */
+	add: function(output, a, b)
+	{
+		for (var i = 0;  i < 16;  i++)
+		{
+			output[i] = a[i] + b[i];
+		}
+	},
+
+	/**
+	 * Subtracts one field element from another, the output can be the same as an input
+	 * @param {Float64Array} output The field element for the result
+	 * @param {Float64Array} a The first field element
+	 * @param {Float64Array} b The field element to subtract
+	 */
+	subtract: function(output, a, b)
+	{
+		for (var i = 0;  i < 16;  i++)
+		{
+			output[i] = a[i] - b[i];
+		}
+	},
+
+	/**
+	 * Multiplies two field elements, the output can be the same as an input
+	 * @param {Float64Array} output The field element for the result
+	 * @param {Float64Array} a The first field element
+	 * @param {Float64Array} b The second field element
+	 */
+	multiply: function(output, a, b)
+	{
+		var product = new Float64Array(31);
+
+		// Schoolbook multiplication of the limbs
+		for (var i = 0;  i < 16;  i++)
+		{
+			for (var j = 0;  j < 16;  j++)
+			{
+				product[i + j] += a[i] * b[j];
+			}
+		}
+
+		// Fold the upper limbs back down, since 2^256 is 38 modulo 2^255 - 19
+		for (var i = 0;  i < 15;  i++)
+		{
+			product[i] += 38 * product[i + 16];
+		}
+
+		for (var i = 0;  i < 16;  i++)
+		{
+			output[i] = product[i];
+		}
+
+		this.carry(output);
+		this.carry(output);
+	},
+
+	/**
+	 * Squares a field element
+	 * @param {Float64Array} output The field element for the result
+	 * @param {Float64Array} a The field element
+	 */
+	square: function(output, a)
+	{
+		this.multiply(output, a, a);
+	},
+
+	/**
+	 * Inverts a field element by raising it to the power of p - 2 = 2^255 - 21 (Fermat's little theorem)
+	 * @param {Float64Array} output The field element for the result
+	 * @param {Float64Array} a The field element
+	 */
+	invert: function(output, a)
+	{
+		var c = this.createFieldElement(a);
+
+		// Every bit of the exponent is set apart from bits 2 and 4
+		for (var i = 253;  i >= 0;  i--)
+		{
+			this.square(c, c);
+
+			if ((i !== 2) && (i !== 4))
+			{
+				this.multiply(c, c, a);
+			}
+		}
+
+		output.set(c);
+	},
+
+	/**
+	 * Parses a 32 byte public or secret key
+	 * @param {String|Uint8Array} key A hexadecimal string or array of bytes
+	 * @param {String} name The name of the key for the error message
+	 * @returns {Uint8Array} Returns the 32 byte key
+	 */
+	parseKey: function(key, name)
+	{
+		if (typeof key === 'string')
+		{
+			key = Salsa20.core.util.hexToBytes(key);
+		}
+
+		if (((key instanceof Uint8Array) === false) || (key.length !== this.keyByteLength))
+		{
+			throw new Error('Incorrect ' + name + ', it should be a hex string (64 symbols) or array of bytes (32 bytes)');
+		}
+
+		return key;
+	}
+};
+
+/**
+ * Public-key authenticated encryption compatible with crypto_box_curve25519xsalsa20poly1305 (crypto_box_easy) in NaCl
+ * and libsodium. The X25519 shared secret is hashed with HSalsa20 and a zero nonce to give a symmetric key, which is
+ * then used with the XSalsa20-Poly1305 secretbox. The output is the 16 byte tag followed by the ciphertext. The shared
+ * key can be computed once with beforenm() and reused for many messages between the same two parties.
+ */
+Salsa20.box = {
+
+	/**
+	 * The length of the public key in bytes
+	 * @type Number
+	 */
+	publicKeyByteLength: 32,
+
+	/**
+	 * The length of the secret key in bytes
+	 * @type Number
+	 */
+	secretKeyByteLength: 32,
+
+	/**
+	 * The length of the shared key from beforenm() in bytes
+	 * @type Number
+	 */
+	sharedKeyByteLength: 32,
+
+	/**
+	 * The length of the nonce in bytes
+	 * @type Number
+	 */
+	nonceByteLength: 24,
+
+	/**
+	 * Generates a new random key pair
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the keys as hex strings, otherwise by default they will be arrays of bytes
+	 * @returns {Object} Returns an object with the 'publicKey' and 'secretKey'
+	 */
+	keyPair: function(options)
+	{
+		return this.keyPairFromSecretKey(Salsa20.random.key(256), options);
+	},
+
+	/**
+	 * Gets the key pair for an existing secret key
+	 * @param {String|Uint8Array} secretKey The 32 byte secret key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the keys as hex strings, otherwise by default they will be arrays of bytes
+	 * @returns {Object} Returns an object with the 'publicKey' and 'secretKey'
+	 */
+	keyPairFromSecretKey: function(secretKey, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		secretKey = Salsa20.x25519.parseKey(secretKey, 'secret key');
+
+		var publicKey = Salsa20.x25519.scalarMultBase(secretKey);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return {
+				publicKey: Salsa20.core.util.bytesToHex(publicKey),
+				secretKey: Salsa20.core.util.bytesToHex(secretKey)
+			};
+		}
+		else {
+			// By default return byte arrays
+			return {
+				publicKey: publicKey,
+				secretKey: new Uint8Array(secretKey)
+			};
+		}
+	},
+
+	/**
+	 * Computes the shared key for a pair of keys, which is the HSalsa20 hash of the X25519 shared secret
+	 * @param {String|Uint8Array} publicKey The other party's 32 byte public key as a hexadecimal string or array of bytes
+	 * @param {String|Uint8Array} secretKey Your own 32 byte secret key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		returnType: 'hex' - Returns the shared key as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 32 byte shared key as an array of bytes or a hexadecimal string
+	 */
+	beforenm: function(publicKey, secretKey, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		var sharedSecret = Salsa20.x25519.scalarMult(secretKey, publicKey);
+		var sharedKey = Salsa20.core.hsalsa20(sharedSecret, new Uint8Array(16));
+
+		sharedSecret.fill(0);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(sharedKey);
+		}
+		else {
+			// By default return a byte array
+			return sharedKey;
+		}
+	},
+
+	/**
+	 * Encrypts and authenticates a message for the owner of a public key
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} nonce A 192-bit one time cryptographic nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} publicKey The recipient's 32 byte public key as a hexadecimal string or array of bytes
+	 * @param {String|Uint8Array} secretKey The sender's 32 byte secret key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the tag and ciphertext as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the 16 byte tag followed by the ciphertext as an array of bytes or a hexadecimal string
+	 */
+	seal: function(message, nonce, publicKey, secretKey, options)
+	{
+		var sharedKey = this.beforenm(publicKey, secretKey);
+		var sealedMessage = this.sealAfternm(message, nonce, sharedKey, options);
+
+		sharedKey.fill(0);
+
+		return sealedMessage;
+	},
+
+	/**
+	 * Verifies and decrypts a message created by seal(). An error is thrown if the message has been modified or the
+	 * wrong keys or nonce are used.
+	 * @param {String|Uint8Array} sealedMessage The 16 byte tag followed by the ciphertext. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} nonce The same nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} publicKey The sender's 32 byte public key as a hexadecimal string or array of bytes
+	 * @param {String|Uint8Array} secretKey The recipient's 32 byte secret key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	open: function(sealedMessage, nonce, publicKey, secretKey, options)
+	{
+		var sharedKey = this.beforenm(publicKey, secretKey);
+
+		var decrypted = this.openAfternm(sealedMessage, nonce, sharedKey, options);
+
+		sharedKey.fill(0);
+
+		return decrypted;
+	},
+
+	/**
+	 * Encrypts and authenticates a message with a shared key from beforenm()
+	 * @param {String|Uint8Array} message The plaintext message in the same formats as seal()
+	 * @param {String|Uint8Array} nonce A 192-bit one time cryptographic nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} sharedKey The 32 byte shared key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with the inputTextType and returnType options
+	 * @returns {Uint8Array|String} Returns the 16 byte tag followed by the ciphertext as an array of bytes or a hexadecimal string
+	 */
+	sealAfternm: function(message, nonce, sharedKey, options)
+	{
+		return Salsa20.secretbox.seal(message, nonce, sharedKey, options);
+	},
+
+	/**
+	 * Verifies and decrypts a message with a shared key from beforenm()
+	 * @param {String|Uint8Array} sealedMessage The 16 byte tag followed by the ciphertext in the same formats as open()
+	 * @param {String|Uint8Array} nonce The same nonce as a hexadecimal string of 48 symbols or a byte array of 24 bytes
+	 * @param {String|Uint8Array} sharedKey The 32 byte shared key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with the inputTextType and returnType options
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	openAfternm: function(sealedMessage, nonce, sharedKey, options)
+	{
+		return Salsa20.secretbox.open(sealedMessage, nonce, sharedKey, options);
+	}
+};
+
+/**
+ * The BLAKE2b hash function from RFC 7693, with an optional key and an output of 1 to 64 bytes. It is needed to derive
+ * the nonce of a sealed box in the same way as libsodium. The 64-bit words are stored as pairs of 32-bit integers, low
+ * word first, because JavaScript numbers can't hold them exactly.
+ */
+Salsa20.blake2b = {
+
+	/**
+	 * The maximum and default length of the hash in bytes
+	 * @type Number
+	 */
+	outputByteLength: 64,
+
+	/**
+	 * The maximum length of the key in bytes
+	 * @type Number
+	 */
+	keyByteLength: 64,
+
+	/**
+	 * The length of a message block in bytes
+	 * @type Number
+	 */
+	blockByteLength: 128,
+
+	/**
+	 * The initialisation vector, the same as the SHA-512 initial hash values (Section 2.6 of RFC 7693) as low and
+	 * high 32-bit pairs
+	 * @type Uint32Array
+	 */
+	initialisationVector: new Uint32Array([
+		0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+		0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+	]),
+
+	/**
+	 * The message word permutations for each of the 12 rounds (Section 2.7 of RFC 7693), rounds 10 and 11 repeat
+	 * rounds 0 and 1
+	 * @type Array
+	 */
+	sigma: [
+		[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+		[14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+		[11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+		[7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+		[9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+		[2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+		[12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+		[13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+		[6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+		[10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+		[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+		[14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3]
 	],
 
 	/**
-	 * The Salsa20 expansion function from Section 9 of the spec
-	 * @param {Uint8Array} nonce A 16 byte sequence for the nonce and counter
-	 * @param {Uint8Array} key0 A 16 byte (128 bit) sequence for the key
-	 * @param {Uint8Array} key1 An optional additional 16 byte (128 bit) sequence to make up a full 256 bit key
-	 * @returns {Uint8Array} Returns a 64 byte sequence which is the expansion of (k, n) into Salsa20 k(n)
+	 * Computes the BLAKE2b hash of a message
+	 * @param {String|Uint8Array} message The message as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {Object} options Optional object with additional options:
+	 *		outputByteLength: Number - The length of the hash from 1 to 64 bytes, otherwise by default it will be 64 bytes
+	 *		key: String|Uint8Array - An optional key of up to 64 bytes in the same format as the message
+	 *		inputTextType: 'hex' - The input message and key will be hex strings, otherwise by default they will be parsed as ASCII/UTF-8 strings
+	 *		returnType: 'hex' - Returns the hash as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the hash as an array of bytes or a hexadecimal string
 	 */
-	expansion: function(nonce, key0, key1)
+	hash: function(message, options)
 	{
-		var inputBytes = new Uint8Array(64);
+		// If the options are unset, set to a blank object
+		options = options || {};
 
-		// If using a 32 byte (256 bit) key
-		if (key1.length !== 0)
+		var outputByteLength = options.hasOwnProperty('outputByteLength') ? options.outputByteLength : this.outputByteLength;
+		var key = options.hasOwnProperty('key') ? Salsa20.core.util.parseMessage(options.key, options) : new Uint8Array(0);
+		var hashBytes = this.digest(Salsa20.core.util.parseMessage(message, options), outputByteLength, key);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
 		{
-			// Salsa20 k0,k1(n) = Salsa20(σ0, k0, σ1, n, σ2, k1, σ3)
-			this.util.updateArray(inputBytes, this.constants32[0], 0);	// 4 bytes
-			this.util.updateArray(inputBytes, key0, 4);					// 16 bytes
-			this.util.updateArray(inputBytes, this.constants32[1], 20);	// 4 bytes
-			this.util.updateArray(inputBytes, nonce, 24);				// 16 bytes
-			this.util.updateArray(inputBytes, this.constants32[2], 40);	// 4 bytes
-			this.util.updateArray(inputBytes, key1, 44);				// 16 bytes
-			this.util.updateArray(inputBytes, this.constants32[3], 60);	// 4 bytes
+			return Salsa20.core.util.bytesToHex(hashBytes);
 		}
 		else {
-			// Otherwise use the 16 byte (128 bit key)
-			// Salsa20 k(n) = Salsa20(τ0, k, τ1, n, τ2, k, τ3)
-			this.util.updateArray(inputBytes, this.constants16[0], 0);	// 4 bytes
-			this.util.updateArray(inputBytes, key0, 4);					// 16 bytes
-			this.util.updateArray(inputBytes, this.constants16[1], 20);	// 4 bytes
-			this.util.updateArray(inputBytes, nonce, 24);				// 16 bytes
-			this.util.updateArray(inputBytes, this.constants16[2], 40);	// 4 bytes
-			this.util.updateArray(inputBytes, key0, 44);				// 16 bytes
-			this.util.updateArray(inputBytes, this.constants16[3], 60);	// 4 bytes
+			// By default return a byte array
+			return hashBytes;
+		}
+	},
+
+	/**
+	 * Computes the BLAKE2b hash of an array of bytes
+	 * @param {Uint8Array} messageBytes The message bytes
+	 * @param {Number} outputByteLength The length of the hash from 1 to 64 bytes
+	 * @param {Uint8Array} keyBytes Optional key of up to 64 bytes
+	 * @returns {Uint8Array} Returns the hash
+	 */
+	digest: function(messageBytes, outputByteLength, keyBytes)
+	{
+		keyBytes = keyBytes || new Uint8Array(0);
+
+		if ((typeof outputByteLength !== 'number') || (outputByteLength % 1 !== 0) || (outputByteLength < 1) || (outputByteLength > this.outputByteLength))
+		{
+			throw new Error('The BLAKE2b output length should be an integer from 1 to 64 bytes');
+		}
+
+		if (keyBytes.length > this.keyByteLength)
+		{
+			throw new Error('The BLAKE2b key should be up to 64 bytes');
+		}
+
+		// A key is padded to a full block and processed before the message
+		var blockLength = this.blockByteLength;
+		var keyBlockLength = (keyBytes.length > 0) ? blockLength : 0;
+		var inputBytes = new Uint8Array(keyBlockLength + messageBytes.length);
+
+		inputBytes.set(keyBytes, 0);
+		inputBytes.set(messageBytes, keyBlockLength);
+
+		// The parameter block sets the output length, key length, fanout 1 and depth 1
+		var state = new Uint32Array(this.initialisationVector);
+		state[0] ^= 0x01010000 ^ (keyBytes.length << 8) ^ outputByteLength;
+
+		// Compress every block, the last one is padded with zeros and there is always at least one
+		var blockCount = Math.max(1, Math.ceil(inputBytes.length / blockLength));
+		var block = new Uint8Array(blockLength);
+
+		for (var i = 0;  i < blockCount;  i++)
+		{
+			var isLastBlock = (i === blockCount - 1);
+			var blockBytes = inputBytes.subarray(i * blockLength, (i + 1) * blockLength);
+
+			block.fill(0);
+			block.set(blockBytes, 0);
+
+			this.compress(state, block, (i * blockLength) + blockBytes.length, isLastBlock);
+		}
+
+		// Output the state words in littleendian order
+		var hashBytes = new Uint8Array(outputByteLength);
+
+		for (var i = 0;  i < outputByteLength;  i++)
+		{
+			hashBytes[i] = state[i >>> 2] >>> (8 * (i & 3));
+		}
+
+		inputBytes.fill(0);
+		block.fill(0);
+
+		return hashBytes;
+	},
+
+	/**
+	 * The compression function F from Section 3.2 of RFC 7693
+	 * @param {Uint32Array} state The 8 word state as 16 32-bit integers, which is updated in place
+	 * @param {Uint8Array} block The 128 byte message block
+	 * @param {Number} byteCount The total number of bytes processed including this block
+	 * @param {Boolean} isLastBlock Whether this is the last block
+	 */
+	compress: function(state, block, byteCount, isLastBlock)
+	{
+		var v = new Uint32Array(32);
+		var m = new Uint32Array(32);
+
+		// Read the message block as 16 littleendian 64-bit words
+		for (var i = 0;  i < 32;  i++)
+		{
+			m[i] = block[4 * i] | (block[(4 * i) + 1] << 8) | (block[(4 * i) + 2] << 16) | (block[(4 * i) + 3] << 24);
+		}
+
+		// Start with the state and the initialisation vector
+		v.set(state, 0);
+		v.set(this.initialisationVector, 16);
+
+		// Mix in the byte counter, whose upper 64 bits are always 0 here, and invert word 14 for the last block
+		v[24] ^= byteCount % 4294967296;
+		v[25] ^= Math.floor(byteCount / 4294967296);
+
+		if (isLastBlock)
+		{
+			v[28] = ~v[28];
+			v[29] = ~v[29];
+		}
+
+		// Twelve rounds of mixing the columns, then the diagonals
+		for (var round = 0;  round < 12;  round++)
+		{
+			var s = this.sigma[round];
+
+			this.mix(v, m, 0, 4, 8, 12, s[0], s[1]);
+			this.mix(v, m, 1, 5, 9, 13, s[2], s[3]);
+			this.mix(v, m, 2, 6, 10, 14, s[4], s[5]);
+			this.mix(v, m, 3, 7, 11, 15, s[6], s[7]);
+			this.mix(v, m, 0, 5, 10, 15, s[8], s[9]);
+			this.mix(v, m, 1, 6, 11, 12, s[10], s[11]);
+			this.mix(v, m, 2, 7, 8, 13, s[12], s[13]);
+			this.mix(v, m, 3, 4, 9, 14, s[14], s[15]);
+		}
+
+		// XOR the two halves into the state
+		for (var i = 0;  i < 16;  i++)
+		{
+			state[i] ^= v[i] ^ v[i + 16];
+		}
+	},
+
+	/**
+	 * The mixing function G from Section 3.1 of RFC 7693, with rotations of 32, 24, 16 and 63 bits
+	 * @param {Uint32Array} v The 16 word working vector as 32-bit pairs
+	 * @param {Uint32Array} m The 16 word message block as 32-bit pairs
+	 * @param {Number} a The index of word a
+	 * @param {Number} b The index of word b
+	 * @param {Number} c The index of word c
+	 * @param {Number} d The index of word d
+	 * @param {Number} x The index of the first message word
+	 * @param {Number} y The index of the second message word
+	 */
+	mix: function(v, m, a, b, c, d, x, y)
+	{
+		this.add(v, a, v, b);
+		this.add(v, a, m, x);
+		this.xorRotateRight(v, d, a, 32);
+		this.add(v, c, v, d);
+		this.xorRotateRight(v, b, c, 24);
+		this.add(v, a, v, b);
+		this.add(v, a, m, y);
+		this.xorRotateRight(v, d, a, 16);
+		this.add(v, c, v, d);
+		this.xorRotateRight(v, b, c, 63);
+	},
+
+	/**
+	 * Adds a 64-bit word to a word of the working vector modulo 2^64
+	 * @param {Uint32Array} v The working vector
+	 * @param {Number} index The index of the word to update
+	 * @param {Uint32Array} words The array containing the word to add
+	 * @param {Number} wordIndex The index of the word to add
+	 */
+	add: function(v, index, words, wordIndex)
+	{
+		var low = v[2 * index] + words[2 * wordIndex];
+		var high = v[(2 * index) + 1] + words[(2 * wordIndex) + 1];
+
+		// Carry into the high word when the low word overflows
+		if (low >= 4294967296)
+		{
+			high++;
+		}
+
+		v[2 * index] = low;
+		v[(2 * index) + 1] = high;
+	},
+
+	/**
+	 * Sets a word to the XOR of itself and another word, rotated right
+	 * @param {Uint32Array} v The working vector
+	 * @param {Number} index The index of the word to update
+	 * @param {Number} otherIndex The index of the word to XOR with
+	 * @param {Number} bits The rotation, 16, 24, 32 or 63 bits
+	 */
+	xorRotateRight: function(v, index, otherIndex, bits)
+	{
+		var low = v[2 * index] ^ v[2 * otherIndex];
+		var high = v[(2 * index) + 1] ^ v[(2 * otherIndex) + 1];
+
+		// Rotating by 32 swaps the halves and rotating right by 63 is the same as rotating left by 1
+		if (bits === 32)
+		{
+			v[2 * index] = high;
+			v[(2 * index) + 1] = low;
+		}
+		else if (bits === 63)
+		{
+			v[2 * index] = (low << 1) | (high >>> 31);
+			v[(2 * index) + 1] = (high << 1) | (low >>> 31);
+		}
+		else {
+			v[2 * index] = (low >>> bits) | (high << (32 - bits));
+			v[(2 * index) + 1] = (high >>> bits) | (low << (32 - bits));
+		}
+	}
+};
+
+/**
+ * Anonymous public-key encryption compatible with crypto_box_seal in libsodium. A new ephemeral X25519 key pair is
+ * generated for each message and its secret key is erased straight after, so the sender can't be identified and can't
+ * decrypt the message later. The nonce is the 24 byte BLAKE2b hash of the ephemeral public key followed by the
+ * recipient's public key, and the message is encrypted with box. The output is the 32 byte ephemeral public key
+ * followed by the 16 byte tag and the ciphertext.
+ */
+Salsa20.sealedBox = {
+
+	/**
+	 * The number of bytes added to the message, the ephemeral public key and the tag
+	 * @type Number
+	 */
+	overheadByteLength: 48,
+
+	/**
+	 * Encrypts a message for the owner of a public key
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array} recipientPublicKey The recipient's 32 byte public key as a hexadecimal string or array of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input message will be a hex string, otherwise by default it will parse it as an ASCII/UTF-8 string
+	 *		returnType: 'hex' - Returns the sealed box as a hex string, otherwise by default it will return an array of bytes
+	 * @returns {Uint8Array|String} Returns the ephemeral public key, tag and ciphertext as an array of bytes or a hexadecimal string
+	 */
+	seal: function(message, recipientPublicKey, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		recipientPublicKey = Salsa20.x25519.parseKey(recipientPublicKey, 'public key');
+
+		var ephemeralKeyPair = Salsa20.box.keyPair();
+		var nonce = this.getNonce(ephemeralKeyPair.publicKey, recipientPublicKey);
+		var sealedMessage = Salsa20.box.seal(message, nonce, recipientPublicKey, ephemeralKeyPair.secretKey, { inputTextType: options.inputTextType });
+
+		// The ephemeral secret key is never needed again
+		ephemeralKeyPair.secretKey.fill(0);
+
+		var sealedBox = new Uint8Array(Salsa20.box.publicKeyByteLength + sealedMessage.length);
+
+		Salsa20.core.util.updateArray(sealedBox, ephemeralKeyPair.publicKey, 0);
+		Salsa20.core.util.updateArray(sealedBox, sealedMessage, Salsa20.box.publicKeyByteLength);
+
+		// If the return type requested is hex, convert the bytes to hex
+		if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+		{
+			return Salsa20.core.util.bytesToHex(sealedBox);
+		}
+		else {
+			// By default return a byte array
+			return sealedBox;
+		}
+	},
+
+	/**
+	 * Decrypts a sealed box with the recipient's key pair. An error is thrown if it has been modified or was sealed
+	 * for a different public key.
+	 * @param {String|Uint8Array} sealedBox The ephemeral public key, tag and ciphertext. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {Object} keyPair The recipient's key pair, an object with the 32 byte 'publicKey' and 'secretKey' as hexadecimal strings or arrays of bytes
+	 * @param {Object} options Optional object with additional options:
+	 *		inputTextType: 'hex' - The input will be a hex string, otherwise by default it will parse it as an array of bytes
+	 *		returnType: 'hex' - Returns the decrypted data as a hex string, otherwise by default it will return an ASCII/UTF-8 string
+	 * @returns {String} By default it will return an ASCII/UTF-8 string, unless the { returnType: 'hex' } option is passed
+	 */
+	open: function(sealedBox, keyPair, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		sealedBox = Salsa20.core.util.parseMessage(sealedBox, options);
+
+		if ((keyPair === null) || (typeof keyPair !== 'object'))
+		{
+			throw new Error('The key pair should be an object with the publicKey and secretKey');
+		}
+
+		var recipientPublicKey = Salsa20.x25519.parseKey(keyPair.publicKey, 'public key');
+		var recipientSecretKey = Salsa20.x25519.parseKey(keyPair.secretKey, 'secret key');
+
+		if (sealedBox.length < this.overheadByteLength)
+		{
+			throw new Error('The sealed box is too short, it should be at least ' + this.overheadByteLength + ' bytes for the ephemeral public key and tag');
 		}
 
-		// Perform the hash
-		return this.hash(inputBytes);
+		var ephemeralPublicKey = sealedBox.subarray(0, Salsa20.box.publicKeyByteLength);
+		var sealedMessage = sealedBox.subarray(Salsa20.box.publicKeyByteLength);
+		var nonce = this.getNonce(ephemeralPublicKey, recipientPublicKey);
+
+		return Salsa20.box.open(sealedMessage, nonce, ephemeralPublicKey, recipientSecretKey, { returnType: options.returnType });
+	},
+
+	/**
+	 * Derives the nonce from the ephemeral and recipient public keys
+	 * @param {Uint8Array} ephemeralPublicKey The 32 byte ephemeral public key
+	 * @param {Uint8Array} recipientPublicKey The 32 byte recipient public key
+	 * @returns {Uint8Array} Returns the 24 byte nonce
+	 */
+	getNonce: function(ephemeralPublicKey, recipientPublicKey)
+	{
+		var publicKeys = new Uint8Array(64);
+
+		Salsa20.core.util.updateArray(publicKeys, ephemeralPublicKey, 0);
+		Salsa20.core.util.updateArray(publicKeys, recipientPublicKey, 32);
+
+		return Salsa20.blake2b.digest(publicKeys, Salsa20.box.nonceByteLength);
+	}
+};
+
+/**
+ * Asynchronous encryption and keystream generation which won't block the user interface. The message is processed in 
+ * slices, and after each time slice the work is paused with setTimeout so other events can run. Progress is reported 
+ * with an onProgress callback and the work can be cancelled with an AbortSignal.
+ */
+Salsa20.async = {
+
+	/**
+	 * The number of bytes to process at a time, this is a whole number of blocks so the counter can be calculated
+	 * @type Number
+	 */
+	sliceByteLength: 16384,
+
+	/**
+	 * The number of milliseconds to process slices for before giving control back to the event loop
+	 * @type Number
+	 */
+	timeSliceMilliseconds: 10,
+
+	/**
+	 * Encrypts a message asynchronously with the same parameters as Salsa20.encrypt
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start encrypting from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same inputTextType, returnType and rounds options as Salsa20.encrypt, and:
+	 *		onProgress: Function - Called with the number of bytes done and the total number of bytes after each time slice
+	 *		signal: AbortSignal - Rejects the Promise and stops the work when aborted
+	 * @returns {Promise} Returns a Promise which resolves with an array of bytes or a hexadecimal string
+	 */
+	encrypt: function(key, message, nonce, counter, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		return this.encryption(key, message, nonce, counter, options).then(function(encryptedBytes)
+		{
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(encryptedBytes);
+			}
+			else {
+				// By default return a byte array
+				return encryptedBytes;
+			}
+		});
+	},
+
+	/**
+	 * Decrypts a message asynchronously with the same parameters as Salsa20.decrypt
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array} ciphertext The ciphertext message. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start decrypting from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same options as Salsa20.async.encrypt
+	 * @returns {Promise} Returns a Promise which resolves with an ASCII/UTF-8 string, or a hex string if { returnType: 'hex' } is passed
+	 */
+	decrypt: function(key, ciphertext, nonce, counter, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		return this.encryption(key, ciphertext, nonce, counter, options).then(function(decryptedBytes)
+		{
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(decryptedBytes);
+			}
+			else {
+				// Decode from bytes to UTF-8 string
+				return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+			}
+		});
+	},
+
+	/**
+	 * Generates a keystream asynchronously with the same parameters as Salsa20.generateKeystream
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {Number} length An integer representing the minimum length of the keystream required
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start keystream generation from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same returnType and rounds options as Salsa20.generateKeystream, and the onProgress and signal options
+	 * @returns {Promise} Returns a Promise which resolves with an array of bytes or a hexadecimal string
+	 */
+	generateKeystream: function(key, length, nonce, counter, options)
+	{
+		var self = this;
+
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		// Errors from parsing the inputs reject the Promise instead of being thrown
+		return new Promise(function(resolve)
+		{
+			key = Salsa20.core.util.parseKey(key);
+			nonce = Salsa20.core.util.parseNonce(nonce);
+			counter = Salsa20.core.util.parseCounter(counter, length);
+
+			resolve(self.run(key, null, length, nonce, counter, Salsa20.core.util.parseRounds(options), options));
+		})
+		.then(function(keystream)
+		{
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(keystream);
+			}
+			else {
+				// By default return a byte array
+				return keystream;
+			}
+		});
+	},
+
+	/**
+	 * Derives a key with scrypt asynchronously with the same parameters as Salsa20.scrypt. The memory filling and 
+	 * mixing steps are run in time slices, so the page stays responsive while a large cost parameter is used.
+	 * @param {String|Uint8Array} password The password as an array of bytes, ASCII/UTF-8 string or hexadecimal string if { inputTextType: 'hex' } is passed in the options object
+	 * @param {String|Uint8Array} salt A random salt in the same formats as the password
+	 * @param {Number} N The CPU/memory cost, a power of 2 greater than 1
+	 * @param {Number} r The block size, normally 8
+	 * @param {Number} p The parallelisation, normally 1
+	 * @param {Number} derivedKeyLength The length of the derived key in bytes
+	 * @param {Object} options Optional object with the same inputTextType and returnType options as Salsa20.scrypt, and:
+	 *		onProgress: Function - Called with the number of mixing steps done and the total number of steps after each time slice
+	 *		signal: AbortSignal - Rejects the Promise and stops the work when aborted
+	 * @returns {Promise} Returns a Promise which resolves with the derived key as an array of bytes or a hexadecimal string
+	 */
+	scrypt: function(password, salt, N, r, p, derivedKeyLength, options)
+	{
+		var self = this;
+
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		return new Promise(function(resolve, reject)
+		{
+			// Parse the inputs and spread the password into the blocks
+			password = Salsa20.core.util.parseMessage(password, options);
+			salt = Salsa20.core.util.parseMessage(salt, options);
+			Salsa20.core.scrypt.checkParameters(N, r, p, derivedKeyLength);
+			self.checkAborted(options.signal);
+
+			var state = Salsa20.core.scrypt.start(password, salt, N, r, p, derivedKeyLength);
+
+			// Each step is one BlockMix of 128 * r bytes
+			var stepsPerSlice = Math.max(1, Math.floor(self.sliceByteLength / (128 * r)));
+
+			var processTimeSlice = function()
+			{
+				var startTime = Date.now();
+
+				try
+				{
+					// Stop if the operation was cancelled while paused
+					self.checkAborted(options.signal);
+
+					// Run steps until the time slice is used up or the mixing is complete
+					do {
+						Salsa20.core.scrypt.mix(state, stepsPerSlice);
+					}
+					while ((state.stepsDone < state.totalSteps) && ((Date.now() - startTime) < self.timeSliceMilliseconds));
+
+					// Report the progress to the user
+					if (typeof options.onProgress === 'function')
+					{
+						options.onProgress(state.stepsDone, state.totalSteps);
+					}
+				}
+				catch (error)
+				{
+					Salsa20.core.scrypt.erase(state);
+
+					return reject(error);
+				}
+
+				// Pause to let other events run, or finish
+				if (state.stepsDone < state.totalSteps)
+				{
+					setTimeout(processTimeSlice, 0);
+				}
+				else {
+					resolve(Salsa20.core.scrypt.finish(state));
+				}
+			};
+
+			processTimeSlice();
+		})
+		.then(function(derivedKey)
+		{
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(derivedKey);
+			}
+			else {
+				// By default return a byte array
+				return derivedKey;
+			}
+		});
 	},
 
 	/**
-	 * The Salsa20 encryption function from Section 10 of the spec. This function is used for encryption and decryption.
-	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
-	 * @param {Uint8Array} message An arbitrary length byte sequence for the plaintext or ciphertext message
-	 * @param {Uint8Array} nonce An 8-byte nonce / unique message number (less than 2^53 - 1)
-	 * @param {Number} counter An integer counter (less than 2^53 - 1) to start encryption/decryption from, default is usually 0
-	 * @returns {Uint8Array} Returns an array of bytes (the plaintext or ciphertext message)
+	 * Parses the inputs and encrypts or decrypts the message asynchronously
+	 * @param {String|Uint8Array} key The key
+	 * @param {String|Uint8Array} message The plaintext or ciphertext
+	 * @param {String|Uint8Array|Number|BigInt} nonce The nonce
+	 * @param {Number|BigInt|Uint8Array} counter The block to start from
+	 * @param {Object} options The options object with the inputTextType, rounds, onProgress and signal options
+	 * @returns {Promise} Returns a Promise which resolves with the output bytes
 	 */
-	encryption: function(key, message, nonce, counter)
+	encryption: function(key, message, nonce, counter, options)
 	{
-		// Get the message length
-		var messageLength = message.length;
-		
-		// Generate the keystream, then XOR that with the ciphertext or plaintext message
-		var keystream = this.generateKeystream(key, messageLength, nonce, counter);
-		var xoredBytes = this.xorKeystreamAndMessage(keystream, message, messageLength);
-		
-		return xoredBytes;
+		var self = this;
+
+		// Errors from parsing the inputs reject the Promise instead of being thrown
+		return new Promise(function(resolve)
+		{
+			key = Salsa20.core.util.parseKey(key);
+			message = Salsa20.core.util.parseMessage(message, options);
+			nonce = Salsa20.core.util.parseNonce(nonce);
+			counter = Salsa20.core.util.parseCounter(counter, message.length);
+
+			resolve(self.run(key, message, message.length, nonce, counter, Salsa20.core.util.parseRounds(options), options));
+		});
 	},
-	
+
 	/**
-	 * Generates the keystream based on a key, nonce and start counter. The keystream will be at least the length 
-	 * of the lengthRequired parameter entered and a multiple of the Salsa20 block size (64 bytes).
-	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
-	 * @param {Uint8Array} lengthRequired The minimum length of the keystream required
-	 * @param {Uint8Array} nonce An 8-byte nonce / unique message number (less than 2^53 - 1)
-	 * @param {Number} counter An integer counter (less than 2^53 - 1) to start encryption/decryption from, default is usually 0
-	 * @returns {Uint8Array} Returns an array of bytes with the length as a multiple of the Salsa20 block size
+	 * Processes the message or keystream in slices, pausing after each time slice
+	 * @param {Uint8Array} key A 16 or 32 byte key
+	 * @param {Uint8Array} message The message bytes, or null to generate keystream
+	 * @param {Number} length The message length or minimum keystream length
+	 * @param {Uint8Array} nonce An 8 byte nonce
+	 * @param {Number|BigInt} counter The block to start from
+	 * @param {Number} rounds The number of rounds
+	 * @param {Object} options The options object with the onProgress and signal options
+	 * @returns {Promise} Returns a Promise which resolves with the output bytes
 	 */
-	generateKeystream: function(key, lengthRequired, nonce, counter)
+	run: function(key, message, length, nonce, counter, rounds, options)
 	{
-		// Split the key into separate 16 byte arrays for the expansion function
-		var keys = this.util.splitKey(key);
+		var self = this;
+		var blockByteLength = Salsa20.core.util.outputByteLength;
+		var outputLength = (message !== null) ? length : Math.ceil(length / blockByteLength) * blockByteLength;
+		var output = new Uint8Array(outputLength);
+		var sliceByteLength = Math.max(1, Math.floor(this.sliceByteLength / blockByteLength)) * blockByteLength;
+		var bytesDone = 0;
 
-		// Find number of 64 byte keystream blocks and keystream bytes to create
-		var numBlocksToGenerate = Math.ceil(lengthRequired / this.util.outputByteLength);		
-		var numKeystreamBytes = numBlocksToGenerate * this.util.outputByteLength;
-		var keystreamBytes = new Uint8Array(numKeystreamBytes);
+		return new Promise(function(resolve, reject)
+		{
+			var processTimeSlice = function()
+			{
+				var startTime = Date.now();
 
-		// Find the stop counter value to exit keystream generation
-		var maxCounter = counter + numBlocksToGenerate;
-		var counterAndNonceBytes = new Uint8Array(16);
+				try
+				{
+					// Stop if the operation was cancelled while paused
+					self.checkAborted(options.signal);
 
-		// Fill the first 8 bytes of the array with the nonce bytes
-		this.util.updateArray(counterAndNonceBytes, nonce, 0);
+					// Process slices until the time slice is used up or the output is complete
+					do {
+						var end = Math.min(bytesDone + sliceByteLength, outputLength);
+						var sliceCounter = Salsa20.core.util.addToCounter(counter, bytesDone / blockByteLength);
+						var outputSlice;
 
-		// Generate the keystream
-		for (var block = 0;  counter < maxCounter;  block += 64, counter++)
-		{
-			// Convert the counter to fixed 8 byte array
-			var counterBytes = this.util.numToEightByteArray(counter);
+						if (message !== null)
+						{
+							outputSlice = Salsa20.core.encryption(key, message.subarray(bytesDone, end), nonce, sliceCounter, rounds);
+						}
+						else {
+							outputSlice = Salsa20.core.generateKeystream(key, end - bytesDone, nonce, sliceCounter, rounds);
+						}
 
-			// Fill the last 8 bytes of the array with the new counter bytes
-			// This forms the nonce + counter (16 bytes) input into the expansion function
-			this.util.updateArray(counterAndNonceBytes, counterBytes, 8);
+						output.set(outputSlice, bytesDone);
+						bytesDone = end;
+					}
+					while ((bytesDone < outputLength) && ((Date.now() - startTime) < self.timeSliceMilliseconds));
 
-			// Generate 64 byte block keystream using the Salsa20 expansion function
-			var expansionBytes = this.expansion(counterAndNonceBytes, keys.key0, keys.key1);
+					// Report the progress to the user
+					if (typeof options.onProgress === 'function')
+					{
+						options.onProgress(bytesDone, outputLength);
+					}
+				}
+				catch (error)
+				{
+					return reject(error);
+				}
 
-			// Build output
-			this.util.updateArray(keystreamBytes, expansionBytes, block);
-		}
-		
-		return keystreamBytes;
+				// Pause to let other events run, or finish
+				if (bytesDone < outputLength)
+				{
+					setTimeout(processTimeSlice, 0);
+				}
+				else {
+					resolve(output);
+				}
+			};
+
+			processTimeSlice();
+		});
 	},
-	
+
 	/**
-	 * Encrypts the plaintext or decrypts the ciphertext by XORing the keystream with the plaintext/ciphertext bytes. 
-	 * This implicitly makes the output the same length as the input plaintext/ciphertext.
-	 * @param {Uint8Array} keystreamBytes The full keystream in bytes, this should be at least the same length as the message bytes
-	 * @param {Uint8Array} messageBytes The ciphertext or plaintext message bytes
-	 * @param {Uint8Array} messageLength The length of the ciphertext/plaintext message in bytes
-	 * @returns {Uint8Array} Returns the encrypted/decrypted ciphertext/message bytes
+	 * Throws if the AbortSignal has been aborted
+	 * @param {AbortSignal} signal The optional AbortSignal from the options
 	 */
-	xorKeystreamAndMessage: function(keystreamBytes, messageBytes, messageLength)
+	checkAborted: function(signal)
 	{
-		// Pre-allocate space in the typed array
-		var xoredBytes = new Uint8Array(messageLength);
-		
-		// XOR each byte of the message with the corresponding keystream byte
-		for (var i = 0;  i < messageLength;  i++)
+		if (signal && signal.aborted)
 		{
-			// XOR the two bytes together
-			xoredBytes[i] = keystreamBytes[i] ^ messageBytes[i];
-		}
+			// Use the reason given to AbortController.abort() if the environment supports it
+			if (typeof signal.reason !== 'undefined')
+			{
+				throw signal.reason;
+			}
 
-		return xoredBytes;
+			var error = new Error('The operation was aborted');
+			error.name = 'AbortError';
+
+			throw error;
+		}
 	}
 };
 
 /**
- * Helper utility functions
+ * Parallel encryption and keystream generation with a pool of Web Workers in the browser or worker_threads in 
+ * Node.js. Salsa20 blocks are independent, so a large job is split into parts by counter range and each part is run 
+ * in a different worker. Each part of the message is copied into its own buffer, which is transferred to the worker 
+ * without another copy. The output of each part is transferred back and copied into the joined output, so the message 
+ * is copied twice in the current thread. If workers are not available the parts are run in the current thread.
  */
-Salsa20.core.util = {
-	
+Salsa20.parallel = {
+
 	/**
-	 * The core of Salsa20 is a hash function with 64-byte input and 64-byte output length
-	 * @type Number
+	 * The URL of this script for loading in Web Workers. This is found from the script tag when the library loads, but 
+	 * can be set if the library is bundled into another file.
+	 * @type String
 	 */
-	outputByteLength: 64,
+	scriptUrl: ((typeof document !== 'undefined') && document.currentScript) ? document.currentScript.src : null,
 
 	/**
-	 * The maximum integer size in JavaScript (Number.MAX_SAFE_INTEGER or 9007199254740991 or 2^53 - 1)
-	 * @type Number
+	 * The path of this script for loading in Node.js worker threads
+	 * @type String
 	 */
-	maxInteger: Math.pow(2, 53) - 1,
+	scriptPath: (typeof __filename !== 'undefined') ? __filename : null,
 
 	/**
-	 * Converts a hexadecimal string to a byte array
-	 * @param {String} hexString A string of hexadecimal symbols
-	 * @returns {Uint8Array} Returns a byte array e.g. [34, 255, 0, 64]
+	 * The require function used to load the Node.js worker_threads and os modules
+	 * @type Function
 	 */
-	hexToBytes: function(hexString)
-	{		
-		// Calculate the length of the string in bytes
-		var stringLength = hexString.length;
-		var numOfBytes = stringLength / 2;
-
-		// Create a buffer with a Uint8Array view referring to the buffer
-		var buffer = new ArrayBuffer(numOfBytes);
-		var byteArray = new Uint8Array(buffer);
-
-		for (var i = 0, byteIndex = 0;  i < stringLength;  i += 2, byteIndex++)
-		{
-			// Convert the hex to a byte
-			var byteHex = hexString.substring(i, i + 2);
-			var byte = parseInt(byteHex, 16);
-
-			byteArray[byteIndex] = byte;
-		}
-
-		return byteArray;
-	},
+	nodeRequire: (typeof require === 'function') ? require : null,
 
 	/**
-	 * Converts a byte array to a hexadecimal string
-	 * @param {Uint8Array} byteArray A byte array e.g. [34, 255, 0, 64]
-	 * @returns {String} Returns A string of hexadecimal symbols
-	*/
-	bytesToHex: function(byteArray)
-	{
-		var hexString = '';
+	 * ES modules in Node.js don't have require(). The ES module build sets this to a function which returns a Promise 
+	 * for the require function, and it is called the first time the parallel functions are used.
+	 * @type Function
+	 */
+	loadNodeRequire: null,
 
-		for (var i = 0, length = byteArray.length; i < length; i++)
-		{				
-			// Convert the decimal to a byte, adding padding if necessary
-			var hex = byteArray[i].toString(16);
-			var hexPadded = this.leftPadding(hex, '0', 2);
+	/**
+	 * The number of workers in the pool, by default the number of CPU cores is used
+	 * @type Number
+	 */
+	poolSize: null,
 
-			hexString += hexPadded;
-		}
+	/**
+	 * The smallest part to send to a worker in bytes. Smaller jobs use fewer workers because of the cost of messaging.
+	 * @type Number
+	 */
+	minPartByteLength: 65536,
 
-		return hexString;
-	},
+	/**
+	 * The shared worker pool, created on first use
+	 * @type Salsa20.parallel.Pool
+	 */
+	pool: null,
 
 	/**
-	 * Left pad a string with a certain character to a total number of characters
-	 * @param {string} inputString The string to be padded
-	 * @param {string} padCharacter The character that the string should be padded with
-	 * @param {number} totalCharacters The length of string that's required
-	 * @returns {string} A string with characters appended to the front of it
+	 * Encrypts a message in parallel with the same parameters as Salsa20.encrypt
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array} message The plaintext message. This can be an array of bytes, a ASCII/UTF-8 string or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start encrypting from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same inputTextType, returnType and rounds options as Salsa20.encrypt
+	 * @returns {Promise} Returns a Promise which resolves with an array of bytes or a hexadecimal string
 	 */
-	leftPadding: function(inputString, padCharacter, totalCharacters)
+	encrypt: function(key, message, nonce, counter, options)
 	{
-		// Convert to string first, or it starts adding numbers instead of concatenating
-		inputString = inputString.toString();
-
-		// If the string is already the right length, just return it
-		if (!inputString || !padCharacter || inputString.length >= totalCharacters)
-		{
-			return inputString;
-		}
-
-		// Work out how many extra characters we need to add to the string
-		var charsToAdd = (totalCharacters - inputString.length) / padCharacter.length;
+		// If the options are unset, set to a blank object
+		options = options || {};
 
-		// Add padding onto the string
-		for (var i = 0; i < charsToAdd; i++)
+		return this.encryption(key, message, nonce, counter, options).then(function(encryptedBytes)
 		{
-			inputString = padCharacter + inputString;
-		}
-
-		return inputString;
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(encryptedBytes);
+			}
+			else {
+				// By default return a byte array
+				return encryptedBytes;
+			}
+		});
 	},
 
 	/**
-	 * Converts a hex word e.g. 0xc0a8787e or 'c0a8787e' to 32 bit decimal equivalent i.e. 3232266366
-	 * @param {String} hexWord A hexadecimal word of 32 bits
-	 * @returns {Number} Returns a 32 bit integer
+	 * Decrypts a message in parallel with the same parameters as Salsa20.decrypt
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {String|Uint8Array} ciphertext The ciphertext message. This can be an array of bytes or also a hexadecimal string e.g. 'ab0de1f2...' if { inputTextType: 'hex' } is passed in the options object.
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start decrypting from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same inputTextType, returnType and rounds options as Salsa20.decrypt
+	 * @returns {Promise} Returns a Promise which resolves with an ASCII/UTF-8 string, or a hex string if { returnType: 'hex' } is passed
 	 */
-	hexToDec: function(hexWord)
-	{		
-		return parseInt(hexWord, 16);
+	decrypt: function(key, ciphertext, nonce, counter, options)
+	{
+		// If the options are unset, set to a blank object
+		options = options || {};
+
+		return this.encryption(key, ciphertext, nonce, counter, options).then(function(decryptedBytes)
+		{
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(decryptedBytes);
+			}
+			else {
+				// Decode from bytes to UTF-8 string
+				return Salsa20.core.util.bytesToUtf8String(decryptedBytes);
+			}
+		});
 	},
 
 	/**
-	 * Converts a decimal or integer to a hexadecimal word of 32 bits e.g. 3232266366 becomes 'c0a8787e'
-	 * @param {Number} decimalNum
-	 * @returns {String} Returns a hexadecimal word of length 32 bits (8 hexadecimal chars)
+	 * Parses the inputs and encrypts or decrypts the message in parallel
+	 * @param {String|Uint8Array} key The key
+	 * @param {String|Uint8Array} message The plaintext or ciphertext
+	 * @param {String|Uint8Array|Number|BigInt} nonce The nonce
+	 * @param {Number|BigInt|Uint8Array} counter The block to start from
+	 * @param {Object} options The options object with the inputTextType and rounds options
+	 * @returns {Promise} Returns a Promise which resolves with the output bytes
 	 */
-	decToHex: function(decimalNum)
+	encryption: function(key, message, nonce, counter, options)
 	{
-		// Convert to hexadecimal and pad to 4 bytes (8 hexadecimal chars)
-		var hexWord = decimalNum.toString(16);
-		var paddedHexWord = this.leftPadding(hexWord, '0', 8);
+		var self = this;
 
-		return paddedHexWord;
+		// Errors from parsing the inputs reject the Promise instead of being thrown
+		return new Promise(function(resolve)
+		{
+			key = Salsa20.core.util.parseKey(key);
+			message = Salsa20.core.util.parseMessage(message, options);
+			nonce = Salsa20.core.util.parseNonce(nonce);
+			counter = Salsa20.core.util.parseCounter(counter, message.length);
+
+			resolve(self.run(key, message, message.length, nonce, counter, Salsa20.core.util.parseRounds(options)));
+		});
 	},
 
 	/**
-	 * Adds two decimal words of length 32 bits together
-	 * @param {Number} wordA A decimal word of 32 bits
-	 * @param {Number} wordB A decimal word of 32 bits
-	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 * Generates a keystream in parallel with the same parameters as Salsa20.generateKeystream
+	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
+	 * @param {Number} length An integer representing the minimum length of the keystream required
+	 * @param {String|Uint8Array|Number|BigInt} nonce A hex string of 16 symbols, a byte array of 8 bytes, an integer between 0 and 2^53 - 1 inclusive or a BigInt between 0 and 2^64 - 1 inclusive
+	 * @param {Number|BigInt|Uint8Array} counter An integer specifying the block to start keystream generation from. Normally a 0 should be passed.
+	 * @param {Object} options Optional object with the same returnType and rounds options as Salsa20.generateKeystream
+	 * @returns {Promise} Returns a Promise which resolves with an array of bytes or a hexadecimal string
 	 */
-	sumWords: function(wordA, wordB)
+	generateKeystream: function(key, length, nonce, counter, options)
 	{
-		// Store result in 32 bit typed array which will clamp the result to 32 bits
-		var wordArray = new Uint32Array(1);
+		var self = this;
 
-		// Add the two numbers
-		wordArray[0] = wordA + wordB;
+		// If the options are unset, set to a blank object
+		options = options || {};
 
-		return wordArray[0];
+		return new Promise(function(resolve)
+		{
+			key = Salsa20.core.util.parseKey(key);
+			nonce = Salsa20.core.util.parseNonce(nonce);
+			counter = Salsa20.core.util.parseCounter(counter, length);
+
+			resolve(self.run(key, null, length, nonce, counter, Salsa20.core.util.parseRounds(options)));
+		})
+		.then(function(keystream)
+		{
+			// If the return type requested is hex, convert the bytes to hex
+			if (options.hasOwnProperty('returnType') && (options.returnType === 'hex'))
+			{
+				return Salsa20.core.util.bytesToHex(keystream);
+			}
+			else {
+				// By default return a byte array
+				return keystream;
+			}
+		});
 	},
 
 	/**
-	 * Exclusive ORs two 32 bit decimal words together
-	 * @param {Number} wordA A decimal word of 32 bits
-	 * @param {Number} wordB A decimal word of 32 bits
-	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 * Runs the job in parallel
+	 * @param {Uint8Array} key A 16 or 32 byte key
+	 * @param {Uint8Array} message The message bytes, or null to generate keystream
+	 * @param {Number} length The message length or minimum keystream length
+	 * @param {Uint8Array} nonce An 8 byte nonce
+	 * @param {Number|BigInt} counter The block to start from
+	 * @param {Number} rounds The number of rounds
+	 * @returns {Promise} Returns a Promise which resolves with the output bytes
 	 */
-	xorWords: function(wordA, wordB)
+	run: function(key, message, length, nonce, counter, rounds)
 	{
-		// Store result in 32 bit typed array which will clamp the result to 32 bits
-		var wordArray = new Uint32Array(1);
+		var self = this;
 
-		// XOR the two numbers
-		wordArray[0] = wordA ^ wordB;
-
-		return wordArray[0];
+		// The environment can only be checked once require() has been loaded for the ES module build
+		return this.prepareEnvironment().then(function()
+		{
+			return self.runParts(key, message, length, nonce, counter, rounds);
+		});
 	},
 
 	/**
-	 * Left rotates a decimal word to the specified number of bits
-	 * @param {Number} wordA A decimal word of 32 bits
-	 * @param {Number} numBitsToRotate An integer of the number of bits to rotate
-	 * @returns {Number} Returns the resulting decimal word of 32 bits
+	 * Loads require() if the library was loaded as an ES module in Node.js. If it can't be loaded, or salsa20.js isn't 
+	 * next to salsa20.mjs for the worker threads, the parts are run in the current thread.
+	 * @returns {Promise} Returns a Promise which resolves when the environment is ready to be checked
 	 */
-	leftRotate: function(wordA, numBitsToRotate)
+	prepareEnvironment: function()
 	{
-		// Store result in 32 bit typed array which will clamp the result to 32 bits
-		var wordArray = new Uint32Array(1);
+		var self = this;
 
-		// Left rotate the number by the number of bits
-		wordArray[0] = (wordA << numBitsToRotate | (wordA >>> (32 - numBitsToRotate)));
+		if ((this.nodeRequire !== null) || (this.loadNodeRequire === null))
+		{
+			return Promise.resolve();
+		}
 
-		return wordArray[0];
+		return this.loadNodeRequire().then(function(nodeRequire)
+		{
+			self.nodeRequire = nodeRequire;
+		},
+		function()
+		{
+			self.loadNodeRequire = null;
+		});
 	},
 
 	/**
-	 * Converts an array of hex words to a typed array of decimal words
-	 * @param {Array} hexWords An array of 32 bit hexadecimal words e.g. ['e7e8c006', 'c4f9417d', ...]
-	 * @returns {Uint32Array} Returns a typed array of decimal 32 bit words e.g. [3232266366, 3232266366, ...]
+	 * Splits the job into parts by counter range, runs them in the workers and joins the output
+	 * @param {Uint8Array} key A 16 or 32 byte key
+	 * @param {Uint8Array} message The message bytes, or null to generate keystream
+	 * @param {Number} length The message length or minimum keystream length
+	 * @param {Uint8Array} nonce An 8 byte nonce
+	 * @param {Number|BigInt} counter The block to start from
+	 * @param {Number} rounds The number of rounds
+	 * @returns {Promise} Returns a Promise which resolves with the output bytes
 	 */
-	hexWordsToDecWords: function(hexWords)
-	{		
-		// Create a buffer with a Uint32Array view referring to the buffer
-		var arrayLength = hexWords.length;		
-		var decWords = new Uint32Array(arrayLength);
+	runParts: function(key, message, length, nonce, counter, rounds)
+	{
+		var numBlocks = Math.ceil(length / Salsa20.core.util.outputByteLength);
+		var outputLength = (message !== null) ? length : numBlocks * Salsa20.core.util.outputByteLength;
+		var output = new Uint8Array(outputLength);
 
-		for (var i = 0; i < arrayLength; i++)
-		{			
-			// Convert the 32 bit hex word to decimal			
-			decWords[i] = this.hexToDec(hexWords[i]);
+		// Use one part per worker, unless the parts would be smaller than the minimum. Each part is a whole number of 
+		// blocks so the counter for each part can be calculated.
+		var numParts = Math.max(1, Math.min(this.getPoolSize(), Math.ceil(length / this.minPartByteLength)));
+		var blocksPerPart = Math.ceil(numBlocks / numParts);
+		var partByteLength = blocksPerPart * Salsa20.core.util.outputByteLength;
+		var partPromises = [];
+
+		for (var part = 0, start = 0;  start < outputLength;  part++, start += partByteLength)
+		{
+			var end = Math.min(start + partByteLength, outputLength);
+			var task = {
+				key: key,
+				nonce: nonce,
+				counter: Salsa20.core.util.addToCounter(counter, part * blocksPerPart),
+				rounds: rounds,
+				message: (message !== null) ? message.slice(start, end) : null,
+				length: end - start
+			};
+
+			partPromises.push(this.runTask(task).then(this.copyPartOutput(output, start)));
 		}
 
-		return decWords;
+		return Promise.all(partPromises).then(function()
+		{
+			return output;
+		});
 	},
 
 	/**
-	 * Updates a typed array with data from another array. The update can start from a start index which avoids 
-	 * overwriting values before the start index in the typed array. Support for the concat operation on typed arrays 
-	 * is not well supported so this function is needed for now. Because typed arrays reference the same block of 
-	 * memory it will update the passed in array.
-	 * @param {Uint32Array|Uint8Array} arrayToFill The typed array to be filled with data
-	 * @param {Uint32Array|Uint8Array} arrayToFillFrom The contents of this typed array will be added to the first array
-	 * @param {Number} startIndex An integer starting from 0 to reference the index to start adding at in the current array
+	 * Creates a function which copies the output of a part into the full output
+	 * @param {Uint8Array} output The full output
+	 * @param {Number} start The index of the part in the output
+	 * @returns {Function} Returns the function
 	 */
-	updateArray: function(arrayToFill, arrayToFillFrom, startIndex)
+	copyPartOutput: function(output, start)
 	{
-		for (var i = 0, length = arrayToFillFrom.length;  i < length;  i++)
+		return function(partOutput)
 		{
-			arrayToFill[startIndex + i] = arrayToFillFrom[i];
-		}
+			output.set(partOutput, start);
+		};
 	},
 
 	/**
-	 * Converts a nonce or counter to a fixed 8 byte (64 bit) array
-	 * @param {Number} num An integer e.g. nonce or counter to be converted to fixed 8 byte array
-	 * @returns {Uint8Array} Returns an array of bytes with a total size of 8 bytes
+	 * Runs a part in the worker pool, or in the current thread if workers are not available
+	 * @param {Object} task The part with the key, nonce, counter, rounds, message and length
+	 * @returns {Promise} Returns a Promise which resolves with the output bytes of the part
 	 */
-	numToEightByteArray: function(num)
+	runTask: function(task)
 	{
-		// Convert to hex
-		var counterHex = num.toString(16);
+		var self = this;
 
-		// Add padding to make up 64 bits (4 bits per symbol x 16)
-		var paddedCounterHex = this.leftPadding(counterHex, '0', 16);
+		if (this.getEnvironment() === null)
+		{
+			return new Promise(function(resolve)
+			{
+				resolve(self.processTask(task).output);
+			});
+		}
 
-		// Convert to bytes
-		return this.hexToBytes(paddedCounterHex);
+		return this.getPool().run(task, (task.message !== null) ? [task.message.buffer] : []);
 	},
 
 	/**
-	 * Separates a key evenly into two parts for input into the expansion function. 
-	 * This is required because JavaScript's regular slice function is not currently implemented for typed arrays.
-	 * @param {Uint8Array} key A 16-byte sequence for the 128 bit key or 32-byte sequence for the 256 bit key
-	 * @returns {Object} Returns an object with 'key0' and 'key1'
+	 * Runs a part. This is called inside the worker.
+	 * @param {Object} task The part with the key, nonce, counter, rounds, message and length
+	 * @returns {Object} Returns an object with the task 'id' and the 'output' bytes, or an 'error' message
 	 */
-	splitKey: function(key)
-	{	
-		var key0 = new Uint8Array(16);
-		var key1 = new Uint8Array(16);
-
-		// If 128 bit key, return the first 16 bytes as key0 and an empty array for the last key
-		if (key.length === 16)
-		{
-			return { 
-				key0: key,
-				key1: new Uint8Array(0)
-			};
-		}
+	processTask: function(task)
+	{
+		var result = { id: task.id };
 
-		// Otherwise if 256 bit key, loop through the bytes in the key
-		for (var i = 0, newKeyIndex = 0;  i < 32;  newKeyIndex++, i++)
+		// Errors are sent back as a message, so the Promise for the part can be rejected
+		try
 		{
-			// If 16 bytes already filled, reset the index for the second array
-			if (i === 16)
+			if (task.message !== null)
 			{
-				newKeyIndex = 0;
-			}
-
-			// Store first half of key in key0
-			if (i < 16)
-			{
-				key0[newKeyIndex] = key[i];
+				result.output = Salsa20.core.encryption(task.key, task.message, task.nonce, task.counter, task.rounds);
 			}
 			else {
-				// Store second half of key in key1
-				key1[newKeyIndex] = key[i];
+				result.output = Salsa20.core.generateKeystream(task.key, task.length, task.nonce, task.counter, task.rounds);
 			}
 		}
+		catch (error)
+		{
+			result.error = error.message;
+		}
 
-		return {
-			key0: key0,
-			key1: key1
-		};
+		return result;
 	},
 
 	/**
-	 * Exclusive OR two bytes together
-	 * @param {Number} byteA An integer from 0 - 255 inclusive
-	 * @param {Number} byteB An integer from 0 - 255 inclusive
-	 * @returns {Number} Returns an integer from 0 - 255 inclusive
+	 * Finds which kind of workers can be used
+	 * @returns {String} Returns 'node' for worker_threads, 'browser' for Web Workers or null if neither is available
 	 */
-	xorTwoBytes: function(byteA, byteB)
+	getEnvironment: function()
 	{
-		// Create a typed array which will clamp the result to a single byte within the range of 0 - 255
-		var resultByte = new Uint8Array(1);
+		if ((typeof process !== 'undefined') && process.versions && process.versions.node && (this.nodeRequire !== null) && this.scriptPath)
+		{
+			return 'node';
+		}
 
-		// XOR the two bytes
-		resultByte[0] = byteA ^ byteB;
+		if ((typeof Worker !== 'undefined') && (typeof Blob !== 'undefined') && this.scriptUrl)
+		{
+			return 'browser';
+		}
 
-		return resultByte[0];
+		return null;
 	},
 
 	/**
-	 * Parses the key input by the user and normalises it to a byte array
-	 * @param {String|Uint8Array} key A hexadecimal string e.g. 'ab0de1f2...' or array of bytes e.g. [0, 255, 22, ...] equal to 128 bits or 256 bits
-	 * @returns {Uint8Array} Returns an array of bytes
+	 * Gets the number of workers to use
+	 * @returns {Number} Returns the pool size if set, otherwise the number of CPU cores
 	 */
-	parseKey: function(key)
+	getPoolSize: function()
 	{
-		// If string, convert the key from hexadecimal string to byte array
-		if (typeof key === 'string')
-		{				
-			key = this.hexToBytes(key);
-		}
-		else if ((key instanceof Uint8Array) === false)
+		if (this.poolSize !== null)
 		{
-			throw new Error('Incorrect parameter type for the key, it should be an array of bytes or hex string');
+			return this.poolSize;
 		}
 
-		// Get key length in bytes
-		var keyLength = key.length;
-
-		// Checks the key is the correct size of 16 bytes (128 bits) or 32 bytes (256 bits)
-		if ((keyLength === 16) || (keyLength === 32))
+		if (this.getEnvironment() === 'node')
 		{
-			// Key should be byte array now
-			return key;
+			return Math.max(1, this.nodeRequire('os').cpus().length);
 		}
 
-		throw new Error('Incorrect key length, only 16 bytes (128 bits) or 32 bytes (256 bits) accepted');
+		return ((typeof navigator !== 'undefined') && navigator.hardwareConcurrency) ? navigator.hardwareConcurrency : 4;
 	},
 
 	/**
-	 * Converts a message from a hexadecimal string or UTF-8 to a byte array
-	 * @param {String|Uint8Array} message The message of an arbitrary length as a UTF-8 string, hexadecimal string, or array of bytes
-	 * @param {Object} options Optional object with additional options:
-	 *		inputTextType: 'hex' - The input message plaintext or ciphertext
-	 * @returns {Uint8Array} Returns a byte array
+	 * Gets the shared worker pool, creating it the first time
+	 * @returns {Salsa20.parallel.Pool} Returns the pool
 	 */
-	parseMessage: function(message, options)
+	getPool: function()
 	{
-		// If a hexadecimal or UTF-8 string
-		if (typeof message === 'string')
-		{
-			// Check it is a hex string by checking the options property
-			if ((typeof options !== 'undefined') && (options.hasOwnProperty('inputTextType')) && (options.inputTextType === 'hex'))
-			{
-				// Convert from hexadecimal string
-				message = this.hexToBytes(message);
-			}
-			else {
-				// Convert from UTF-8 string
-				message = this.utf8StringToBytes(message);
-			}
-		}
-		else if ((message instanceof Uint8Array) === false)
-		{
-			throw new Error('Incorrect parameter type for the message, it should be a string, hex string or array of bytes');
-		}
-
-		// The maximum counter in the spec is 2^64, but JavaScript can't go higher than 2^53 - 1 for an integer. Multiply 
-		// this max counter by the output bytes of Salsa20 function (64 bytes) which gives 576460752303424000 bytes = 512 PiB
-		if (message.length > (this.maxInteger * this.outputByteLength))
+		if (this.pool === null)
 		{
-			throw new Error('Should not encrypt more than 512 petabytes of data under a single nonce, try splitting the data and encrypting under separate nonces');
+			this.pool = new this.Pool(this.getPoolSize());
 		}
 
-		return message;
+		return this.pool;
 	},
 
 	/**
-	 * Converts the nonce to a fixed size byte array
-	 * @param {Uint8Array|String|Number} nonce A byte array of 8 bytes, a hex string of 16 symbols, or an integer between 0 and 2^53 - 1 inclusive
-	 * @returns {Uint8Array} Returns a byte array of 8 bytes
+	 * Stops all the workers in the shared pool. A new pool is created if the parallel functions are used again.
 	 */
-	parseNonce: function(nonce)
+	terminate: function()
 	{
-		// If an array of bytes
-		if ((nonce instanceof Uint8Array) && (nonce.length === 8))
+		if (this.pool !== null)
 		{
-			// Convert the typed array to a regular array
-			return nonce;
+			this.pool.terminate();
+			this.pool = null;
 		}
+	},
 
-		// If a hexadecimal string with 16 hex digits in length
-		else if ((typeof nonce === 'string') && (nonce.length === 16))
+	/**
+	 * Creates a worker which loads this script and runs the parts it is sent
+	 * @param {Function} onMessage Called with the result object from the worker
+	 * @param {Function} onError Called with an Error if the worker fails
+	 * @returns {Worker} Returns the Web Worker or worker_threads Worker
+	 */
+	createWorker: function(onMessage, onError)
+	{
+		var worker;
+
+		if (this.getEnvironment() === 'node')
 		{
-			return this.hexToBytes(nonce);
+			var workerThreads = this.nodeRequire('worker_threads');
+			var nodeWorkerCode = [
+				'var workerThreads = require("worker_threads");',
+				'var Salsa20 = require(workerThreads.workerData.scriptPath);',
+				'workerThreads.parentPort.on("message", function(task) {',
+				'	var result = Salsa20.parallel.processTask(task);',
+				'	workerThreads.parentPort.postMessage(result, result.output ? [result.output.buffer] : []);',
+				'});'
+			];
+
+			worker = new workerThreads.Worker(nodeWorkerCode.join('\n'), { eval: true, workerData: { scriptPath: this.scriptPath } });
+			worker.on('message', onMessage);
+			worker.on('error', onError);
 		}
+		else {
+			var browserWorkerCode = [
+				'importScripts(' + JSON.stringify(this.scriptUrl) + ');',
+				'self.addEventListener("message", function(event) {',
+				'	var result = Salsa20.parallel.processTask(event.data);',
+				'	self.postMessage(result, result.output ? [result.output.buffer] : []);',
+				'});'
+			];
 
-		// If a positive integer
-		else if ((typeof nonce === 'number') && (nonce % 1 === 0) && (nonce >= 0))
-		{
-			// Check that it does not exceed integer limit in JavaScript (2^53 - 1)
-			if (nonce <= this.maxInteger)
+			// Create the inline worker from a Blob, the URL can be released once the worker has loaded it
+			var blobUrl = URL.createObjectURL(new Blob(browserWorkerCode, { type: 'text/javascript' }));
+
+			worker = new Worker(blobUrl);
+			worker.addEventListener('message', function(event)
 			{
-				return this.numToEightByteArray(nonce);
-			}
+				onMessage(event.data);
+			});
+			worker.addEventListener('error', function(event)
+			{
+				event.preventDefault();
+				onError(new Error('Error in worker thread: ' + event.message));
+			});
 
-			throw new Error('The nonce size has exceeded the max integer limit of JavaScript (' + this.maxInteger + ')');
+			setTimeout(function()
+			{
+				URL.revokeObjectURL(blobUrl);
+			}, 10000);
 		}
 
-		throw new Error('Incorrect parameter for the nonce, it should be a hex string (16 symbols), array of bytes (8 bytes) or a positive integer');
-	},
+		return worker;
+	}
+};
 
-	/**
-	 * Checks the counter is formulated correctly
-	 * @param {Number} counter An integer from 0 to 2^53 - 1 (max integer allowed in JavaScript)
-	 * @param {Number} messageLength The message length in number of bytes
-	 * @returns {Number} Returns an integer
-	 */
-	parseCounter: function(counter, messageLength)
+/**
+ * A reusable pool of workers. Parts are queued and sent to the next idle worker.
+ * @param {Number} size The maximum number of workers
+ */
+Salsa20.parallel.Pool = function(size)
+{
+	this.size = size;
+	this.workers = [];
+	this.idleWorkers = [];
+	this.queue = [];
+	this.nextTaskId = 0;
+};
+
+/**
+ * Queues a part to run in the next idle worker
+ * @param {Object} task The part to run
+ * @param {Array} transferList The buffers to transfer to the worker instead of copying
+ * @returns {Promise} Returns a Promise which resolves with the output bytes of the part
+ */
+Salsa20.parallel.Pool.prototype.run = function(task, transferList)
+{
+	var self = this;
+
+	return new Promise(function(resolve, reject)
 	{
-		// Throw exception if not a positive integer
-		if ((typeof counter !== 'number') || (counter % 1 !== 0) || (counter < 0))
-		{
-			throw new Error('The counter size should be an integer from 0 to ' + this.maxInteger);
-		}
+		task.id = self.nextTaskId++;
+		self.queue.push({ task: task, transferList: transferList, resolve: resolve, reject: reject });
+		self.dispatch();
+	});
+};
 
-		// The maximum number of keystream bytes that can be created from this start counter
-		var maxKeystreamBytes = ((this.maxInteger - counter) * this.outputByteLength) + this.outputByteLength;
+/**
+ * Sends queued parts to idle workers, starting new workers up to the pool size
+ */
+Salsa20.parallel.Pool.prototype.dispatch = function()
+{
+	while (this.queue.length > 0)
+	{
+		var worker = (this.idleWorkers.length > 0) ? this.idleWorkers.pop() : null;
 
-		// Check that enough keystream bytes can be generated to encrypt the message from this counter position 
-		// without overflowing JavaScript's maximum integer limit
-		if (messageLength > maxKeystreamBytes)
+		if ((worker === null) && (this.workers.length < this.size))
 		{
-			throw new Error(
-				'The message is longer than the number of keystream bytes that can be generated from this start ' +
-				'counter position. Consider splitting the message into smaller parts. Start counter: ' + 
-				counter + '. Max message bytes that can be ' + 'encrypted/decrypted from this counter position: ' + 
-				maxKeystreamBytes + '. Num of message bytes: ' + messageLength
-			);
+			worker = this.createWorker();
 		}
 
-		return counter;
-	},
+		// Wait for a worker to finish
+		if (worker === null)
+		{
+			return;
+		}
 
-	/**
-	 * Encodes an ASCII/UTF-8 string into an array of bytes
-	 * @param {String} unicodeString
-	 * @returns {Uint8Array}
-	 */
-	utf8StringToBytes: function(unicodeString)
-	{
-		// Encode all Unicode chars
-		var utf8ByteString = unescape(encodeURIComponent(unicodeString));
-		var length = utf8ByteString.length;
+		var job = this.queue.shift();
+		worker.salsa20Job = job;
 
-		for (var i = 0, utf8Bytes = new Uint8Array(length);  i < length;  i++)
+		// Node.js worker threads keep the process running only while they have work
+		if (typeof worker.ref === 'function')
 		{
-			// Get the decimal representation of each character and update the byte array
-			utf8Bytes[i] = utf8ByteString.charCodeAt(i);
+			worker.ref();
 		}
 
-		return utf8Bytes;
-	},
+		worker.postMessage(job.task, job.transferList);
+	}
+};
 
-	/**
-	 * Decodes an array of bytes to an ASCII/UTF-8 string
-	 * @param {Uint8Array} bytes
-	 * @returns {String}
-	 */
-	bytesToUtf8String: function(bytes)
-	{		
-		// Get the char code for each byte
-		for (var i = 0, string = '', length = bytes.length;  i < length;  i++)
+/**
+ * Starts a new worker and adds it to the pool
+ * @returns {Worker} Returns the worker
+ */
+Salsa20.parallel.Pool.prototype.createWorker = function()
+{
+	var self = this;
+	var worker = Salsa20.parallel.createWorker(
+		function(result)
 		{
-			var byte = bytes[i];
+			self.finishJob(worker, result);
+		},
+		function(error)
+		{
+			self.removeWorker(worker, error);
+		}
+	);
 
-			string += String.fromCharCode(byte);
+	this.workers.push(worker);
+
+	return worker;
+};
+
+/**
+ * Resolves or rejects the part a worker has finished, then gives it the next part
+ * @param {Worker} worker The worker
+ * @param {Object} result The result object with the 'output' bytes or an 'error' message
+ */
+Salsa20.parallel.Pool.prototype.finishJob = function(worker, result)
+{
+	var job = worker.salsa20Job;
+
+	worker.salsa20Job = null;
+	this.idleWorkers.push(worker);
+
+	if (typeof worker.unref === 'function')
+	{
+		worker.unref();
+	}
+
+	if (typeof result.error !== 'undefined')
+	{
+		job.reject(new Error(result.error));
+	}
+	else {
+		job.resolve(result.output);
+	}
+
+	this.dispatch();
+};
+
+/**
+ * Removes a worker which has failed and rejects the part it was running
+ * @param {Worker} worker The worker
+ * @param {Error} error The error
+ */
+Salsa20.parallel.Pool.prototype.removeWorker = function(worker, error)
+{
+	var job = worker.salsa20Job;
+
+	this.workers.splice(this.workers.indexOf(worker), 1);
+
+	if (this.idleWorkers.indexOf(worker) !== -1)
+	{
+		this.idleWorkers.splice(this.idleWorkers.indexOf(worker), 1);
+	}
+
+	worker.terminate();
+
+	if (job)
+	{
+		job.reject(error);
+	}
+
+	this.dispatch();
+};
+
+/**
+ * Stops all the workers and rejects any parts which have not finished
+ */
+Salsa20.parallel.Pool.prototype.terminate = function()
+{
+	var error = new Error('The worker pool was terminated');
+
+	for (var i = 0; i < this.workers.length; i++)
+	{
+		if (this.workers[i].salsa20Job)
+		{
+			this.workers[i].salsa20Job.reject(error);
 		}
 
-		// Decode string back to UTF-8
-		return decodeURIComponent(escape(string));
+		this.workers[i].terminate();
+	}
+
+	for (var i = 0; i < this.queue.length; i++)
+	{
+		this.queue[i].reject(error);
 	}
-};
\ No newline at end of file
+
+	this.workers = [];
+	this.idleWorkers = [];
+	this.queue = [];
+};
+
+// Export from the module
+return Salsa20;
+}));
\ No newline at end of file
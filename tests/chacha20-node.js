@@ -0,0 +1,76 @@
+/**
+ * Salsa20js - Salsa20/20 JavaScript implementation - ChaCha20 differential tests against Node.js
+ * https://github.com/salsa20js/salsa20js
+ * 
+ * Copyright (c) 2015 Joshua M. David
+ * Released under the MIT License
+ * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+ * 
+ * Compares the ChaCha20 output with the 'chacha20' cipher built into Node.js (OpenSSL) for random keys, nonces, 
+ * counters and message lengths. Run with: node tests/chacha20-node.js
+ */
+
+// Use ECMAScript 5's strict mode
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var Salsa20 = require('../salsa20.js');
+
+/**
+ * Encrypts with the Node.js 'chacha20' cipher. Its 16 byte IV is the 32-bit littleendian block counter followed by 
+ * the 96-bit nonce. OpenSSL carries counter overflow into the next word, so an 8 byte littleendian counter followed by 
+ * an 8 byte nonce also gives the original 64-bit nonce layout.
+ * @param {Buffer} key A 32 byte key
+ * @param {Buffer} nonce A 12 byte or 8 byte nonce
+ * @param {Number} counter The block counter to start from
+ * @param {Buffer} message The message to encrypt
+ * @returns {String} Returns the ciphertext as a hexadecimal string
+ */
+function nodeChaCha20(key, nonce, counter, message)
+{
+	var iv = Buffer.alloc(16);
+	var counterByteLength = 16 - nonce.length;
+
+	// Write the counter in littleendian order then the nonce
+	Buffer.from(Salsa20.core.util.numToEightByteArrayLittleEndian(counter).subarray(0, counterByteLength)).copy(iv, 0);
+	nonce.copy(iv, counterByteLength);
+
+	var cipher = crypto.createCipheriv('chacha20', key, iv);
+
+	return Buffer.concat([cipher.update(message), cipher.final()]).toString('hex');
+}
+
+var numTests = 0;
+var messageLengths = [0, 1, 63, 64, 65, 127, 128, 1000, 4096];
+var counters = [0, 1, 2, 1000, Math.pow(2, 32) - 2];
+
+messageLengths.forEach(function(messageLength)
+{
+	counters.forEach(function(counter)
+	{
+		var key = crypto.randomBytes(32);
+		var message = crypto.randomBytes(messageLength);
+		var ietfNonce = crypto.randomBytes(12);
+		var originalNonce = crypto.randomBytes(8);
+
+		// The IETF 32-bit counter can't go past the last block
+		if ((counter + Math.ceil(messageLength / 64)) <= Math.pow(2, 32))
+		{
+			var expectedIetf = nodeChaCha20(key, ietfNonce, counter, message);
+			var resultIetf = Salsa20.chacha20.encrypt(new Uint8Array(key), new Uint8Array(message), new Uint8Array(ietfNonce), counter, { returnType: 'hex' });
+
+			assert.strictEqual(resultIetf, expectedIetf, 'IETF layout, length ' + messageLength + ', counter ' + counter);
+			numTests++;
+		}
+
+		// The original layout crosses into the high counter word when starting near 2^32
+		var expectedOriginal = nodeChaCha20(key, originalNonce, counter, message);
+		var resultOriginal = Salsa20.chacha20.encrypt(key.toString('hex'), message.toString('hex'), originalNonce.toString('hex'), counter, { inputTextType: 'hex', returnType: 'hex' });
+
+		assert.strictEqual(resultOriginal, expectedOriginal, 'Original layout, length ' + messageLength + ', counter ' + counter);
+		numTests++;
+	});
+});
+
+console.log('ChaCha20 matches Node.js for ' + numTests + ' random test cases');
@@ -0,0 +1,108 @@
+/**
+ * Salsa20js - Salsa20/20 JavaScript implementation - module format tests
+ * https://github.com/salsa20js/salsa20js
+ *
+ * Copyright (c) 2015 Joshua M. David
+ * Released under the MIT License
+ * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+ *
+ * Checks the library loads as an ES module built from salsa20.js, a CommonJS module, an AMD module and a browser global,
+ * that strict mode doesn't leak into other scripts concatenated with it, and that the ES module runs the parallel functions
+ * in worker threads.
+ * Run with: node tests/module-node.mjs
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { execFileSync } from 'child_process';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+var require = createRequire(import.meta.url);
+var buildModule = require('../tools/build-module.js');
+var source = fs.readFileSync(new URL('../salsa20.js', import.meta.url), 'utf8');
+
+// Build the ES module from the current salsa20.js into a temporary directory and load it from there. The worker threads 
+// load the CommonJS salsa20.js next to it, as in the package.
+var buildDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'salsa20js-'));
+var modulePath = path.join(buildDirectory, 'salsa20.mjs');
+
+fs.writeFileSync(modulePath, buildModule(source));
+fs.writeFileSync(path.join(buildDirectory, 'salsa20.js'), source);
+
+var esModule = await import(pathToFileURL(modulePath).href);
+var { default: Salsa20, encrypt, decrypt, core, util, xsalsa20, secretbox, Cipher } = esModule;
+
+var key = '0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20';
+var nonce = '0301040105090206';
+var expectedCiphertext = require('../salsa20.js').encrypt(key, 'The quick brown fox', nonce, 0, { returnType: 'hex' });
+
+// The default export and the named exports, including the wrapper functions imported on their own
+assert.ok(Salsa20.encrypt(key, 'The quick brown fox', nonce, 0, { returnType: 'hex' }) === expectedCiphertext, 'ES module default export should encrypt');
+assert.ok(encrypt(key, 'The quick brown fox', nonce, 0, { returnType: 'hex' }) === expectedCiphertext, 'ES module named encrypt export should encrypt');
+assert.ok(decrypt(key, expectedCiphertext, nonce, 0, { inputTextType: 'hex' }) === 'The quick brown fox', 'ES module named decrypt export should decrypt');
+assert.ok((core === Salsa20.core) && (util === Salsa20.core.util) && (xsalsa20 === Salsa20.xsalsa20) && (secretbox === Salsa20.secretbox) && (Cipher === Salsa20.Cipher), 'ES module should export the separate parts');
+
+// Every part of the library should be exported by name
+Object.keys(Salsa20).forEach(function(name)
+{
+	assert.ok(typeof esModule[name] !== 'undefined', 'ES module should export ' + name);
+});
+
+// AMD loaders get the library from define()
+var definedModule = null;
+var amdContext = { define: function(dependencies, factory) { definedModule = factory(); } };
+
+amdContext.define.amd = {};
+vm.runInNewContext(source, amdContext);
+assert.ok(definedModule.encrypt(key, 'The quick brown fox', nonce, 0, { returnType: 'hex' }) === expectedCiphertext, 'AMD module should encrypt');
+assert.ok(typeof amdContext.Salsa20 === 'undefined', 'AMD module should not create a global variable');
+
+// Browser global with noConflict() restoring the previous value, and strict mode not applying to the script after it
+var globalContext = { Salsa20: 'previous value' };
+
+vm.runInNewContext(source + '\nundeclaredVariable = Salsa20.noConflict();\n', globalContext);
+assert.ok(globalContext.Salsa20 === 'previous value', 'noConflict() should restore the previous global value');
+assert.ok(globalContext.undeclaredVariable.encrypt(key, 'The quick brown fox', nonce, 0, { returnType: 'hex' }) === expectedCiphertext, 'noConflict() should return the library');
+
+// The ES module has no require(), so it should load it to run the parallel functions in worker threads
+var parallelMessage = new Uint8Array(200000);
+var expectedParallelCiphertext = encrypt(key, parallelMessage, nonce, 3, { returnType: 'hex' });
+
+Salsa20.parallel.poolSize = 2;
+
+var parallelCiphertext = await Salsa20.parallel.encrypt(key, parallelMessage, nonce, 3, { returnType: 'hex' });
+
+assert.ok(parallelCiphertext === expectedParallelCiphertext, 'ES module parallel encryption should equal encrypt');
+assert.ok(Salsa20.parallel.getEnvironment() === 'node', 'ES module should use Node.js worker threads');
+assert.ok(Salsa20.parallel.pool.workers.length === 2, 'ES module should have started 2 worker threads');
+assert.ok(Salsa20.parallel.scriptPath === path.join(buildDirectory, 'salsa20.js'), 'Worker threads should load the salsa20.js next to the ES module');
+
+Salsa20.parallel.terminate();
+
+// Without the Web Crypto API global, as in Node.js 18, the ES module should get random bytes from the Node.js crypto 
+// module with process.getBuiltinModule(), or with require() if that isn't available either
+var randomScriptPath = path.join(buildDirectory, 'random-node.mjs');
+
+[false, true].forEach(function(removeGetBuiltinModule)
+{
+	fs.writeFileSync(randomScriptPath, [
+		'delete globalThis.crypto;',
+		removeGetBuiltinModule ? 'delete process.getBuiltinModule;' : '',
+		"var { random } = await import('./salsa20.mjs');",
+		'process.stdout.write(random.bytes(32, { returnType: \'hex\' }));'
+	].join('\n'));
+
+	var randomHex = execFileSync(process.execPath, [randomScriptPath]).toString();
+
+	assert.ok(/^[0-9a-f]{64}$/.test(randomHex) && (randomHex !== '0'.repeat(64)), 'ES module random.bytes() without a global crypto should return 32 random bytes, got ' + randomHex);
+});
+
+assert.ok(source.indexOf("require('crypto')") === -1, 'salsa20.js should not require the crypto module where bundlers can see it');
+
+fs.rmSync(buildDirectory, { recursive: true });
+
+console.log('Module format tests passed');
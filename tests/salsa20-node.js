@@ -0,0 +1,136 @@
+/**
+ * Salsa20js - Salsa20/20 JavaScript implementation - Node.js stream and file tests
+ * https://github.com/salsa20js/salsa20js
+ *
+ * Copyright (c) 2015 Joshua M. David
+ * Released under the MIT License
+ * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+ *
+ * Checks the stream.Transform wrappers, the file encryption helpers and the worker thread pool give the same output as
+ * encrypting the whole message at once. The test file is larger than the default 64 KiB read chunk so it is read in several parts.
+ * Run with: node tests/salsa20-node.js
+ */
+
+// Use ECMAScript 5's strict mode
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Salsa20 = require('../salsa20-node.js');
+
+var key = crypto.randomBytes(32).toString('hex');
+var keyBuffer = Buffer.from(key, 'hex');
+var nonce = crypto.randomBytes(8).toString('hex');
+var message = crypto.randomBytes(300000);
+var expectedCiphertext = Buffer.from(Salsa20.encrypt(key, new Uint8Array(message), nonce, 5));
+
+var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'salsa20js-'));
+var plaintextFile = path.join(directory, 'plaintext.bin');
+var ciphertextFile = path.join(directory, 'ciphertext.bin');
+var decryptedFile = path.join(directory, 'decrypted.bin');
+
+fs.writeFileSync(plaintextFile, message);
+
+// Write odd sized chunks to the Transform stream and collect the output
+var transform = Salsa20.node.createEncryptTransform(key, nonce, 5);
+var outputChunks = [];
+
+transform.on('data', function(chunk)
+{
+	outputChunks.push(chunk);
+});
+
+transform.on('end', function()
+{
+	assert.ok(Buffer.concat(outputChunks).equals(expectedCiphertext), 'Transform stream output should match Salsa20.encrypt');
+
+	// Encrypt then decrypt the file
+	Salsa20.node.encryptFile(plaintextFile, ciphertextFile, key, nonce, { counter: 5 }).then(function()
+	{
+		assert.ok(fs.readFileSync(ciphertextFile).equals(expectedCiphertext), 'Encrypted file should match Salsa20.encrypt');
+
+		// Node.js callers usually have the key in a Buffer, which should not be erased with the cipher's copy
+		return Salsa20.node.decryptFile(ciphertextFile, decryptedFile, keyBuffer, nonce, { counter: 5 });
+	})
+	.then(function()
+	{
+		assert.ok(fs.readFileSync(decryptedFile).equals(message), 'Decrypted file should match the original file');
+		assert.ok(keyBuffer.toString('hex') === key, 'The Buffer key should not change when the file is decrypted');
+
+		// An invalid key should reject without creating the destination file
+		return Salsa20.node.encryptFile(plaintextFile, path.join(directory, 'invalid.bin'), 'abcd', nonce).then(function()
+		{
+			assert.fail('An invalid key should reject');
+		},
+		function(error)
+		{
+			assert.ok(/key/.test(error.message), 'An invalid key should reject with a key error');
+			assert.ok(fs.existsSync(path.join(directory, 'invalid.bin')) === false, 'No file should be created for an invalid key');
+		});
+	})
+	.then(function()
+	{
+		// A source file which doesn't exist should reject and leave no partly written destination file
+		return Salsa20.node.encryptFile(path.join(directory, 'missing.bin'), path.join(directory, 'partial.bin'), keyBuffer, nonce).then(function()
+		{
+			assert.fail('A missing source file should reject');
+		},
+		function(error)
+		{
+			assert.ok(error.code === 'ENOENT', 'A missing source file should reject with ENOENT');
+			assert.ok(fs.existsSync(path.join(directory, 'partial.bin')) === false, 'The destination file should be removed when the pipeline fails');
+			assert.ok(keyBuffer.toString('hex') === key, 'The Buffer key should not change when the pipeline fails');
+		});
+	})
+	.then(function()
+	{
+		// Destroying a Transform stream before the end should erase the key
+		var cipher = Salsa20.createCipher(keyBuffer, nonce, 0);
+
+		Salsa20.node.createTransform(cipher).destroy();
+		assert.ok(cipher.finished && cipher.key.every(function(byte) { return byte === 0; }), 'Destroying the Transform stream should erase the key');
+		assert.ok(keyBuffer.toString('hex') === key, 'Destroying the Transform stream should not change the Buffer key passed in');
+	})
+	.then(function()
+	{
+		// Encrypt the message across two worker threads
+		Salsa20.parallel.poolSize = 2;
+
+		return Salsa20.parallel.encrypt(key, new Uint8Array(message), nonce, 5);
+	})
+	.then(function(ciphertext)
+	{
+		assert.ok(Buffer.from(ciphertext).equals(expectedCiphertext), 'Parallel encryption in worker threads should match Salsa20.encrypt');
+		assert.ok(Salsa20.parallel.pool.workers.length === 2, 'The pool should have started 2 worker threads');
+
+		// The pool is reused for the next job
+		return Salsa20.parallel.decrypt(key, ciphertext, nonce, 5, { returnType: 'hex' });
+	})
+	.then(function(plaintext)
+	{
+		assert.ok(plaintext === message.toString('hex'), 'Parallel decryption in worker threads should match the original message');
+		assert.ok(Salsa20.parallel.pool.workers.length === 2, 'The pool should reuse the same worker threads');
+
+		console.log('Node.js stream, file and worker thread tests passed');
+	})
+	.catch(function(error)
+	{
+		console.error(error);
+		process.exitCode = 1;
+	})
+	.then(function()
+	{
+		Salsa20.parallel.terminate();
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+});
+
+for (var position = 0, chunkLength = 1;  position < message.length;  position += chunkLength, chunkLength = (chunkLength * 3) + 1)
+{
+	transform.write(message.subarray(position, position + chunkLength));
+}
+
+transform.end();
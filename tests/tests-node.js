@@ -0,0 +1,54 @@
+/**
+ * Salsa20js - Salsa20/20 JavaScript implementation - QUnit suite runner for Node.js
+ * https://github.com/salsa20js/salsa20js
+ *
+ * Copyright (c) 2015 Joshua M. David
+ * Released under the MIT License
+ * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+ *
+ * Runs the unit tests in tests/tests.js with QUnit but without a browser. The tests which need the page to be loaded
+ * (the Web Worker tests) are skipped, they are still run by opening tests.html in a browser.
+ * Run with: node tests/tests-node.js
+ */
+
+// Use ECMAScript 5's strict mode
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// QUnit is loaded before the window global is set so it doesn't try to use the HTML reporter
+var QUnit = require('./qunit.js');
+
+global.QUnit = QUnit;
+global.Salsa20 = require('../salsa20.js');
+
+// The tests use window.crypto.getRandomValues() which Node.js has as a global as well
+global.window = global;
+
+// Code waiting for the page to be loaded with jQuery is never run
+global.$ = function() {};
+
+QUnit.log(function(details)
+{
+	if (!details.result)
+	{
+		console.log('Failed: ' + details.module + ': ' + details.name + (details.message ? ' - ' + details.message : ''));
+
+		if (details.source)
+		{
+			console.log(details.source);
+		}
+	}
+});
+
+QUnit.done(function(details)
+{
+	console.log(details.total + ' assertions, ' + details.passed + ' passed, ' + details.failed + ' failed');
+	process.exitCode = (details.failed > 0) ? 1 : 0;
+});
+
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, 'tests.js'), 'utf8'), { filename: path.join(__dirname, 'tests.js') });
+
+QUnit.load();
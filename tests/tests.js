@@ -583,6 +583,14 @@ var bytesExpected4 = new Uint8Array([0, 0, 0, 0, 73, 150, 2, 210]);
 var bytesExpected5 = new Uint8Array([0, 0, 0, 1, 0, 0, 0, 0]);
 var bytesExpected6 = new Uint8Array([0, 31, 255, 255, 255, 255, 255, 255]);
 
+// Test converting the block counter to a fixed 8 byte array in littleendian order
+var littleEndianBytes4 = Salsa20.core.util.numToEightByteArrayLittleEndian(counter4);
+var littleEndianBytes5 = Salsa20.core.util.numToEightByteArrayLittleEndian(counter5);
+var littleEndianBytes6 = Salsa20.core.util.numToEightByteArrayLittleEndian(counter6);
+var littleEndianBytesExpected4 = new Uint8Array([210, 2, 150, 73, 0, 0, 0, 0]);
+var littleEndianBytesExpected5 = new Uint8Array([0, 0, 0, 0, 1, 0, 0, 0]);
+var littleEndianBytesExpected6 = new Uint8Array([255, 255, 255, 255, 255, 255, 31, 0]);
+
 
 // Test splitting key into two arrays
 var testSplitKey128Bit = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
@@ -656,13 +664,13 @@ var encryptionCiphertext2 = Salsa20.core.encryption(encryptionKeyCombined, encry
 var encryptionCounterAndNonceBytes2A = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
 var encryptionExpectedResult2A = Salsa20.core.expansion(encryptionCounterAndNonceBytes2A, encryptionKey0, encryptionKey1);
 
-var encryptionCounterAndNonceBytes2B = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+var encryptionCounterAndNonceBytes2B = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0]);
 var encryptionExpectedResult2B = Salsa20.core.expansion(encryptionCounterAndNonceBytes2B, encryptionKey0, encryptionKey1);
 
-var encryptionCounterAndNonceBytes2C = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2]);
+var encryptionCounterAndNonceBytes2C = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0]);
 var encryptionExpectedResult2C = Salsa20.core.expansion(encryptionCounterAndNonceBytes2C, encryptionKey0, encryptionKey1);
 
-var encryptionCounterAndNonceBytes2D = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 3]);
+var encryptionCounterAndNonceBytes2D = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 0]);
 var encryptionExpectedResult2D = Salsa20.core.expansion(encryptionCounterAndNonceBytes2D, encryptionKey0, encryptionKey1);
 
 // Combine the 3 & 1/2 expansion key blocks and truncate to 224 bytes
@@ -721,6 +729,9 @@ QUnit.test('Section 10: The Salsa20 encryption function', function(assert)
 	assert.deepEqual(bytes4, bytesExpected4, 'Convert counter to bytes. Number: ' + counter4 + ' [' + bytes4.join(', ') + '] should equal [' + bytesExpected4.join(', ') + '].');
 	assert.deepEqual(bytes5, bytesExpected5, 'Convert counter to bytes. Number: ' + counter5 + ' [' + bytes5.join(', ') + '] should equal [' + bytesExpected5.join(', ') + '].');
 	assert.deepEqual(bytes6, bytesExpected6, 'Convert counter to bytes. Number: ' + counter6 + ' [' + bytes6.join(', ') + '] should equal [' + bytesExpected6.join(', ') + '].');
+	assert.deepEqual(littleEndianBytes4, littleEndianBytesExpected4, 'Convert block counter to littleendian bytes. Number: ' + counter4 + ' [' + littleEndianBytes4.join(', ') + '] should equal [' + littleEndianBytesExpected4.join(', ') + '].');
+	assert.deepEqual(littleEndianBytes5, littleEndianBytesExpected5, 'Convert block counter to littleendian bytes. Number: ' + counter5 + ' [' + littleEndianBytes5.join(', ') + '] should equal [' + littleEndianBytesExpected5.join(', ') + '].');
+	assert.deepEqual(littleEndianBytes6, littleEndianBytesExpected6, 'Convert block counter to littleendian bytes. Number: ' + counter6 + ' [' + littleEndianBytes6.join(', ') + '] should equal [' + littleEndianBytesExpected6.join(', ') + '].');
 	
 	assert.deepEqual(testSplitKey128BitResult, testSplitKey128BitExpectedResult, 'Test splitKey function on 128 bit key');
 	assert.deepEqual(testSplitKey256BitResult, testSplitKey256BitExpectedResult, 'Test splitKey function on 256 bit key');
@@ -735,6 +746,46 @@ QUnit.test('Section 10: The Salsa20 encryption function', function(assert)
 });
 
 
+/**
+ * Test decrypting a message encrypted by version 1.x, which wrote the block counter in big endian order
+ */
+
+// Ciphertext from version 1.x of a 77 byte message starting from counter 5
+var version1TestKey = '0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20';
+var version1TestNonce = 'cd23ef45ab670189';
+var version1TestCiphertext = Salsa20.core.util.hexToBytes('6beeaa4de6ee7fbd307276a7854f29301eef8264cb1c7f4333b95ab0367a7e9d6db9ec5b3575b8747a26d53dc56e08ff35e75727308a7b29f6c5868909813d895c4e073a211e57ef1a16a49b72c9');
+var version1TestExpected = 'A message from version 1.x which is longer than one 64 byte block of keystream';
+
+// Decrypt one block at a time with the counter bytes in big endian order, as in the README migration steps
+var version1TestKeys = Salsa20.core.util.splitKey(Salsa20.core.util.parseKey(version1TestKey));
+var version1TestNonceAndCounter = new Uint8Array(16);
+var version1TestDecrypted = new Uint8Array(version1TestCiphertext.length);
+
+version1TestNonceAndCounter.set(Salsa20.core.util.parseNonce(version1TestNonce), 0);
+
+for (var i = 0; i < version1TestCiphertext.length; i += 64)
+{
+	version1TestNonceAndCounter.set(Salsa20.core.util.numToEightByteArray(5 + (i / 64)), 8);
+
+	var version1TestKeystream = Salsa20.core.expansion(version1TestNonceAndCounter, version1TestKeys.key0, version1TestKeys.key1);
+
+	for (var j = 0; (j < 64) && (i + j < version1TestCiphertext.length); j++)
+	{
+		version1TestDecrypted[i + j] = version1TestCiphertext[i + j] ^ version1TestKeystream[j];
+	}
+}
+
+var version1TestResult = Salsa20.core.util.bytesToUtf8String(version1TestDecrypted);
+var version1TestCurrentResult = Salsa20.decrypt(version1TestKey, version1TestCiphertext, version1TestNonce, 5, { returnType: 'hex' });
+var version1TestCurrentUnexpected = Salsa20.core.util.bytesToHex(Salsa20.core.util.utf8StringToBytes(version1TestExpected));
+
+QUnit.test('Test decrypting a message encrypted by version 1.x', function(assert)
+{
+	assert.ok(version1TestResult === version1TestExpected, 'Version 1.x message: ' + version1TestResult + ' should equal ' + version1TestExpected);
+	assert.ok(version1TestCurrentResult !== version1TestCurrentUnexpected, 'Version 1.x messages longer than one block should not decrypt with the littleendian counter');
+});
+
+
 /**
  * Normalise the input key formats into a byte array
  */
@@ -1209,7 +1260,7 @@ QUnit.test('Test the generate keystream wrapper function', function(assert)
 
 
 /**
- * Test web worker keystream generation
+ * Test keystream generation using the worker pool
  */
 $(function()
 {
@@ -1217,57 +1268,22 @@ $(function()
 	var length = 257;
 	var workerEncNonce = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0]);
 	var workerEncCounter = 0;
-	
-	//var workerEncExpectedCiphertext = Salsa20.encrypt(workerEncKey, workerEncMessage, workerEncNonce, workerEncCounter);
 	var workerEncExpectedKeystream = keystreamC;
 	
-	// Convert the base URL so the web worker can import the script
-	// Also load the JavaScript code on the HTML page which is what the worker will run
-	var baseUrl = window.location.href.replace(/\\/g, '/').replace(/\/[^\/]*$/, '').replace('tests.html', '') + '/';
-	var ksArray = ['var baseUrl = "' + baseUrl + '";' + $('#salsa20-keystream-worker').html()];
-	
-	// Create a Blob to hold the JavaScript code and send it to the inline worker
-	var ksBlob = new Blob(ksArray, { type: "text/javascript" });
-	var ksBlobUrl = window.URL.createObjectURL(ksBlob);
-	var ksWorker = new Worker(ksBlobUrl);
-	
-	// When the worker is complete
-	ksWorker.addEventListener('message', function(event)
-	{		
-		// Get the result back
-		var keystream = event.data.keystream;
-				
+	// A keystream smaller than the minimum part size is generated in a single worker
+	Salsa20.parallel.generateKeystream(workerKey, length, workerEncNonce, workerEncCounter, { returnType: 'hex' }).then(function(keystream)
+	{
 		// Compare the results
 		QUnit.test('Test keystream generation using web worker thread', function(assert)
 		{
 			assert.deepEqual(keystream, workerEncExpectedKeystream, keystream + ' should equal ' + workerEncExpectedKeystream);
 		});
-		
-	}, false);
-	
-	// Worker error handler
-	ksWorker.addEventListener('error', function(e)
-	{
-		throw new Error('Error in worker thread: Line ' + e.lineno + ' in ' + e.filename + ': ' + e.message);
-		
-	}, false);
-	
-	// Send data to the worker
-	ksWorker.postMessage({
-		key: workerKey,
-		length: length,
-		nonce: workerEncNonce,
-		counter: workerEncCounter,
-		options: { returnType: 'hex' }
 	});
-	
-	// Free up memory
-	window.URL.revokeObjectURL(ksBlobUrl);
 });
 
 
 /**
- * Test web worker keystream generation of 5MB
+ * Test parallel keystream generation of 5MB using the worker pool
  */
 $(function()
 {
@@ -1282,23 +1298,10 @@ $(function()
 	
 	// Set the start time
 	var startTime = new Date();
-		
-	// Convert the base URL so the web worker can import the script
-	// Also load the JavaScript code on the HTML page which is what the worker will run
-	var baseUrl = window.location.href.replace(/\\/g, '/').replace(/\/[^\/]*$/, '').replace('tests.html', '') + '/';
-	var ksArray = ['var baseUrl = "' + baseUrl + '";' + $('#salsa20-keystream-worker').html()];
 	
-	// Create a Blob to hold the JavaScript code and send it to the inline worker
-	var ksBlob = new Blob(ksArray, { type: "text/javascript" });
-	var ksBlobUrl = window.URL.createObjectURL(ksBlob);
-	var ksWorker = new Worker(ksBlobUrl);
-	
-	// When the worker is complete
-	ksWorker.addEventListener('message', function(event)
-	{		
-		// Get the result back
-		var keystream = event.data.keystream;
-		
+	// Split the keystream across the worker pool
+	Salsa20.parallel.generateKeystream(key, length, nonce, counter).then(function(keystream)
+	{
 		// Current time
 		var currentTime = new Date();
 		
@@ -1308,30 +1311,2051 @@ $(function()
 		
 		// Show the time the process started if applicable
 		var timeElapsedMessage = 'Total time elapsed: ' + milliseconds + ' ms (' + seconds + ' s).';
+		
+		// Check against the keystream generated in the main thread
+		var expectedKeystream = Salsa20.generateKeystream(key, length, nonce, counter);
+		var keystreamMatches = (keystream.length === expectedKeystream.length);
+		
+		for (var i = 0; keystreamMatches && (i < keystream.length); i++)
+		{
+			keystreamMatches = (keystream[i] === expectedKeystream[i]);
+		}
 
 		// Compare the results
-		QUnit.test('Test web worker keystream generation of 5MB', function(assert)
+		QUnit.test('Test parallel keystream generation of 5MB', function(assert)
 		{
 			assert.ok(keystream.length === 5242880, 'Keystream length [' + keystream.length + ' should equal 5242880. ' + timeElapsedMessage);
+			assert.ok(keystreamMatches, 'Parallel keystream should equal the keystream generated in the main thread');
 		});
+	});
+});
+
+/**
+ * Test the HSalsa20 function and XSalsa20 wrapper functions
+ * Test vectors are from the core1, core2 and stream tests of the NaCl library
+ */
+
+// core1: HSalsa20 of the Curve25519 shared secret with a zero nonce gives the first intermediate key
+var hsalsa20TestKeyA = Salsa20.core.util.hexToBytes('4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742');
+var hsalsa20TestNonceA = new Uint8Array(16);
+var hsalsa20ResultA = Salsa20.core.util.bytesToHex(Salsa20.core.hsalsa20(hsalsa20TestKeyA, hsalsa20TestNonceA));
+var hsalsa20ExpectedResultA = '1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389';
+
+// core2: HSalsa20 of the intermediate key with the first 16 bytes of the nonce gives the second intermediate key
+var hsalsa20TestKeyB = Salsa20.core.util.hexToBytes('1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389');
+var hsalsa20TestNonceB = Salsa20.core.util.hexToBytes('69696ee955b62b73cd62bda875fc73d6');
+var hsalsa20ResultB = Salsa20.core.util.bytesToHex(Salsa20.core.hsalsa20(hsalsa20TestKeyB, hsalsa20TestNonceB));
+var hsalsa20ExpectedResultB = 'dc908dda0b9344a953629b733820778880f3ceb421bb61b91cbd4c3e66256ce4';
+
+// stream: The first 192 bytes of the XSalsa20 keystream
+var xsalsa20TestKey = '1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389';
+var xsalsa20TestNonce = '69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37';
+var xsalsa20Keystream = Salsa20.xsalsa20.generateKeystream(xsalsa20TestKey, 192, xsalsa20TestNonce, 0, { returnType: 'hex' });
+var xsalsa20ExpectedKeystream = 'eea6a7251c1e72916d11c2cb214d3c252539121d8e234e652d651fa4c8cff880309e645a74e9e0a60d8243acd9177ab5' + 
+                                '1a1beb8d5a2f5d700c093c5e5585579625337bd3ab619d615760d8c5b224a85b1d0efe0eb8a7ee163abb0376529fcc09' + 
+                                'bab506c618e13ce777d82c3ae9d1a6f972d4160287cbfe60bf2130fc0a6ff6049d0a5c8a82f429231f008082e845d7e1' + 
+                                '89d37f9ed2b464e6b919e6523a8c1210bd52a02a4c3fe406d3085f5068d1909eeeca6369abc981a42e87fe665583f0ab';
+var xsalsa20KeystreamFromCounter2 = Salsa20.xsalsa20.generateKeystream(xsalsa20TestKey, 64, xsalsa20TestNonce, 2, { returnType: 'hex' });
+
+// Encrypt and decrypt with a random key and nonce input as bytes
+var xsalsa20TestRandomKey = new Uint8Array(32);
+var xsalsa20TestRandomNonce = new Uint8Array(24);
+window.crypto.getRandomValues(xsalsa20TestRandomKey);
+window.crypto.getRandomValues(xsalsa20TestRandomNonce);
+
+var xsalsa20TestMessage = 'The quick brown fox jumps over the lazy dog';
+var xsalsa20TestCiphertext = Salsa20.xsalsa20.encrypt(xsalsa20TestRandomKey, xsalsa20TestMessage, xsalsa20TestRandomNonce, 0);
+var xsalsa20TestPlaintext = Salsa20.xsalsa20.decrypt(xsalsa20TestRandomKey, xsalsa20TestCiphertext, xsalsa20TestRandomNonce, 0);
+var xsalsa20TestCiphertextHex = Salsa20.xsalsa20.encrypt(xsalsa20TestRandomKey, xsalsa20TestMessage, Salsa20.core.util.bytesToHex(xsalsa20TestRandomNonce), 0, { returnType: 'hex' });
+
+// Error cases (commented out because they cause an exception)
+// var xsalsa20TestErrorA = Salsa20.xsalsa20.encrypt(new Uint8Array(16), xsalsa20TestMessage, xsalsa20TestRandomNonce, 0);		// Test 128 bit key
+// var xsalsa20TestErrorB = Salsa20.xsalsa20.encrypt(xsalsa20TestRandomKey, xsalsa20TestMessage, new Uint8Array(8), 0);			// Test 8 byte nonce
+
+QUnit.test('Test the HSalsa20 function and XSalsa20 wrapper functions', function(assert)
+{
+	assert.ok(hsalsa20ResultA === hsalsa20ExpectedResultA, 'HSalsa20 with zero nonce: ' + hsalsa20ResultA + ' should equal ' + hsalsa20ExpectedResultA);
+	assert.ok(hsalsa20ResultB === hsalsa20ExpectedResultB, 'HSalsa20 with 16 byte nonce: ' + hsalsa20ResultB + ' should equal ' + hsalsa20ExpectedResultB);
+	assert.ok(xsalsa20Keystream === xsalsa20ExpectedKeystream, 'XSalsa20 keystream: ' + xsalsa20Keystream + ' should equal ' + xsalsa20ExpectedKeystream);
+	assert.ok(xsalsa20KeystreamFromCounter2 === xsalsa20ExpectedKeystream.substr(256, 128), 'XSalsa20 keystream from start counter 2 is equal to bytes 128 - 192 of the keystream from start counter 0');
+	assert.ok(xsalsa20TestCiphertext.length === xsalsa20TestMessage.length, 'Ciphertext length is the same length as the plaintext');
+	assert.ok(xsalsa20TestPlaintext === xsalsa20TestMessage, 'Decrypted plaintext: ' + xsalsa20TestPlaintext + ' should equal ' + xsalsa20TestMessage);
+	assert.ok(xsalsa20TestCiphertextHex === Salsa20.core.util.bytesToHex(xsalsa20TestCiphertext), 'Input nonce as hex, ciphertext should be the same');
+});
+
+
+/**
+ * Test the reduced round variants Salsa20/8 and Salsa20/12 against the eSTREAM known-answer test vectors
+ * Set 1, vector# 0: key = 80 00 00 ... 00, IV = 00 00 00 00 00 00 00 00
+ */
+
+// Keys for the 128 bit and 256 bit test vectors
+var roundsTestKey128Bits = '80000000000000000000000000000000';
+var roundsTestKey256Bits = '8000000000000000000000000000000000000000000000000000000000000000';
+var roundsTestNonce = new Uint8Array(8);
+
+// Expected stream[0..63], stream[192..255], stream[256..319] and stream[448..511] for each variant
+var roundsTestVectors = [
+	{
+		rounds: 20,
+		key: roundsTestKey128Bits,
+		expected: [
+			'4dfa5e481da23ea09a31022050859936da52fcee218005164f267cb65f5cfd7f2b4f97e0ff16924a52df269515110a07f9e460bc65ef95da58f740b7d1dbb0aa',
+			'da9c1581f429e0a00f7d67e23b730676783b262e8eb43a25f55fb90b3e753aef8c6713ec66c51881111593ccb3e8cb8f8de124080501eeeb389c4bcb6977cf95',
+			'7d5789631eb4554400e1e025935dfa7b3e9039d61bdc58a8697d36815bf1985cefdf7ae112e5bb81e37ecf0616ce7147fc08a93a367e08631f23c03b00a8da2f',
+			'b375703739daced4dd4059fd71c3c47fc2f9939670fad4a46066adcc6a5645783308b90ffb72be04a6b147cbe38cc0c3b9267c296a92a7c69873f9f263be9703'
+		]
+	},
+	{
+		rounds: 20,
+		key: roundsTestKey256Bits,
+		expected: [
+			'e3be8fdd8beca2e3ea8ef9475b29a6e7003951e1097a5c38d23b7a5fad9f6844b22c97559e2723c7cbbd3fe4fc8d9a0744652a83e72a9c461876af4d7ef1a117',
+			'57be81f47b17d9ae7c4ff15429a73e10acf250ed3a90a93c711308a74c6216a9ed84cd126da7f28e8abf8bb63517e1ca98e712f4fb2e1a6aed9fdc73291faa17',
+			'958211c4ba2ebd5838c635edb81f513a91a294e194f1c039aeec657dce40aa7e7c0af57cacefa40c9f14b71a4b3456a63e162ec7d8d10b8ffb1810d71001b618',
+			'696afcfd0cddcc83c7e77f11a649d79acdc3354e9635ff137e929933a0bd6f5377efa105a3a4266b7c0d089d08f1e855cc32b15b93784a36e56a76cc64bc8477'
+		]
+	},
+	{
+		rounds: 12,
+		key: roundsTestKey128Bits,
+		expected: [
+			'fc207dbfc76c5e1774961e7a5aad09069b2225ac1ce0fe7a0ce77003e7e5bdf8b31af821000813e6c56b8c1771d6ee7039b2fbd0a68e8ad70a3944b677937897',
+			'4b62a4881fa1af9560586510d5527ed48a51ecafa4deceebbddc10e9918d44ab26b10c0a31ed242f146c72940c6e9c3753f641da84e9f68b4f9e76b6c48ca5ac',
+			'f52383d9defb20810325f7aec9eade34d9d883fee37e05f74bf40875b2d0be79ed8886e5bff556cea8d1d9e86b1f68a964598c34f177f8163e271b8d2feb5996',
+			'a52ed8c37014b10ec0aa8e05b5ceee123a1017557fb3b15c53e6c5ea8300bf74264a73b5315dc821ad2cab0f3bb2f152bdaea3aee97ba04b8e72a7b40dcc6ba4'
+		]
+	},
+	{
+		rounds: 12,
+		key: roundsTestKey256Bits,
+		expected: [
+			'afe411ed1c4e07e4d0cde3b33e31ec190fa4cc796a58bafb848ead8d07d02cd2d4b6f9f30cb0b57007e3733895cc8d1060107975acaeeb689b6cf614ab64a3d6',
+			'8966e93e875e8065ac6f3a1a3e2146f83d5ea93ca987ff9f13ed6ade169665ae3527fca5613af081c0e773da6e7c74c5642ecac53febf15a699ac2c8255cc100',
+			'c89db39dd8872492abf8109462b3639bb18c64ed500b70d2836b6194d11a77ac8c14dd8e1df0b3924dda24563e2719e2635c61f63b9ae60d56d5f3512851b4b1',
+			'87a5191ec2e3c9049fa524cd8673e0677c77adcf8ab5328fd828c4acb3eccca549adeda04872518ecdf874adcb2420c7bd1ccfe561b074080224fa7176f0cb5f'
+		]
+	},
+	{
+		rounds: 8,
+		key: roundsTestKey128Bits,
+		expected: [
+			'a9c9f888ab552a2d1bbff9f36bebeb337a8b4b107c75b63bae26cb9a235bba9d784f38befc3adf4cd3e266687ea7b9f09ba650ae81eac6063ae31ff12218ddc5',
+			'bb5b6bb2cc8b8a0222dccc1753ed4aeb23377accbd5d4c0b69a8a03bb115ef71871bc10559080aca7c68f0def32a80ddbaf497259bb76a3853a7183b51cc4b9f',
+			'4436cdc0be39559f5e5a6b79fbdb2cae4782910f27ffc2391e05cfc78d601ad8cd7d87b074169361d997d1bed9729c0deb23418e0646b7997c06aa84e7640ce3',
+			'bee85903bea506b05fc04795836faaac7f93f785d473eb762576d96b4a65ffe463b34aae696777fc6351b67c3753b89ba6b197bd655d1d9ca86e067f4d770220'
+		]
+	},
+	{
+		rounds: 8,
+		key: roundsTestKey256Bits,
+		expected: [
+			'b1f599e9b0d96df436ae31f5ef589565b92d245db5a1d4c7a78e5e8d0146f8a49d326c1a3bf50c052c9c8f114dc74972c4469591e31c9ed11927aa9871f38583',
+			'0c427ad0d68d752517649ec6d311fe7cd71dbff6e6217b91a83d45f33f5e5224bdf86d09a132884b152105842b5bdca86a0b1adc568f5c04b4d021a2ad3e0e26',
+			'f6e86c2e6f768a167e484a4116a63322fce370fe40623a13856550e6a3452478d8257e4b7322d3b98cd8505e21c54a31d78f9444366c72ac9b31fb747f7f2592',
+			'53bf865c66a344cfcd19177476a05aca5851cc45224b196abf3206d899e7fe3b13b3f028fa849b5564561a9181ea69e512bc34da29180cdf6811e40a9a06a8d1'
+		]
+	}
+];
+
+// Generate 512 bytes of keystream for each vector and take the 64 byte slices at the same positions as the test vectors
+for (var i = 0; i < roundsTestVectors.length; i++)
+{
+	var roundsTestKeystream = Salsa20.generateKeystream(roundsTestVectors[i].key, 512, roundsTestNonce, 0, { returnType: 'hex', rounds: roundsTestVectors[i].rounds });
+	
+	roundsTestVectors[i].result = [
+		roundsTestKeystream.substr(0, 128),
+		roundsTestKeystream.substr(384, 128),
+		roundsTestKeystream.substr(512, 128),
+		roundsTestKeystream.substr(896, 128)
+	];
+}
+
+// Encryption with the rounds option should match XORing with the reduced round keystream
+var roundsTestMessage = 'The quick brown fox jumps over the lazy dog';
+var roundsTestCiphertext12 = Salsa20.encrypt(roundsTestKey256Bits, roundsTestMessage, roundsTestNonce, 0, { returnType: 'hex', rounds: 12 });
+var roundsTestKeystream12 = Salsa20.generateKeystream(roundsTestKey256Bits, roundsTestMessage.length, roundsTestNonce, 0, { rounds: 12 });
+var roundsTestExpectedCiphertext12 = Salsa20.core.util.bytesToHex(Salsa20.core.xorKeystreamAndMessage(roundsTestKeystream12, Salsa20.core.util.utf8StringToBytes(roundsTestMessage), roundsTestMessage.length));
+var roundsTestPlaintext12 = Salsa20.decrypt(roundsTestKey256Bits, roundsTestCiphertext12, roundsTestNonce, 0, { inputTextType: 'hex', rounds: 12 });
+var roundsTestPlaintext8 = Salsa20.decrypt(roundsTestKey256Bits, Salsa20.encrypt(roundsTestKey256Bits, roundsTestMessage, roundsTestNonce, 0, { rounds: 8 }), roundsTestNonce, 0, { rounds: 8 });
+
+// Error cases (commented out because they cause an exception)
+// var roundsTestErrorA = Salsa20.encrypt(roundsTestKey256Bits, roundsTestMessage, roundsTestNonce, 0, { rounds: 10 });
+// var roundsTestErrorB = Salsa20.encrypt(roundsTestKey256Bits, roundsTestMessage, roundsTestNonce, 0, { rounds: '20' });
+
+QUnit.test('Test the reduced round variants Salsa20/8 and Salsa20/12', function(assert)
+{
+	for (var i = 0; i < roundsTestVectors.length; i++)
+	{
+		var vector = roundsTestVectors[i];
+		var description = 'Salsa20/' + vector.rounds + ' with ' + (vector.key.length * 4) + ' bit key';
 		
-	}, false);
+		assert.ok(vector.result[0] === vector.expected[0], description + ' stream[0..63]: ' + vector.result[0] + ' should equal ' + vector.expected[0]);
+		assert.ok(vector.result[1] === vector.expected[1], description + ' stream[192..255]: ' + vector.result[1] + ' should equal ' + vector.expected[1]);
+		assert.ok(vector.result[2] === vector.expected[2], description + ' stream[256..319]: ' + vector.result[2] + ' should equal ' + vector.expected[2]);
+		assert.ok(vector.result[3] === vector.expected[3], description + ' stream[448..511]: ' + vector.result[3] + ' should equal ' + vector.expected[3]);
+	}
 	
-	// Worker error handler
-	ksWorker.addEventListener('error', function(e)
+	assert.ok(roundsTestCiphertext12 === roundsTestExpectedCiphertext12, 'Salsa20/12 encryption: ' + roundsTestCiphertext12 + ' should equal ' + roundsTestExpectedCiphertext12);
+	assert.ok(roundsTestPlaintext12 === roundsTestMessage, 'Salsa20/12 decryption: ' + roundsTestPlaintext12 + ' should equal ' + roundsTestMessage);
+	assert.ok(roundsTestPlaintext8 === roundsTestMessage, 'Salsa20/8 decryption: ' + roundsTestPlaintext8 + ' should equal ' + roundsTestMessage);
+	assert.ok(Salsa20.core.util.parseRounds({}) === 20, 'Default number of rounds should be 20');
+});
+
+
+/**
+ * Test the Poly1305 one-time authenticator
+ * Test vectors are from RFC 8439 Section 2.5.2 and Appendix A.3, and the onetimeauth test of the NaCl library
+ */
+var poly1305TestVectors = [
 	{
-		throw new Error('Error in worker thread: Line ' + e.lineno + ' in ' + e.filename + ': ' + e.message);
+		description: 'RFC 8439 Section 2.5.2',
+		key: '85d6be7857556d337f4452fe42d506a80103808afb0db2fd4abff6af4149f51b',
+		message: '43727970746f6772617068696320466f72756d2052657365617263682047726f7570',		// "Cryptographic Forum Research Group" in hex
+		tag: 'a8061dc1305136c6c22b8baf0c0127a9'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #1',
+		key: '0000000000000000000000000000000000000000000000000000000000000000',
+		message: '00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+		tag: '00000000000000000000000000000000'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #5 (h reaches p)',
+		key: '0200000000000000000000000000000000000000000000000000000000000000',
+		message: 'ffffffffffffffffffffffffffffffff',
+		tag: '03000000000000000000000000000000'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #6 (h + s overflows 2^128)',
+		key: '02000000000000000000000000000000ffffffffffffffffffffffffffffffff',
+		message: '02000000000000000000000000000000',
+		tag: '03000000000000000000000000000000'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #7',
+		key: '0100000000000000000000000000000000000000000000000000000000000000',
+		message: 'fffffffffffffffffffffffffffffffff0ffffffffffffffffffffffffffffff11000000000000000000000000000000',
+		tag: '05000000000000000000000000000000'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #8',
+		key: '0100000000000000000000000000000000000000000000000000000000000000',
+		message: 'fffffffffffffffffffffffffffffffffbfefefefefefefefefefefefefefefe01010101010101010101010101010101',
+		tag: '00000000000000000000000000000000'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #9',
+		key: '0200000000000000000000000000000000000000000000000000000000000000',
+		message: 'fdffffffffffffffffffffffffffffff',
+		tag: 'faffffffffffffffffffffffffffffff'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #10',
+		key: '0100000000000000040000000000000000000000000000000000000000000000',
+		message: 'e33594d7505e43b900000000000000003394d7505e4379cd01000000000000000000000000000000000000000000000001000000000000000000000000000000',
+		tag: '14000000000000005500000000000000'
+	},
+	{
+		description: 'RFC 8439 Appendix A.3 test vector #11',
+		key: '0100000000000000040000000000000000000000000000000000000000000000',
+		message: 'e33594d7505e43b900000000000000003394d7505e4379cd010000000000000000000000000000000000000000000000',
+		tag: '13000000000000000000000000000000'
+	},
+	{
+		description: 'NaCl onetimeauth',
+		key: 'eea6a7251c1e72916d11c2cb214d3c252539121d8e234e652d651fa4c8cff880',
+		message: '8e993b9f48681273c29650ba32fc76ce48332ea7164d96a4476fb8c531a1186ac0dfc17c98dce87b4da7f011ec48c97271d2c20f9b928fe2270d6fb863d51738' + 
+		         'b48eeee314a7cc8ab932164548e526ae90224368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b37973f622a43d14a6599b1f654cb45a74e355a5',
+		tag: 'f3ffc7703f9400e52a7dfb4b3d3305d9'
+	}
+];
+
+// Compute the tag of each vector in one step and also incrementally in parts of 1, 9 and 17 bytes
+for (var i = 0; i < poly1305TestVectors.length; i++)
+{
+	var vector = poly1305TestVectors[i];
+	var messageBytes = Salsa20.core.util.hexToBytes(vector.message);
+	
+	vector.result = Salsa20.poly1305.authenticate(vector.key, vector.message, { inputTextType: 'hex', returnType: 'hex' });
+	vector.incrementalResults = [];
+	
+	for (var partLength = 1; partLength <= 17; partLength += 8)
+	{
+		var authenticator = Salsa20.poly1305.create(Salsa20.core.util.hexToBytes(vector.key));
 		
-	}, false);
+		for (var position = 0; position < messageBytes.length; position += partLength)
+		{
+			authenticator.update(messageBytes.subarray(position, position + partLength));
+		}
+		
+		vector.incrementalResults.push(authenticator.finish({ returnType: 'hex' }));
+	}
+}
+
+// Verify a tag for a UTF-8 message, then check a modified message and a modified tag are rejected
+var poly1305TestKey = poly1305TestVectors[0].key;
+var poly1305TestTag = Salsa20.poly1305.authenticate(poly1305TestKey, 'Cryptographic Forum Research Group');
+var poly1305TestModifiedTag = new Uint8Array(poly1305TestTag);
+poly1305TestModifiedTag[15] ^= 1;
+
+var poly1305TestVerifyA = Salsa20.poly1305.verify(poly1305TestKey, 'Cryptographic Forum Research Group', poly1305TestTag);
+var poly1305TestVerifyB = Salsa20.poly1305.verify(poly1305TestKey, 'Cryptographic Forum Research Group', 'a8061dc1305136c6c22b8baf0c0127a9');
+var poly1305TestVerifyC = Salsa20.poly1305.verify(poly1305TestKey, 'Cryptographic Forum Research Grouq', poly1305TestTag);
+var poly1305TestVerifyD = Salsa20.poly1305.verify(poly1305TestKey, 'Cryptographic Forum Research Group', poly1305TestModifiedTag);
+
+// Error cases (commented out because they cause an exception)
+// var poly1305TestErrorA = Salsa20.poly1305.authenticate(new Uint8Array(16), 'message');		// Test 128 bit key
+// var poly1305TestAuthenticator = Salsa20.poly1305.create(poly1305TestKey);
+// poly1305TestAuthenticator.finish();
+// poly1305TestAuthenticator.update('message');													// Test update after finish
+
+QUnit.test('Test the Poly1305 one-time authenticator', function(assert)
+{
+	for (var i = 0; i < poly1305TestVectors.length; i++)
+	{
+		var vector = poly1305TestVectors[i];
+		
+		assert.ok(vector.result === vector.tag, vector.description + ': ' + vector.result + ' should equal ' + vector.tag);
+		assert.ok(vector.incrementalResults[0] === vector.tag, vector.description + ' updated in parts of 1 byte: ' + vector.incrementalResults[0] + ' should equal ' + vector.tag);
+		assert.ok(vector.incrementalResults[1] === vector.tag, vector.description + ' updated in parts of 9 bytes: ' + vector.incrementalResults[1] + ' should equal ' + vector.tag);
+		assert.ok(vector.incrementalResults[2] === vector.tag, vector.description + ' updated in parts of 17 bytes: ' + vector.incrementalResults[2] + ' should equal ' + vector.tag);
+	}
 	
-	// Send data to the worker
-	ksWorker.postMessage({
-		key: key,
-		length: length,
-		nonce: nonce,
-		counter: counter
-	});
+	assert.ok(poly1305TestVerifyA === true, 'Verify the tag as bytes');
+	assert.ok(poly1305TestVerifyB === true, 'Verify the tag as hex');
+	assert.ok(poly1305TestVerifyC === false, 'A modified message should fail verification');
+	assert.ok(poly1305TestVerifyD === false, 'A modified tag should fail verification');
+});
+
+
+/**
+ * Test the NaCl compatible secretbox (XSalsa20-Poly1305)
+ * Test vector is from the secretbox test of the NaCl library
+ */
+var secretboxTestKey = '1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389';
+var secretboxTestNonce = '69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37';
+var secretboxTestMessage = 'be075fc53c81f2d5cf141316ebeb0c7b5228c52a4c62cbd44b66849b64244ffce5ecbaaf33bd751a1ac728d45e6c61296cdc3c01233561f41db66cce314adb310e' + 
+                           '3be8250c46f06dceea3a7fa1348057e2f6556ad6b1318a024a838f21af1fde048977eb48f59ffd4924ca1c60902e52f0a089bc76897040e082f937763848645e0705';
+var secretboxTestExpectedResult = 'f3ffc7703f9400e52a7dfb4b3d3305d9' + 
+                                  '8e993b9f48681273c29650ba32fc76ce48332ea7164d96a4476fb8c531a1186ac0dfc17c98dce87b4da7f011ec48c97271d2c20f9b928fe2270d6fb863d51738' + 
+                                  'b48eeee314a7cc8ab932164548e526ae90224368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b37973f622a43d14a6599b1f654cb45a74e355a5';
+var secretboxTestResult = Salsa20.secretbox.seal(secretboxTestMessage, secretboxTestNonce, secretboxTestKey, { inputTextType: 'hex', returnType: 'hex' });
+var secretboxTestOpened = Salsa20.secretbox.open(secretboxTestExpectedResult, secretboxTestNonce, secretboxTestKey, { inputTextType: 'hex', returnType: 'hex' });
+
+// An empty message has only the tag (tested against the output of TweetNaCl)
+var secretboxTestEmptyResult = Salsa20.secretbox.seal(new Uint8Array(0), new Uint8Array(24), new Uint8Array(32), { returnType: 'hex' });
+var secretboxTestEmptyExpectedResult = '5c8636d9998d194d605ac3ba3cff1512';
+
+// Seal and open a UTF-8 message with a random key and nonce
+var secretboxTestRandomKey = new Uint8Array(32);
+var secretboxTestRandomNonce = new Uint8Array(24);
+window.crypto.getRandomValues(secretboxTestRandomKey);
+window.crypto.getRandomValues(secretboxTestRandomNonce);
+
+var secretboxTestUtf8Message = 'The quick brown fox jumps over the lazy dog ØÙÚÛÜÝÞß';
+var secretboxTestSealed = Salsa20.secretbox.seal(secretboxTestUtf8Message, secretboxTestRandomNonce, secretboxTestRandomKey);
+var secretboxTestUtf8Opened = Salsa20.secretbox.open(secretboxTestSealed, secretboxTestRandomNonce, secretboxTestRandomKey);
+
+// Modify a byte of the tag, a byte of the ciphertext and the nonce
+var secretboxTestModifiedTag = new Uint8Array(secretboxTestSealed);
+var secretboxTestModifiedCiphertext = new Uint8Array(secretboxTestSealed);
+var secretboxTestModifiedNonce = new Uint8Array(secretboxTestRandomNonce);
+secretboxTestModifiedTag[0] ^= 1;
+secretboxTestModifiedCiphertext[secretboxTestModifiedCiphertext.length - 1] ^= 128;
+secretboxTestModifiedNonce[23] ^= 1;
+
+QUnit.test('Test the NaCl compatible secretbox (XSalsa20-Poly1305)', function(assert)
+{
+	assert.ok(secretboxTestResult === secretboxTestExpectedResult, 'Sealed message: ' + secretboxTestResult + ' should equal ' + secretboxTestExpectedResult);
+	assert.ok(secretboxTestOpened === secretboxTestMessage, 'Opened message: ' + secretboxTestOpened + ' should equal ' + secretboxTestMessage);
+	assert.ok(secretboxTestEmptyResult === secretboxTestEmptyExpectedResult, 'Sealed empty message: ' + secretboxTestEmptyResult + ' should equal ' + secretboxTestEmptyExpectedResult);
+	assert.ok(secretboxTestSealed.length === Salsa20.core.util.utf8StringToBytes(secretboxTestUtf8Message).length + 16, 'Sealed message is 16 bytes longer than the message');
+	assert.ok(secretboxTestUtf8Opened === secretboxTestUtf8Message, 'Opened UTF-8 message: ' + secretboxTestUtf8Opened + ' should equal ' + secretboxTestUtf8Message);
 	
-	// Free up memory
-	window.URL.revokeObjectURL(ksBlobUrl);
-});
\ No newline at end of file
+	assert.throws(function() {
+		Salsa20.secretbox.open(secretboxTestModifiedTag, secretboxTestRandomNonce, secretboxTestRandomKey);
+	}, /failed authentication/, 'Modified tag should fail to open');
+	
+	assert.throws(function() {
+		Salsa20.secretbox.open(secretboxTestModifiedCiphertext, secretboxTestRandomNonce, secretboxTestRandomKey);
+	}, /failed authentication/, 'Modified ciphertext should fail to open');
+	
+	assert.throws(function() {
+		Salsa20.secretbox.open(secretboxTestSealed, secretboxTestModifiedNonce, secretboxTestRandomKey);
+	}, /failed authentication/, 'Modified nonce should fail to open');
+	
+	assert.throws(function() {
+		Salsa20.secretbox.open(secretboxTestSealed.subarray(0, 15), secretboxTestRandomNonce, secretboxTestRandomKey);
+	}, /too short/, 'Truncated message shorter than the tag should fail to open');
+});
+
+
+/**
+ * Test the ChaCha20 functions
+ * Test vectors are from RFC 8439 Sections 2.1.1, 2.3.2 and 2.4.2, and draft-strombergson-chacha-test-vectors for the original layout
+ */
+
+// RFC 8439 Section 2.1.1: The quarterround function
+var chachaQuarterRoundResult = Salsa20.chacha20.core.quarterRound(0x11111111, 0x01020304, 0x9b8d6f43, 0x01234567);
+var chachaQuarterRoundExpectedResult = Salsa20.core.util.hexWordsToDecWords(['ea2a92f4', 'cb1cf8ce', '4581472e', '5881c4bb']);
+
+// RFC 8439 Section 2.3.2: The block function with key 00:01:02:...:1f, nonce 00:00:00:09:00:00:00:4a:00:00:00:00 and block counter 1
+var chachaTestKey = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+var chachaBlockResult = Salsa20.chacha20.generateKeystream(chachaTestKey, 64, '000000090000004a00000000', 1, { returnType: 'hex' });
+var chachaBlockExpectedResult = '10f1e7e4d13b5915500fdd1fa32071c4c7d1f4c733c068030422aa9ac3d46c4ed2826446079faa0914c2d705d98b02a2b5129cd1de164eb9cbd083e8a2503c4e';
+
+// RFC 8439 Section 2.4.2: Encryption starting from block counter 1
+var chachaTestMessage = 'Ladies and Gentlemen of the class of \'99: If I could offer you only one tip for the future, sunscreen would be it.';
+var chachaTestNonce = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0x4a, 0, 0, 0, 0]);
+var chachaEncryptionResult = Salsa20.chacha20.encrypt(chachaTestKey, chachaTestMessage, chachaTestNonce, 1, { returnType: 'hex' });
+var chachaEncryptionExpectedResult = '6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0bf91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d8' + 
+                                     '07ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab77937365af90bbf74a35be6b40b8eedf2785e42874d';
+var chachaDecryptionResult = Salsa20.chacha20.decrypt(chachaTestKey, chachaEncryptionExpectedResult, chachaTestNonce, 1, { inputTextType: 'hex' });
+
+// Original layout with 64-bit nonce, TC1: all zero key and IV
+var chachaOriginalResult128Bits = Salsa20.chacha20.generateKeystream(new Uint8Array(16), 64, new Uint8Array(8), 0, { returnType: 'hex' });
+var chachaOriginalResult256Bits = Salsa20.chacha20.generateKeystream(new Uint8Array(32), 64, 0, 0, { returnType: 'hex' });
+var chachaOriginalExpectedResult128Bits = '89670952608364fd00b2f90936f031c8e756e15dba04b8493d00429259b20f46cc04f111246b6c2ce066be3bfb32d9aa0fddfbc12123d4b9e44f34dca05a103f';
+var chachaOriginalExpectedResult256Bits = '76b8e0ada0f13d90405d6ae55386bd28bdd219b8a08ded1aa836efcc8b770dc7da41597c5157488d7724e03fb8d84a376a43b8f41518a11cc387b669b2ee6586';
+
+// The last block of the IETF layout can be generated, but not the block after it
+var chachaLastBlockResult = Salsa20.chacha20.generateKeystream(chachaTestKey, 64, chachaTestNonce, Salsa20.chacha20.core.ietfMaxCounter);
+
+// Error cases (commented out because they cause an exception)
+// var chachaTestErrorA = Salsa20.chacha20.generateKeystream(chachaTestKey, 128, chachaTestNonce, Salsa20.chacha20.core.ietfMaxCounter);	// Test 32-bit counter overflow
+// var chachaTestErrorB = Salsa20.chacha20.encrypt(new Uint8Array(16), chachaTestMessage, chachaTestNonce, 0);								// Test 128 bit key with IETF layout
+
+QUnit.test('Test the ChaCha20 functions', function(assert)
+{
+	assert.deepEqual(chachaQuarterRoundResult, chachaQuarterRoundExpectedResult, '[' + chachaQuarterRoundResult.join(', ') + '] should equal [' + chachaQuarterRoundExpectedResult.join(', ') + ']');
+	assert.ok(chachaBlockResult === chachaBlockExpectedResult, 'Block function: ' + chachaBlockResult + ' should equal ' + chachaBlockExpectedResult);
+	assert.ok(chachaEncryptionResult === chachaEncryptionExpectedResult, 'Encryption: ' + chachaEncryptionResult + ' should equal ' + chachaEncryptionExpectedResult);
+	assert.ok(chachaDecryptionResult === chachaTestMessage, 'Decryption: ' + chachaDecryptionResult + ' should equal ' + chachaTestMessage);
+	assert.ok(chachaOriginalResult128Bits === chachaOriginalExpectedResult128Bits, 'Original layout with 128 bit key: ' + chachaOriginalResult128Bits + ' should equal ' + chachaOriginalExpectedResult128Bits);
+	assert.ok(chachaOriginalResult256Bits === chachaOriginalExpectedResult256Bits, 'Original layout with 256 bit key: ' + chachaOriginalResult256Bits + ' should equal ' + chachaOriginalExpectedResult256Bits);
+	assert.ok(chachaLastBlockResult.length === 64, 'The last block of the 32-bit counter can be generated');
+	
+	assert.throws(function() {
+		Salsa20.chacha20.generateKeystream(chachaTestKey, 65, chachaTestNonce, Salsa20.chacha20.core.ietfMaxCounter);
+	}, /longer than the number of keystream bytes/, 'Overflowing the 32-bit counter of the IETF layout should throw');
+});
+
+
+
+
+/**
+ * Test ChaCha20-Poly1305 and XChaCha20-Poly1305 with the AEAD vector from Section 2.8.2 of RFC 8439, and the HChaCha20 
+ * and AEAD vectors from Sections 2.2.1 and A.3.1 of draft-irtf-cfrg-xchacha
+ */
+var hchachaTestKey = Salsa20.core.util.hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+var hchachaTestNonce = Salsa20.core.util.hexToBytes('000000090000004a0000000031415927');
+var hchachaResult = Salsa20.core.util.bytesToHex(Salsa20.chacha20.core.hchacha20(hchachaTestKey, hchachaTestNonce));
+var hchachaExpectedResult = '82413b4227b27bfed30e42508a877d73a0f9e4d58a74a853c12ec41326d3ecdc';
+
+var aeadTestKey = '808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f';
+var aeadTestNonce = '070000004041424344454647';
+var aeadTestAad = Salsa20.core.util.hexToBytes('50515253c0c1c2c3c4c5c6c7');
+var aeadTestMessage = 'Ladies and Gentlemen of the class of \'99: If I could offer you only one tip for the future, sunscreen would be it.';
+var aeadSealResult = Salsa20.chacha20poly1305.seal(aeadTestKey, aeadTestNonce, aeadTestMessage, aeadTestAad, { returnType: 'hex' });
+var aeadSealExpectedResult = 'd31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d63dbea45e8ca9671282fafb69da92728b1a71de0a9e060b2905d6a5b67ecd3b3692ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc3ff4def08e4b7a9de576d26586cec64b6116'
+                           + '1ae10b594f09e26a7e902ecbd0600691';
+var aeadOpenResult = Salsa20.chacha20poly1305.open(aeadTestKey, aeadTestNonce, aeadSealResult, aeadTestAad, { inputTextType: 'hex' });
+
+var xaeadTestNonce = '404142434445464748494a4b4c4d4e4f5051525354555657';
+var xaeadSealResult = Salsa20.xchacha20poly1305.seal(aeadTestKey, xaeadTestNonce, aeadTestMessage, aeadTestAad, { returnType: 'hex' });
+var xaeadSealExpectedResult = 'bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb731c7f1b0b4aa6440bf3a82f4eda7e39ae64c6708c54c216cb96b72e1213b4522f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff921f9664c97637da9768812f615c68b13b52e'
+                            + 'c0875924c1c7987947deafd8780acf49';
+var xaeadOpenResult = Salsa20.xchacha20poly1305.open(aeadTestKey, xaeadTestNonce, xaeadSealResult, aeadTestAad, { inputTextType: 'hex' });
+
+// Empty plaintext and no associated data gives just the tag
+var aeadEmptyResult = Salsa20.chacha20poly1305.seal(aeadTestKey, aeadTestNonce, '', null, { returnType: 'hex' });
+var aeadEmptyExpectedResult = 'a0784d7a4716f3feb4f64e7f4b39bf04';
+
+// Error cases (commented out because they cause an exception)
+// var aeadTestErrorA = Salsa20.chacha20poly1305.open(aeadTestKey, aeadTestNonce, aeadSealResult, '00', { inputTextType: 'hex' });	// Test changed associated data
+// var aeadTestErrorB = Salsa20.chacha20poly1305.seal(new Uint8Array(16), aeadTestNonce, aeadTestMessage);						// Test 128 bit key
+
+QUnit.test('Test the ChaCha20-Poly1305 and XChaCha20-Poly1305 AEAD functions', function(assert)
+{
+	assert.ok(hchachaResult === hchachaExpectedResult, 'HChaCha20: ' + hchachaResult + ' should equal ' + hchachaExpectedResult);
+	assert.ok(aeadSealResult === aeadSealExpectedResult, 'ChaCha20-Poly1305 seal: ' + aeadSealResult + ' should equal ' + aeadSealExpectedResult);
+	assert.ok(aeadOpenResult === aeadTestMessage, 'ChaCha20-Poly1305 open: ' + aeadOpenResult + ' should equal ' + aeadTestMessage);
+	assert.ok(xaeadSealResult === xaeadSealExpectedResult, 'XChaCha20-Poly1305 seal: ' + xaeadSealResult + ' should equal ' + xaeadSealExpectedResult);
+	assert.ok(xaeadOpenResult === aeadTestMessage, 'XChaCha20-Poly1305 open: ' + xaeadOpenResult + ' should equal ' + aeadTestMessage);
+	assert.ok(aeadEmptyResult === aeadEmptyExpectedResult, 'Empty message: ' + aeadEmptyResult + ' should equal ' + aeadEmptyExpectedResult);
+
+	assert.throws(function() {
+		Salsa20.chacha20poly1305.open(aeadTestKey, aeadTestNonce, aeadSealResult, '00', { inputTextType: 'hex' });
+	}, /failed authentication/, 'Opening with different associated data should throw');
+
+	assert.throws(function() {
+		var tampered = Salsa20.core.util.hexToBytes(xaeadSealResult);
+		tampered[0] ^= 1;
+		Salsa20.xchacha20poly1305.open(aeadTestKey, xaeadTestNonce, tampered, aeadTestAad);
+	}, /failed authentication/, 'Opening a modified ciphertext should throw');
+});
+
+
+
+/**
+ * Test the stateful cipher gives the same output as encrypting the whole message at once, with parts which do not 
+ * line up with the 64 byte blocks
+ */
+var cipherTestKey = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+var cipherTestNonce = '0102030405060708';
+var cipherTestMessage = new Uint8Array(600);
+
+for (var i = 0; i < cipherTestMessage.length; i++)
+{
+	cipherTestMessage[i] = (i * 7) & 0xff;
+}
+
+var cipherExpectedResult = Salsa20.encrypt(cipherTestKey, cipherTestMessage, cipherTestNonce, 3, { returnType: 'hex' });
+var cipherTestPartLengths = [1, 63, 64, 65, 0, 7, 128, 272];
+var cipherTestCipher = Salsa20.createCipher(cipherTestKey, cipherTestNonce, 3);
+var cipherResult = '';
+
+for (var i = 0, position = 0;  i < cipherTestPartLengths.length;  position += cipherTestPartLengths[i], i++)
+{
+	cipherResult += cipherTestCipher.update(cipherTestMessage.subarray(position, position + cipherTestPartLengths[i]), { returnType: 'hex' });
+}
+
+var cipherFinalResult = cipherTestCipher.final();
+
+// Decrypt the parts with the reduced round variant one byte at a time
+var cipherReducedExpectedResult = Salsa20.encrypt(cipherTestKey, cipherTestMessage, cipherTestNonce, 0, { returnType: 'hex', rounds: 8 });
+var cipherReducedCipher = Salsa20.createCipher(cipherTestKey, cipherTestNonce, 0, { rounds: 8 });
+var cipherReducedResult = '';
+
+for (var i = 0; i < cipherTestMessage.length; i++)
+{
+	cipherReducedResult += cipherReducedCipher.update(cipherTestMessage.subarray(i, i + 1), { returnType: 'hex' });
+}
+
+// A byte array key belongs to the caller, so final() should erase the cipher's copy and leave it unchanged
+var cipherByteKey = Salsa20.core.util.hexToBytes(cipherTestKey);
+var cipherByteKeyCipher = Salsa20.createCipher(cipherByteKey, cipherTestNonce, 3);
+var cipherByteKeyResult = cipherByteKeyCipher.update(cipherTestMessage, { returnType: 'hex' });
+
+cipherByteKeyCipher.final();
+
+var cipherByteKeyAfterFinal = Salsa20.core.util.bytesToHex(cipherByteKey);
+var cipherByteKeyErased = Array.prototype.every.call(cipherByteKeyCipher.key, function(byte) { return byte === 0; });
+
+// Error cases (commented out because they cause an exception)
+// var cipherTestErrorA = cipherTestCipher.update('abc');														// Test update after final
+// var cipherTestErrorB = Salsa20.createCipher(cipherTestKey, cipherTestNonce, new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255])).update(new Uint8Array(65));	// Test counter overflow
+
+QUnit.test('Test the stateful cipher', function(assert)
+{
+	assert.ok(cipherResult === cipherExpectedResult, 'Parts: ' + cipherResult + ' should equal ' + cipherExpectedResult);
+	assert.ok(cipherFinalResult.length === 0, 'Final returns no bytes');
+	assert.ok(cipherReducedResult === cipherReducedExpectedResult, 'Single byte parts with 8 rounds: ' + cipherReducedResult + ' should equal ' + cipherReducedExpectedResult);
+	assert.ok(cipherByteKeyResult === cipherExpectedResult, 'Byte array key: ' + cipherByteKeyResult + ' should equal ' + cipherExpectedResult);
+	assert.ok(cipherByteKeyAfterFinal === cipherTestKey, 'Byte array key after final: ' + cipherByteKeyAfterFinal + ' should equal ' + cipherTestKey);
+	assert.ok(cipherByteKeyErased, 'Final should erase the copy of the key held by the cipher');
+
+	assert.throws(function() {
+		cipherTestCipher.update('abc');
+	}, /already finished/, 'Using the cipher after final should throw');
+
+	assert.throws(function() {
+		Salsa20.createCipher(cipherTestKey, cipherTestNonce, new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255])).update(new Uint8Array(65));
+	}, /longer than the number of keystream bytes/, 'Overflowing the counter should throw');
+});
+
+
+
+/**
+ * Test seeking to a byte offset in the keystream gives the same output as slicing the whole encrypted message
+ */
+var seekTestMessage = new Uint8Array(2100);
+
+for (var i = 0; i < seekTestMessage.length; i++)
+{
+	seekTestMessage[i] = (i * 13) & 0xff;
+}
+
+var seekExpectedResult = Salsa20.encrypt(cipherTestKey, seekTestMessage, cipherTestNonce, 2, { returnType: 'hex' });
+var seekTestCipher = Salsa20.createCipher(cipherTestKey, cipherTestNonce, 2);
+
+// Bytes 1000 to 1999 then seek backwards to a block boundary
+seekTestCipher.update(seekTestMessage.subarray(0, 10));
+var seekRangeResult = seekTestCipher.seek(1000).update(seekTestMessage.subarray(1000, 2000), { returnType: 'hex' });
+var seekRangeExpectedResult = seekExpectedResult.substring(2000, 4000);
+var seekBackwardsResult = seekTestCipher.seek(64).update(seekTestMessage.subarray(64, 130), { returnType: 'hex' });
+var seekBackwardsExpectedResult = seekExpectedResult.substring(128, 260);
+
+// Byte offset option when creating the cipher
+var seekOptionResult = Salsa20.createCipher(cipherTestKey, cipherTestNonce, 2, { byteOffset: 2047 }).update(seekTestMessage.subarray(2047), { returnType: 'hex' });
+var seekOptionExpectedResult = seekExpectedResult.substring(4094);
+
+// Error cases (commented out because they cause an exception)
+// var seekTestErrorA = seekTestCipher.seek(1.5);																	// Test non integer offset
+// var seekTestErrorB = Salsa20.createCipher(cipherTestKey, cipherTestNonce, new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255]), { byteOffset: 64 });	// Test offset past the max counter
+
+QUnit.test('Test seeking to a byte offset', function(assert)
+{
+	assert.ok(seekRangeResult === seekRangeExpectedResult, 'Bytes 1000 to 1999: ' + seekRangeResult + ' should equal ' + seekRangeExpectedResult);
+	assert.ok(seekBackwardsResult === seekBackwardsExpectedResult, 'Seek backwards: ' + seekBackwardsResult + ' should equal ' + seekBackwardsExpectedResult);
+	assert.ok(seekOptionResult === seekOptionExpectedResult, 'Byte offset option: ' + seekOptionResult + ' should equal ' + seekOptionExpectedResult);
+
+	assert.throws(function() {
+		seekTestCipher.seek(1.5);
+	}, /byte offset should be an integer/, 'A non integer offset should throw');
+
+	assert.throws(function() {
+		Salsa20.createCipher(cipherTestKey, cipherTestNonce, new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255]), { byteOffset: 64 });
+	}, /counter size should be an integer/, 'An offset past the maximum counter should throw');
+});
+
+
+
+/**
+ * Test the TransformStream wrappers with odd chunk sizes against the Section 10 encryption vectors
+ */
+
+/**
+ * Writes the chunks to a stream and collects the output into a single array of bytes
+ * @param {TransformStream} stream The stream to test
+ * @param {Array} chunks The Uint8Array chunks to write
+ * @param {Function} callback Called with the output bytes when the stream ends, or an error
+ */
+function readAllFromStream(stream, chunks, callback)
+{
+	var reader = stream.readable.getReader();
+	var writer = stream.writable.getWriter();
+	var outputChunks = [];
+
+	// Write all chunks and close without waiting, the stream will hold them until they are read
+	for (var i = 0; i < chunks.length; i++)
+	{
+		writer.write(chunks[i]).catch(function() {});
+	}
+
+	writer.close().catch(function() {});
+
+	// Read until the end of the stream then join the chunks
+	function read()
+	{
+		reader.read().then(function(result)
+		{
+			if (result.done)
+			{
+				var outputLength = outputChunks.reduce(function(total, chunk) { return total + chunk.length; }, 0);
+				var output = new Uint8Array(outputLength);
+
+				for (var i = 0, position = 0;  i < outputChunks.length;  position += outputChunks[i].length, i++)
+				{
+					Salsa20.core.util.updateArray(output, outputChunks[i], position);
+				}
+
+				return callback(output);
+			}
+
+			outputChunks.push(result.value);
+			read();
+		},
+		function(error)
+		{
+			callback(null, error);
+		});
+	}
+
+	read();
+}
+
+/**
+ * Splits bytes into chunks of the given sizes, with any remaining bytes in the last chunk
+ * @param {Uint8Array} bytes The bytes to split
+ * @param {Array} chunkSizes The sizes of each chunk
+ * @returns {Array} Returns an array of Uint8Array chunks
+ */
+function splitIntoChunks(bytes, chunkSizes)
+{
+	var chunks = [];
+
+	for (var i = 0, position = 0;  i < chunkSizes.length;  position += chunkSizes[i], i++)
+	{
+		chunks.push(bytes.subarray(position, position + chunkSizes[i]));
+	}
+
+	chunks.push(bytes.subarray(position));
+
+	return chunks;
+}
+
+QUnit.test('Test the encrypt and decrypt TransformStreams', function(assert)
+{
+	var done = assert.async();
+
+	// Encrypt the 3 & 1/2 block zero message from Section 10 in odd sized chunks
+	var zeroMessageChunks = splitIntoChunks(new Uint8Array(encryptionMessage2), [1, 7, 13, 63, 65, 0]);
+	var encryptStream = Salsa20.createEncryptStream(encryptionKeyCombined, encryptionNonce, encryptionCounter);
+	var keyBeforeStream = Salsa20.core.util.bytesToHex(encryptionKeyCombined);
+
+	readAllFromStream(encryptStream, zeroMessageChunks, function(ciphertext, error)
+	{
+		var keyAfterStream = Salsa20.core.util.bytesToHex(encryptionKeyCombined);
+
+		assert.deepEqual(ciphertext, encryptionExpectedResultTruncated2, 'Encrypt stream of 3 & 1/2 blocks in odd chunks: [' + (ciphertext || []).join(', ') + '] should equal [' + encryptionExpectedResultTruncated2.join(', ') + '].');
+		assert.ok(keyAfterStream === keyBeforeStream, 'Byte array key after the stream ends: ' + keyAfterStream + ' should equal ' + keyBeforeStream);
+
+		// Decrypt the 256 byte ciphertext from Section 10 with different odd chunk sizes
+		var ciphertextChunks = splitIntoChunks(encryptionCiphertext3, [3, 61, 127, 1]);
+		var decryptStream = Salsa20.createDecryptStream(encryptionKey3, encryptionNonce3, encryptionCounter3);
+
+		readAllFromStream(decryptStream, ciphertextChunks, function(plaintext, error)
+		{
+			assert.deepEqual(plaintext, encryptionMessage3, 'Decrypt stream of 256 bytes in odd chunks: [' + (plaintext || []).join(', ') + '] should equal [' + encryptionMessage3.join(', ') + '].');
+
+			// A string chunk should error the stream
+			readAllFromStream(Salsa20.createEncryptStream(encryptionKey3, encryptionNonce3, 0), ['abc'], function(output, error)
+			{
+				assert.ok(/should be a Uint8Array/.test(error && error.message), 'A string chunk should error the stream');
+
+				// Backpressure: with nothing reading, the writer should report the stream is full after the first chunk
+				var backpressureStream = Salsa20.createEncryptStream(encryptionKey3, encryptionNonce3, 0);
+				var backpressureWriter = backpressureStream.writable.getWriter();
+				var desiredSizeBefore = backpressureWriter.desiredSize;
+
+				backpressureWriter.write(new Uint8Array(10)).catch(function() {});
+
+				assert.ok(backpressureWriter.desiredSize < desiredSizeBefore && backpressureWriter.desiredSize <= 0, 'Backpressure: desired size ' + backpressureWriter.desiredSize + ' should be 0 or less until the output is read');
+				backpressureWriter.abort().catch(function() {});
+
+				// Aborting the stream before the end, e.g. when a fetch is aborted, should erase the cipher's copy of the key 
+				// and leave the caller's byte array key unchanged
+				var abortKey = Salsa20.core.util.hexToBytes(cipherTestKey);
+				var abortCipher = Salsa20.createCipher(abortKey, encryptionNonce3, 0);
+				var abortWriter = Salsa20.createTransformStream(abortCipher).writable.getWriter();
+
+				abortWriter.write(new Uint8Array(10)).catch(function() {});
+				abortWriter.abort(new Error('Aborted')).then(function()
+				{
+					var keyErased = Array.prototype.every.call(abortCipher.key, function(byte) { return byte === 0; });
+
+					assert.ok(abortCipher.finished && keyErased, 'Aborting the stream should erase the key');
+					assert.ok(Salsa20.core.util.bytesToHex(abortKey) === cipherTestKey, 'Aborting the stream should not change the byte array key passed in');
+					done();
+				});
+			});
+		});
+	});
+});
+
+
+
+/**
+ * Test each implementation gives exactly the same output as the readable implementation which follows the spec. The 
+ * Salsa20 based vectors from the tests above are run again with the readable, optimised and, where it is available, 
+ * WebAssembly implementations.
+ */
+var optimisedHashTest1 = Salsa20.core.optimised.hash(hashInput1);
+var optimisedHashTest2 = Salsa20.core.optimised.hash(hashInput2);
+var optimisedHashTest3 = Salsa20.core.optimised.hash(hashInput3);
+
+// The Section 8 test with 1,000,000 iterations is fast enough to run without a web worker
+var optimisedHashTest4 = new Uint8Array([
+	6, 124, 83, 146, 38, 191, 9, 50, 4, 161, 47, 222, 122, 182, 223, 185, 
+	75, 27, 0, 216, 16, 122, 7, 89, 162, 104, 101, 147, 213, 21, 54, 95, 
+	225, 253, 139, 176, 105, 132, 23, 116, 76, 41, 176, 207, 221, 34, 157, 108, 
+	94, 94, 99, 52, 90, 117, 91, 220, 146, 190, 239, 143, 196, 176, 130, 186
+]);
+var optimisedHashExpectedResult4 = new Uint8Array([
+	8, 18, 38, 199, 119, 76, 215, 67, 173, 127, 144, 162, 103, 212, 176, 217, 
+	192, 19, 233, 33, 159, 197, 154, 160, 128, 243, 219, 65, 171, 136, 135, 225, 
+	123, 11, 68, 86, 237, 82, 20, 155, 133, 189, 9, 83, 167, 116, 194, 78, 
+	122, 127, 195, 185, 185, 204, 188, 90, 245, 9, 183, 248, 226, 85, 245, 104
+]);
+
+for (var i = 0; i < 1000000; i++)
+{
+	optimisedHashTest4 = Salsa20.core.optimised.hash(optimisedHashTest4);
+}
+
+// The hash vectors with the WebAssembly block function
+var wasmHashTests = Salsa20.core.wasm.isAvailable() ? [
+	Salsa20.core.wasm.hash(hashInput1),
+	Salsa20.core.wasm.hash(hashInput2),
+	Salsa20.core.wasm.hash(hashInput3)
+] : [];
+
+// Each vector returns its output as a hex string so the results can be compared
+var implementationTestVectors = {
+	'Section 10 with 256 bit key': function() { return Salsa20.core.encryption(encryptionKeyCombined, encryptionMessage, encryptionNonce, encryptionCounter); },
+	'Section 10 with 128 bit key': function() { return Salsa20.core.encryption(encryptionKey0, encryptionMessage, encryptionNonce, encryptionCounter); },
+	'Section 10 with 3 & 1/2 blocks': function() { return Salsa20.core.encryption(encryptionKeyCombined, encryptionMessage2, encryptionNonce, encryptionCounter); },
+	'Section 10 with 256 bytes and 256 bit key': function() { return Salsa20.core.encryption(encryptionKey3, encryptionMessage3, encryptionNonce3, encryptionCounter3); },
+	'Section 10 with 256 bytes and 128 bit key': function() { return Salsa20.core.encryption(encryptionKey128BitKey3, encryptionMessage3, encryptionNonce3, encryptionCounter3); },
+	'Keystream with counter carry into the high word': function() { return Salsa20.generateKeystream(encryptionKey3, 200, encryptionNonce3, Math.pow(2, 32) - 2); },
+	'Keystream longer than the WebAssembly chunk': function() { return Salsa20.generateKeystream(encryptionKey3, Salsa20.core.wasm.chunkByteLength + 100, encryptionNonce3, 7); },
+	'XSalsa20 keystream': function() { return Salsa20.xsalsa20.generateKeystream(xsalsa20TestKey, 192, xsalsa20TestNonce, 0); },
+	'Secretbox': function() { return Salsa20.secretbox.seal(secretboxTestMessage, secretboxTestNonce, secretboxTestKey, { inputTextType: 'hex' }); },
+	'Stateful cipher': function()
+	{
+		var cipher = Salsa20.createCipher(cipherTestKey, cipherTestNonce, 3);
+		var result = '';
+
+		for (var i = 0, position = 0;  i < cipherTestPartLengths.length;  position += cipherTestPartLengths[i], i++)
+		{
+			result += cipher.update(cipherTestMessage.subarray(position, position + cipherTestPartLengths[i]), { returnType: 'hex' });
+		}
+
+		return result;
+	}
+};
+
+// The outputs of the tests above which the readable results should also match
+var implementationTestExpected = {
+	'Section 10 with 256 bit key': encryptionCiphertext256BitKey,
+	'Section 10 with 128 bit key': encryptionCiphertext128BitKey,
+	'Section 10 with 3 & 1/2 blocks': encryptionCiphertext2,
+	'Section 10 with 256 bytes and 256 bit key': encryptionCiphertext3,
+	'Section 10 with 256 bytes and 128 bit key': encryptionCiphertext128BitKey3
+};
+
+// Add every encrypt and decrypt wrapper vector, with the same key and options as in its test
+var implementationTestWrapperVectors = [
+	{ key: testEncryptWrapperKey256Bits, message: testEncryptWrapperMessage0, nonce: testEncryptWrapperNonce0, counter: testEncryptWrapperCounter0, options: {}, ciphertext: testEncryptWrapperCiphertext0, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext0 },
+	{ key: testEncryptWrapperKey128Bits, message: testEncryptWrapperMessage1, nonce: testEncryptWrapperNonce1, counter: testEncryptWrapperCounter1, options: {}, ciphertext: testEncryptWrapperCiphertext1, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext1 },
+	{ key: testEncryptWrapperKey256Bits, message: testEncryptWrapperMessage2, nonce: testEncryptWrapperNonce2, counter: testEncryptWrapperCounter2, options: testEncryptWrapperOptions2, ciphertext: testEncryptWrapperCiphertext2, decryptOptions: { returnType: 'hex' }, plaintext: testDecryptWrapperPlaintext2 },
+	{ key: testEncryptWrapperKey128Bits, message: testEncryptWrapperMessage3, nonce: testEncryptWrapperNonce3, counter: testEncryptWrapperCounter3, options: testEncryptWrapperOptions3, ciphertext: testEncryptWrapperCiphertext3, decryptOptions: { returnType: 'hex' }, plaintext: testDecryptWrapperPlaintext3 },
+	{ key: testEncryptWrapperKey256Bits, message: testEncryptWrapperMessage4, nonce: testEncryptWrapperNonce4, counter: testEncryptWrapperCounter4, options: testEncryptWrapperOptions4, ciphertext: testEncryptWrapperCiphertext4, decryptOptions: { inputTextType: 'hex' }, plaintext: testDecryptWrapperPlaintext4 },
+	{ key: testEncryptWrapperKey128Bits, message: testEncryptWrapperMessage5, nonce: testEncryptWrapperNonce5, counter: testEncryptWrapperCounter5, options: testEncryptWrapperOptions5, ciphertext: testEncryptWrapperCiphertext5, decryptOptions: { inputTextType: 'hex' }, plaintext: testDecryptWrapperPlaintext5 },
+	{ key: testEncryptWrapperKey256BitsHex, message: testEncryptWrapperMessage6, nonce: testEncryptWrapperNonce6, counter: testEncryptWrapperCounter6, options: {}, ciphertext: testEncryptWrapperCiphertext6, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext6 },
+	{ key: testEncryptWrapperKey128BitsHex, message: testEncryptWrapperMessage7, nonce: testEncryptWrapperNonce7, counter: testEncryptWrapperCounter7, options: {}, ciphertext: testEncryptWrapperCiphertext7, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext7 },
+	{ key: testEncryptWrapperKey256Bits, message: testEncryptWrapperMessage8, nonce: testEncryptWrapperNonce8, counter: testEncryptWrapperCounter8, options: {}, ciphertext: testEncryptWrapperCiphertext8, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext8 },
+	{ key: testEncryptWrapperKey128Bits, message: testEncryptWrapperMessage9, nonce: testEncryptWrapperNonce9, counter: testEncryptWrapperCounter9, options: {}, ciphertext: testEncryptWrapperCiphertext9, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext9 },
+	{ key: testEncryptWrapperKey256Bits, message: testEncryptWrapperMessage10, nonce: testEncryptWrapperNonce10, counter: testEncryptWrapperCounter10, options: {}, ciphertext: testEncryptWrapperCiphertext10, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext10 },
+	{ key: testEncryptWrapperKey128Bits, message: testEncryptWrapperMessage11, nonce: testEncryptWrapperNonce11, counter: testEncryptWrapperCounter11, options: {}, ciphertext: testEncryptWrapperCiphertext11, decryptOptions: {}, plaintext: testDecryptWrapperPlaintext11 }
+];
+
+implementationTestWrapperVectors.forEach(function(vector, index)
+{
+	implementationTestVectors['Encrypt wrapper ' + index] = function() { return Salsa20.encrypt(vector.key, vector.message, vector.nonce, vector.counter, vector.options); };
+	implementationTestVectors['Decrypt wrapper ' + index] = function() { return Salsa20.decrypt(vector.key, vector.ciphertext, vector.nonce, vector.counter, vector.decryptOptions); };
+	implementationTestExpected['Encrypt wrapper ' + index] = vector.ciphertext;
+	implementationTestExpected['Decrypt wrapper ' + index] = vector.plaintext;
+});
+
+// Add every keystream wrapper vector
+var implementationTestKeystreamVectors = {
+	A: { length: keystreamTestLengthA, nonce: keystreamTestNonceA, counter: keystreamTestCounterA, options: { returnType: 'hex' }, keystream: keystreamA },
+	B: { length: keystreamTestLengthB, nonce: keystreamTestNonceB, counter: keystreamTestCounterB, options: { returnType: 'hex' }, keystream: keystreamB },
+	C: { length: keystreamTestLengthC, nonce: keystreamTestNonceC, counter: keystreamTestCounterC, options: { returnType: 'hex' }, keystream: keystreamC },
+	D: { length: keystreamTestLengthD, nonce: keystreamTestNonceD, counter: keystreamTestCounterD, options: { returnType: 'hex' }, keystream: keystreamD },
+	E: { length: keystreamTestLengthE, nonce: keystreamTestNonceE, counter: keystreamTestCounterE, options: { returnType: 'hex' }, keystream: keystreamE },
+	F: { length: keystreamTestLengthF, nonce: keystreamTestNonceF, counter: keystreamTestCounterF, options: {}, keystream: keystreamF }
+};
+
+Object.keys(implementationTestKeystreamVectors).forEach(function(letter)
+{
+	var vector = implementationTestKeystreamVectors[letter];
+
+	implementationTestVectors['Keystream wrapper ' + letter] = function() { return Salsa20.generateKeystream(keystreamTestKey, vector.length, vector.nonce, vector.counter, vector.options); };
+	implementationTestExpected['Keystream wrapper ' + letter] = vector.keystream;
+});
+
+// Add the eSTREAM reduced round vectors
+roundsTestVectors.forEach(function(vector, index)
+{
+	implementationTestVectors['eSTREAM vector ' + index + ' with ' + vector.rounds + ' rounds'] = function()
+	{
+		return Salsa20.generateKeystream(vector.key, 512, roundsTestNonce, 0, { rounds: vector.rounds });
+	};
+});
+
+// Strings are kept as they are and bytes are converted to hex so the results can be compared
+var implementationTestToHex = function(result) { return (typeof result === 'string') ? result : Salsa20.core.util.bytesToHex(result); };
+
+// Run the vectors with each available implementation
+var implementationTestNames = ['readable', 'optimised'].concat(Salsa20.core.wasm.isAvailable() ? ['wasm'] : []);
+var implementationResults = {};
+
+for (var i = 0; i < implementationTestNames.length; i++)
+{
+	Salsa20.core.setImplementation(implementationTestNames[i]);
+	implementationResults[implementationTestNames[i]] = {};
+
+	for (var vectorName in implementationTestVectors)
+	{
+		var vectorResult = implementationTestVectors[vectorName]();
+
+		implementationResults[implementationTestNames[i]][vectorName] = implementationTestToHex(vectorResult);
+	}
+}
+
+// Go back to automatically selecting the implementation
+Salsa20.core.setImplementation('auto');
+
+// The optimised implementation reuses its state between calls, so the key words should be erased after each call
+var isAllZero = function(bytes) { return Array.prototype.every.call(bytes, function(byte) { return byte === 0; }); };
+
+Salsa20.core.optimised.encryption(encryptionKey3, encryptionMessage3, encryptionNonce3, 0);
+var optimisedStateErasedAfterEncryption = isAllZero(Salsa20.core.optimised.inputWords) && isAllZero(Salsa20.core.optimised.outputWords);
+
+Salsa20.core.optimised.generateKeystream(encryptionKey3, 100, encryptionNonce3, 0);
+var optimisedStateErasedAfterKeystream = isAllZero(Salsa20.core.optimised.inputWords) && isAllZero(Salsa20.core.optimised.outputWords);
+
+// The WebAssembly memory should not keep the key, the message or the keystream after each call
+var wasmMemoryErasedAfterEncryption = true;
+var wasmMemoryErasedAfterKeystream = true;
+
+if (Salsa20.core.wasm.isAvailable())
+{
+	Salsa20.core.wasm.encryption(encryptionKey3, Salsa20.core.util.utf8StringToBytes('TOP SECRET PLAINTEXT'), encryptionNonce3, 0);
+	wasmMemoryErasedAfterEncryption = isAllZero(Salsa20.core.wasm.memory().subarray(0, Salsa20.core.wasm.dataOffset + Salsa20.core.wasm.chunkByteLength));
+
+	Salsa20.core.wasm.generateKeystream(encryptionKey3, Salsa20.core.wasm.chunkByteLength + 100, encryptionNonce3, 0);
+	wasmMemoryErasedAfterKeystream = isAllZero(Salsa20.core.wasm.memory().subarray(0, Salsa20.core.wasm.dataOffset + Salsa20.core.wasm.chunkByteLength));
+}
+
+// Error cases (commented out because they cause an exception)
+// var implementationTestErrorA = Salsa20.core.setImplementation('fast');		// Test unknown implementation
+
+QUnit.test('Test the optimised and WebAssembly implementations match the readable implementation', function(assert)
+{
+	var readable = implementationResults.readable;
+
+	assert.deepEqual(optimisedHashTest1, hashExpectedResult1, 'Optimised Section 8 hash 1: [' + optimisedHashTest1.join(', ') + '] should equal [' + hashExpectedResult1.join(', ') + ']');
+	assert.deepEqual(optimisedHashTest2, hashExpectedResult2, 'Optimised Section 8 hash 2: [' + optimisedHashTest2.join(', ') + '] should equal [' + hashExpectedResult2.join(', ') + ']');
+	assert.deepEqual(optimisedHashTest3, hashExpectedResult3, 'Optimised Section 8 hash 3: [' + optimisedHashTest3.join(', ') + '] should equal [' + hashExpectedResult3.join(', ') + ']');
+	assert.deepEqual(optimisedHashTest4, optimisedHashExpectedResult4, 'Optimised Section 8 hash with 1,000,000 iterations: [' + optimisedHashTest4.join(', ') + '] should equal [' + optimisedHashExpectedResult4.join(', ') + ']');
+
+	if (wasmHashTests.length > 0)
+	{
+		assert.deepEqual(wasmHashTests[0], hashExpectedResult1, 'WebAssembly Section 8 hash 1: [' + wasmHashTests[0].join(', ') + '] should equal [' + hashExpectedResult1.join(', ') + ']');
+		assert.deepEqual(wasmHashTests[1], hashExpectedResult2, 'WebAssembly Section 8 hash 2: [' + wasmHashTests[1].join(', ') + '] should equal [' + hashExpectedResult2.join(', ') + ']');
+		assert.deepEqual(wasmHashTests[2], hashExpectedResult3, 'WebAssembly Section 8 hash 3: [' + wasmHashTests[2].join(', ') + '] should equal [' + hashExpectedResult3.join(', ') + ']');
+	}
+
+	// The readable results also have to match the expected results of the tests above
+	assert.ok(readable['Section 10 with 3 & 1/2 blocks'] === Salsa20.core.util.bytesToHex(encryptionExpectedResultTruncated2), 'Readable Section 10 with 3 & 1/2 blocks should equal the expansion function output');
+	assert.ok(readable['XSalsa20 keystream'] === xsalsa20ExpectedKeystream, 'Readable XSalsa20 keystream should equal the NaCl vector');
+	assert.ok(readable['Secretbox'] === secretboxTestExpectedResult, 'Readable secretbox should equal the NaCl vector');
+
+	for (var vectorName in implementationTestExpected)
+	{
+		var expected = implementationTestToHex(implementationTestExpected[vectorName]);
+
+		assert.ok(readable[vectorName] === expected, 'Readable ' + vectorName + ': ' + readable[vectorName] + ' should equal ' + expected);
+	}
+
+	for (var i = 1; i < implementationTestNames.length; i++)
+	{
+		for (var vectorName in readable)
+		{
+			var result = implementationResults[implementationTestNames[i]][vectorName];
+
+			assert.ok(result === readable[vectorName], implementationTestNames[i] + ' ' + vectorName + ': ' + result + ' should equal ' + readable[vectorName]);
+		}
+	}
+
+	assert.ok(Salsa20.core.getImplementation() === (Salsa20.core.wasm.isAvailable() ? 'wasm' : 'optimised'), 'WebAssembly should be selected automatically if available, otherwise the optimised implementation');
+	assert.ok(optimisedStateErasedAfterEncryption, 'The optimised state should be erased after encryption');
+	assert.ok(optimisedStateErasedAfterKeystream, 'The optimised state should be erased after generating a keystream');
+	assert.ok(wasmMemoryErasedAfterEncryption, 'The WebAssembly memory should be erased after encryption');
+	assert.ok(wasmMemoryErasedAfterKeystream, 'The WebAssembly memory should be erased after generating a keystream');
+
+	assert.throws(function() {
+		Salsa20.core.setImplementation('fast');
+	}, /Unknown implementation/, 'An unknown implementation should throw');
+});
+
+
+/**
+ * Test parallel encryption with the worker pool
+ */
+
+// A message of several parts which does not end on a block boundary, encrypted from counter 3
+var parallelTestKey = cipherTestKey;
+var parallelTestNonce = cipherTestNonce;
+var parallelTestMessage = new Uint8Array(300000 + 37);
+
+for (var i = 0; i < parallelTestMessage.length; i++)
+{
+	parallelTestMessage[i] = (i * 7) & 0xff;
+}
+
+var parallelExpectedCiphertext = Salsa20.encrypt(parallelTestKey, parallelTestMessage, parallelTestNonce, 3, { returnType: 'hex' });
+var parallelExpectedKeystream = Salsa20.generateKeystream(parallelTestKey, 200001, parallelTestNonce, 0, { returnType: 'hex', rounds: 8 });
+
+QUnit.test('Test parallel encryption, decryption and keystream generation', function(assert)
+{
+	var done = assert.async();
+
+	Salsa20.parallel.encrypt(parallelTestKey, parallelTestMessage, parallelTestNonce, 3, { returnType: 'hex' }).then(function(ciphertext)
+	{
+		assert.ok(ciphertext === parallelExpectedCiphertext, 'Parallel encryption of ' + parallelTestMessage.length + ' bytes should equal Salsa20.encrypt');
+
+		return Salsa20.parallel.generateKeystream(parallelTestKey, 200001, parallelTestNonce, 0, { returnType: 'hex', rounds: 8 });
+	})
+	.then(function(keystream)
+	{
+		assert.ok(keystream === parallelExpectedKeystream, 'Parallel Salsa20/8 keystream should equal Salsa20.generateKeystream');
+
+		var ciphertext = Salsa20.encrypt(parallelTestKey, 'The quick brown fox jumps over the lazy dog', parallelTestNonce, 0);
+
+		return Salsa20.parallel.decrypt(parallelTestKey, ciphertext, parallelTestNonce, 0);
+	})
+	.then(function(plaintext)
+	{
+		assert.ok(plaintext === 'The quick brown fox jumps over the lazy dog', 'Parallel decryption: ' + plaintext + ' should equal The quick brown fox jumps over the lazy dog');
+
+		// Error cases reject the Promise instead of throwing
+		return Salsa20.parallel.encrypt('abcd', parallelTestMessage, parallelTestNonce, 0);
+	})
+	.then(function()
+	{
+		assert.ok(false, 'An invalid key should reject');
+	},
+	function(error)
+	{
+		assert.ok(/key/.test(error.message), 'An invalid key should reject with a key error: ' + error.message);
+	})
+	.then(done);
+});
+
+
+
+/**
+ * Test the asynchronous time-sliced functions
+ */
+
+// Use small slices so the test message is processed over several time slices
+var asyncTestMessage = parallelTestMessage.subarray(0, 20000 + 11);
+var asyncExpectedCiphertext = Salsa20.encrypt(parallelTestKey, asyncTestMessage, parallelTestNonce, 3, { returnType: 'hex' });
+var asyncExpectedKeystream = Salsa20.generateKeystream(parallelTestKey, 1001, parallelTestNonce, 5, { returnType: 'hex', rounds: 12 });
+
+// Error cases (commented out because they cause an exception)
+// var asyncTestErrorA = Salsa20.async.encrypt('abcd', asyncTestMessage, parallelTestNonce, 0);		// Test invalid key rejects
+
+QUnit.test('Test the asynchronous encrypt, decrypt and keystream functions', function(assert)
+{
+	var done = assert.async();
+	var progressBytesDone = [];
+	var sliceByteLength = Salsa20.async.sliceByteLength;
+	var timeSliceMilliseconds = Salsa20.async.timeSliceMilliseconds;
+
+	// Process one slice of 1024 bytes per time slice
+	Salsa20.async.sliceByteLength = 1024;
+	Salsa20.async.timeSliceMilliseconds = 0;
+
+	Salsa20.async.encrypt(parallelTestKey, asyncTestMessage, parallelTestNonce, 3, {
+		returnType: 'hex',
+		onProgress: function(bytesDone, total)
+		{
+			progressBytesDone.push(bytesDone + '/' + total);
+		}
+	})
+	.then(function(ciphertext)
+	{
+		assert.ok(ciphertext === asyncExpectedCiphertext, 'Asynchronous encryption of ' + asyncTestMessage.length + ' bytes should equal Salsa20.encrypt');
+		assert.ok(progressBytesDone.length === 20, 'Progress should be reported 20 times, was reported ' + progressBytesDone.length + ' times');
+		assert.ok(progressBytesDone[0] === '1024/20011', 'First progress: ' + progressBytesDone[0] + ' should equal 1024/20011');
+		assert.ok(progressBytesDone[19] === '20011/20011', 'Last progress: ' + progressBytesDone[19] + ' should equal 20011/20011');
+
+		return Salsa20.async.generateKeystream(parallelTestKey, 1001, parallelTestNonce, 5, { returnType: 'hex', rounds: 12 });
+	})
+	.then(function(keystream)
+	{
+		assert.ok(keystream === asyncExpectedKeystream, 'Asynchronous Salsa20/12 keystream should equal Salsa20.generateKeystream');
+
+		var ciphertext = Salsa20.encrypt(parallelTestKey, 'The quick brown fox jumps over the lazy dog', parallelTestNonce, 0);
+
+		return Salsa20.async.decrypt(parallelTestKey, ciphertext, parallelTestNonce, 0);
+	})
+	.then(function(plaintext)
+	{
+		assert.ok(plaintext === 'The quick brown fox jumps over the lazy dog', 'Asynchronous decryption: ' + plaintext + ' should equal The quick brown fox jumps over the lazy dog');
+
+		// Abort after the third slice
+		var abortController = new AbortController();
+		var onProgress = function(bytesDone)
+		{
+			if (bytesDone >= 3072)
+			{
+				abortController.abort();
+			}
+		};
+
+		return Salsa20.async.encrypt(parallelTestKey, asyncTestMessage, parallelTestNonce, 0, { signal: abortController.signal, onProgress: onProgress }).then(function()
+		{
+			assert.ok(false, 'Aborting should reject');
+		},
+		function(error)
+		{
+			assert.ok(error.name === 'AbortError', 'Aborting should reject with an AbortError, was ' + error.name);
+		});
+	})
+	.then(function()
+	{
+		return Salsa20.async.encrypt('abcd', asyncTestMessage, parallelTestNonce, 0).then(function()
+		{
+			assert.ok(false, 'An invalid key should reject');
+		},
+		function(error)
+		{
+			assert.ok(/key/.test(error.message), 'An invalid key should reject with a key error: ' + error.message);
+		});
+	})
+	.then(function()
+	{
+		Salsa20.async.sliceByteLength = sliceByteLength;
+		Salsa20.async.timeSliceMilliseconds = timeSliceMilliseconds;
+		done();
+	});
+});
+
+
+
+/**
+ * Test 64-bit counters and nonces with BigInt and byte arrays
+ */
+
+// The highest counter 2^64 - 1 as a BigInt and as littleendian bytes, and the first counter above 2^53 - 1
+var bigCounterMax = BigInt('18446744073709551615');
+var bigCounterMaxBytes = new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255]);
+var bigCounterAboveMaxInteger = BigInt('9007199254740992');
+
+// Conversions to and from bytes
+var bigCounterBytes = Salsa20.core.util.numToEightByteArrayLittleEndian(BigInt('0x0123456789abcdef'));
+var bigCounterBytesExpected = new Uint8Array([0xef, 0xcd, 0xab, 0x89, 0x67, 0x45, 0x23, 0x01]);
+var bigCounterParsedBytes = Salsa20.core.util.parseCounter(bigCounterMaxBytes, 64);
+var bigCounterParsedSmall = Salsa20.core.util.parseCounter(BigInt(2000), 64);
+var bigCounterParsedSmallBytes = Salsa20.core.util.parseCounter(new Uint8Array([208, 7, 0, 0, 0, 0, 0, 0]), 64);
+var bigNonceMax = Salsa20.core.util.parseNonce(bigCounterMax);
+var bigNonce = Salsa20.core.util.parseNonce(BigInt('0x0102030405060708'));
+var bigNonceExpected = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]);
+
+// The last block from the max counter should be the same from a BigInt and from bytes, and the keystream should carry 
+// past 2^53 - 1 the same as starting from 2^53
+var bigCounterKeystreamResults = {};
+
+for (var i = 0; i < implementationTestNames.length; i++)
+{
+	Salsa20.core.setImplementation(implementationTestNames[i]);
+	bigCounterKeystreamResults[implementationTestNames[i]] = {
+		lastBlock: Salsa20.generateKeystream(cipherTestKey, 192, cipherTestNonce, bigCounterMax - BigInt(2), { returnType: 'hex' }).substring(256),
+		lastBlockFromBytes: Salsa20.generateKeystream(cipherTestKey, 64, cipherTestNonce, bigCounterMaxBytes, { returnType: 'hex' }),
+		carry: Salsa20.generateKeystream(cipherTestKey, 128, cipherTestNonce, Salsa20.core.util.maxInteger, { returnType: 'hex' }).substring(128),
+		aboveMaxInteger: Salsa20.generateKeystream(cipherTestKey, 64, cipherTestNonce, bigCounterAboveMaxInteger, { returnType: 'hex' })
+	};
+}
+
+Salsa20.core.setImplementation('auto');
+
+// The stateful cipher should count past 2^53 - 1 exactly
+var bigCounterCipher = Salsa20.createCipher(cipherTestKey, cipherTestNonce, Salsa20.core.util.maxInteger, { byteOffset: 100 });
+var bigCounterCipherResult = bigCounterCipher.update(new Uint8Array(100), { returnType: 'hex' });
+var bigCounterCipherExpected = Salsa20.generateKeystream(cipherTestKey, 200, cipherTestNonce, Salsa20.core.util.maxInteger, { returnType: 'hex' }).substring(200, 400);
+
+// Error cases (commented out because they cause an exception)
+// var bigCounterErrorA = Salsa20.encrypt(cipherTestKey, new Uint8Array(65), cipherTestNonce, bigCounterMax);		// Test wrap-around past 2^64 - 1
+// var bigCounterErrorB = Salsa20.core.util.parseCounter(bigCounterMax + BigInt(1), 0);								// Test BigInt counter above 2^64 - 1
+// var bigCounterErrorC = Salsa20.core.util.parseCounter(Math.pow(2, 60), 0);										// Test inexact Number counter
+// var bigCounterErrorD = Salsa20.core.util.parseNonce(bigCounterMax + BigInt(1));									// Test BigInt nonce above 2^64 - 1
+
+QUnit.test('Test 64-bit counters and nonces with BigInt and byte arrays', function(assert)
+{
+	var done = assert.async();
+
+	assert.deepEqual(bigCounterBytes, bigCounterBytesExpected, 'BigInt counter bytes: [' + bigCounterBytes.join(', ') + '] should equal [' + bigCounterBytesExpected.join(', ') + ']');
+	assert.ok(bigCounterParsedBytes === bigCounterMax, 'Counter bytes of 255 should parse to 2^64 - 1: ' + bigCounterParsedBytes);
+	assert.ok(bigCounterParsedSmall === 2000, 'A small BigInt counter should parse to a Number: ' + bigCounterParsedSmall);
+	assert.ok(bigCounterParsedSmallBytes === 2000, 'Small counter bytes should parse to a Number: ' + bigCounterParsedSmallBytes);
+	assert.deepEqual(bigNonceMax, bigCounterMaxBytes, 'BigInt nonce 2^64 - 1: [' + bigNonceMax.join(', ') + '] should equal [' + bigCounterMaxBytes.join(', ') + ']');
+	assert.deepEqual(bigNonce, bigNonceExpected, 'BigInt nonce: [' + bigNonce.join(', ') + '] should equal [' + bigNonceExpected.join(', ') + ']');
+
+	for (var name in bigCounterKeystreamResults)
+	{
+		var result = bigCounterKeystreamResults[name];
+
+		assert.ok(result.lastBlock === result.lastBlockFromBytes, name + ' last block from BigInt: ' + result.lastBlock + ' should equal from bytes: ' + result.lastBlockFromBytes);
+		assert.ok(result.carry === result.aboveMaxInteger, name + ' block after 2^53 - 1: ' + result.carry + ' should equal block 2^53: ' + result.aboveMaxInteger);
+		assert.ok(result.lastBlock === bigCounterKeystreamResults.readable.lastBlock, name + ' last block should equal the readable implementation');
+	}
+
+	assert.ok(bigCounterCipherResult === bigCounterCipherExpected, 'Cipher past 2^53 - 1: ' + bigCounterCipherResult + ' should equal ' + bigCounterCipherExpected);
+
+	assert.throws(function() {
+		Salsa20.encrypt(cipherTestKey, new Uint8Array(65), cipherTestNonce, bigCounterMax);
+	}, /longer than the number of keystream bytes/, 'Wrapping around past 2^64 - 1 should throw');
+
+	assert.throws(function() {
+		Salsa20.core.util.parseCounter(bigCounterMax + BigInt(1), 0);
+	}, /counter size should be an integer/, 'A BigInt counter above 2^64 - 1 should throw');
+
+	assert.throws(function() {
+		Salsa20.core.util.parseCounter(Math.pow(2, 60), 0);
+	}, /use a BigInt or byte array/, 'A Number counter above 2^53 - 1 should throw');
+
+	assert.throws(function() {
+		Salsa20.core.util.parseNonce(bigCounterMax + BigInt(1));
+	}, /nonce size should be a BigInt/, 'A BigInt nonce above 2^64 - 1 should throw');
+
+	// Split across parts near the end of the counter range, the last part finishes on the last block
+	var bigCounterParallelStart = bigCounterMax - BigInt(4095);
+	var bigCounterParallelExpected = Salsa20.generateKeystream(cipherTestKey, 262144, cipherTestNonce, bigCounterParallelStart, { returnType: 'hex' });
+
+	Salsa20.parallel.generateKeystream(cipherTestKey, 262144, cipherTestNonce, bigCounterParallelStart, { returnType: 'hex' }).then(function(keystream)
+	{
+		assert.ok(keystream === bigCounterParallelExpected, 'Parallel keystream up to 2^64 - 1 should equal Salsa20.generateKeystream');
+
+		return Salsa20.async.generateKeystream(cipherTestKey, 262144, cipherTestNonce, bigCounterParallelStart, { returnType: 'hex' });
+	})
+	.then(function(keystream)
+	{
+		assert.ok(keystream === bigCounterParallelExpected, 'Asynchronous keystream up to 2^64 - 1 should equal Salsa20.generateKeystream');
+	})
+	.then(done, function(error)
+	{
+		assert.ok(false, error.message);
+		done();
+	});
+});
+
+
+
+/**
+ * Test SHA-256, HMAC-SHA256, PBKDF2-HMAC-SHA256 and scrypt with the test vectors from FIPS 180-2, RFC 4231 and RFC 7914
+ */
+
+// SHA-256 and HMAC-SHA256 (FIPS 180-2 Appendix B and RFC 4231 Test Case 2)
+var sha256ResultA = Salsa20.sha256.hash('abc', { returnType: 'hex' });
+var sha256ExpectedA = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+var sha256ResultB = Salsa20.sha256.hash('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', { returnType: 'hex' });
+var sha256ExpectedB = '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1';
+var sha256ResultC = Salsa20.sha256.hash('', { returnType: 'hex' });
+var sha256ExpectedC = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+var hmacSha256Result = Salsa20.sha256.hmac('Jefe', 'what do ya want for nothing?', { returnType: 'hex' });
+var hmacSha256Expected = '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843';
+
+// PBKDF2-HMAC-SHA256 (RFC 7914 Section 11)
+var pbkdf2ResultA = Salsa20.sha256.pbkdf2('passwd', 'salt', 1, 64, { returnType: 'hex' });
+var pbkdf2ExpectedA = '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783';
+var pbkdf2ResultB = Salsa20.sha256.pbkdf2('Password', 'NaCl', 80000, 64, { returnType: 'hex' });
+var pbkdf2ExpectedB = '4ddcd8f60b98be21830cee5ef22701f9641a4418d04c0414aeff08876b34ab56a1d425a1225833549adb841b51c9b3176a272bdebba1d078478f62b397f33c8d';
+
+// scryptBlockMix with r = 1 (RFC 7914 Section 9), the words are read in littleendian order
+var scryptBlockMixInput = Salsa20.core.util.hexToBytes('f7ce0b653d2d72a4108cf5abe912ffdd777616dbbb27a70e8204f3ae2d0f6fad89f68f4811d1e87bcc3bd7400a9ffd29094f0184639574f39ae5a1315217bcd7894991447213bb226c25b54da86370fbcd984380374666bb8ffcb5bf40c254b067d27c51ce4ad5fed829c90b505a571b7f4d1cad6a523cda770e67bceaaf7e89');
+var scryptBlockMixExpected = 'a41f859c6608cc993b81cacb020cef05044b2181a2fd337dfd7b1c6396682f29b4393168e3c9e6bcfe6bc5b7a06d96bae424cc102c91745c24ad673dc7618f8120edc975323881a80540f64c162dcd3c21077cfe5f8d5fe2b1a4168f953678b77d3b3d803b60e4ab920996e59b4d53b65d2a225877d5edf5842cb9f14eefe425';
+var scryptBlockMixInputWords = new Uint32Array(scryptBlockMixInput.buffer);
+var scryptBlockMixOutputWords = new Uint32Array(32);
+Salsa20.core.scrypt.blockMix(scryptBlockMixInputWords, scryptBlockMixOutputWords, 1);
+var scryptBlockMixResult = Salsa20.core.util.bytesToHex(new Uint8Array(scryptBlockMixOutputWords.buffer));
+
+// scrypt (RFC 7914 Section 12), the fourth vector is left out because it needs 1 GiB of memory
+var scryptResultA = Salsa20.scrypt('', '', 16, 1, 1, 64, { returnType: 'hex' });
+var scryptExpectedA = '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906';
+var scryptResultB = Salsa20.scrypt('password', 'NaCl', 1024, 8, 16, 64, { returnType: 'hex' });
+var scryptExpectedB = 'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640';
+var scryptResultC = Salsa20.scrypt('pleaseletmein', 'SodiumChloride', 16384, 8, 1, 64, { returnType: 'hex' });
+var scryptExpectedC = '7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2d5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887';
+var scryptResultD = Salsa20.scrypt('70617373776f7264', '4e61436c', 16, 1, 1, 32, { inputTextType: 'hex' });
+var scryptExpectedD = Salsa20.scrypt('password', 'NaCl', 16, 1, 1, 32, { returnType: 'hex' });
+
+// Error cases (commented out because they cause an exception)
+// var scryptErrorA = Salsa20.scrypt('password', 'salt', 1000, 8, 1, 32);				// Test N not a power of 2
+// var scryptErrorB = Salsa20.scrypt('password', 'salt', 65536, 1, 1, 32);				// Test N not less than 2^(16 * r)
+// var scryptErrorC = Salsa20.scrypt('password', 'salt', 16, 0, 1, 32);					// Test r of 0
+// var scryptErrorD = Salsa20.scrypt('password', 'salt', 16, 8, 1, 0);					// Test derived key length of 0
+// var pbkdf2ErrorA = Salsa20.sha256.pbkdf2('password', 'salt', 0, 32);					// Test 0 iterations
+
+QUnit.test('Test SHA-256, HMAC-SHA256 and PBKDF2-HMAC-SHA256', function(assert)
+{
+	assert.ok(sha256ResultA === sha256ExpectedA, 'SHA-256 of abc: ' + sha256ResultA + ' should equal ' + sha256ExpectedA);
+	assert.ok(sha256ResultB === sha256ExpectedB, 'SHA-256 of 448 bits: ' + sha256ResultB + ' should equal ' + sha256ExpectedB);
+	assert.ok(sha256ResultC === sha256ExpectedC, 'SHA-256 of the empty string: ' + sha256ResultC + ' should equal ' + sha256ExpectedC);
+	assert.ok(hmacSha256Result === hmacSha256Expected, 'HMAC-SHA256: ' + hmacSha256Result + ' should equal ' + hmacSha256Expected);
+	assert.ok(pbkdf2ResultA === pbkdf2ExpectedA, 'PBKDF2 with 1 iteration: ' + pbkdf2ResultA + ' should equal ' + pbkdf2ExpectedA);
+	assert.ok(pbkdf2ResultB === pbkdf2ExpectedB, 'PBKDF2 with 80000 iterations: ' + pbkdf2ResultB + ' should equal ' + pbkdf2ExpectedB);
+
+	assert.throws(function() {
+		Salsa20.sha256.pbkdf2('password', 'salt', 0, 32);
+	}, /number of iterations should be a positive integer/, 'Test 0 iterations');
+});
+
+QUnit.test('Test scrypt', function(assert)
+{
+	assert.ok(scryptBlockMixResult === scryptBlockMixExpected, 'scryptBlockMix: ' + scryptBlockMixResult + ' should equal ' + scryptBlockMixExpected);
+	assert.ok(scryptResultA === scryptExpectedA, 'scrypt vector 1: ' + scryptResultA + ' should equal ' + scryptExpectedA);
+	assert.ok(scryptResultB === scryptExpectedB, 'scrypt vector 2: ' + scryptResultB + ' should equal ' + scryptExpectedB);
+	assert.ok(scryptResultC === scryptExpectedC, 'scrypt vector 3: ' + scryptResultC + ' should equal ' + scryptExpectedC);
+	assert.ok((scryptResultD instanceof Uint8Array) && (Salsa20.core.util.bytesToHex(scryptResultD) === scryptExpectedD), 'scrypt with hex inputs should return a Uint8Array equal to ' + scryptExpectedD);
+
+	assert.throws(function() {
+		Salsa20.scrypt('password', 'salt', 1000, 8, 1, 32);
+	}, /cost parameter N should be a power of 2/, 'Test N not a power of 2');
+
+	assert.throws(function() {
+		Salsa20.scrypt('password', 'salt', 65536, 1, 1, 32);
+	}, /cost parameter N should be a power of 2/, 'Test N not less than 2^(16 * r)');
+
+	assert.throws(function() {
+		Salsa20.scrypt('password', 'salt', 16, 0, 1, 32);
+	}, /block size r and parallelisation p/, 'Test r of 0');
+
+	assert.throws(function() {
+		Salsa20.scrypt('password', 'salt', 16, 8, 1, 0);
+	}, /derived key length should be an integer/, 'Test derived key length of 0');
+});
+
+QUnit.test('Test asynchronous scrypt', function(assert)
+{
+	var done = assert.async();
+	var progressSteps = [];
+	var sliceByteLength = Salsa20.async.sliceByteLength;
+	var timeSliceMilliseconds = Salsa20.async.timeSliceMilliseconds;
+
+	// Run 8 BlockMix steps of 128 bytes per time slice
+	Salsa20.async.sliceByteLength = 1024;
+	Salsa20.async.timeSliceMilliseconds = 0;
+
+	Salsa20.async.scrypt('', '', 16, 1, 1, 64, {
+		returnType: 'hex',
+		onProgress: function(stepsDone, totalSteps)
+		{
+			progressSteps.push(stepsDone + '/' + totalSteps);
+		}
+	})
+	.then(function(derivedKey)
+	{
+		assert.ok(derivedKey === scryptExpectedA, 'Asynchronous scrypt vector 1: ' + derivedKey + ' should equal ' + scryptExpectedA);
+		assert.ok(progressSteps.join(', ') === '8/32, 16/32, 24/32, 32/32', 'Progress: ' + progressSteps.join(', ') + ' should equal 8/32, 16/32, 24/32, 32/32');
+
+		// Abort after the second slice
+		var abortController = new AbortController();
+
+		return Salsa20.async.scrypt('password', 'NaCl', 1024, 1, 1, 64, {
+			signal: abortController.signal,
+			onProgress: function(stepsDone)
+			{
+				if (stepsDone >= 16)
+				{
+					abortController.abort();
+				}
+			}
+		});
+	})
+	.then(function()
+	{
+		assert.ok(false, 'An aborted scrypt should reject');
+	},
+	function(error)
+	{
+		assert.ok(error.name === 'AbortError', 'An aborted scrypt should reject with an AbortError: ' + error.name);
+
+		// Invalid parameters reject the Promise
+		return Salsa20.async.scrypt('password', 'salt', 1000, 8, 1, 32);
+	})
+	.then(function()
+	{
+		assert.ok(false, 'An invalid cost parameter should reject');
+	},
+	function(error)
+	{
+		assert.ok(/cost parameter N/.test(error.message), 'An invalid cost parameter should reject: ' + error.message);
+	})
+	.then(function()
+	{
+		Salsa20.async.sliceByteLength = sliceByteLength;
+		Salsa20.async.timeSliceMilliseconds = timeSliceMilliseconds;
+		done();
+	});
+});
+
+
+
+/**
+ * Test password-based encryption envelopes
+ */
+
+// Use small scrypt parameters so the tests run quickly
+var envelopeTestOptions = { N: 1024, r: 8, p: 1 };
+var envelopeTestMessage = 'The quick brown fox jumps over the lazy dog ☺';
+var envelopeResultA = Salsa20.encryptWithPassword('correct horse battery staple', envelopeTestMessage, envelopeTestOptions);
+var envelopeResultB = Salsa20.encryptWithPassword('correct horse battery staple', envelopeTestMessage, envelopeTestOptions);
+var envelopeDecryptedA = Salsa20.decryptWithPassword('correct horse battery staple', envelopeResultA);
+var envelopeResultHex = Salsa20.encryptWithPassword('password', '0001feff', { N: 16, r: 1, p: 1, inputTextType: 'hex', returnType: 'hex' });
+var envelopeDecryptedHex = Salsa20.decryptWithPassword('password', envelopeResultHex, { inputTextType: 'hex', returnType: 'hex' });
+
+// The scrypt parameters can be read back from the envelope header
+var envelopeHeaderResult = envelopeResultA[0] + ', ' + envelopeResultA[1] + ', ' + envelopeResultA[2] + ', ' + envelopeResultA[3] + ', ' + envelopeResultA[7];
+var envelopeHeaderExpected = '1, 1, 10, 8, 1';
+
+// Modified envelopes
+var envelopeModifiedCiphertext = new Uint8Array(envelopeResultA);
+envelopeModifiedCiphertext[envelopeModifiedCiphertext.length - 1] ^= 1;
+var envelopeModifiedSalt = new Uint8Array(envelopeResultA);
+envelopeModifiedSalt[11] ^= 1;
+var envelopeModifiedCost = new Uint8Array(envelopeResultA);
+envelopeModifiedCost[2] = 20;
+
+// N = 16, r = 1 and p = 2^22, which needs 512 MiB for B and would run for a very long time
+var envelopeModifiedParallelisation = new Uint8Array(envelopeResultA);
+envelopeModifiedParallelisation.set([4, 1, 0, 0, 0, 0, 0, 64, 0], 2);
+
+// N = 2^14, r = 8 and p = 64, which needs less than 17 MB but 2^23 work
+var envelopeModifiedWork = new Uint8Array(envelopeResultA);
+envelopeModifiedWork.set([14, 8, 0, 0, 0, 64, 0, 0, 0], 2);
+
+// Error cases (commented out because they cause an exception)
+// var envelopeErrorA = Salsa20.decryptWithPassword('wrong password', envelopeResultA);			// Test wrong password
+// var envelopeErrorB = Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedCiphertext);	// Test modified ciphertext
+// var envelopeErrorC = Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedSalt);		// Test modified salt
+// var envelopeErrorD = Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedCost);		// Test cost needing 1 GiB of memory
+// var envelopeErrorE = Salsa20.decryptWithPassword('password', envelopeResultA.subarray(0, 66));		// Test envelope too short
+// var envelopeErrorG = Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedParallelisation);	// Test p needing 512 MiB of memory
+// var envelopeErrorH = Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedWork);		// Test p needing too much work
+// var envelopeErrorF = Salsa20.encryptWithPassword('password', 'message', { N: 1000 });			// Test invalid cost parameter
+
+QUnit.test('Test password-based encryption envelopes', function(assert)
+{
+	assert.ok(envelopeDecryptedA === envelopeTestMessage, 'Decrypted envelope: ' + envelopeDecryptedA + ' should equal ' + envelopeTestMessage);
+	assert.ok(envelopeResultA.length === 67 + Salsa20.core.util.utf8StringToBytes(envelopeTestMessage).length, 'The envelope should be 67 bytes longer than the message, was ' + envelopeResultA.length + ' bytes');
+	assert.ok(Salsa20.core.util.bytesToHex(envelopeResultA) !== Salsa20.core.util.bytesToHex(envelopeResultB), 'Encrypting the same message twice should use a different salt and nonce');
+	assert.ok(envelopeHeaderResult === envelopeHeaderExpected, 'Envelope header: ' + envelopeHeaderResult + ' should equal ' + envelopeHeaderExpected);
+	assert.ok(envelopeDecryptedHex === '0001feff', 'Decrypted hex envelope: ' + envelopeDecryptedHex + ' should equal 0001feff');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('wrong password', envelopeResultA);
+	}, /envelope failed authentication/, 'Test wrong password');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedCiphertext);
+	}, /envelope failed authentication/, 'Test modified ciphertext');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedSalt);
+	}, /envelope failed authentication/, 'Test modified salt');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedCost);
+	}, /more than the limit/, 'Test cost needing 1 GiB of memory');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedParallelisation);
+	}, /bytes of memory, more than the limit/, 'Test parallelisation p needing 512 MiB of memory');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('correct horse battery staple', envelopeModifiedWork);
+	}, /work \(N \* r \* p\), more than the limit/, 'Test parallelisation p needing too much work');
+
+	assert.throws(function() {
+		Salsa20.decryptWithPassword('password', envelopeResultA.subarray(0, 66));
+	}, /envelope is too short/, 'Test envelope too short');
+
+	assert.throws(function() {
+		Salsa20.encryptWithPassword('password', 'message', { N: 1000 });
+	}, /cost parameter N should be a power of 2/, 'Test invalid cost parameter');
+});
+
+
+
+/**
+ * Test the cryptographically secure random number generator
+ */
+
+// Each request should output the keystream after the first 32 bytes and use the first 32 bytes as the next key
+var randomTestKey = Salsa20.core.util.hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+var randomTestKeystream = Salsa20.generateKeystream(randomTestKey, 48, '0000000000000000', 0, { returnType: 'hex' });
+var randomTestNextKey = randomTestKeystream.substr(0, 64);
+var randomTestExpected = randomTestKeystream.substr(64, 32);
+var randomTestReseedInterval = Salsa20.random.reseedInterval;
+
+Salsa20.random.currentKey = new Uint8Array(randomTestKey);
+Salsa20.random.requestCount = 0;
+var randomTestPreviousKey = Salsa20.random.currentKey;
+var randomTestResult = Salsa20.random.bytes(16, { returnType: 'hex' });
+var randomTestResultKey = Salsa20.core.util.bytesToHex(Salsa20.random.currentKey);
+var randomTestPreviousKeyErased = Salsa20.core.util.bytesToHex(randomTestPreviousKey);
+
+// Reseeding replaces the known key and restarts the request count
+Salsa20.random.reseed('additional input');
+var randomTestReseededKey = Salsa20.core.util.bytesToHex(Salsa20.random.currentKey);
+var randomTestReseededCount = Salsa20.random.requestCount;
+
+// Periodic reseeding
+Salsa20.random.reseedInterval = 2;
+Salsa20.random.bytes(1);
+Salsa20.random.bytes(1);
+Salsa20.random.bytes(1);
+var randomTestPeriodicCount = Salsa20.random.requestCount;
+Salsa20.random.reseedInterval = randomTestReseedInterval;
+
+// Ranges, shuffling and keys
+var randomTestInts = [];
+var randomTestIntsInRange = true;
+
+for (var i = 0; i < 600; i++)
+{
+	var randomTestInt = Salsa20.random.int(-3, 2);
+
+	randomTestIntsInRange = randomTestIntsInRange && (randomTestInt >= -3) && (randomTestInt <= 2) && (randomTestInt % 1 === 0);
+	randomTestInts[randomTestInt + 3] = true;
+}
+
+var randomTestLargeInt = Salsa20.random.int(0, 9007199254740990);
+var randomTestUint32 = Salsa20.random.uint32();
+var randomTestShuffled = Salsa20.random.shuffle([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+var randomTestShuffledSorted = randomTestShuffled.slice().sort().join(',');
+var randomTestKey128 = Salsa20.random.key(128, { returnType: 'hex' });
+var randomTestKey256 = Salsa20.random.key();
+
+// Error cases (commented out because they cause an exception)
+// var randomTestErrorA = Salsa20.random.int(5, 4);						// Test minimum more than maximum
+// var randomTestErrorB = Salsa20.random.int(0, 1.5);					// Test non integer maximum
+// var randomTestErrorC = Salsa20.random.int(-9007199254740991, 9007199254740991);	// Test range too large
+// var randomTestErrorD = Salsa20.random.key(192);						// Test invalid key size
+// var randomTestErrorE = Salsa20.random.bytes(-1);						// Test negative length
+// var randomTestErrorF = Salsa20.random.shuffle('abc');					// Test shuffling a string
+
+QUnit.test('Test the cryptographically secure random number generator', function(assert)
+{
+	assert.ok(randomTestResult === randomTestExpected, 'Random bytes from a known key: ' + randomTestResult + ' should equal ' + randomTestExpected);
+	assert.ok(randomTestResultKey === randomTestNextKey, 'Next key: ' + randomTestResultKey + ' should equal ' + randomTestNextKey);
+	assert.ok(randomTestPreviousKeyErased === '0000000000000000000000000000000000000000000000000000000000000000', 'The previous key should be erased: ' + randomTestPreviousKeyErased);
+	assert.ok((randomTestReseededKey !== randomTestNextKey) && (randomTestReseededCount === 0), 'Reseeding should replace the key and reset the request count to 0, count was ' + randomTestReseededCount);
+	assert.ok(randomTestPeriodicCount === 1, 'The third request after an interval of 2 should reseed first, the request count was ' + randomTestPeriodicCount);
+	assert.ok(randomTestIntsInRange && (randomTestInts.join(',') === 'true,true,true,true,true,true'), 'Random integers should be from -3 to 2 inclusive and all values should appear');
+	assert.ok((randomTestLargeInt >= 0) && (randomTestLargeInt <= 9007199254740990) && (randomTestLargeInt % 1 === 0), 'A random integer in a 53 bit range should be in range: ' + randomTestLargeInt);
+	assert.ok((randomTestUint32 >= 0) && (randomTestUint32 <= 4294967295) && (randomTestUint32 % 1 === 0), 'A random 32 bit integer should be in range: ' + randomTestUint32);
+	assert.ok(randomTestShuffledSorted === '0,1,2,3,4,5,6,7,8,9', 'A shuffled array should have the same elements: ' + randomTestShuffledSorted);
+	assert.ok(/^[0-9a-f]{32}$/.test(randomTestKey128), 'A 128 bit key should be 32 hex symbols: ' + randomTestKey128);
+	assert.ok((randomTestKey256 instanceof Uint8Array) && (randomTestKey256.length === 32), 'A 256 bit key should be 32 bytes by default');
+
+	assert.throws(function() {
+		Salsa20.random.int(5, 4);
+	}, /minimum not more than the maximum/, 'Test minimum more than maximum');
+
+	assert.throws(function() {
+		Salsa20.random.int(0, 1.5);
+	}, /should be integers/, 'Test non integer maximum');
+
+	assert.throws(function() {
+		Salsa20.random.int(-9007199254740991, 9007199254740991);
+	}, /range less than 2\^53 - 1/, 'Test range too large');
+
+	assert.throws(function() {
+		Salsa20.random.key(192);
+	}, /key size should be 128 or 256 bits/, 'Test invalid key size');
+
+	assert.throws(function() {
+		Salsa20.random.bytes(-1);
+	}, /number of random bytes should be a non-negative integer/, 'Test negative length');
+
+	assert.throws(function() {
+		Salsa20.random.shuffle('abc');
+	}, /Only arrays and typed arrays can be shuffled/, 'Test shuffling a string');
+});
+
+
+
+/**
+ * Test the seedable deterministic pseudorandom number generator
+ */
+
+// The output is the keystream under the seed key, with the substream as the nonce and the position as the counter
+var prngTestKey = Salsa20.core.util.hexToBytes('0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20');
+var prngTestExpected = Salsa20.generateKeystream(prngTestKey, 100, 3, 1000, { returnType: 'hex' }).substr(0, 200);
+var prngTestResult = Salsa20.core.util.bytesToHex(Salsa20.createPrng(prngTestKey).substream(3).jump(1000).bytes(100));
+var prngTestResultOptions = Salsa20.core.util.bytesToHex(Salsa20.createPrng(prngTestKey, { substream: 3 }).jump(1000).bytes(100));
+
+// Integer seeds are hashed as 8 littleendian bytes and string seeds as UTF-8
+var prngTestIntegerSeedKey = Salsa20.core.util.bytesToHex(Salsa20.createPrng(42).key);
+var prngTestIntegerSeedExpected = Salsa20.sha256.hash('2a00000000000000', { inputTextType: 'hex', returnType: 'hex' });
+var prngTestStringSeedKey = Salsa20.core.util.bytesToHex(Salsa20.createPrng('simulation 1').key);
+var prngTestStringSeedExpected = Salsa20.sha256.hash('simulation 1', { returnType: 'hex' });
+var prngTestSameSeedA = Salsa20.createPrng(42).uint32();
+var prngTestSameSeedB = Salsa20.createPrng(42).uint32();
+
+// Jumping ahead matches generating the blocks in between
+var prngTestJumped = Salsa20.createPrng(7);
+var prngTestStepped = Salsa20.createPrng(7);
+
+prngTestJumped.uint32();
+prngTestJumped.jump(10);
+prngTestStepped.bytes(11 * 64);
+
+var prngTestJumpedResult = prngTestJumped.uint32();
+var prngTestSteppedResult = prngTestStepped.uint32();
+
+// Serialise part way through a block and restore
+var prngTestSerialised = Salsa20.createPrng('state');
+prngTestSerialised.bytes(10);
+var prngTestState = JSON.parse(JSON.stringify(prngTestSerialised.serialise()));
+var prngTestRestored = Salsa20.Prng.restore(prngTestState);
+var prngTestSerialisedResult = Salsa20.core.util.bytesToHex(prngTestSerialised.bytes(100));
+var prngTestRestoredResult = Salsa20.core.util.bytesToHex(prngTestRestored.bytes(100));
+
+// Distributions from a fixed seed
+var prngTestDistribution = Salsa20.createPrng(1);
+var prngTestFloatsInRange = true;
+var prngTestIntsInRange = true;
+var prngTestGaussianSum = 0;
+var prngTestGaussianSumOfSquares = 0;
+
+for (var i = 0; i < 10000; i++)
+{
+	var prngTestFloat = prngTestDistribution.float();
+	var prngTestInt = prngTestDistribution.int(10, 20);
+	var prngTestGaussian = prngTestDistribution.gaussian(5, 2);
+
+	prngTestFloatsInRange = prngTestFloatsInRange && (prngTestFloat >= 0) && (prngTestFloat < 1);
+	prngTestIntsInRange = prngTestIntsInRange && (prngTestInt >= 10) && (prngTestInt <= 20) && (prngTestInt % 1 === 0);
+	prngTestGaussianSum += prngTestGaussian;
+	prngTestGaussianSumOfSquares += prngTestGaussian * prngTestGaussian;
+}
+
+var prngTestGaussianMean = prngTestGaussianSum / 10000;
+var prngTestGaussianVariance = (prngTestGaussianSumOfSquares / 10000) - (prngTestGaussianMean * prngTestGaussianMean);
+
+// Error cases (commented out because they cause an exception)
+// var prngTestErrorA = Salsa20.createPrng(-1);							// Test negative seed
+// var prngTestErrorB = Salsa20.createPrng(new Uint8Array(20));					// Test seed byte array of the wrong length
+// var prngTestErrorC = Salsa20.createPrng(1).jump(-1);						// Test negative jump
+// var prngTestErrorD = Salsa20.createPrng(1).jump(bigCounterMax).jump(2);			// Test jump past the last block
+// var prngTestErrorE = Salsa20.Prng.restore({});						// Test invalid state
+
+QUnit.test('Test the seedable pseudorandom number generator', function(assert)
+{
+	assert.ok(prngTestResult === prngTestExpected, 'Substream 3 from block 1000: ' + prngTestResult + ' should equal ' + prngTestExpected);
+	assert.ok(prngTestResultOptions === prngTestExpected, 'Substream 3 option from block 1000: ' + prngTestResultOptions + ' should equal ' + prngTestExpected);
+	assert.ok(prngTestIntegerSeedKey === prngTestIntegerSeedExpected, 'Integer seed key: ' + prngTestIntegerSeedKey + ' should equal ' + prngTestIntegerSeedExpected);
+	assert.ok(prngTestStringSeedKey === prngTestStringSeedExpected, 'String seed key: ' + prngTestStringSeedKey + ' should equal ' + prngTestStringSeedExpected);
+	assert.ok(prngTestSameSeedA === prngTestSameSeedB, 'The same seed should give the same output: ' + prngTestSameSeedA + ' should equal ' + prngTestSameSeedB);
+	assert.ok(prngTestJumpedResult === prngTestSteppedResult, 'Jumped output: ' + prngTestJumpedResult + ' should equal stepped output: ' + prngTestSteppedResult);
+	assert.ok(prngTestRestoredResult === prngTestSerialisedResult, 'Restored output: ' + prngTestRestoredResult + ' should equal ' + prngTestSerialisedResult);
+	assert.ok(prngTestState.blockOffset === 10, 'Serialised block offset: ' + prngTestState.blockOffset + ' should equal 10');
+	assert.ok(prngTestFloatsInRange, 'Floats should be from 0 inclusive to 1 exclusive');
+	assert.ok(prngTestIntsInRange, 'Integers should be from 10 to 20 inclusive');
+	assert.ok(Math.abs(prngTestGaussianMean - 5) < 0.1, 'Gaussian mean: ' + prngTestGaussianMean + ' should be close to 5');
+	assert.ok(Math.abs(prngTestGaussianVariance - 4) < 0.2, 'Gaussian variance: ' + prngTestGaussianVariance + ' should be close to 4');
+
+	assert.throws(function() {
+		Salsa20.createPrng(-1);
+	}, /seed should be an integer/, 'Test negative seed');
+
+	assert.throws(function() {
+		Salsa20.createPrng(new Uint8Array(20));
+	}, /seed should be an integer/, 'Test seed byte array of the wrong length');
+
+	assert.throws(function() {
+		Salsa20.createPrng(1).jump(-1);
+	}, /number of blocks to jump/, 'Test negative jump');
+
+	assert.throws(function() {
+		Salsa20.createPrng(1).jump(bigCounterMax).jump(2);
+	}, /past the last block/, 'Test jump past the last block');
+
+	assert.throws(function() {
+		Salsa20.Prng.restore({});
+	}, /state should be an object returned by serialise/, 'Test invalid state');
+});
+
+
+
+/**
+ * Test the self-describing encrypted container format
+ */
+
+// Build the expected container from its parts: the header, the XSalsa20 ciphertext from the block after the start
+// counter and the Poly1305 tag with the one-time key from the start counter block
+var containerTestKey = '0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20';
+var containerTestNonce = '24a7b1c3d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f708';
+var containerTestMessage = 'The quick brown fox jumps over the lazy dog';
+var containerTestHeader = '53323043' + '01' + '04' + '06' + containerTestNonce + '0500000000000000' + Salsa20.core.util.bytesToHex(Salsa20.core.util.utf8StringToBytes('key-01'));
+var containerTestCiphertext = Salsa20.xsalsa20.encrypt(containerTestKey, containerTestMessage, containerTestNonce, 6, { returnType: 'hex' });
+var containerTestAuthKey = Salsa20.xsalsa20.generateKeystream(containerTestKey, 32, containerTestNonce, 5).subarray(0, 32);
+var containerTestTag = Salsa20.poly1305.authenticate(containerTestAuthKey, containerTestHeader + containerTestCiphertext, { inputTextType: 'hex', returnType: 'hex' });
+var containerTestExpected = containerTestHeader + containerTestCiphertext + containerTestTag;
+var containerTestResult = Salsa20.container.pack(containerTestKey, containerTestMessage, { nonce: containerTestNonce, counter: 5, keyId: 'key-01', returnType: 'hex' });
+var containerTestUnpacked = Salsa20.container.unpack(containerTestKey, containerTestResult, { inputTextType: 'hex' });
+var containerTestHeaderResult = Salsa20.container.readHeader(containerTestResult, { inputTextType: 'hex', returnType: 'hex' });
+
+// Salsa20/12 with a 128 bit key, a nonce from a message counter and no key ID
+var containerTestSalsa20Key = '0102030405060708090a0b0c0d0e0f10';
+var containerTestSalsa20 = Salsa20.container.pack(containerTestSalsa20Key, '0001feff', { algorithm: 'salsa20', rounds: 12, nonce: 1, inputTextType: 'hex' });
+var containerTestSalsa20Unpacked = Salsa20.container.unpack(containerTestSalsa20Key, containerTestSalsa20, { returnType: 'hex' });
+var containerTestSalsa20Header = Salsa20.container.readHeader(containerTestSalsa20);
+
+// Change one bit of each byte in turn, every change should be detected
+var containerTestModifiedRejected = 0;
+var containerTestBytes = Salsa20.core.util.hexToBytes(containerTestResult);
+
+for (var i = 0; i < containerTestBytes.length; i++)
+{
+	var containerTestModified = new Uint8Array(containerTestBytes);
+	containerTestModified[i] ^= 1;
+
+	try {
+		Salsa20.container.unpack(containerTestKey, containerTestModified);
+	}
+	catch (error) {
+		containerTestModifiedRejected++;
+	}
+}
+
+// Error cases (commented out because they cause an exception)
+// var containerTestErrorA = Salsa20.container.unpack('ff' + containerTestKey.substr(2), containerTestResult, { inputTextType: 'hex' });	// Test wrong key
+// var containerTestErrorB = Salsa20.container.unpack(containerTestKey, 'not a container');						// Test wrong magic number
+// var containerTestErrorC = Salsa20.container.pack(containerTestKey, 'message', { algorithm: 'xsalsa20', rounds: 8 });		// Test unsupported algorithm
+// var containerTestErrorD = Salsa20.container.pack(containerTestKey, 'message', { algorithm: 'salsa20', nonce: 1, counter: bigCounterMax });	// Test no room for the ciphertext after the key block
+// var containerTestErrorE = Salsa20.container.pack(containerTestKey, 'message', { keyId: new Uint8Array(256) });			// Test key ID too long
+// var containerTestErrorF = Salsa20.container.pack(containerTestKey, 'message', { algorithm: 'salsa20' });				// Test random Salsa20 nonce
+
+QUnit.test('Test the encrypted container format', function(assert)
+{
+	assert.ok(containerTestResult === containerTestExpected, 'Container: ' + containerTestResult + ' should equal ' + containerTestExpected);
+	assert.ok(containerTestUnpacked === containerTestMessage, 'Unpacked container: ' + containerTestUnpacked + ' should equal ' + containerTestMessage);
+	assert.ok((containerTestHeaderResult.algorithm === 'xsalsa20') && (containerTestHeaderResult.rounds === 20) && (containerTestHeaderResult.version === 1), 'Container header algorithm: ' + containerTestHeaderResult.algorithm + '/' + containerTestHeaderResult.rounds + ' should equal xsalsa20/20');
+	assert.ok(containerTestHeaderResult.nonce === containerTestNonce, 'Container header nonce: ' + containerTestHeaderResult.nonce + ' should equal ' + containerTestNonce);
+	assert.ok(containerTestHeaderResult.counter === 5, 'Container header counter: ' + containerTestHeaderResult.counter + ' should equal 5');
+	assert.ok(containerTestHeaderResult.keyId === '6b65792d3031', 'Container header key ID: ' + containerTestHeaderResult.keyId + ' should equal 6b65792d3031');
+	assert.ok(containerTestSalsa20Unpacked === '0001feff', 'Unpacked Salsa20/12 container: ' + containerTestSalsa20Unpacked + ' should equal 0001feff');
+	assert.ok((containerTestSalsa20Header.algorithm === 'salsa20') && (containerTestSalsa20Header.rounds === 12) && (containerTestSalsa20Header.nonce.length === 8) && (containerTestSalsa20Header.keyId === null), 'Salsa20/12 container header should have an 8 byte nonce and no key ID');
+	assert.ok(containerTestModifiedRejected === containerTestBytes.length, 'Modified containers rejected: ' + containerTestModifiedRejected + ' should equal ' + containerTestBytes.length);
+
+	assert.throws(function() {
+		Salsa20.container.unpack('ff' + containerTestKey.substr(2), containerTestResult, { inputTextType: 'hex' });
+	}, /container failed authentication/, 'Test wrong key');
+
+	assert.throws(function() {
+		Salsa20.container.unpack(containerTestKey, 'not a container');
+	}, /not a Salsa20 container/, 'Test wrong magic number');
+
+	assert.throws(function() {
+		Salsa20.container.pack(containerTestKey, 'message', { algorithm: 'xsalsa20', rounds: 8 });
+	}, /container algorithm should be/, 'Test unsupported algorithm');
+
+	assert.throws(function() {
+		Salsa20.container.pack(containerTestKey, 'message', { algorithm: 'salsa20', nonce: 1, counter: bigCounterMax });
+	}, /longer than the number of keystream bytes/, 'Test no room for the ciphertext after the key block');
+
+	assert.throws(function() {
+		Salsa20.container.pack(containerTestKey, 'message', { keyId: new Uint8Array(256) });
+	}, /key ID should be at most 255 bytes/, 'Test key ID too long');
+
+	assert.throws(function() {
+		Salsa20.container.pack(containerTestKey, 'message', { algorithm: 'salsa20' });
+	}, /nonce should be given for Salsa20 containers/, 'Test random Salsa20 nonce');
+});
+
+
+
+/**
+ * Test the chunked authenticated stream
+ */
+
+// The first chunk uses the header as an XSalsa20 nonce, with the Poly1305 key from block 0 and the flag byte and
+// message encrypted from block 1
+var secretstreamTestKey = '0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20';
+var secretstreamTestPusher = Salsa20.secretstream.createPush(secretstreamTestKey, { rekeyInterval: 3 });
+var secretstreamTestHeader = Salsa20.core.util.bytesToHex(secretstreamTestPusher.header);
+var secretstreamTestChunks = [];
+var secretstreamTestMessages = ['First chunk', 'Second chunk', 'Third chunk with a rekey', '', 'Fifth chunk', 'Sixth chunk with a rekey', 'Last chunk'];
+
+for (var i = 0; i < secretstreamTestMessages.length; i++)
+{
+	secretstreamTestChunks.push(secretstreamTestPusher.push(secretstreamTestMessages[i], { aad: 'chunk ' + i, final: (i === secretstreamTestMessages.length - 1) }));
+}
+
+var secretstreamTestFirstEncrypted = Salsa20.xsalsa20.encrypt(secretstreamTestKey, '00' + Salsa20.core.util.bytesToHex(Salsa20.core.util.utf8StringToBytes('First chunk')), secretstreamTestHeader, 1, { inputTextType: 'hex', returnType: 'hex' });
+var secretstreamTestFirstAuthKey = Salsa20.xsalsa20.generateKeystream(secretstreamTestKey, 32, secretstreamTestHeader, 0).subarray(0, 32);
+var secretstreamTestFirstTag = Salsa20.poly1305.authenticate(secretstreamTestFirstAuthKey, '0700000000000000' + Salsa20.core.util.bytesToHex(Salsa20.core.util.utf8StringToBytes('chunk 0')) + secretstreamTestFirstEncrypted, { inputTextType: 'hex', returnType: 'hex' });
+var secretstreamTestFirstExpected = secretstreamTestFirstEncrypted + secretstreamTestFirstTag;
+var secretstreamTestFirstResult = Salsa20.core.util.bytesToHex(secretstreamTestChunks[0]);
+
+// Pull every chunk
+var secretstreamTestPuller = Salsa20.secretstream.createPull(secretstreamTestKey, secretstreamTestHeader);
+var secretstreamTestPulled = [];
+
+for (var i = 0; i < secretstreamTestChunks.length; i++)
+{
+	var secretstreamTestChunk = secretstreamTestPuller.pull(secretstreamTestChunks[i], { aad: 'chunk ' + i });
+
+	secretstreamTestPulled.push(Salsa20.core.util.bytesToUtf8String(secretstreamTestChunk.message) + (secretstreamTestChunk.rekey ? ' (rekey)' : '') + (secretstreamTestChunk.final ? ' (final)' : ''));
+}
+
+secretstreamTestPuller.end();
+
+var secretstreamTestPulledResult = secretstreamTestPulled.join(', ');
+var secretstreamTestPulledExpected = 'First chunk, Second chunk, Third chunk with a rekey (rekey), , Fifth chunk, Sixth chunk with a rekey (rekey), Last chunk (final)';
+
+/**
+ * Pulls a list of chunks from the test stream and returns the error message, or null if there was no error
+ * @param {Array} chunkIndexes The indexes of the chunks to pull in order
+ * @returns {String|null}
+ */
+var secretstreamTestPullError = function(chunkIndexes)
+{
+	var puller = Salsa20.secretstream.createPull(secretstreamTestKey, secretstreamTestHeader);
+
+	try {
+		for (var i = 0; i < chunkIndexes.length; i++)
+		{
+			puller.pull(secretstreamTestChunks[chunkIndexes[i]], { aad: 'chunk ' + chunkIndexes[i] });
+		}
+
+		puller.end();
+	}
+	catch (error) {
+		return error.message;
+	}
+
+	return null;
+};
+
+// Error cases (commented out because they cause an exception)
+// var secretstreamTestErrorA = Salsa20.secretstream.createPush(secretstreamTestKey, { rekeyInterval: 0 });	// Test invalid rekey interval
+// var secretstreamTestErrorB = Salsa20.secretstream.createPull(secretstreamTestKey, 'abcd');				// Test invalid header
+// var secretstreamTestErrorC = secretstreamTestPusher.push('After the final chunk');					// Test push after the final chunk
+
+QUnit.test('Test the chunked authenticated stream', function(assert)
+{
+	assert.ok(secretstreamTestFirstResult === secretstreamTestFirstExpected, 'First chunk: ' + secretstreamTestFirstResult + ' should equal ' + secretstreamTestFirstExpected);
+	assert.ok(secretstreamTestPulledResult === secretstreamTestPulledExpected, 'Pulled chunks: ' + secretstreamTestPulledResult + ' should equal ' + secretstreamTestPulledExpected);
+	assert.ok(/truncated/.test(secretstreamTestPullError([0, 1, 2, 3])), 'A stream without the final chunk should be detected as truncated');
+	assert.ok(/failed authentication/.test(secretstreamTestPullError([0, 2, 1, 3, 4, 5, 6])), 'Reordered chunks should fail authentication');
+	assert.ok(/failed authentication/.test(secretstreamTestPullError([0, 0])), 'A repeated chunk should fail authentication');
+	assert.ok(/failed authentication/.test(secretstreamTestPullError([0, 1, 3])), 'A dropped chunk should fail authentication');
+	assert.ok(/failed authentication/.test(secretstreamTestPullError([0, 1, 2, 4])), 'A dropped chunk after a rekey should fail authentication');
+
+	var modifiedPuller = Salsa20.secretstream.createPull(secretstreamTestKey, secretstreamTestHeader);
+
+	assert.throws(function() {
+		modifiedPuller.pull(secretstreamTestChunks[0], { aad: 'chunk 1' });
+	}, /chunk failed authentication/, 'Test different associated data');
+
+	assert.throws(function() {
+		modifiedPuller.pull(secretstreamTestChunks[0], { aad: 'chunk 0' });
+	}, /stream has already finished or failed/, 'Test pull after a failed chunk');
+
+	assert.throws(function() {
+		Salsa20.secretstream.createPush(secretstreamTestKey, { rekeyInterval: 0 });
+	}, /rekey interval should be a positive integer/, 'Test invalid rekey interval');
+
+	assert.throws(function() {
+		Salsa20.secretstream.createPull(secretstreamTestKey, 'abcd');
+	}, /stream header should be/, 'Test invalid header');
+
+	assert.throws(function() {
+		secretstreamTestPusher.push('After the final chunk');
+	}, /stream has already finished/, 'Test push after the final chunk');
+});
+
+
+
+/**
+ * Test the segmented random-access format
+ */
+
+// A 1000 byte message in 256 byte segments, so segment 2 starts at block counter 2 * (4 + 1) = 10 with the Poly1305 key
+// and is encrypted from block 11
+var segmentedTestKey = '0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20';
+var segmentedTestNonce = '000102030405060708090a0b0c0d0e0f1011121314151617';
+var segmentedTestMessage = new Uint8Array(1000);
+
+for (var i = 0; i < segmentedTestMessage.length; i++)
+{
+	segmentedTestMessage[i] = (i * 7) & 0xff;
+}
+
+var segmentedTestData = Salsa20.segmented.encrypt(segmentedTestKey, segmentedTestMessage, { segmentByteLength: 256, nonce: segmentedTestNonce });
+var segmentedTestHeader = Salsa20.segmented.readHeader(segmentedTestData);
+var segmentedTestHeaderResult = segmentedTestHeader.segmentByteLength + ', ' + segmentedTestHeader.messageByteLength + ', ' + segmentedTestHeader.segmentCount + ', ' + segmentedTestData.length;
+var segmentedTestHeaderExpected = '256, 1000, 4, 1105';
+
+var segmentedTestRange = Salsa20.segmented.getSegmentRange(segmentedTestHeader, 2);
+var segmentedTestRangeResult = segmentedTestRange.start + '-' + segmentedTestRange.end;
+var segmentedTestRangeExpected = '585-857';
+var segmentedTestSegment = segmentedTestData.subarray(segmentedTestRange.start, segmentedTestRange.end);
+
+var segmentedTestEncrypted = Salsa20.xsalsa20.encrypt(segmentedTestKey, segmentedTestMessage.subarray(512, 768), segmentedTestNonce, 11, { returnType: 'hex' });
+var segmentedTestAuthKey = Salsa20.xsalsa20.generateKeystream(segmentedTestKey, 32, segmentedTestNonce, 10).subarray(0, 32);
+var segmentedTestTag = Salsa20.poly1305.authenticate(segmentedTestAuthKey, Salsa20.core.util.bytesToHex(segmentedTestData.subarray(0, 41)) + segmentedTestEncrypted, { inputTextType: 'hex', returnType: 'hex' });
+var segmentedTestSegmentExpected = segmentedTestEncrypted + segmentedTestTag;
+var segmentedTestSegmentResult = Salsa20.core.util.bytesToHex(segmentedTestSegment);
+
+// Decrypt only the header and segment 2, then the last shorter segment and the whole message
+var segmentedTestDecryptedResult = Salsa20.segmented.decryptSegment(segmentedTestKey, segmentedTestData.subarray(0, 41), 2, segmentedTestSegment, { returnType: 'hex' });
+var segmentedTestDecryptedExpected = Salsa20.core.util.bytesToHex(segmentedTestMessage.subarray(512, 768));
+var segmentedTestLastRange = Salsa20.segmented.getSegmentRange(segmentedTestHeader, 3);
+var segmentedTestLastResult = Salsa20.segmented.decryptSegment(segmentedTestKey, segmentedTestData, 3, segmentedTestData.subarray(segmentedTestLastRange.start, segmentedTestLastRange.end), { returnType: 'hex' });
+var segmentedTestLastExpected = Salsa20.core.util.bytesToHex(segmentedTestMessage.subarray(768));
+var segmentedTestWholeResult = Salsa20.segmented.decrypt(segmentedTestKey, segmentedTestData, { returnType: 'hex' });
+var segmentedTestWholeExpected = Salsa20.core.util.bytesToHex(segmentedTestMessage);
+
+// A header with a changed message length
+var segmentedTestModifiedHeader = segmentedTestData.slice(0, 41);
+segmentedTestModifiedHeader[9] ^= 0x01;
+
+// Error cases (commented out because they cause an exception)
+// var segmentedTestErrorA = Salsa20.segmented.encrypt(segmentedTestKey, 'abc', { segmentByteLength: 100 });		// Test invalid segment length
+// var segmentedTestErrorB = Salsa20.segmented.getSegmentRange(segmentedTestHeader, 4);					// Test segment index out of range
+// var segmentedTestErrorC = Salsa20.segmented.decryptSegment(segmentedTestKey, segmentedTestData, 1, segmentedTestSegment);	// Test segment moved to another index
+
+QUnit.test('Test the segmented random-access format', function(assert)
+{
+	assert.ok(segmentedTestHeaderResult === segmentedTestHeaderExpected, 'Header: ' + segmentedTestHeaderResult + ' should equal ' + segmentedTestHeaderExpected);
+	assert.ok(segmentedTestRangeResult === segmentedTestRangeExpected, 'Segment range: ' + segmentedTestRangeResult + ' should equal ' + segmentedTestRangeExpected);
+	assert.ok(segmentedTestSegmentResult === segmentedTestSegmentExpected, 'Segment: ' + segmentedTestSegmentResult + ' should equal ' + segmentedTestSegmentExpected);
+	assert.ok(segmentedTestDecryptedResult === segmentedTestDecryptedExpected, 'Decrypted segment: ' + segmentedTestDecryptedResult + ' should equal ' + segmentedTestDecryptedExpected);
+	assert.ok(segmentedTestLastResult === segmentedTestLastExpected, 'Decrypted last segment: ' + segmentedTestLastResult + ' should equal ' + segmentedTestLastExpected);
+	assert.ok(segmentedTestWholeResult === segmentedTestWholeExpected, 'Decrypted message: ' + segmentedTestWholeResult + ' should equal ' + segmentedTestWholeExpected);
+	assert.ok(Salsa20.segmented.decrypt(segmentedTestKey, Salsa20.segmented.encrypt(segmentedTestKey, '')) === '', 'An empty message should have one empty segment');
+
+	assert.throws(function() {
+		Salsa20.segmented.encrypt(segmentedTestKey, 'abc', { segmentByteLength: 100 });
+	}, /segment length should be a multiple of 64 bytes/, 'Test invalid segment length');
+
+	assert.throws(function() {
+		Salsa20.segmented.getSegmentRange(segmentedTestHeader, 4);
+	}, /segment index should be an integer from 0 to 3/, 'Test segment index out of range');
+
+	assert.throws(function() {
+		Salsa20.segmented.decryptSegment(segmentedTestKey, segmentedTestData, 1, segmentedTestSegment);
+	}, /Segment 1 failed authentication/, 'Test segment moved to another index');
+
+	assert.throws(function() {
+		Salsa20.segmented.decryptSegment(segmentedTestKey, segmentedTestModifiedHeader, 0, segmentedTestData.subarray(41, 313));
+	}, /Segment 0 failed authentication/, 'Test modified header');
+
+	assert.throws(function() {
+		Salsa20.segmented.decrypt(segmentedTestKey, segmentedTestData.subarray(0, 1104));
+	}, /data should be 1105 bytes/, 'Test truncated data');
+});
+
+
+
+/**
+ * Test X25519 and the public-key authenticated encryption (box)
+ */
+
+// Test vectors from Sections 5.2 and 6.1 of RFC 7748
+var x25519TestScalar = 'a546e36bf0527c9d3b16154b82465edd62144c0ac1fc5a18506a2244ba449ac4';
+var x25519TestPoint = 'e6db6867583030db3594c1a424b15f7c726624ec26b3353b10a903a6d0ab1c4c';
+var x25519TestScalarMultResult = Salsa20.x25519.scalarMult(x25519TestScalar, x25519TestPoint, { returnType: 'hex' });
+var x25519TestScalarMultExpected = 'c3da55379de9c6908e94ea4df28d084f32eccf03491c71f754b4075577a28552';
+
+// One iteration of k = X25519(k, u), u = k starting from the base point
+var x25519TestIteratedResult = Salsa20.x25519.scalarMult(Salsa20.x25519.basePoint, Salsa20.x25519.basePoint, { returnType: 'hex' });
+var x25519TestIteratedExpected = '422c8e7a6227d7bca1350b3e2bb7279f7897b87bb6854b783c60e80311ae3079';
+
+var boxTestAliceSecretKey = '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a';
+var boxTestBobSecretKey = '5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb';
+var boxTestAlicePublicKeyResult = Salsa20.x25519.scalarMultBase(boxTestAliceSecretKey, { returnType: 'hex' });
+var boxTestAlicePublicKeyExpected = '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a';
+var boxTestBobPublicKeyResult = Salsa20.box.keyPairFromSecretKey(boxTestBobSecretKey, { returnType: 'hex' }).publicKey;
+var boxTestBobPublicKeyExpected = 'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f';
+var boxTestAliceSharedSecretResult = Salsa20.x25519.scalarMult(boxTestAliceSecretKey, boxTestBobPublicKeyExpected, { returnType: 'hex' });
+var boxTestBobSharedSecretResult = Salsa20.x25519.scalarMult(boxTestBobSecretKey, boxTestAlicePublicKeyExpected, { returnType: 'hex' });
+var boxTestSharedSecretExpected = '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742';
+
+// Test vectors from tests/box.c and tests/box2.c in NaCl, without the 16 zero bytes of padding
+var boxTestSharedKeyResult = Salsa20.box.beforenm(boxTestBobPublicKeyExpected, boxTestAliceSecretKey, { returnType: 'hex' });
+var boxTestSharedKeyExpected = '1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389';
+var boxTestNonce = '69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37';
+var boxTestMessage = 'be075fc53c81f2d5cf141316ebeb0c7b5228c52a4c62cbd44b66849b64244ffce5ecbaaf33bd751a1ac728d45e6c61296cdc3c01233561f41db66cce314adb310e3be8250c46f06dceea3a7fa1348057e2f6556ad6b1318a024a838f21af1fde048977eb48f59ffd4924ca1c60902e52f0a089bc76897040e082f937763848645e0705';
+var boxTestSealedResult = Salsa20.box.seal(boxTestMessage, boxTestNonce, boxTestBobPublicKeyExpected, boxTestAliceSecretKey, { inputTextType: 'hex', returnType: 'hex' });
+var boxTestSealedExpected = 'f3ffc7703f9400e52a7dfb4b3d3305d98e993b9f48681273c29650ba32fc76ce48332ea7164d96a4476fb8c531a1186ac0dfc17c98dce87b4da7f011ec48c97271d2c20f9b928fe2270d6fb863d51738b48eeee314a7cc8ab932164548e526ae90224368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b37973f622a43d14a6599b1f654cb45a74e355a5';
+var boxTestOpenedResult = Salsa20.box.open(boxTestSealedExpected, boxTestNonce, boxTestAlicePublicKeyExpected, boxTestBobSecretKey, { inputTextType: 'hex', returnType: 'hex' });
+var boxTestOpenedAfternmResult = Salsa20.box.openAfternm(boxTestSealedExpected, boxTestNonce, boxTestSharedKeyExpected, { inputTextType: 'hex', returnType: 'hex' });
+
+// A new key pair can send a text message to Bob
+var boxTestKeyPair = Salsa20.box.keyPair();
+var boxTestRoundTripResult = Salsa20.box.open(Salsa20.box.seal('Hello Bob', boxTestNonce, boxTestBobPublicKeyExpected, boxTestKeyPair.secretKey), boxTestNonce, boxTestKeyPair.publicKey, boxTestBobSecretKey);
+var boxTestRoundTripExpected = 'Hello Bob';
+
+// Error cases (commented out because they cause an exception)
+// var boxTestErrorA = Salsa20.x25519.scalarMult(boxTestAliceSecretKey, 'abcd');					// Test invalid public key length
+// var boxTestErrorB = Salsa20.x25519.scalarMult(boxTestAliceSecretKey, new Uint8Array(32));			// Test low order public key
+// var boxTestErrorC = Salsa20.box.open(boxTestSealedExpected, boxTestNonce, boxTestBobPublicKeyExpected, boxTestBobSecretKey);	// Test wrong public key
+
+QUnit.test('Test X25519 and the public-key authenticated encryption (box)', function(assert)
+{
+	assert.ok(x25519TestScalarMultResult === x25519TestScalarMultExpected, 'X25519: ' + x25519TestScalarMultResult + ' should equal ' + x25519TestScalarMultExpected);
+	assert.ok(x25519TestIteratedResult === x25519TestIteratedExpected, 'X25519 after 1 iteration: ' + x25519TestIteratedResult + ' should equal ' + x25519TestIteratedExpected);
+	assert.ok(boxTestAlicePublicKeyResult === boxTestAlicePublicKeyExpected, 'Alice public key: ' + boxTestAlicePublicKeyResult + ' should equal ' + boxTestAlicePublicKeyExpected);
+	assert.ok(boxTestBobPublicKeyResult === boxTestBobPublicKeyExpected, 'Bob public key: ' + boxTestBobPublicKeyResult + ' should equal ' + boxTestBobPublicKeyExpected);
+	assert.ok(boxTestAliceSharedSecretResult === boxTestSharedSecretExpected, 'Alice shared secret: ' + boxTestAliceSharedSecretResult + ' should equal ' + boxTestSharedSecretExpected);
+	assert.ok(boxTestBobSharedSecretResult === boxTestSharedSecretExpected, 'Bob shared secret: ' + boxTestBobSharedSecretResult + ' should equal ' + boxTestSharedSecretExpected);
+	assert.ok(boxTestSharedKeyResult === boxTestSharedKeyExpected, 'Shared key: ' + boxTestSharedKeyResult + ' should equal ' + boxTestSharedKeyExpected);
+	assert.ok(boxTestSealedResult === boxTestSealedExpected, 'Box: ' + boxTestSealedResult + ' should equal ' + boxTestSealedExpected);
+	assert.ok(boxTestOpenedResult === boxTestMessage, 'Box open: ' + boxTestOpenedResult + ' should equal ' + boxTestMessage);
+	assert.ok(boxTestOpenedAfternmResult === boxTestMessage, 'Box open with the shared key: ' + boxTestOpenedAfternmResult + ' should equal ' + boxTestMessage);
+	assert.ok(boxTestRoundTripResult === boxTestRoundTripExpected, 'Box round trip: ' + boxTestRoundTripResult + ' should equal ' + boxTestRoundTripExpected);
+
+	assert.throws(function() {
+		Salsa20.x25519.scalarMult(boxTestAliceSecretKey, 'abcd');
+	}, /Incorrect public key/, 'Test invalid public key length');
+
+	assert.throws(function() {
+		Salsa20.x25519.scalarMult(boxTestAliceSecretKey, new Uint8Array(32));
+	}, /point of low order/, 'Test low order public key');
+
+	assert.throws(function() {
+		Salsa20.box.open(boxTestSealedExpected, boxTestNonce, boxTestBobPublicKeyExpected, boxTestBobSecretKey, { inputTextType: 'hex' });
+	}, /failed authentication/, 'Test wrong public key');
+});
+
+
+
+/**
+ * Test BLAKE2b and the anonymous sealed box
+ */
+
+// Test vectors from Appendix A of RFC 7693 and from libsodium's crypto_generichash
+var blake2bTestAbcResult = Salsa20.blake2b.hash('abc', { returnType: 'hex' });
+var blake2bTestAbcExpected = 'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923';
+var blake2bTestEmptyResult = Salsa20.blake2b.hash('', { returnType: 'hex' });
+var blake2bTestEmptyExpected = '786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419d25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce';
+var blake2bTestKeyedResult = Salsa20.blake2b.hash('abc', { key: 'key', outputByteLength: 24, returnType: 'hex' });
+var blake2bTestKeyedExpected = '5190846795a902fb76dcdd41b38833da87ecf7af93e28bce';
+
+// A sealed box created by libsodium's crypto_box_seal for the RFC 7748 public key of Bob
+var sealedBoxTestKeyPair = {
+	publicKey: 'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f',
+	secretKey: '5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb'
+};
+var sealedBoxTestLibsodium = '7be76aebf56e8a7f7bd8cee04c4d962eef88602217181ed66f501402ff24a923f5dc23a4a3872dec47413072c910e0d1ef47c783db526522409aab804b532cae3aa63a43cb1a9efd38a28ad5e3dbb517bac849bbb9da';
+var sealedBoxTestOpenedResult = Salsa20.sealedBox.open(sealedBoxTestLibsodium, sealedBoxTestKeyPair, { inputTextType: 'hex' });
+var sealedBoxTestOpenedExpected = 'Encrypted report from a browser client';
+
+// Each seal uses a new ephemeral key, so sealing the same message twice gives different output
+var sealedBoxTestSealed = Salsa20.sealedBox.seal('Encrypted report from a browser client', sealedBoxTestKeyPair.publicKey);
+var sealedBoxTestSealedAgain = Salsa20.sealedBox.seal('Encrypted report from a browser client', sealedBoxTestKeyPair.publicKey);
+var sealedBoxTestRoundTripResult = Salsa20.sealedBox.open(sealedBoxTestSealed, sealedBoxTestKeyPair);
+var sealedBoxTestModified = Salsa20.core.util.hexToBytes(sealedBoxTestLibsodium);
+sealedBoxTestModified[40] ^= 0x01;
+
+// Error cases (commented out because they cause an exception)
+// var sealedBoxTestErrorA = Salsa20.blake2b.hash('abc', { outputByteLength: 65 });					// Test invalid output length
+// var sealedBoxTestErrorB = Salsa20.sealedBox.open(sealedBoxTestModified, sealedBoxTestKeyPair);			// Test modified sealed box
+// var sealedBoxTestErrorC = Salsa20.sealedBox.open(sealedBoxTestSealed.subarray(0, 47), sealedBoxTestKeyPair);	// Test sealed box too short
+
+QUnit.test('Test BLAKE2b and the anonymous sealed box', function(assert)
+{
+	assert.ok(blake2bTestAbcResult === blake2bTestAbcExpected, 'BLAKE2b abc: ' + blake2bTestAbcResult + ' should equal ' + blake2bTestAbcExpected);
+	assert.ok(blake2bTestEmptyResult === blake2bTestEmptyExpected, 'BLAKE2b empty: ' + blake2bTestEmptyResult + ' should equal ' + blake2bTestEmptyExpected);
+	assert.ok(blake2bTestKeyedResult === blake2bTestKeyedExpected, 'BLAKE2b keyed: ' + blake2bTestKeyedResult + ' should equal ' + blake2bTestKeyedExpected);
+	assert.ok(sealedBoxTestOpenedResult === sealedBoxTestOpenedExpected, 'Opened libsodium sealed box: ' + sealedBoxTestOpenedResult + ' should equal ' + sealedBoxTestOpenedExpected);
+	assert.ok(sealedBoxTestRoundTripResult === sealedBoxTestOpenedExpected, 'Sealed box round trip: ' + sealedBoxTestRoundTripResult + ' should equal ' + sealedBoxTestOpenedExpected);
+	assert.ok(sealedBoxTestSealed.length === sealedBoxTestOpenedExpected.length + 48, 'Sealed box length: ' + sealedBoxTestSealed.length + ' should equal ' + (sealedBoxTestOpenedExpected.length + 48));
+	assert.ok(Salsa20.core.util.bytesToHex(sealedBoxTestSealed) !== Salsa20.core.util.bytesToHex(sealedBoxTestSealedAgain), 'Sealing twice should use different ephemeral keys');
+
+	assert.throws(function() {
+		Salsa20.blake2b.hash('abc', { outputByteLength: 65 });
+	}, /output length should be an integer from 1 to 64/, 'Test invalid output length');
+
+	assert.throws(function() {
+		Salsa20.sealedBox.open(sealedBoxTestModified, sealedBoxTestKeyPair);
+	}, /failed authentication/, 'Test modified sealed box');
+
+	assert.throws(function() {
+		Salsa20.sealedBox.open(sealedBoxTestSealed.subarray(0, 47), sealedBoxTestKeyPair);
+	}, /sealed box is too short/, 'Test sealed box too short');
+});
@@ -0,0 +1,122 @@
+/**
+ * Salsa20js - Salsa20/20 JavaScript implementation - ES module build
+ * https://github.com/salsa20js/salsa20js
+ *
+ * Copyright (c) 2015 Joshua M. David
+ * Released under the MIT License
+ * https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+ *
+ * Creates the ES module salsa20.mjs from the body of the universal module salsa20.js, so there is only one source file 
+ * to edit. salsa20.mjs is not kept in the repository, it is built before the package is packed or published, or with: 
+ * npm run build
+ */
+
+// Use ECMAScript 5's strict mode
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Salsa20 = require('../salsa20.js');
+
+/**
+ * Gets the parts of the library exported by name from the properties of the Salsa20 object. The top level wrapper 
+ * functions are bound to the Salsa20 object so they can be imported on their own, the constructors and the objects are 
+ * exported as they are.
+ * @param {Object} library The library loaded from salsa20.js
+ * @returns {Array} Returns the export statements
+ */
+function getNamedExports(library)
+{
+	return Object.keys(library).map(function(name)
+	{
+		// Wrapper functions start with a lowercase letter, constructors e.g. Salsa20.Cipher with an uppercase letter
+		if ((typeof library[name] === 'function') && /^[a-z]/.test(name))
+		{
+			return 'export var ' + name + ' = Salsa20.' + name + '.bind(Salsa20);';
+		}
+
+		return 'export var ' + name + ' = Salsa20.' + name + ';';
+	});
+}
+
+/**
+ * Builds the ES module source code
+ * @param {String} source The source code of salsa20.js
+ * @returns {String} Returns the source code of salsa20.mjs
+ */
+function buildModule(source)
+{
+	var headerEnd = source.indexOf('*/') + 2;
+	var bodyStartMarker = "\n'use strict';\n";
+	var bodyEndMarker = '\n// Export from the module\nreturn Salsa20;\n}));';
+	var bodyStart = source.indexOf(bodyStartMarker);
+	var bodyEnd = source.lastIndexOf(bodyEndMarker);
+
+	if ((bodyStart === -1) || (bodyEnd === -1))
+	{
+		throw new Error('The module body could not be found in salsa20.js');
+	}
+
+	var output = [
+		source.substring(0, headerEnd),
+		'',
+		'// This file is generated from salsa20.js by tools/build-module.js, edit salsa20.js instead',
+		source.substring(bodyStart + bodyStartMarker.length, bodyEnd),
+		'// Web Workers load the classic script, which is next to this module',
+		'if (Salsa20.parallel.scriptUrl === null)',
+		'{',
+		"	Salsa20.parallel.scriptUrl = new URL('salsa20.js', import.meta.url).href;",
+		'}',
+		'',
+		'// Node.js worker threads load the CommonJS salsa20.js next to this module. ES modules have no require(), so it is',
+		'// created from the module URL the first time the parallel functions are used. Bundlers should skip the import.',
+		"if ((typeof process !== 'undefined') && process.versions && process.versions.node && (Salsa20.parallel.nodeRequire === null))",
+		'{',
+		'	Salsa20.parallel.loadNodeRequire = function()',
+		'	{',
+		"		return import(/* webpackIgnore: true */ 'module').then(function(nodeModule)",
+		'		{',
+		'			var nodeRequire = nodeModule.createRequire(import.meta.url);',
+		'',
+		'			// Without salsa20.js next to this module the script path stays null and the parts run in the current thread',
+		'			try',
+		'			{',
+		"				Salsa20.parallel.scriptPath = nodeRequire.resolve('./salsa20.js');",
+		'			}',
+		'			catch (error)',
+		'			{',
+		'				Salsa20.parallel.scriptPath = null;',
+		'			}',
+		'',
+		'			return nodeRequire;',
+		'		});',
+		'	};',
+		'',
+		'	// Node.js 18 and earlier have neither the Web Crypto API global nor process.getBuiltinModule(), so require() is',
+		'	// loaded before this module finishes loading to get random bytes from the Node.js crypto module',
+		"	if ((typeof crypto === 'undefined') && (Salsa20.core.util.getNodeCrypto() === null))",
+		'	{',
+		'		await Salsa20.parallel.prepareEnvironment();',
+		'	}',
+		'}',
+		'',
+		'// Export the whole library as the default export, and the separate parts by name',
+		'export default Salsa20;',
+		'export var util = Salsa20.core.util;'
+	];
+
+	return output.concat(getNamedExports(Salsa20)).join('\n') + '\n';
+}
+
+// Export the build function for the tests, otherwise write the module file to salsa20.mjs or the path given
+if (require.main === module)
+{
+	var rootDirectory = path.join(__dirname, '..');
+	var source = fs.readFileSync(path.join(rootDirectory, 'salsa20.js'), 'utf8');
+	var outputPath = process.argv[2] || path.join(rootDirectory, 'salsa20.mjs');
+
+	fs.writeFileSync(outputPath, buildModule(source));
+}
+else {
+	module.exports = buildModule;
+}
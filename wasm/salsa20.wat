@@ -0,0 +1,170 @@
+;;
+;; Salsa20js - Salsa20/20 JavaScript implementation - WebAssembly backend
+;; https://github.com/salsa20js/salsa20js
+;;
+;; Copyright (c) 2015 Joshua M. David
+;; Released under the MIT License
+;; https://github.com/salsa20js/salsa20js/blob/master/LICENSE.md
+;;
+;; The Salsa20 block function and keystream XOR. The compiled bytes are embedded in salsa20.js as
+;; Salsa20.core.wasm.bytes, rebuild them after any change with: wat2wasm wasm/salsa20.wat -o salsa20.wasm
+;;
+;; Memory layout:
+;;	0 - 63		The input state of 16 littleendian words: constants, key, nonce and block counter (words 8 and 9)
+;;	64 - 127	The output of the last block
+;;	128 -		The data to XOR with the keystream, up to 65536 bytes at a time
+;;
+(module
+	(memory (export "memory") 2)
+
+	;; The Salsa20 hash function from Section 8 of the spec on the input state, the result is written to the output
+	(func $block (param $rounds i32)
+		(local $x0 i32) (local $x1 i32) (local $x2 i32) (local $x3 i32) (local $x4 i32) (local $x5 i32) (local $x6 i32) (local $x7 i32) (local $x8 i32) (local $x9 i32) (local $x10 i32) (local $x11 i32) (local $x12 i32) (local $x13 i32) (local $x14 i32) (local $x15 i32) (local $i i32)
+
+		;; Load the input words
+		(local.set $x0 (i32.load offset=0 (i32.const 0)))
+		(local.set $x1 (i32.load offset=4 (i32.const 0)))
+		(local.set $x2 (i32.load offset=8 (i32.const 0)))
+		(local.set $x3 (i32.load offset=12 (i32.const 0)))
+		(local.set $x4 (i32.load offset=16 (i32.const 0)))
+		(local.set $x5 (i32.load offset=20 (i32.const 0)))
+		(local.set $x6 (i32.load offset=24 (i32.const 0)))
+		(local.set $x7 (i32.load offset=28 (i32.const 0)))
+		(local.set $x8 (i32.load offset=32 (i32.const 0)))
+		(local.set $x9 (i32.load offset=36 (i32.const 0)))
+		(local.set $x10 (i32.load offset=40 (i32.const 0)))
+		(local.set $x11 (i32.load offset=44 (i32.const 0)))
+		(local.set $x12 (i32.load offset=48 (i32.const 0)))
+		(local.set $x13 (i32.load offset=52 (i32.const 0)))
+		(local.set $x14 (i32.load offset=56 (i32.const 0)))
+		(local.set $x15 (i32.load offset=60 (i32.const 0)))
+
+		;; Perform the double round until the number of rounds is reached
+		(block $done
+			(loop $doubleRound
+				(br_if $done (i32.ge_u (local.get $i) (local.get $rounds)))
+
+				;; Columnround
+				(local.set $x4 (i32.xor (local.get $x4) (i32.rotl (i32.add (local.get $x0) (local.get $x12)) (i32.const 7))))
+				(local.set $x8 (i32.xor (local.get $x8) (i32.rotl (i32.add (local.get $x4) (local.get $x0)) (i32.const 9))))
+				(local.set $x12 (i32.xor (local.get $x12) (i32.rotl (i32.add (local.get $x8) (local.get $x4)) (i32.const 13))))
+				(local.set $x0 (i32.xor (local.get $x0) (i32.rotl (i32.add (local.get $x12) (local.get $x8)) (i32.const 18))))
+
+				(local.set $x9 (i32.xor (local.get $x9) (i32.rotl (i32.add (local.get $x5) (local.get $x1)) (i32.const 7))))
+				(local.set $x13 (i32.xor (local.get $x13) (i32.rotl (i32.add (local.get $x9) (local.get $x5)) (i32.const 9))))
+				(local.set $x1 (i32.xor (local.get $x1) (i32.rotl (i32.add (local.get $x13) (local.get $x9)) (i32.const 13))))
+				(local.set $x5 (i32.xor (local.get $x5) (i32.rotl (i32.add (local.get $x1) (local.get $x13)) (i32.const 18))))
+
+				(local.set $x14 (i32.xor (local.get $x14) (i32.rotl (i32.add (local.get $x10) (local.get $x6)) (i32.const 7))))
+				(local.set $x2 (i32.xor (local.get $x2) (i32.rotl (i32.add (local.get $x14) (local.get $x10)) (i32.const 9))))
+				(local.set $x6 (i32.xor (local.get $x6) (i32.rotl (i32.add (local.get $x2) (local.get $x14)) (i32.const 13))))
+				(local.set $x10 (i32.xor (local.get $x10) (i32.rotl (i32.add (local.get $x6) (local.get $x2)) (i32.const 18))))
+
+				(local.set $x3 (i32.xor (local.get $x3) (i32.rotl (i32.add (local.get $x15) (local.get $x11)) (i32.const 7))))
+				(local.set $x7 (i32.xor (local.get $x7) (i32.rotl (i32.add (local.get $x3) (local.get $x15)) (i32.const 9))))
+				(local.set $x11 (i32.xor (local.get $x11) (i32.rotl (i32.add (local.get $x7) (local.get $x3)) (i32.const 13))))
+				(local.set $x15 (i32.xor (local.get $x15) (i32.rotl (i32.add (local.get $x11) (local.get $x7)) (i32.const 18))))
+
+				;; Rowround
+				(local.set $x1 (i32.xor (local.get $x1) (i32.rotl (i32.add (local.get $x0) (local.get $x3)) (i32.const 7))))
+				(local.set $x2 (i32.xor (local.get $x2) (i32.rotl (i32.add (local.get $x1) (local.get $x0)) (i32.const 9))))
+				(local.set $x3 (i32.xor (local.get $x3) (i32.rotl (i32.add (local.get $x2) (local.get $x1)) (i32.const 13))))
+				(local.set $x0 (i32.xor (local.get $x0) (i32.rotl (i32.add (local.get $x3) (local.get $x2)) (i32.const 18))))
+
+				(local.set $x6 (i32.xor (local.get $x6) (i32.rotl (i32.add (local.get $x5) (local.get $x4)) (i32.const 7))))
+				(local.set $x7 (i32.xor (local.get $x7) (i32.rotl (i32.add (local.get $x6) (local.get $x5)) (i32.const 9))))
+				(local.set $x4 (i32.xor (local.get $x4) (i32.rotl (i32.add (local.get $x7) (local.get $x6)) (i32.const 13))))
+				(local.set $x5 (i32.xor (local.get $x5) (i32.rotl (i32.add (local.get $x4) (local.get $x7)) (i32.const 18))))
+
+				(local.set $x11 (i32.xor (local.get $x11) (i32.rotl (i32.add (local.get $x10) (local.get $x9)) (i32.const 7))))
+				(local.set $x8 (i32.xor (local.get $x8) (i32.rotl (i32.add (local.get $x11) (local.get $x10)) (i32.const 9))))
+				(local.set $x9 (i32.xor (local.get $x9) (i32.rotl (i32.add (local.get $x8) (local.get $x11)) (i32.const 13))))
+				(local.set $x10 (i32.xor (local.get $x10) (i32.rotl (i32.add (local.get $x9) (local.get $x8)) (i32.const 18))))
+
+				(local.set $x12 (i32.xor (local.get $x12) (i32.rotl (i32.add (local.get $x15) (local.get $x14)) (i32.const 7))))
+				(local.set $x13 (i32.xor (local.get $x13) (i32.rotl (i32.add (local.get $x12) (local.get $x15)) (i32.const 9))))
+				(local.set $x14 (i32.xor (local.get $x14) (i32.rotl (i32.add (local.get $x13) (local.get $x12)) (i32.const 13))))
+				(local.set $x15 (i32.xor (local.get $x15) (i32.rotl (i32.add (local.get $x14) (local.get $x13)) (i32.const 18))))
+
+				(local.set $i (i32.add (local.get $i) (i32.const 2)))
+				(br $doubleRound)
+			)
+		)
+
+		;; Add the input words to give the output
+		(i32.store offset=64 (i32.const 0) (i32.add (local.get $x0) (i32.load offset=0 (i32.const 0))))
+		(i32.store offset=68 (i32.const 0) (i32.add (local.get $x1) (i32.load offset=4 (i32.const 0))))
+		(i32.store offset=72 (i32.const 0) (i32.add (local.get $x2) (i32.load offset=8 (i32.const 0))))
+		(i32.store offset=76 (i32.const 0) (i32.add (local.get $x3) (i32.load offset=12 (i32.const 0))))
+		(i32.store offset=80 (i32.const 0) (i32.add (local.get $x4) (i32.load offset=16 (i32.const 0))))
+		(i32.store offset=84 (i32.const 0) (i32.add (local.get $x5) (i32.load offset=20 (i32.const 0))))
+		(i32.store offset=88 (i32.const 0) (i32.add (local.get $x6) (i32.load offset=24 (i32.const 0))))
+		(i32.store offset=92 (i32.const 0) (i32.add (local.get $x7) (i32.load offset=28 (i32.const 0))))
+		(i32.store offset=96 (i32.const 0) (i32.add (local.get $x8) (i32.load offset=32 (i32.const 0))))
+		(i32.store offset=100 (i32.const 0) (i32.add (local.get $x9) (i32.load offset=36 (i32.const 0))))
+		(i32.store offset=104 (i32.const 0) (i32.add (local.get $x10) (i32.load offset=40 (i32.const 0))))
+		(i32.store offset=108 (i32.const 0) (i32.add (local.get $x11) (i32.load offset=44 (i32.const 0))))
+		(i32.store offset=112 (i32.const 0) (i32.add (local.get $x12) (i32.load offset=48 (i32.const 0))))
+		(i32.store offset=116 (i32.const 0) (i32.add (local.get $x13) (i32.load offset=52 (i32.const 0))))
+		(i32.store offset=120 (i32.const 0) (i32.add (local.get $x14) (i32.load offset=56 (i32.const 0))))
+		(i32.store offset=124 (i32.const 0) (i32.add (local.get $x15) (i32.load offset=60 (i32.const 0))))
+	)
+
+	;; Runs the block function on the input state without changing the counter, used for the hash function
+	(func (export "block") (param $rounds i32)
+		(call $block (local.get $rounds))
+	)
+
+	;; XORs the data in place with the keystream starting from the block counter in the input state. The counter is
+	;; left at the next unused block so a long message can be processed in several calls.
+	(func (export "xorKeystream") (param $pointer i32) (param $length i32) (param $rounds i32)
+		(local $end i32) (local $i i32)
+
+		(local.set $end (i32.add (local.get $pointer) (local.get $length)))
+
+		(block $done
+			(loop $blocks
+				(br_if $done (i32.ge_u (local.get $pointer) (local.get $end)))
+
+				;; Generate the next block then increment the counter, carrying into the high word
+				(call $block (local.get $rounds))
+				(i32.store offset=32 (i32.const 0) (i32.add (i32.load offset=32 (i32.const 0)) (i32.const 1)))
+
+				(if (i32.eqz (i32.load offset=32 (i32.const 0)))
+					(then
+						(i32.store offset=36 (i32.const 0) (i32.add (i32.load offset=36 (i32.const 0)) (i32.const 1)))
+					)
+				)
+
+				(local.set $i (i32.const 0))
+
+				(if (i32.ge_u (i32.sub (local.get $end) (local.get $pointer)) (i32.const 64))
+					(then
+						;; XOR a full block a word at a time
+						(loop $words
+							(i32.store (i32.add (local.get $pointer) (local.get $i))
+								(i32.xor (i32.load (i32.add (local.get $pointer) (local.get $i))) (i32.load offset=64 (local.get $i))))
+							(local.set $i (i32.add (local.get $i) (i32.const 4)))
+							(br_if $words (i32.lt_u (local.get $i) (i32.const 64)))
+						)
+
+						(local.set $pointer (i32.add (local.get $pointer) (i32.const 64)))
+					)
+					(else
+						;; XOR the remaining bytes of the last partial block
+						(loop $bytes
+							(i32.store8 (i32.add (local.get $pointer) (local.get $i))
+								(i32.xor (i32.load8_u (i32.add (local.get $pointer) (local.get $i))) (i32.load8_u offset=64 (local.get $i))))
+							(local.set $i (i32.add (local.get $i) (i32.const 1)))
+							(br_if $bytes (i32.lt_u (i32.add (local.get $pointer) (local.get $i)) (local.get $end)))
+						)
+
+						(local.set $pointer (local.get $end))
+					)
+				)
+
+				(br $blocks)
+			)
+		)
+	)
+)